@@ -35,6 +35,57 @@ module.exports = {
     retentionAction: process.env.LOG_RETENTION_ACTION || 'skip' // 'skip' | 'delete'
   },
 
+  // ─── Retry Queue ────────────────────────────────────────────────
+  // Failed forwards are persisted in SQLite and retried with exponential backoff
+  retryQueue: {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '4', 10), // includes the original attempt
+    baseDelayMs: 5 * 60 * 1000, // 5, 10, 20... minutes
+    intervalMs: 60 * 1000,
+    batchSize: 25
+  },
+
+  // ─── Send Queue ─────────────────────────────────────────────────
+  // Outbound sends are queued per target channel/chat, in source order, within a budget per window
+  sendQueue: {
+    discord: {
+      messagesPerWindow: parseInt(process.env.SEND_QUEUE_DISCORD_MESSAGES || '5', 10),
+      windowMs: parseInt(process.env.SEND_QUEUE_DISCORD_WINDOW_MS || '5000', 10)
+    },
+    telegram: {
+      messagesPerWindow: parseInt(process.env.SEND_QUEUE_TELEGRAM_MESSAGES || '20', 10),
+      windowMs: parseInt(process.env.SEND_QUEUE_TELEGRAM_WINDOW_MS || '60000', 10)
+    },
+    maxRateLimitRetries: 3, // 429 retries of the same send before it goes to the retry queue
+    maxRetryAfterMs: 5 * 60 * 1000 // longer waits fail the send instead of holding the target
+  },
+
+  // ─── Backfill ───────────────────────────────────────────────────
+  // History forwarding jobs started from the web admin (one job runs at a time)
+  backfill: {
+    defaultPaceMs: parseInt(process.env.BACKFILL_PACE_MS || '1500', 10), // delay after each forwarded message
+    minPaceMs: 250,
+    maxPaceMs: 60 * 1000,
+    maxMessages: parseInt(process.env.BACKFILL_MAX_MESSAGES || '5000', 10) // cap for "last N messages"
+  },
+
+  // ─── Digests ────────────────────────────────────────────────────
+  // Configs in digest mode buffer messages in SQLite and send one summary per schedule
+  digest: {
+    checkIntervalMs: 30 * 1000,
+    entryTextLimit: 500, // characters of each message kept in the digest
+    maxAttempts: 5,
+    retryDelayMs: 5 * 60 * 1000
+  },
+
+  // ─── HTTP Webhook Targets ───────────────────────────────────────
+  // targetUrl hosts on loopback/private/link-local addresses are refused unless listed here
+  httpTarget: {
+    allowedHosts: (process.env.HTTP_TARGET_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
   // ─── Command UI ─────────────────────────────────────────────────
   commandUi: {
     enabled: process.env.COMMAND_UI_ENABLED !== 'false', // default: true
@@ -57,6 +108,13 @@ module.exports = {
     apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
     hideSourceHeader: process.env.TELEGRAM_HIDE_SOURCE_HEADER === 'true', // default: false
     smartLinkPreviews: process.env.TELEGRAM_SMART_LINK_PREVIEWS !== 'false', // default: true
+    // Download Discord attachments and upload them as files instead of passing CDN URLs
+    uploadMedia: process.env.TELEGRAM_UPLOAD_MEDIA === 'true', // default: false
+    uploadMaxBytes: parseInt(process.env.TELEGRAM_UPLOAD_MAX_MB || '50', 10) * 1024 * 1024,
+    // Formatting for forwarded text: 'MarkdownV2' or 'HTML' (configs can override it)
+    parseMode: process.env.TELEGRAM_PARSE_MODE || 'MarkdownV2',
+    // IANA time zone for Discord timestamps (<t:...>) written out as dates
+    timezone: process.env.TELEGRAM_TIMEZONE || 'UTC',
 
     // Smart Caption Length Management
     captionLengthLimit: 900,
@@ -81,6 +139,21 @@ module.exports = {
       google: {
         apiKey: process.env.GOOGLE_TRANSLATE_API_KEY,
         projectId: process.env.GOOGLE_PROJECT_ID
+      },
+      // DeepL (free-tier keys end in ":fx" and use the free API host)
+      deepl: {
+        apiKey: process.env.DEEPL_API_KEY,
+        freeApi: process.env.DEEPL_FREE_API
+          ? process.env.DEEPL_FREE_API === 'true'
+          : String(process.env.DEEPL_API_KEY || '').endsWith(':fx')
+      },
+      // OpenAI or any OpenAI-compatible server (set OPENAI_BASE_URL for self-hosted)
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        maxTokens: 2000,
+        temperature: 0.3
       }
     },
 
@@ -89,7 +162,7 @@ module.exports = {
       defaultProvider: process.env.AI_TRANSLATION_PROVIDER || 'gemini',
       cacheTranslations: true,
       maxCacheAge: 24 * 60 * 60 * 1000, // 24 hours
-      fallbackProvider: 'google'
+      fallbackProvider: process.env.AI_FALLBACK_PROVIDER || 'google'
     },
 
     optimization: {
@@ -1,22 +1,30 @@
 const { ChannelType } = require('discord.js');
 const { logInfo, logSuccess, logError } = require('../utils/logger');
 const ForwardHandler = require('../handlers/forwardHandler');
-const { getForwardConfigsForChannel } = require('../utils/configManager');
+const ApprovalManager = require('../handlers/approvalManager');
+const { getForwardConfigsForChannel, getForwardConfigById } = require('../utils/configManager');
+const { HTTP_TARGET_CHANNEL_ID, SYNC_ACTION, recordMessageSyncAction } = require('../utils/database');
 const { updateTelegramForwardedMessage, deleteTelegramForwardedMessage } = require('../handlers/telegram/telegramMessageUpdater');
-const { WEBHOOK_NAME, isOurWebhook } = require('../utils/webhookManager');
+const { WEBHOOK_NAME, DISCORD_CONTENT_LIMIT, isOurWebhook, editWebhookPayload, processForwardedMentions } = require('../utils/webhookManager');
+const { getEditPolicy, getDeletePolicy, appendEditNote, buildDiscordTombstone } = require('../utils/syncPolicy');
+const { applyContentTransforms } = require('../utils/contentTransform');
+const { stripHopMarker, addHopMarker } = require('../utils/hopMarker');
 
 // Global forward handler instance
 let forwardHandler = null;
+let reactionSyncHandler = null;
+let backfillManager = null;
 
 let isProcessingRetryQueue = false;
 
 /**
- * Separate forwarded versions into Discord and Telegram targets,
+ * Separate forwarded versions into Discord, Telegram and HTTP targets,
  * deduplicating Telegram targets by configId to avoid processing chains multiple times.
  */
 function separateAndDeduplicateTargets(forwardedVersions) {
   const discordTargets = forwardedVersions.filter(log => log.forwardedServerId);
-  const telegramTargets = forwardedVersions.filter(log => !log.forwardedServerId);
+  const httpTargets = forwardedVersions.filter(log => !log.forwardedServerId && log.forwardedChannelId === HTTP_TARGET_CHANNEL_ID);
+  const telegramTargets = forwardedVersions.filter(log => !log.forwardedServerId && log.forwardedChannelId !== HTTP_TARGET_CHANNEL_ID);
 
   const seenTelegramConfigs = new Set();
   const uniqueTelegramTargets = telegramTargets.filter(log => {
@@ -26,7 +34,22 @@ function separateAndDeduplicateTargets(forwardedVersions) {
     return true;
   });
 
-  return { discordTargets, uniqueTelegramTargets };
+  return { discordTargets, uniqueTelegramTargets, httpTargets };
+}
+
+// Send a follow-up edit or delete event to each HTTP target that received the message.
+// sendEvent returns the SYNC_ACTION taken for the log.
+async function notifyHttpTargets(httpTargets, sendEvent) {
+  for (const logEntry of httpTargets) {
+    try {
+      const config = await getForwardConfigById(logEntry.configId);
+      if (!config || config.targetType !== 'http' || config.enabled === false) continue;
+      const syncAction = await sendEvent(logEntry, config);
+      await recordMessageSyncAction(logEntry.originalMessageId, logEntry.configId, syncAction);
+    } catch (error) {
+      logError(`Failed to notify HTTP target of config ${logEntry.configId}:`, error.message);
+    }
+  }
 }
 
 // Initialize forward handler
@@ -37,9 +60,10 @@ async function initializeForwardHandler(client) {
     // Initialize AI features
     await forwardHandler.initialize();
 
-    // Start retry queue processor (runs every 5 minutes)
+    // Start retry queue processor. The queue lives in SQLite, so the first run
+    // picks up anything still pending from before a restart.
     // Use lock to prevent concurrent executions
-    setInterval(async () => {
+    const runRetryQueue = async () => {
       if (isProcessingRetryQueue) {
         logInfo('Retry queue already processing, skipping...');
         return;
@@ -52,7 +76,18 @@ async function initializeForwardHandler(client) {
       } finally {
         isProcessingRetryQueue = false;
       }
-    }, 5 * 60 * 1000);
+    };
+    const { retryQueue: retryQueueConfig } = require('../config/config');
+    setInterval(runRetryQueue, retryQueueConfig.intervalMs);
+    setTimeout(runRetryQueue, 10 * 1000);
+
+    // Backfill jobs left running before a restart resume from their stored cursor
+    const BackfillManager = require('../handlers/backfillManager');
+    backfillManager = new BackfillManager(client, forwardHandler);
+    backfillManager.start();
+
+    // Digests pending before a restart are sent when they come due
+    forwardHandler.digestManager.start();
 
     logInfo('Forward handler initialized with retry queue processor');
   }
@@ -141,11 +176,18 @@ async function handleMessageUpdate(oldMessage, newMessage, client) {
       }
 
       // Handle AI-related processing for message edits
-      const configs = await getForwardConfigsForChannel(newMessage.channel.id);
+      // Translations follow the copy, so only configs that sync edits update them
+      const configs = await getForwardConfigsForChannel(newMessage.channel.id, forwardHandler.getForumParentId(newMessage.channel));
       for (const config of configs) {
+        if (getEditPolicy(config) !== 'sync') continue;
+        if (await ApprovalManager.isEditLocked(newMessage.id, config.id)) continue;
         await forwardHandler.handleMessageEdit(oldMessage, newMessage, config);
       }
 
+      // Messages waiting for approval or for their digest pick up the new text
+      await forwardHandler.approvalManager.updateMessage(newMessage);
+      await forwardHandler.digestManager.updateMessage(newMessage);
+
       // Get message logs to find forwarded versions of this message (all targets)
       // Using getMessageLogsByOriginalMessage for efficient lookup without limit
       const { getMessageLogsByOriginalMessage } = require('../utils/database');
@@ -166,25 +208,35 @@ async function handleMessageUpdate(oldMessage, newMessage, client) {
 
       logInfo(`Message edit detected: updating ${forwardedVersions.length} forwarded versions`);
 
-      const { discordTargets, uniqueTelegramTargets } = separateAndDeduplicateTargets(forwardedVersions);
+      const { discordTargets, uniqueTelegramTargets, httpTargets } = separateAndDeduplicateTargets(forwardedVersions);
 
-      // Update Discord targets
+      // Update Discord targets according to each config's edit policy
       for (const logEntry of discordTargets) {
         try {
-          await updateForwardedMessage(newMessage, logEntry, client);
+          const syncAction = await syncForwardedEdit(newMessage, logEntry, client);
+          await recordMessageSyncAction(logEntry.originalMessageId, logEntry.configId, syncAction);
         } catch (error) {
           logError(`Failed to update forwarded message ${logEntry.forwardedMessageId}:`, error);
         }
       }
 
-      // Update Telegram targets (deduplicated - chain handling is inside the function)
+      // Update Telegram targets (deduplicated - chain handling and edit policy are inside the function)
       for (const logEntry of uniqueTelegramTargets) {
         try {
-          await updateTelegramForwardedMessage(newMessage, logEntry, client);
+          const syncAction = await updateTelegramForwardedMessage(newMessage, logEntry, client);
+          await recordMessageSyncAction(logEntry.originalMessageId, logEntry.configId, syncAction);
         } catch (error) {
           logError(`Failed to update Telegram message ${logEntry.forwardedMessageId}:`, error);
         }
       }
+
+      // HTTP receivers keep their own history, so 'append' sends the update event like 'sync'
+      await notifyHttpTargets(httpTargets, async (logEntry, config) => {
+        if (getEditPolicy(config) === 'ignore') return SYNC_ACTION.EDIT_IGNORED;
+        if (await ApprovalManager.isEditLocked(logEntry.originalMessageId, config.id)) return SYNC_ACTION.EDIT_IGNORED;
+        await forwardHandler.sendHttpUpdate(newMessage, config);
+        return SYNC_ACTION.EDITED;
+      });
     } finally {
       // Auto-cleanup handled by markAsEditing timeout
       // Explicit delete for faster cleanup on success
@@ -196,6 +248,72 @@ async function handleMessageUpdate(oldMessage, newMessage, client) {
   }
 }
 
+// Resolve the channel a logged forward was sent to. Forum posts and threads are often
+// missing from the cache (archived), so fall back to fetching them.
+async function resolveForwardedChannel(logEntry, client) {
+  if (logEntry.forwardedServerId) {
+    const targetGuild = client.guilds.cache.get(logEntry.forwardedServerId);
+    if (!targetGuild) {
+      throw new Error(`Target guild ${logEntry.forwardedServerId} not found`);
+    }
+    return targetGuild.channels.cache.get(logEntry.forwardedChannelId)
+      || await targetGuild.channels.fetch(logEntry.forwardedChannelId).catch(() => null);
+  }
+
+  // Same server - find the guild
+  const sourceGuild = client.guilds.cache.find(guild =>
+    guild.channels.cache.has(logEntry.originalChannelId)
+  );
+  return sourceGuild?.channels.cache.get(logEntry.forwardedChannelId) || null;
+}
+
+/**
+ * Apply the config's edit policy to a Discord copy. Returns the SYNC_ACTION taken.
+ */
+async function syncForwardedEdit(newMessage, logEntry, client) {
+  const config = await getForwardConfigById(logEntry.configId);
+  const editPolicy = getEditPolicy(config);
+
+  if (editPolicy === 'ignore') {
+    logInfo(`Edit policy of config ${logEntry.configId} is ignore, leaving ${logEntry.forwardedMessageId} as is`);
+    return SYNC_ACTION.EDIT_IGNORED;
+  }
+  if (await ApprovalManager.isEditLocked(logEntry.originalMessageId, logEntry.configId)) {
+    logInfo(`Message ${logEntry.originalMessageId} was approved with edited text for config ${logEntry.configId}, leaving ${logEntry.forwardedMessageId} as approved`);
+    return SYNC_ACTION.EDIT_IGNORED;
+  }
+  if (editPolicy === 'append') {
+    await appendForwardedEditNote(newMessage, logEntry, client, config);
+    return SYNC_ACTION.EDIT_NOTED;
+  }
+
+  await updateForwardedMessage(newMessage, logEntry, client);
+  return SYNC_ACTION.EDITED;
+}
+
+// Keep the copy's text and add (or replace) the "(edited)" note with the new version
+async function appendForwardedEditNote(newMessage, logEntry, client, config) {
+  const targetChannel = await resolveForwardedChannel(logEntry, client);
+  if (!targetChannel) {
+    throw new Error(`Target channel ${logEntry.forwardedChannelId} not found`);
+  }
+  const forwardedMessage = await targetChannel.messages.fetch(logEntry.forwardedMessageId);
+
+  const newContent = applyContentTransforms(stripHopMarker(newMessage.content || ''), newMessage, config);
+  const mentionResult = processForwardedMentions(newContent, config, newMessage.guild, targetChannel, client.user?.id);
+  const editOptions = {
+    content: addHopMarker(appendEditNote(stripHopMarker(forwardedMessage.content), mentionResult.content), newMessage.content, config, { maxLength: DISCORD_CONTENT_LIMIT }),
+    allowedMentions: mentionResult.allowedMentions
+  };
+
+  if (forwardedMessage.webhookId) {
+    await editWebhookPayload(targetChannel, forwardedMessage.id, editOptions);
+  } else {
+    await forwardedMessage.edit(editOptions);
+  }
+  logSuccess(`Added edit note to forwarded message in ${targetChannel.name}`);
+}
+
 // Update a specific forwarded message
 async function updateForwardedMessage(newMessage, logEntry, client) {
   try {
@@ -203,21 +321,7 @@ async function updateForwardedMessage(newMessage, logEntry, client) {
     const { getForwardConfigById } = require('../utils/configManager');
     const config = await getForwardConfigById(logEntry.configId);
     // Get the target channel
-    let targetChannel;
-    
-    if (logEntry.forwardedServerId) {
-      const targetGuild = client.guilds.cache.get(logEntry.forwardedServerId);
-      if (!targetGuild) {
-        throw new Error(`Target guild ${logEntry.forwardedServerId} not found`);
-      }
-      targetChannel = targetGuild.channels.cache.get(logEntry.forwardedChannelId);
-    } else {
-      // Same server - find the guild
-      const sourceGuild = client.guilds.cache.find(guild =>
-        guild.channels.cache.has(logEntry.originalChannelId)
-      );
-      targetChannel = sourceGuild?.channels.cache.get(logEntry.forwardedChannelId);
-    }
+    const targetChannel = await resolveForwardedChannel(logEntry, client);
 
     if (!targetChannel) {
       throw new Error(`Target channel ${logEntry.forwardedChannelId} not found`);
@@ -250,7 +354,7 @@ async function updateForwardedMessage(newMessage, logEntry, client) {
         const { sendWebhookMessage, hasWebhookPermissions } = require('../utils/webhookManager');
         
         if (hasWebhookPermissions(targetChannel, client.user)) {
-          const newForwardedMessage = await sendWebhookMessage(targetChannel, newMessage, client, config);
+          const { message: newForwardedMessage } = await sendWebhookMessage(targetChannel, newMessage, client, config);
           
           // Update the database log with new message ID
           const { updateMessageLog } = require('../utils/database');
@@ -362,6 +466,10 @@ async function handleMessageDelete(message, client) {
     // Handle AI-related processing for message deletion
     await forwardHandler.handleMessageDelete(message);
 
+    // Pending approvals and digests that have not been sent yet drop the message
+    await forwardHandler.approvalManager.dropMessage(message.id);
+    await forwardHandler.digestManager.redactMessage(message.id);
+
     // Get message logs to find forwarded versions of this message (all targets)
     // Using getMessageLogsByOriginalMessage for efficient lookup without limit
     const { getMessageLogsByOriginalMessage } = require('../utils/database');
@@ -382,54 +490,98 @@ async function handleMessageDelete(message, client) {
 
     logInfo(`Message deletion detected: deleting ${forwardedVersions.length} forwarded versions`);
 
-    const { discordTargets, uniqueTelegramTargets } = separateAndDeduplicateTargets(forwardedVersions);
+    const { discordTargets, uniqueTelegramTargets, httpTargets } = separateAndDeduplicateTargets(forwardedVersions);
 
-    // Delete Discord targets
+    // Delete Discord targets according to each config's delete policy. The log rows stay
+    // and record what was done; rows that failed are left to the orphan cleanup.
     for (const logEntry of discordTargets) {
       try {
-        await deleteForwardedMessage(logEntry, client);
+        const syncAction = await syncForwardedDelete(logEntry, client);
+        await recordMessageSyncAction(logEntry.originalMessageId, logEntry.configId, syncAction);
       } catch (error) {
         logError(`Failed to delete forwarded message ${logEntry.forwardedMessageId}:`, error);
       }
     }
 
-    // Delete Telegram targets (deduplicated - chain handling is inside the function)
+    // Delete Telegram targets (deduplicated - chain handling and delete policy are inside the function)
     for (const logEntry of uniqueTelegramTargets) {
       try {
-        await deleteTelegramForwardedMessage(logEntry, client);
+        const syncAction = await deleteTelegramForwardedMessage(logEntry, client);
+        await recordMessageSyncAction(logEntry.originalMessageId, logEntry.configId, syncAction);
       } catch (error) {
         logError(`Failed to delete Telegram message ${logEntry.forwardedMessageId}:`, error);
       }
     }
 
-    // Clean up database entries for the deleted original message
-    const { cleanupDeletedMessage } = require('../utils/database');
-    await cleanupDeletedMessage(message.id);
+    // HTTP receivers get the delete event for 'tombstone' too and decide how to show it
+    await notifyHttpTargets(httpTargets, async (logEntry, config) => {
+      if (getDeletePolicy(config) === 'keep') return SYNC_ACTION.KEPT;
+      await forwardHandler.sendHttpDelete(logEntry, config);
+      return SYNC_ACTION.DELETED;
+    });
     
   } catch (error) {
     logError('Error in handleMessageDelete:', error);
   }
 }
 
+/**
+ * Apply the config's delete policy to a Discord copy. Returns the SYNC_ACTION taken.
+ */
+async function syncForwardedDelete(logEntry, client) {
+  const config = await getForwardConfigById(logEntry.configId);
+  const deletePolicy = getDeletePolicy(config);
+
+  if (deletePolicy === 'keep') {
+    logInfo(`Delete policy of config ${logEntry.configId} is keep, leaving ${logEntry.forwardedMessageId}`);
+    return SYNC_ACTION.KEPT;
+  }
+  if (deletePolicy === 'tombstone') {
+    await tombstoneForwardedMessage(logEntry, client);
+    return SYNC_ACTION.TOMBSTONED;
+  }
+
+  await deleteForwardedMessage(logEntry, client);
+  return SYNC_ACTION.DELETED;
+}
+
+// Replace the copy's text, embeds and attachments with a "removed at source" notice
+async function tombstoneForwardedMessage(logEntry, client) {
+  const targetChannel = await resolveForwardedChannel(logEntry, client);
+  if (!targetChannel) {
+    throw new Error(`Target channel ${logEntry.forwardedChannelId} not found`);
+  }
+
+  let forwardedMessage;
+  try {
+    forwardedMessage = await targetChannel.messages.fetch(logEntry.forwardedMessageId);
+  } catch (error) {
+    if (error.code === 10008) { // Unknown Message
+      logInfo(`Forwarded message ${logEntry.forwardedMessageId} already deleted`);
+      return;
+    }
+    throw error;
+  }
+
+  const tombstone = {
+    content: buildDiscordTombstone(),
+    embeds: [],
+    attachments: [],
+    allowedMentions: { parse: [] }
+  };
+  if (forwardedMessage.webhookId) {
+    await editWebhookPayload(targetChannel, forwardedMessage.id, tombstone);
+  } else {
+    await forwardedMessage.edit(tombstone);
+  }
+  logSuccess(`Replaced forwarded message in ${targetChannel.name} with a tombstone`);
+}
+
 // Delete a specific forwarded message and its translation threads
 async function deleteForwardedMessage(logEntry, client) {
   try {
     // Get the target channel
-    let targetChannel;
-    
-    if (logEntry.forwardedServerId) {
-      const targetGuild = client.guilds.cache.get(logEntry.forwardedServerId);
-      if (!targetGuild) {
-        throw new Error(`Target guild ${logEntry.forwardedServerId} not found`);
-      }
-      targetChannel = targetGuild.channels.cache.get(logEntry.forwardedChannelId);
-    } else {
-      // Same server - find the guild
-      const sourceGuild = client.guilds.cache.find(guild =>
-        guild.channels.cache.has(logEntry.originalChannelId)
-      );
-      targetChannel = sourceGuild?.channels.cache.get(logEntry.forwardedChannelId);
-    }
+    const targetChannel = await resolveForwardedChannel(logEntry, client);
 
     if (!targetChannel) {
       throw new Error(`Target channel ${logEntry.forwardedChannelId} not found`);
@@ -450,6 +602,14 @@ async function deleteForwardedMessage(logEntry, client) {
     // Delete translation threads if they exist
     if (forwardedMessage) {
       await deleteTranslationThreads(forwardedMessage, client);
+
+      // A forum post created for this single message goes away with it; posts mirroring
+      // a source thread stay until that thread's other messages are gone
+      if (await isStandaloneForumPost(targetChannel, forwardedMessage)) {
+        await targetChannel.delete('Source message deleted');
+        logSuccess(`Deleted forum post ${targetChannel.name} for deleted source message`);
+        return;
+      }
       
       // Delete the forwarded message
       await forwardedMessage.delete();
@@ -466,6 +626,16 @@ async function deleteForwardedMessage(logEntry, client) {
   }
 }
 
+// True when the message starts a forum post that is not linked to a source thread
+async function isStandaloneForumPost(channel, message) {
+  if (!channel.isThread?.() || message.id !== channel.id) return false;
+  const parentType = channel.parent?.type;
+  if (parentType !== ChannelType.GuildForum && parentType !== ChannelType.GuildMedia) return false;
+
+  const { isLinkedForumThread } = require('../utils/database');
+  return !(await isLinkedForumThread(channel.id));
+}
+
 // Delete translation threads for a forwarded message
 async function deleteTranslationThreads(forwardedMessage, client) {
   try {
@@ -572,6 +742,42 @@ async function handleAutoPublish(message, client) {
   }
 }
 
+// Handle reaction add/remove/clear on a possible source message (reactions are mirrored per config)
+async function handleReactionChange(reactionOrMessage, user, client) {
+  try {
+    // Our own mirrored reactions are not source activity
+    if (user && user.id === client.user.id) return;
+
+    const message = reactionOrMessage.message || reactionOrMessage;
+    if (!message || !message.id) return;
+
+    if (!reactionSyncHandler) {
+      const ReactionSyncHandler = require('../handlers/reactionSyncHandler');
+      reactionSyncHandler = new ReactionSyncHandler(client);
+    }
+    reactionSyncHandler.queueSync(message);
+  } catch (error) {
+    logError('Error in handleReactionChange:', error);
+  }
+}
+
+// Review channel buttons and modals for held messages
+async function handleApprovalInteraction(interaction, client) {
+  try {
+    if (!forwardHandler) {
+      await initializeForwardHandler(client);
+    }
+    return await forwardHandler.approvalManager.handleInteraction(interaction);
+  } catch (error) {
+    logError('Error in handleApprovalInteraction:', error);
+    return false;
+  }
+}
+
+function getBackfillManager() {
+  return backfillManager;
+}
+
 // Get forward handler instance for external access
 function getForwardHandler() {
   return forwardHandler;
@@ -581,6 +787,9 @@ module.exports = {
   handleMessageCreate,
   handleMessageUpdate,
   handleMessageDelete,
+  handleReactionChange,
   initializeForwardHandler,
-  getForwardHandler
+  getForwardHandler,
+  getBackfillManager,
+  handleApprovalInteraction
 };
@@ -0,0 +1,336 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionFlagsBits
+} = require('discord.js');
+const { logInfo, logSuccess, logError } = require('../utils/logger');
+const {
+  APPROVAL_STATUS,
+  createApprovalEntry,
+  getApprovalEntry,
+  getApprovalEntryForMessage,
+  getPendingApprovalsForMessage,
+  setApprovalReviewMessage,
+  updatePendingApprovalContent,
+  decideApproval,
+  deletePendingApprovalsForMessage
+} = require('../utils/database');
+const { getForwardConfigById, getConfigOwnerGuildId } = require('../utils/configManager');
+
+const CUSTOM_ID_PREFIX = 'approval';
+const MAX_EDITED_CONTENT_LENGTH = 2000;
+const REVIEW_CONTENT_LIMIT = 3500;
+const REVIEW_COLORS = {
+  [APPROVAL_STATUS.PENDING]: 0xfee75c,
+  [APPROVAL_STATUS.APPROVED]: 0x57f287,
+  [APPROVAL_STATUS.REJECTED]: 0xed4245
+};
+
+function createApprovalError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Same message, moderator's text: content getters (cleanContent etc.) read the override
+function withContentOverride(message, content) {
+  return Object.create(message, {
+    content: { value: content, enumerable: true }
+  });
+}
+
+/**
+ * Approval Manager - holds messages of configs with requireApproval until a moderator decides
+ * Held messages live in the approval_queue table and are listed in the web admin. With a
+ * reviewChannelId the bot also posts each one there with Approve / Edit & Approve / Reject
+ * buttons (members need Manage Messages in that channel). Approved messages are fetched again
+ * and forwarded through ForwardHandler.forwardToTarget.
+ */
+class ApprovalManager {
+  constructor(forwardHandler) {
+    this.forwardHandler = forwardHandler;
+    this.client = forwardHandler.client;
+  }
+
+  /**
+   * Hold a source message for approval instead of forwarding it.
+   */
+  async hold(message, config) {
+    const approvalId = await createApprovalEntry({
+      configId: config.id,
+      originalMessageId: message.id,
+      originalChannelId: message.channel.id,
+      originalServerId: message.guild?.id || null,
+      authorName: message.member?.displayName || message.author?.displayName || message.author?.username || 'Unknown',
+      content: message.content || '',
+      attachmentCount: message.attachments?.size || 0,
+      jumpUrl: message.url || null
+    });
+    if (!approvalId) return { approvalId: null };
+
+    logInfo(`Config ${config.id}: message ${message.id} held for approval (${approvalId})`);
+
+    if (config.reviewChannelId) {
+      try {
+        await this.postReviewMessage(await getApprovalEntry(approvalId), config);
+      } catch (error) {
+        // Still listed in the web admin
+        logError(`Failed to post approval ${approvalId} to review channel ${config.reviewChannelId}:`, error.message);
+      }
+    }
+    return { approvalId };
+  }
+
+  async postReviewMessage(entry, config) {
+    const channel = await this.client.channels.fetch(config.reviewChannelId);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Review channel ${config.reviewChannelId} is not a text channel`);
+    }
+    if (channel.guildId !== getConfigOwnerGuildId(config)) {
+      throw new Error(`Review channel ${config.reviewChannelId} is not in the config's server`);
+    }
+    const reviewMessage = await channel.send(this.buildReviewPayload(entry, config));
+    await setApprovalReviewMessage(entry.id, channel.id, reviewMessage.id);
+  }
+
+  buildReviewPayload(entry, config) {
+    const text = entry.editedContent || entry.content;
+    const fields = [
+      { name: 'Author', value: entry.authorName, inline: true },
+      { name: 'Config', value: `${config ? config.name || config.id : entry.configId}`, inline: true }
+    ];
+    if (entry.attachmentCount > 0) {
+      fields.push({ name: 'Attachments', value: String(entry.attachmentCount), inline: true });
+    }
+    if (entry.status !== APPROVAL_STATUS.PENDING) {
+      const verb = entry.status === APPROVAL_STATUS.APPROVED ? 'Approved' : 'Rejected';
+      fields.push({ name: 'Decision', value: `${verb}${entry.decidedBy ? ` by ${entry.decidedBy}` : ''}${entry.editedContent ? ' (edited)' : ''}` });
+    }
+
+    const embed = {
+      color: REVIEW_COLORS[entry.status] || REVIEW_COLORS[APPROVAL_STATUS.PENDING],
+      title: `Approval #${entry.id}`,
+      url: entry.jumpUrl || undefined,
+      description: text.length > REVIEW_CONTENT_LIMIT ? `${text.slice(0, REVIEW_CONTENT_LIMIT - 1)}…` : (text || '*(no text)*'),
+      fields,
+      timestamp: new Date(entry.createdAt).toISOString()
+    };
+
+    if (entry.status !== APPROVAL_STATUS.PENDING) {
+      return { embeds: [embed], components: [], allowedMentions: { parse: [] } };
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`${CUSTOM_ID_PREFIX}:approve:${entry.id}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`${CUSTOM_ID_PREFIX}:edit:${entry.id}`).setLabel('Edit & Approve').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(`${CUSTOM_ID_PREFIX}:reject:${entry.id}`).setLabel('Reject').setStyle(ButtonStyle.Danger)
+    );
+    return { embeds: [embed], components: [buttons], allowedMentions: { parse: [] } };
+  }
+
+  // Keep the review message in step with the entry; deleted when the entry is gone
+  async refreshReviewMessage(entry, { remove = false } = {}) {
+    if (!entry.reviewChannelId || !entry.reviewMessageId) return;
+    try {
+      const channel = await this.client.channels.fetch(entry.reviewChannelId);
+      const reviewMessage = await channel.messages.fetch(entry.reviewMessageId);
+      if (remove) {
+        await reviewMessage.delete();
+      } else {
+        await reviewMessage.edit(this.buildReviewPayload(entry, await getForwardConfigById(entry.configId)));
+      }
+    } catch (error) {
+      logError(`Failed to update review message for approval ${entry.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Approve a pending entry and forward it, optionally with the moderator's replacement text.
+   * Throws an error with statusCode (400 bad content, 404 unknown, 409 already decided,
+   * 410 config or source message gone).
+   */
+  async approve(approvalId, { content = null, decidedBy = null } = {}) {
+    let editedContent = null;
+    if (content !== null && content !== undefined) {
+      if (typeof content !== 'string' || !content.trim()) {
+        throw createApprovalError('content must be a non-empty string');
+      }
+      if (content.length > MAX_EDITED_CONTENT_LENGTH) {
+        throw createApprovalError(`content cannot be longer than ${MAX_EDITED_CONTENT_LENGTH} characters`);
+      }
+      editedContent = content;
+    }
+
+    const pending = await getApprovalEntry(approvalId);
+    if (!pending) {
+      throw createApprovalError('Approval not found', 404);
+    }
+    const config = await getForwardConfigById(pending.configId);
+    if (!config) {
+      throw createApprovalError(`Config ${pending.configId} no longer exists; reject this message instead`, 410);
+    }
+    const message = await this.forwardHandler.fetchRetrySourceMessage(pending);
+    if (!message) {
+      throw createApprovalError('The source message no longer exists; reject this message instead', 410);
+    }
+
+    const entry = await this.decide(approvalId, APPROVAL_STATUS.APPROVED, decidedBy, editedContent);
+
+    // Failures go to the retry queue like any other forward
+    await this.forwardHandler.forwardToTarget(
+      editedContent !== null ? withContentOverride(message, editedContent) : message,
+      config,
+      { approved: true }
+    );
+    logSuccess(`Approval ${entry.id} approved${decidedBy ? ` by ${decidedBy}` : ''}, forwarded message ${entry.originalMessageId}`);
+    return entry;
+  }
+
+  async reject(approvalId, { decidedBy = null } = {}) {
+    const entry = await this.decide(approvalId, APPROVAL_STATUS.REJECTED, decidedBy, null);
+    logInfo(`Approval ${entry.id} rejected${decidedBy ? ` by ${decidedBy}` : ''}`);
+    return entry;
+  }
+
+  async decide(approvalId, status, decidedBy, editedContent) {
+    const existing = await getApprovalEntry(approvalId);
+    if (!existing) {
+      throw createApprovalError('Approval not found', 404);
+    }
+    if (!(await decideApproval(approvalId, status, decidedBy, editedContent))) {
+      throw createApprovalError(`Approval #${approvalId} was already ${existing.status === APPROVAL_STATUS.PENDING ? 'decided' : existing.status}`, 409);
+    }
+
+    const entry = await getApprovalEntry(approvalId);
+    await this.refreshReviewMessage(entry);
+    return entry;
+  }
+
+  /**
+   * The message as a moderator approved it: retries of an approved forward must send the
+   * moderator's replacement text, not the source text fetched again.
+   */
+  async withApprovedContent(message, config) {
+    const entry = await getApprovalEntryForMessage(message.id, config.id);
+    if (!entry || entry.status !== APPROVAL_STATUS.APPROVED || entry.editedContent === null) {
+      return message;
+    }
+    return withContentOverride(message, entry.editedContent);
+  }
+
+  /**
+   * Copies a moderator approved with replacement text keep that text: source edits would
+   * overwrite it, so they are not synced. Messages approved unchanged follow the edit policy.
+   */
+  static async isEditLocked(originalMessageId, configId) {
+    const entry = await getApprovalEntryForMessage(originalMessageId, configId);
+    return Boolean(entry) && entry.status === APPROVAL_STATUS.APPROVED && entry.editedContent !== null;
+  }
+
+  /**
+   * Source edited while pending: update the held copy (a moderator's edit still wins on approval).
+   */
+  async updateMessage(message) {
+    const entries = await getPendingApprovalsForMessage(message.id);
+    for (const entry of entries) {
+      const changed = await updatePendingApprovalContent(entry.id, message.content || '', message.attachments?.size || 0);
+      if (changed) {
+        await this.refreshReviewMessage(await getApprovalEntry(entry.id));
+      }
+    }
+    if (entries.length > 0) {
+      logInfo(`Updated ${entries.length} pending approval(s) for edited message ${message.id}`);
+    }
+  }
+
+  /**
+   * Source deleted while pending: drop the held copies and their review messages.
+   */
+  async dropMessage(originalMessageId) {
+    const entries = await getPendingApprovalsForMessage(originalMessageId);
+    if (entries.length === 0) return 0;
+
+    const removed = await deletePendingApprovalsForMessage(originalMessageId);
+    for (const entry of entries) {
+      await this.refreshReviewMessage(entry, { remove: true });
+    }
+    logInfo(`Dropped ${removed} pending approval(s) for deleted message ${originalMessageId}`);
+    return removed;
+  }
+
+  isApprovalInteraction(interaction) {
+    return typeof interaction.customId === 'string' && interaction.customId.startsWith(`${CUSTOM_ID_PREFIX}:`);
+  }
+
+  /**
+   * Review channel buttons and the Edit & Approve modal. Returns false for other interactions.
+   */
+  async handleInteraction(interaction) {
+    if (!this.isApprovalInteraction(interaction)) return false;
+
+    const [, action, rawId] = interaction.customId.split(':');
+    const approvalId = parseInt(rawId, 10);
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+      await interaction.reply({ content: 'You need Manage Messages in this channel to review messages.', ephemeral: true });
+      return true;
+    }
+
+    try {
+      // Only the review message the bot posted can decide; Manage Messages elsewhere does not count
+      const entry = await getApprovalEntry(approvalId);
+      if (entry && entry.reviewChannelId !== interaction.channelId) {
+        await interaction.reply({ content: 'This review does not belong to this channel.', ephemeral: true });
+        return true;
+      }
+
+      if (interaction.isButton() && action === 'edit') {
+        if (!entry || entry.status !== APPROVAL_STATUS.PENDING) {
+          await interaction.reply({ content: 'This message was already reviewed.', ephemeral: true });
+          return true;
+        }
+        const input = new TextInputBuilder()
+          .setCustomId('content')
+          .setLabel('Text to forward')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(MAX_EDITED_CONTENT_LENGTH);
+        const currentText = (entry.editedContent || entry.content).slice(0, MAX_EDITED_CONTENT_LENGTH);
+        if (currentText) input.setValue(currentText);
+        await interaction.showModal(new ModalBuilder()
+          .setCustomId(`${CUSTOM_ID_PREFIX}:edit-submit:${approvalId}`)
+          .setTitle(`Edit & Approve #${approvalId}`)
+          .addComponents(new ActionRowBuilder().addComponents(input)));
+        return true;
+      }
+
+      // The review message is edited by approve/reject, so only acknowledge here
+      await interaction.deferUpdate();
+      const decidedBy = interaction.user.tag || interaction.user.username;
+      if (interaction.isModalSubmit() && action === 'edit-submit') {
+        await this.approve(approvalId, { content: interaction.fields.getTextInputValue('content'), decidedBy });
+      } else if (action === 'approve') {
+        await this.approve(approvalId, { decidedBy });
+      } else if (action === 'reject') {
+        await this.reject(approvalId, { decidedBy });
+      }
+    } catch (error) {
+      const reply = { content: `Review failed: ${error.message}`, ephemeral: true };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+      if (!error.statusCode) {
+        logError(`Approval interaction ${interaction.customId} failed:`, error);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = ApprovalManager;
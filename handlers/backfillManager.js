@@ -0,0 +1,331 @@
+const { ChannelType } = require('discord.js');
+const { logInfo, logSuccess, logError } = require('../utils/logger');
+const {
+  BACKFILL_STATUS,
+  createBackfillJob,
+  getBackfillJob,
+  getActiveBackfillJobForConfig,
+  getNextBackfillJob,
+  updateBackfillProgress,
+  setBackfillJobStatus,
+  getMessageChain,
+  isMessageInDigest,
+  getApprovalEntryForMessage
+} = require('../utils/database');
+const { getForwardConfigById } = require('../utils/configManager');
+const { backfill: backfillConfig } = require('../config/config');
+
+const DISCORD_EPOCH = 1420070400000n;
+const PAGE_SIZE = 100;
+const IDLE_CHECK_MS = 15 * 1000;
+const BACKFILL_MODES = ['count', 'range'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createBackfillError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Smallest snowflake a message sent at this time can have
+function timestampToSnowflake(ms) {
+  return (BigInt(ms) - DISCORD_EPOCH) << 22n;
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && value.trim()) {
+    const parsed = /^\d+$/.test(value.trim()) ? Number(value.trim()) : Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+function compareMessageIds(a, b) {
+  const left = BigInt(a.id);
+  const right = BigInt(b.id);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Validate a backfill request for a config and store it as a queued job.
+ * body: { mode: 'count', count } or { mode: 'range', startAt, endAt } (ms or ISO), optional paceMs.
+ * Throws an error with statusCode 400 (409 when the config already has an unfinished job).
+ * Returns the new job ID.
+ */
+async function queueBackfillJob(config, body = {}, createdBy = null) {
+  if (config.sourceType === 'telegram') {
+    throw createBackfillError('Telegram sources cannot be backfilled: the Bot API has no message history');
+  }
+  if (config.enabled === false) {
+    throw createBackfillError('Enable the config before starting a backfill');
+  }
+
+  const mode = body.mode;
+  if (!BACKFILL_MODES.includes(mode)) {
+    throw createBackfillError(`mode must be one of: ${BACKFILL_MODES.join(', ')}`);
+  }
+
+  let paceMs = backfillConfig.defaultPaceMs;
+  if (typeof body.paceMs !== 'undefined' && body.paceMs !== null && body.paceMs !== '') {
+    paceMs = Number(body.paceMs);
+    if (!Number.isInteger(paceMs) || paceMs < backfillConfig.minPaceMs || paceMs > backfillConfig.maxPaceMs) {
+      throw createBackfillError(`paceMs must be an integer between ${backfillConfig.minPaceMs} and ${backfillConfig.maxPaceMs}`);
+    }
+  }
+
+  const now = Date.now();
+  const job = {
+    configId: config.id,
+    sourceServerId: config.sourceServerId,
+    mode,
+    paceMs,
+    createdBy
+  };
+
+  if (mode === 'count') {
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > backfillConfig.maxMessages) {
+      throw createBackfillError(`count must be an integer between 1 and ${backfillConfig.maxMessages}`);
+    }
+    // The starting point is found when the job runs; messages sent after now are live traffic
+    job.requestedCount = count;
+    job.untilMessageId = (timestampToSnowflake(now + 1) - 1n).toString();
+  } else {
+    const startAt = parseTimestamp(body.startAt);
+    const requestedEnd = parseTimestamp(body.endAt);
+    if (startAt === null || requestedEnd === null) {
+      throw createBackfillError('startAt and endAt must be timestamps (ms) or ISO dates');
+    }
+    const endAt = Math.min(requestedEnd, now);
+    if (startAt < Number(DISCORD_EPOCH) || startAt >= endAt) {
+      throw createBackfillError('startAt must be before endAt, and endAt cannot be in the future');
+    }
+    job.rangeStart = startAt;
+    job.rangeEnd = endAt;
+    job.afterMessageId = (timestampToSnowflake(startAt) - 1n).toString();
+    job.untilMessageId = (timestampToSnowflake(endAt + 1) - 1n).toString();
+  }
+
+  const activeJob = await getActiveBackfillJobForConfig(config.id);
+  if (activeJob) {
+    throw createBackfillError(`Config ${config.id} already has an unfinished backfill job (${activeJob.id})`, 409);
+  }
+
+  const jobId = await createBackfillJob(job);
+  logInfo(`Queued backfill job ${jobId} for config ${config.id} (${mode === 'count' ? `last ${job.requestedCount}` : 'date range'})`);
+  return jobId;
+}
+
+/**
+ * Backfill Manager - forwards source channel history for queued backfill jobs
+ * Jobs run one at a time, oldest message first, through ForwardHandler.forwardToTarget.
+ * Progress and the message cursor are stored after every message, so a restart resumes
+ * a running job where it stopped. Pause/cancel are status changes the runner picks up
+ * before the next message.
+ */
+class BackfillManager {
+  constructor(client, forwardHandler) {
+    this.client = client;
+    this.forwardHandler = forwardHandler;
+    this.running = false;
+    this.wakeUp = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.loop().catch(error => {
+      logError('Backfill runner stopped unexpectedly:', error);
+      this.running = false;
+    });
+    logInfo('Backfill runner started');
+  }
+
+  stop() {
+    this.running = false;
+    this.wake();
+  }
+
+  // Check for work now instead of at the next idle check
+  wake() {
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  idle(ms) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.wakeUp = done;
+    });
+  }
+
+  async loop() {
+    while (this.running) {
+      let job = null;
+      try {
+        job = await getNextBackfillJob();
+      } catch (error) {
+        logError('Failed to load backfill jobs:', error);
+      }
+
+      if (!job) {
+        await this.idle(IDLE_CHECK_MS);
+        continue;
+      }
+
+      try {
+        await setBackfillJobStatus(job.id, BACKFILL_STATUS.RUNNING, [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.RUNNING]);
+        await this.runJob(job);
+      } catch (error) {
+        logError(`Backfill job ${job.id} failed:`, error);
+        await setBackfillJobStatus(job.id, BACKFILL_STATUS.FAILED, [BACKFILL_STATUS.RUNNING], error.message).catch(() => {});
+      }
+    }
+  }
+
+  async runJob(job) {
+    const config = await getForwardConfigById(job.configId);
+    if (!config) throw new Error('Forward config no longer exists');
+    if (config.enabled === false) throw new Error('Forward config is disabled');
+
+    const channel = await this.getSourceChannel(config);
+    if (!channel) throw new Error('Source channel is not accessible');
+    // A forum's history is spread over its posts, each a separate thread
+    if (channel.type === ChannelType.GuildForum || channel.type === ChannelType.GuildMedia) {
+      throw new Error('Forum sources cannot be backfilled');
+    }
+    if (!channel.messages) throw new Error('Source channel has no message history');
+
+    let afterMessageId = job.afterMessageId;
+    if (!afterMessageId) {
+      afterMessageId = await this.findStartOfLastMessages(job, channel);
+    }
+
+    logInfo(`Running backfill job ${job.id} for config ${config.id} in #${channel.name}`);
+
+    const until = BigInt(job.untilMessageId);
+    const progress = {
+      scanned: job.scanned,
+      forwarded: job.forwarded,
+      held: job.held || 0,
+      buffered: job.buffered || 0,
+      skipped: job.skipped,
+      failed: job.failed,
+      lastError: job.lastError
+    };
+
+    while (true) {
+      const page = await channel.messages.fetch({ after: afterMessageId, limit: PAGE_SIZE });
+      const messages = Array.from(page.values())
+        .filter(message => BigInt(message.id) <= until)
+        .sort(compareMessageIds);
+
+      for (const message of messages) {
+        const current = await getBackfillJob(job.id);
+        if (!current || current.status !== BACKFILL_STATUS.RUNNING) {
+          logInfo(`Backfill job ${job.id} ${current ? current.status : 'removed'}, stopping`);
+          return;
+        }
+
+        const outcome = await this.backfillMessage(message, config);
+        progress.scanned++;
+        progress[outcome.result]++;
+        if (outcome.error) progress.lastError = outcome.error;
+        afterMessageId = message.id;
+        await updateBackfillProgress(job.id, { ...progress, afterMessageId });
+
+        // Skipped and buffered messages send nothing now, so only sends (and review posts) are paced
+        if (outcome.result !== 'skipped' && outcome.result !== 'buffered') {
+          await sleep(job.paceMs);
+        }
+      }
+
+      // A short page or one that crossed the upper bound is the end of the range
+      if (page.size < PAGE_SIZE || messages.length < page.size) break;
+    }
+
+    await setBackfillJobStatus(job.id, BACKFILL_STATUS.COMPLETED, [BACKFILL_STATUS.RUNNING]);
+    logSuccess(`Backfill job ${job.id} completed: ${progress.forwarded} forwarded, ${progress.held} held, ${progress.buffered} buffered, ${progress.skipped} skipped, ${progress.failed} failed`);
+  }
+
+  /**
+   * For "last N messages" jobs: page back from the job's upper bound to find the oldest of
+   * those messages, then store the cursor just before it so the run goes oldest-first.
+   */
+  async findStartOfLastMessages(job, channel) {
+    let before = (BigInt(job.untilMessageId) + 1n).toString();
+    let remaining = job.requestedCount;
+    let oldestId = null;
+    let found = 0;
+
+    while (remaining > 0) {
+      const limit = Math.min(PAGE_SIZE, remaining);
+      const page = await channel.messages.fetch({ before, limit });
+      if (page.size === 0) break;
+
+      const oldest = Array.from(page.values()).sort(compareMessageIds)[0];
+      oldestId = oldest.id;
+      before = oldest.id;
+      found += page.size;
+      remaining -= page.size;
+      if (page.size < limit) break;
+    }
+
+    const afterMessageId = oldestId ? (BigInt(oldestId) - 1n).toString() : job.untilMessageId;
+    await updateBackfillProgress(job.id, { afterMessageId, total: found });
+    return afterMessageId;
+  }
+
+  // Forward one history message; returns { result: 'forwarded' | 'held' | 'buffered' | 'skipped' | 'failed', error }.
+  // Approval configs only hold the message and digest configs only buffer it, so those are not forwards.
+  async backfillMessage(message, config) {
+    try {
+      const existing = await getMessageChain(message.id, config.id);
+      if (existing.length > 0 || (await isMessageInDigest(message.id, config.id))) return { result: 'skipped' };
+      // Held or already reviewed
+      if (config.requireApproval === true && (await getApprovalEntryForMessage(message.id, config.id))) return { result: 'skipped' };
+
+      if (!(await this.forwardHandler.isForwardableSourceMessage(message))) return { result: 'skipped' };
+      if (!this.forwardHandler.passesContentFilters(message, config)) return { result: 'skipped' };
+
+      const forwardResult = await this.forwardHandler.forwardToTarget(message, config, { rethrow: true });
+      // undefined: skipped by the loop marker or an unsupported source/target
+      if (!forwardResult) return { result: 'skipped' };
+      if ('approvalId' in forwardResult) return { result: forwardResult.approvalId ? 'held' : 'skipped' };
+      if ('digestId' in forwardResult) return { result: forwardResult.digestId ? 'buffered' : 'skipped' };
+      return { result: 'forwarded' };
+    } catch (error) {
+      return { result: 'failed', error: `${message.id}: ${error.message}` };
+    }
+  }
+
+  // Read history with the bot that reads the config's source
+  async getSourceChannel(config) {
+    let sourceClient = this.client;
+    if (config.useReaderBot) {
+      sourceClient = null;
+      try {
+        const { readerBot } = require('../index');
+        if (readerBot && readerBot.client && readerBot.client.user) {
+          sourceClient = readerBot.client;
+        }
+      } catch (_error) {
+        sourceClient = null;
+      }
+      if (!sourceClient) throw new Error('Reader bot is not available');
+    }
+
+    return await sourceClient.channels.fetch(config.sourceChannelId).catch(() => null);
+  }
+}
+
+module.exports = BackfillManager;
+module.exports.queueBackfillJob = queueBackfillJob;
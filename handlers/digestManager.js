@@ -0,0 +1,297 @@
+const { cleanContent } = require('discord.js');
+const { logInfo, logSuccess, logError } = require('../utils/logger');
+const {
+  addDigestEntry,
+  getDueDigests,
+  claimDigest,
+  getDigestEntries,
+  markDigestSent,
+  recordDigestFailure,
+  deleteDigest,
+  resetSendingDigests,
+  redactPendingDigestEntries,
+  getPendingDigestEntries,
+  updateDigestEntryContent
+} = require('../utils/database');
+const { getForwardConfigById } = require('../utils/configManager');
+const { applyContentTransforms } = require('../utils/contentTransform');
+const { stripHopMarker } = require('../utils/hopMarker');
+const { buildSourceHeader } = require('../utils/sourceHeader');
+const { getNextDigestDueAt, describeDigestSchedule } = require('../utils/digestSchedule');
+const { getTelegramParseMode, escapeTelegramText, formatTelegramBold, formatTelegramLink } = require('../utils/telegramParseMode');
+const { digest: digestConfig } = require('../config/config');
+
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const DIGEST_EMBED_COLOR = 0x5865f2;
+
+function formatUtcTime(timestamp) {
+  return `${new Date(timestamp).toISOString().slice(11, 16)} UTC`;
+}
+
+function quoteLines(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Digest Manager - buffers messages of digest-mode configs and sends them as one summary
+ * Entries are rendered for the config's target when they are added (the source message may
+ * be gone by send time) and stored in SQLite, so pending digests survive restarts. A timer
+ * sends digests once they are due, through the forward handler's send queue.
+ */
+class DigestManager {
+  constructor(forwardHandler) {
+    this.forwardHandler = forwardHandler;
+    this.timer = null;
+    this.isSending = false;
+  }
+
+  async start() {
+    if (this.timer) return;
+    try {
+      const interrupted = await resetSendingDigests();
+      if (interrupted > 0) {
+        logInfo(`Re-queued ${interrupted} digest(s) interrupted by a restart`);
+      }
+    } catch (error) {
+      logError('Error resetting interrupted digests:', error);
+    }
+    this.timer = setInterval(() => this.sendDueDigests(), digestConfig.checkIntervalMs);
+  }
+
+  /**
+   * Buffer a message in the config's open digest instead of forwarding it.
+   */
+  async addMessage(message, config) {
+    const entry = await this.buildEntry(message, config);
+    const digestId = await addDigestEntry({
+      configId: config.id,
+      dueAt: getNextDigestDueAt(config.digest),
+      entry,
+      log: {
+        originalServerId: message.guild?.id || null,
+        forwardedChannelId: config.targetChannelId || config.targetChatId,
+        forwardedServerId: config.targetType === 'discord' ? (config.targetServerId || message.guild?.id || null) : null
+      }
+    });
+
+    if (digestId) {
+      logInfo(`Config ${config.id}: buffered message ${message.id} in digest ${digestId}`);
+    }
+    return { digestId };
+  }
+
+  async buildEntry(message, config) {
+    return {
+      originalMessageId: message.id,
+      originalChannelId: message.channel.id,
+      sourceHeader: await buildSourceHeader(message, config),
+      authorName: message.member?.displayName || message.author?.displayName || message.author?.username || 'Unknown',
+      content: this.buildEntryContent(message, config),
+      jumpUrl: message.url || null,
+      messageCreatedAt: message.createdTimestamp || Date.now()
+    };
+  }
+
+  // Plain text after the config's transforms; escaped for the target when the digest is rendered
+  buildEntryContent(message, config) {
+    let text = this.getEntryText(message, config).trim();
+    if (text.length > digestConfig.entryTextLimit) {
+      text = `${text.slice(0, digestConfig.entryTextLimit - 1)}…`;
+    }
+
+    const extras = [];
+    const attachmentCount = message.attachments?.size || 0;
+    if (attachmentCount > 0) {
+      extras.push(`📎 ${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}`);
+    }
+    if (message.embeds?.length > 0 && !text) {
+      extras.push(`🔗 ${message.embeds[0].title || 'embed'}`);
+    }
+    if (message.stickers?.size > 0) {
+      extras.push(`🎭 ${Array.from(message.stickers.values()).map(sticker => sticker.name).join(', ')}`);
+    }
+
+    return [text, extras.join(' · ')].filter(Boolean).join('\n') || '(no text)';
+  }
+
+  // Transforms match the raw text, so mentions are resolved to names after they ran
+  getEntryText(message, config) {
+    if (!Array.isArray(config?.transforms) || config.transforms.length === 0 || !message.channel) {
+      return String(message.cleanContent || message.content || '');
+    }
+    return cleanContent(applyContentTransforms(stripHopMarker(message.content || ''), message, config), message.channel);
+  }
+
+  /**
+   * Re-render the pending digest entries of an edited source message.
+   */
+  async updateMessage(message) {
+    const entries = await getPendingDigestEntries(message.id);
+    for (const entry of entries) {
+      const config = await getForwardConfigById(entry.configId);
+      await updateDigestEntryContent(entry.id, this.buildEntryContent(message, config));
+    }
+    if (entries.length > 0) {
+      logInfo(`Updated ${entries.length} pending digest entr${entries.length === 1 ? 'y' : 'ies'} for edited message ${message.id}`);
+    }
+  }
+
+  /**
+   * Drop a deleted source message from digests that have not been sent yet.
+   */
+  async redactMessage(originalMessageId) {
+    const removed = await redactPendingDigestEntries(originalMessageId);
+    if (removed > 0) {
+      logInfo(`Removed deleted message ${originalMessageId} from ${removed} pending digest(s)`);
+    }
+    return removed;
+  }
+
+  async sendDueDigests() {
+    if (this.isSending) return;
+    this.isSending = true;
+    try {
+      const due = await getDueDigests(Date.now());
+      for (const digest of due) {
+        if (!(await claimDigest(digest.id))) continue;
+        await this.sendDigest(digest);
+      }
+    } catch (error) {
+      logError('Error sending due digests:', error);
+    } finally {
+      this.isSending = false;
+    }
+  }
+
+  async sendDigest(digest) {
+    try {
+      const config = await getForwardConfigById(digest.configId);
+      if (!config) {
+        await recordDigestFailure(digest.id, 'Forward config no longer exists', null, true);
+        logInfo(`Config ${digest.configId} removed, dropped digest ${digest.id}`);
+        return;
+      }
+
+      const entries = await getDigestEntries(digest.id);
+      if (entries.length === 0) {
+        // Every message in it was deleted before it went out
+        await deleteDigest(digest.id);
+        return;
+      }
+
+      let forwardedMessageIds;
+      if (config.targetType === 'telegram') {
+        forwardedMessageIds = await this.forwardHandler.sendQueue.enqueue('telegram', config.targetChatId, () => this.sendTelegramDigest(entries, config));
+      } else {
+        forwardedMessageIds = await this.forwardHandler.sendQueue.enqueue('discord', config.targetChannelId, () => this.sendDiscordDigest(entries, config));
+      }
+
+      await markDigestSent(digest.id, forwardedMessageIds, config.targetChannelId || config.targetChatId);
+      logSuccess(`✅ Sent digest ${digest.id} for config ${config.id} (${entries.length} messages, ${forwardedMessageIds.length} part(s))`);
+    } catch (error) {
+      const giveUp = digest.attempts + 1 >= digestConfig.maxAttempts;
+      logError(`❌ Failed to send digest ${digest.id}${giveUp ? ', giving up' : ', will retry'}: ${error.message}`);
+      try {
+        await recordDigestFailure(digest.id, error.message, Date.now() + digestConfig.retryDelayMs, giveUp);
+      } catch (dbError) {
+        logError('Error recording digest failure:', dbError);
+      }
+    }
+  }
+
+  // Entries in order, with the source header repeated whenever the source channel changes
+  buildBlocks(entries, renderHeader, renderEntry) {
+    const blocks = [];
+    let lastHeader = null;
+    for (const entry of entries) {
+      if (entry.sourceHeader && entry.sourceHeader !== lastHeader) {
+        blocks.push(renderHeader(entry.sourceHeader));
+      }
+      lastHeader = entry.sourceHeader;
+      blocks.push(renderEntry(entry));
+    }
+    return blocks;
+  }
+
+  async sendDiscordDigest(entries, config) {
+    const targetChannel = await this.forwardHandler.getTargetChannel(config);
+    if (!targetChannel) {
+      throw new Error(`Target channel ${config.targetChannelId} not accessible`);
+    }
+    if (this.forwardHandler.isForumChannel(targetChannel)) {
+      throw new Error('Digests cannot be posted into forum channels');
+    }
+
+    const blocks = this.buildBlocks(entries, header => header, entry => {
+      let line = `**${entry.authorName}** · <t:${Math.floor(entry.messageCreatedAt / 1000)}:t>`;
+      if (entry.jumpUrl) line += ` · [jump](${entry.jumpUrl})`;
+      return `${line}\n${quoteLines(entry.content)}`;
+    });
+
+    // One embed per message, filled up to the description limit
+    const descriptions = [];
+    let current = '';
+    for (const block of blocks) {
+      const next = current ? `${current}\n\n${block}` : block;
+      if (next.length > EMBED_DESCRIPTION_LIMIT && current) {
+        descriptions.push(current);
+        current = block;
+      } else {
+        current = next;
+      }
+    }
+    if (current) descriptions.push(current);
+
+    const sentIds = [];
+    for (let i = 0; i < descriptions.length; i++) {
+      const embed = {
+        color: DIGEST_EMBED_COLOR,
+        title: i === 0 ? `📰 Digest: ${entries.length} message${entries.length === 1 ? '' : 's'}` : '📰 Digest (continued)',
+        description: descriptions[i].slice(0, EMBED_DESCRIPTION_LIMIT),
+        footer: { text: `Sent ${describeDigestSchedule(config.digest)}` },
+        timestamp: new Date().toISOString()
+      };
+      const sent = await targetChannel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+      sentIds.push(sent.id);
+    }
+    return sentIds;
+  }
+
+  async sendTelegramDigest(entries, config) {
+    const telegramHandler = this.forwardHandler.telegramHandler;
+    if (!this.forwardHandler.telegramInitialized) {
+      throw new Error('Telegram handler not initialized');
+    }
+
+    const parseMode = getTelegramParseMode(config);
+    const escape = text => escapeTelegramText(text, parseMode);
+    // Headers were built in the config's parse mode when the entries were added
+    const blocks = this.buildBlocks(entries, header => header, entry => {
+      let line = `${formatTelegramBold(entry.authorName, parseMode)} · ${escape(formatUtcTime(entry.messageCreatedAt))}`;
+      if (entry.jumpUrl) line += ` ${formatTelegramLink('jump', entry.jumpUrl, parseMode)}`;
+      return `${line}\n${escape(entry.content)}`;
+    });
+    const title = `📰 ${formatTelegramBold('Digest', parseMode)} ${escape(`(${entries.length} message${entries.length === 1 ? '' : 's'})`)}`;
+    const text = [title, ...blocks].join('\n\n');
+
+    const envConfig = require('../config/config');
+    const textLengthLimit = envConfig.telegram?.textLengthLimit || 4000;
+    const splitIndicator = escape(envConfig.telegram?.splitIndicator || '...(continued)');
+    const parts = telegramHandler.textSplitter.splitLongText(text, textLengthLimit, splitIndicator, parseMode);
+
+    const sentIds = [];
+    for (const part of parts) {
+      const result = await telegramHandler.sendTextWithFallback(
+        config.targetChatId,
+        part,
+        true,
+        null,
+        telegramHandler.getTargetSendOptions(config)
+      );
+      sentIds.push(String(result.message_id));
+    }
+    return sentIds;
+  }
+}
+
+module.exports = DigestManager;
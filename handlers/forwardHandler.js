@@ -1,21 +1,52 @@
+const { ChannelType, ChannelFlags } = require('discord.js');
 const { logInfo, logSuccess, logError } = require('../utils/logger');
-const { logForwardedMessage, logMessageChain, upsertTelegramChat } = require('../utils/database');
+const {
+  logForwardedMessage,
+  logMessageChain,
+  recordAttachmentOutcomes,
+  upsertTelegramChat,
+  enqueueRetry,
+  getDueRetries,
+  recordRetryFailure,
+  markRetryDead,
+  deleteRetry,
+  getRetryQueueCounts,
+  getForumThreadLink,
+  saveForumThreadLink,
+  deleteForumThreadLink,
+  RETRY_STATUS,
+  HTTP_TARGET_CHANNEL_ID
+} = require('../utils/database');
 const { isBotRemovedError } = require('../utils/telegramChatTracker');
-const { getForwardConfigsForChannel } = require('../utils/configManager');
-const { sendWebhookMessage, hasWebhookPermissions, WEBHOOK_NAME, isOurWebhook, processMentions } = require('../utils/webhookManager');
+const { buildDiscordReplyQuote, prependReplyQuote } = require('../utils/replyContext');
+const { getForwardConfigsForChannel, getForwardConfigById } = require('../utils/configManager');
+const { retryQueue: retryQueueConfig, sendQueue: sendQueueConfig } = require('../config/config');
+const { evaluateContentFilters } = require('../utils/contentFilter');
+const { isDigestEnabled } = require('../utils/digestSchedule');
+const { hasPassedThrough, addHopMarker, stripHopMarker } = require('../utils/hopMarker');
+const { applyContentTransforms } = require('../utils/contentTransform');
+const { planDiscordAttachments, addAttachmentLinks } = require('../utils/attachmentTiers');
+const SendQueue = require('../utils/sendQueue');
+const { sendWebhookMessage, hasWebhookPermissions, WEBHOOK_NAME, DISCORD_CONTENT_LIMIT, isOurWebhook, processForwardedMentions } = require('../utils/webhookManager');
 const AIHandler = require('./aiHandler');
 const TelegramHandler = require('./telegramHandler');
+const HttpTargetHandler = require('./httpTargetHandler');
+const DigestManager = require('./digestManager');
+const ApprovalManager = require('./approvalManager');
 
 // Enhanced forward handler with advanced message processing
 class ForwardHandler {
   constructor(client) {
     this.client = client;
-    this.forwardQueue = new Map(); // For rate limiting and batching
-    this.retryQueue = new Map(); // For failed messages
+    this.sendQueue = new SendQueue(sendQueueConfig); // Ordered, rate-limited sends per target
     this.aiHandler = new AIHandler(client);
     this.telegramHandler = new TelegramHandler();
+    this.httpTargetHandler = new HttpTargetHandler();
+    this.digestManager = new DigestManager(this);
+    this.approvalManager = new ApprovalManager(this);
     this.aiInitialized = false;
     this.telegramInitialized = false;
+    this.sourceOrderLocks = new Map(); // source channel ID -> tail of the queueing chain
   }
 
   /**
@@ -48,48 +79,87 @@ class ForwardHandler {
   // Main forwarding orchestrator
   async processMessage(message) {
     try {
-      // Skip our own messages to prevent infinite loops
-      if (message.author?.id === this.client.user?.id) return;
-      
-      // Skip webhook messages from ProForwarder to prevent loops
-      if (message.webhookId && message.author.bot) {
-        // Check cache first (no API call), fall back to fetch on miss
-        if (isOurWebhook(message.webhookId)) {
-          return; // Skip our own webhook messages
-        }
-        // If not in cache, it could be our webhook from before a restart — fetch to be safe
-        try {
-          const webhook = await message.fetchWebhook();
-          if (webhook && webhook.name === WEBHOOK_NAME) {
-            return; // Skip our own webhook messages
-          }
-        } catch (error) {
-          // If we can't fetch webhook info, assume it's safe to forward
-        }
-      }
+      // Messages from one channel are queued in arrival order, even when their checks take
+      // different amounts of time, so every target's send queue sees them in source order
+      const forwardPromises = await this.runInSourceOrder(message.channel.id, () => this.queueForwards(message));
+      await Promise.allSettled(forwardPromises);
 
-      // Check if bot message forwarding is enabled
-      const config = require('../config/config');
-      if (message.author.bot && !config.forwardBotMessages) {
-        return; // Skip bot messages if disabled in config
-      }
-      
-      // Skip if no meaningful content
-      if (!this.hasForwardableContent(message)) return;
+    } catch (error) {
+      logError('Error in processMessage:', error);
+    }
+  }
 
-      // Get all forward configurations for this source channel
-      const configs = await getForwardConfigsForChannel(message.channel.id);
-      if (configs.length === 0) return;
+  // Queue the message for every matching config; returns the pending forwards
+  async queueForwards(message) {
+    if (!(await this.isForwardableSourceMessage(message))) return [];
 
-      logInfo(`Processing message for forwarding: ${configs.length} config(s) found`);
+    // Get all forward configurations for this source channel (or the forum it was posted in)
+    const configs = await getForwardConfigsForChannel(message.channel.id, this.getForumParentId(message.channel));
+    if (configs.length === 0) return [];
 
-      // Process each configuration
-      const forwardPromises = configs.map(config => this.forwardToTarget(message, config));
-      await Promise.allSettled(forwardPromises);
+    logInfo(`Processing message for forwarding: ${configs.length} config(s) found`);
 
-    } catch (error) {
-      logError('Error in processMessage:', error);
+    // Apply per-config content filters before forwarding
+    const matchingConfigs = configs.filter(config => this.passesContentFilters(message, config));
+
+    // forwardToTarget queues synchronously, before its first await
+    return matchingConfigs.map(config => this.forwardToTarget(message, config));
+  }
+
+  async runInSourceOrder(sourceChannelId, task) {
+    const previous = this.sourceOrderLocks.get(sourceChannelId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.sourceOrderLocks.set(sourceChannelId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.sourceOrderLocks.get(sourceChannelId) === current) {
+        this.sourceOrderLocks.delete(sourceChannelId);
+      }
+    }
+  }
+
+  // Checks every source message must pass regardless of config (live and backfill)
+  async isForwardableSourceMessage(message) {
+    // Skip our own messages to prevent infinite loops
+    if (message.author?.id === this.client.user?.id) return false;
+    
+    // Skip webhook messages from ProForwarder to prevent loops
+    if (message.webhookId && message.author.bot) {
+      // Check cache first (no API call), fall back to fetch on miss
+      if (isOurWebhook(message.webhookId)) {
+        return false; // Skip our own webhook messages
+      }
+      // If not in cache, it could be our webhook from before a restart — fetch to be safe
+      try {
+        const webhook = await message.fetchWebhook();
+        if (webhook && webhook.name === WEBHOOK_NAME) {
+          return false; // Skip our own webhook messages
+        }
+      } catch (error) {
+        // If we can't fetch webhook info, assume it's safe to forward
+      }
     }
+
+    // Check if bot message forwarding is enabled
+    const config = require('../config/config');
+    if (message.author.bot && !config.forwardBotMessages) {
+      return false; // Skip bot messages if disabled in config
+    }
+    
+    // Skip if no meaningful content
+    return this.hasForwardableContent(message);
+  }
+
+  // Forum posts are threads; a config on the forum covers every post in it
+  getForumParentId(channel) {
+    if (!channel?.isThread?.() || !channel.parent) return null;
+    const parentType = channel.parent.type;
+    return parentType === ChannelType.GuildForum || parentType === ChannelType.GuildMedia ? channel.parentId : null;
+  }
+
+  isForumChannel(channel) {
+    return channel?.type === ChannelType.GuildForum || channel?.type === ChannelType.GuildMedia;
   }
 
   // Check if message has content worth forwarding
@@ -103,20 +173,49 @@ class ForwardHandler {
     );
   }
 
-  // Forward message to specific target based on configuration
-  async forwardToTarget(message, config) {
+  // Check a message against the config's content filters, logging which filter dropped it
+  passesContentFilters(message, config) {
+    const result = evaluateContentFilters(message, config.filters);
+    if (!result.passed) {
+      logInfo(`Config ${config.id}: message ${message.id} dropped by filter ${result.filter} (${result.reason})`);
+    }
+    return result.passed;
+  }
+
+  // Forward message to specific target based on configuration.
+  // With options.fromRetryQueue or options.rethrow the error is re-thrown instead of queued for retry.
+  // options.approved skips the approval hold (the message was approved by a moderator).
+  async forwardToTarget(message, config, options = {}) {
     try {
+      // A copy that already passed through this config has come back around a loop
+      if (hasPassedThrough(message.content, config.id)) {
+        logInfo(`Skipping message ${message.id}: already forwarded by config ${config.id} (forwarding loop)`);
+        return;
+      }
+
       // Only support Discord as source for now
       if (config.sourceType !== 'discord') {
         logInfo(`Skipping non-Discord source: ${config.sourceType} -> ${config.targetType}`);
         return;
       }
 
-      // Route to appropriate handler based on target type
+      // Held until a moderator approves it; retries were already approved before their first attempt
+      if (config.requireApproval === true && !options.approved && !options.fromRetryQueue) {
+        return await this.approvalManager.hold(message, config);
+      }
+
+      // Digest-mode configs buffer the message; the digest goes out on the config's schedule
+      if (isDigestEnabled(config)) {
+        return await this.digestManager.addMessage(message, config);
+      }
+
+      // Route to appropriate handler based on target type, through that target's send queue
       if (config.targetType === 'discord') {
-        return await this.forwardToDiscord(message, config);
+        return await this.sendQueue.enqueue('discord', config.targetChannelId, () => this.forwardToDiscord(message, config));
       } else if (config.targetType === 'telegram') {
-        return await this.forwardToTelegram(message, config);
+        return await this.sendQueue.enqueue('telegram', config.targetChatId, () => this.forwardToTelegram(message, config));
+      } else if (config.targetType === 'http') {
+        return await this.sendQueue.enqueue('http', config.id, () => this.forwardToHttp(message, config));
       } else {
         logInfo(`Unsupported target type: ${config.targetType}`);
         return;
@@ -131,7 +230,7 @@ class ForwardHandler {
           message.channel.id,
           message.guild?.id || null,
           null,
-          config.targetChannelId || config.targetChatId,
+          config.targetChannelId || config.targetChatId || (config.targetType === 'http' ? HTTP_TARGET_CHANNEL_ID : null),
           config.targetServerId,
           config.id,
           'failed',
@@ -141,8 +240,12 @@ class ForwardHandler {
         logError('Error logging failed forward:', dbLogError);
       }
 
+      if (options.fromRetryQueue || options.rethrow) {
+        throw error;
+      }
+
       // Add to retry queue for later processing
-      this.addToRetryQueue(message, config, error);
+      await this.addToRetryQueue(message, config, error);
     }
   }
 
@@ -150,17 +253,29 @@ class ForwardHandler {
    * Forward message to Discord target
    */
   async forwardToDiscord(message, config) {
-    try {
+    const targetChannel = await this.getTargetChannel(config);
+    if (!targetChannel) {
+      throw new Error(`Target channel ${config.targetChannelId} not accessible`);
+    }
 
-      const targetChannel = await this.getTargetChannel(config);
-      if (!targetChannel) {
-        throw new Error(`Target channel ${config.targetChannelId} not accessible`);
-      }
+    // The send queue runs one send per target at a time, so the first message from a source
+    // thread creates the forum post before the next one looks it up
+    return await this.deliverToDiscord(message, config, targetChannel);
+  }
+
+  /**
+   * Send to a resolved Discord channel, thread or forum and log the result.
+   * Logs use the thread ID as forwardedChannelId so edit/delete sync can fetch the message.
+   */
+  async deliverToDiscord(message, config, targetChannel) {
+    try {
+      const forumPost = await this.resolveForumPost(message, config, targetChannel);
 
       // Check if we can use webhooks (preferred method)
       if (hasWebhookPermissions(targetChannel, this.client.user)) {
         // Use webhook for perfect 1:1 forwarding
-        const forwardedMessage = await sendWebhookMessage(targetChannel, message, this.client, config);
+        const { message: forwardedMessage, attachmentOutcomes } = await sendWebhookMessage(targetChannel, message, this.client, config, forumPost ? forumPost.options : {});
+        await this.recordForumPost(forumPost, config, forwardedMessage.channelId);
         
         // Log successful forward
         await logForwardedMessage(
@@ -168,12 +283,14 @@ class ForwardHandler {
           message.channel.id,
           message.guild?.id || null,
           forwardedMessage.id,
-          targetChannel.id,
+          forwardedMessage.channelId || targetChannel.id,
           targetChannel.guild?.id || null,
           config.id,
           'success'
         );
 
+        await this.logAttachmentOutcomes(message, config, attachmentOutcomes);
+
         logSuccess(`✅ Webhook forwarded message from ${message.channel.name} to ${targetChannel.name}`);
         logInfo(`Debug: Logged forward - Original: ${message.id} -> Forwarded: ${forwardedMessage.id}`);
         
@@ -194,10 +311,13 @@ class ForwardHandler {
       }
 
       // Build enhanced message content for fallback
-      const forwardContent = await this.buildEnhancedMessage(message, config);
+      const { messageOptions: forwardContent, attachmentOutcomes } = await this.buildEnhancedPayload(message, config, targetChannel.guild);
       
       // Send the forwarded message using fallback method
-      const forwardedMessage = await this.sendForwardedMessage(targetChannel, forwardContent);
+      const forwardedMessage = forumPost
+        ? await this.sendForumFallbackMessage(targetChannel, forwardContent, forumPost)
+        : await this.sendForwardedMessage(targetChannel, forwardContent);
+      await this.recordForumPost(forumPost, config, forwardedMessage.channelId);
       
       // Handle reactions if original message has them (only for fallback method)
       if (message.reactions.cache.size > 0) {
@@ -210,12 +330,14 @@ class ForwardHandler {
         message.channel.id,
         message.guild?.id || null,
         forwardedMessage.id,
-        targetChannel.id,
+        forwardedMessage.channelId || targetChannel.id,
         targetChannel.guild?.id || null,
         config.id,
         'success'
       );
 
+      await this.logAttachmentOutcomes(message, config, attachmentOutcomes);
+
       logSuccess(`✅ Fallback forwarded message from ${message.channel.name} to ${targetChannel.name}`);
       
       // Process AI features for the forwarded message
@@ -243,7 +365,7 @@ class ForwardHandler {
       }
 
       // Send message to Telegram
-      const telegramResult = await this.telegramHandler.sendMessage(config.targetChatId, message, config);
+      const { telegramResult, attachmentOutcomes } = await this.telegramHandler.sendMessageWithOutcomes(config.targetChatId, message, config);
       
       // Check if message was split into a chain
       if (telegramResult.isSplit && telegramResult.messageChain) {
@@ -293,6 +415,8 @@ class ForwardHandler {
 
         logSuccess(`✅ Forwarded message from ${message.channel.name} to Telegram chat ${config.targetChatId}`);
       }
+
+      await this.logAttachmentOutcomes(message, config, attachmentOutcomes);
       
       // Track the target Telegram chat for persistent discovery
       try {
@@ -333,6 +457,114 @@ class ForwardHandler {
     }
   }
 
+  // Record on the message log what happened to each attachment (uploaded / linked / dropped)
+  async logAttachmentOutcomes(message, config, outcomes) {
+    try {
+      await recordAttachmentOutcomes(message.id, config.id, outcomes);
+    } catch (error) {
+      logError('Error recording attachment outcomes:', error);
+    }
+  }
+
+  /**
+   * Forward message to an HTTP webhook target; the log keeps the event ID for later edit/delete events
+   */
+  async forwardToHttp(message, config) {
+    const result = await this.httpTargetHandler.sendMessageEvent('message.create', message, config);
+
+    await logForwardedMessage(
+      message.id,
+      message.channel.id,
+      message.guild?.id || null,
+      result.eventId,
+      HTTP_TARGET_CHANNEL_ID,
+      null,
+      config.id,
+      'success'
+    );
+
+    logSuccess(`✅ Forwarded message from ${message.channel.name} to HTTP target of config ${config.id}`);
+    return result;
+  }
+
+  // Follow-up events for HTTP targets, queued behind any pending sends for the same config
+  async sendHttpUpdate(message, config) {
+    return await this.sendQueue.enqueue('http', config.id, () =>
+      this.httpTargetHandler.sendMessageEvent('message.update', message, config));
+  }
+
+  async sendHttpDelete(logEntry, config) {
+    return await this.sendQueue.enqueue('http', config.id, () =>
+      this.httpTargetHandler.sendDeleteEvent(logEntry, config));
+  }
+
+  /**
+   * For forum targets, pick the post to send into: the post already linked to the source
+   * thread, or a new post named after the source thread (or the message itself).
+   * Returns null for non-forum targets.
+   */
+  async resolveForumPost(message, config, targetChannel) {
+    if (!this.isForumChannel(targetChannel)) return null;
+
+    const sourceThreadId = message.channel.isThread?.() ? message.channel.id : null;
+    if (sourceThreadId) {
+      const linkedThreadId = await getForumThreadLink(sourceThreadId, config.id);
+      if (linkedThreadId) {
+        const linkedThread = await targetChannel.threads.fetch(linkedThreadId).catch(() => null);
+        if (linkedThread) {
+          return { sourceThreadId, created: false, options: { threadId: linkedThreadId } };
+        }
+        // Post was deleted on the target side; start a new one
+        await deleteForumThreadLink(sourceThreadId, config.id);
+      }
+    }
+
+    const options = { threadName: this.buildForumPostName(message) };
+    if (targetChannel.flags?.has(ChannelFlags.RequireTag) && targetChannel.availableTags?.length) {
+      options.appliedTags = [targetChannel.availableTags[0].id];
+    }
+    return { sourceThreadId, created: true, options };
+  }
+
+  // Forum post titles: the source thread name, else the first line of the message (max 100 chars)
+  buildForumPostName(message) {
+    let name = message.channel.isThread?.() ? message.channel.name : '';
+    if (!name) {
+      name = (message.content || '').split('\n').find(line => line.trim()) || '';
+      name = name.replace(/<a?:(\w+):\d+>/g, ':$1:').trim();
+    }
+    if (!name) {
+      const author = message.member?.displayName || message.author?.username || 'Unknown';
+      name = `${author} - ${new Date(message.createdTimestamp || Date.now()).toISOString().slice(0, 10)}`;
+    }
+    return name.length > 100 ? `${name.slice(0, 99)}…` : name;
+  }
+
+  // Remember the forum post created for a source thread so later messages land in it
+  async recordForumPost(forumPost, config, targetThreadId) {
+    if (!forumPost || !forumPost.created || !forumPost.sourceThreadId || !targetThreadId) return;
+    try {
+      await saveForumThreadLink(forumPost.sourceThreadId, config.id, targetThreadId);
+    } catch (error) {
+      logError(`Failed to save forum post link for thread ${forumPost.sourceThreadId}:`, error);
+    }
+  }
+
+  // Bot-send fallback for forum targets: create the post or reply inside the linked one
+  async sendForumFallbackMessage(targetChannel, messageOptions, forumPost) {
+    if (forumPost.options.threadId) {
+      const thread = await targetChannel.threads.fetch(forumPost.options.threadId);
+      return await this.sendForwardedMessage(thread, messageOptions);
+    }
+
+    const thread = await targetChannel.threads.create({
+      name: forumPost.options.threadName,
+      appliedTags: forumPost.options.appliedTags,
+      message: messageOptions
+    });
+    return await thread.fetchStarterMessage();
+  }
+
   // Get target channel with enhanced validation
   async getTargetChannel(config) {
     try {
@@ -400,6 +632,16 @@ class ForwardHandler {
 
   // Build enhanced message with better formatting and metadata
   async buildEnhancedMessage(message, config) {
+    const { messageOptions } = await this.buildEnhancedPayload(message, config);
+    return messageOptions;
+  }
+
+  /**
+   * Bot-sent (non-webhook) message options for a forward, with the outcome of each attachment.
+   * targetGuild sets the upload limit (defaults to the guild of config.targetChannelId).
+   */
+  async buildEnhancedPayload(message, config, targetGuild = null) {
+    let attachmentOutcomes = [];
     const messageOptions = {
       // Default: disable all mentions to prevent unintended pings
       allowedMentions: {
@@ -407,19 +649,18 @@ class ForwardHandler {
       }
     };
 
-    // Handle text content with enhanced formatting
-    if (message.content) {
-      let content = message.content;
-
+    // Handle text content with enhanced formatting, after the config's transformation rules
+    let content = applyContentTransforms(stripHopMarker(message.content || ''), message, config);
+    if (content) {
       // Add author information for cross-server forwards
       if (config.sourceServerId !== config.targetServerId) {
         content = `**${message.author.displayName}** from **${message.guild?.name || 'Unknown Server'}**:\n${content}`;
       }
 
-      // Handle @everyone/@here mentions
+      // Handle role/channel remapping and @everyone/@here mentions
       const targetChannel = this.client.channels.cache.get(config.targetChannelId);
       if (targetChannel) {
-        const mentionResult = processMentions(content, config, targetChannel, this.client.user?.id);
+        const mentionResult = processForwardedMentions(content, config, message.guild, targetChannel, this.client.user?.id);
         content = mentionResult.content;
         messageOptions.allowedMentions = mentionResult.allowedMentions;
       }
@@ -427,32 +668,23 @@ class ForwardHandler {
       messageOptions.content = content;
     }
 
+    // Keep reply context; the quote carries no pings of its own
+    const replyQuote = await buildDiscordReplyQuote(message, config);
+    if (replyQuote) {
+      messageOptions.content = prependReplyQuote(messageOptions.content || '', replyQuote);
+    }
+
     // Handle embeds
     if (message.embeds.length > 0) {
       messageOptions.embeds = message.embeds.filter(embed => embed.data).slice(0, 10); // Discord limit
     }
 
-    // Handle attachments with better error handling
+    // Handle attachments: re-upload up to the target server's limit, link cards for the rest
     if (message.attachments.size > 0) {
-      messageOptions.files = [];
-      
-      for (const attachment of message.attachments.values()) {
-        try {
-          // Check file size (Discord limit: 8MB for most servers)
-          if (attachment.size > 8 * 1024 * 1024) {
-            logInfo(`Skipping large attachment: ${attachment.name} (${attachment.size} bytes)`);
-            continue;
-          }
-
-          messageOptions.files.push({
-            attachment: attachment.url,
-            name: attachment.name,
-            description: attachment.description || undefined
-          });
-        } catch (attachmentError) {
-          logError(`Error processing attachment ${attachment.name}:`, attachmentError);
-        }
-      }
+      const { files, links, outcomes, uploadLimit } = planDiscordAttachments(message, targetGuild || this.client.channels.cache.get(config.targetChannelId)?.guild);
+      attachmentOutcomes = outcomes;
+      messageOptions.files = files;
+      addAttachmentLinks(messageOptions, links, uploadLimit);
     }
 
     // Handle stickers
@@ -472,8 +704,9 @@ class ForwardHandler {
     if (!messageOptions.content && !messageOptions.embeds?.length && !messageOptions.files?.length) {
       messageOptions.content = '*[Message with unsupported content]*';
     }
+    messageOptions.content = addHopMarker(messageOptions.content, message.content, config, { maxLength: DISCORD_CONTENT_LIMIT });
 
-    return messageOptions;
+    return { messageOptions, attachmentOutcomes };
   }
 
   // Send message with retry logic
@@ -517,139 +750,112 @@ class ForwardHandler {
     }
   }
 
-  // Add failed message to retry queue
-  addToRetryQueue(message, config, error) {
-    const MAX_RETRY_QUEUE_SIZE = 100;
-    const MAX_RETRY_AGE = 60 * 60 * 1000; // 1 hour max age for retry entries
+  // Backoff before the next attempt: baseDelay, 2x, 4x... by attempts made so far
+  getRetryDelay(attempts) {
+    return Math.pow(2, Math.max(0, attempts - 1)) * retryQueueConfig.baseDelayMs;
+  }
 
-    // Enforce size limit - remove oldest entries if at capacity
-    if (this.retryQueue.size >= MAX_RETRY_QUEUE_SIZE) {
-      const oldestKey = this.retryQueue.keys().next().value;
-      this.retryQueue.delete(oldestKey);
-      logInfo(`Retry queue at capacity, removed oldest entry: ${oldestKey}`);
+  // Add failed message to the persistent retry queue
+  async addToRetryQueue(message, config, error) {
+    try {
+      await enqueueRetry({
+        originalMessageId: message.id,
+        originalChannelId: message.channel.id,
+        originalServerId: message.guild?.id || null,
+        configId: config.id,
+        error: error.message,
+        maxAttempts: retryQueueConfig.maxAttempts,
+        nextRetryAt: Date.now() + this.getRetryDelay(1)
+      });
+      logInfo(`Added to retry queue: ${message.id}-${config.id}`);
+    } catch (queueError) {
+      logError(`Failed to queue retry for ${message.id}-${config.id}:`, queueError);
     }
-
-    const retryKey = `${message.id}-${config.id}`;
-    const retryData = {
-      messageId: message.id,
-      channelId: message.channel.id,
-      guildId: message.guild?.id,
-      config,
-      error: error.message,
-      attempts: 1,
-      createdAt: Date.now(),
-      nextRetry: Date.now() + (5 * 60 * 1000), // Retry in 5 minutes
-      maxRetries: 3
-    };
-
-    this.retryQueue.set(retryKey, retryData);
-    logInfo(`Added to retry queue: ${retryKey}`);
-
-    // Clean up stale entries on every add
-    this.cleanupStaleRetries(MAX_RETRY_AGE);
   }
 
-  // Clean up stale retry entries
-  cleanupStaleRetries(maxAge) {
-    const now = Date.now();
-    let cleanedCount = 0;
+  // Fetch a fresh copy of the source message; null if the channel or message is gone
+  async fetchRetrySourceMessage(entry) {
+    const { originalServerId: guildId, originalChannelId: channelId, originalMessageId: messageId } = entry;
+    let channel = null;
 
-    for (const [key, data] of this.retryQueue.entries()) {
-      if (now - data.createdAt > maxAge) {
-        this.retryQueue.delete(key);
-        cleanedCount++;
+    // Use fetch() instead of cache to handle uncached channels
+    if (guildId) {
+      const guild = this.client.guilds.cache.get(guildId) || await this.client.guilds.fetch(guildId).catch(() => null);
+      if (guild) {
+        channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
       }
+    } else {
+      channel = this.client.channels.cache.get(channelId) || await this.client.channels.fetch(channelId).catch(() => null);
     }
 
-    if (cleanedCount > 0) {
-      logInfo(`Cleaned up ${cleanedCount} stale retry queue entries`);
-    }
+    if (!channel) return null;
+    return await channel.messages.fetch(messageId).catch(() => null);
   }
 
-  // Process retry queue for failed messages
+  // Process due entries from the retry queue. Pending rows survive restarts, so this
+  // also resumes work queued before the last shutdown.
   async processRetryQueue() {
-    const now = Date.now();
-    const toRetry = [];
-
-    for (const [key, retryData] of this.retryQueue.entries()) {
-      if (retryData.nextRetry <= now) {
-        toRetry.push({ key, ...retryData });
-      }
-    }
+    const due = await getDueRetries(Date.now(), retryQueueConfig.batchSize);
+    if (due.length === 0) return;
 
-    if (toRetry.length === 0) return;
+    logInfo(`Processing ${due.length} items from retry queue`);
 
-    logInfo(`Processing ${toRetry.length} items from retry queue`);
+    for (const entry of due) {
+      const key = `${entry.originalMessageId}-${entry.configId}`;
 
-    for (const { key, messageId, channelId, guildId, config, attempts, maxRetries } of toRetry) {
       try {
-        // Fetch fresh message to avoid stale data
-        let message = null;
-        let channel = null;
-        try {
-          // Use fetch() instead of cache to handle uncached channels
-          if (guildId) {
-            const guild = this.client.guilds.cache.get(guildId) || await this.client.guilds.fetch(guildId).catch(() => null);
-            if (guild) {
-              channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
-            }
-          } else {
-            channel = this.client.channels.cache.get(channelId) || await this.client.channels.fetch(channelId).catch(() => null);
-          }
-
-          if (channel) {
-            message = await channel.messages.fetch(messageId);
-          }
-        } catch (fetchError) {
-          // Message no longer exists, remove from queue
-          this.retryQueue.delete(key);
-          logInfo(`Message ${messageId} no longer exists, removing from retry queue`);
+        const config = await getForwardConfigById(entry.configId);
+        if (!config) {
+          await markRetryDead(entry.id, 'Forward config no longer exists');
+          logInfo(`Config ${entry.configId} removed, moved ${key} to dead letters`);
           continue;
         }
-
-        if (!channel) {
-          this.retryQueue.delete(key);
-          logInfo(`Could not fetch channel ${channelId}, removing from retry queue`);
+        if (config.enabled === false) {
+          await markRetryDead(entry.id, 'Forward config is disabled');
+          logInfo(`Config ${entry.configId} disabled, moved ${key} to dead letters`);
           continue;
         }
 
+        const message = await this.fetchRetrySourceMessage(entry);
         if (!message) {
-          this.retryQueue.delete(key);
-          logInfo(`Could not fetch message ${messageId}, removing from retry queue`);
+          // Nothing left to forward
+          await deleteRetry(entry.id);
+          logInfo(`Message ${entry.originalMessageId} no longer exists, removing from retry queue`);
           continue;
         }
 
-        await this.forwardToTarget(message, config);
-        this.retryQueue.delete(key);
+        await this.forwardToTarget(await this.approvalManager.withApprovedContent(message, config), config, { fromRetryQueue: true });
+        await deleteRetry(entry.id);
         logSuccess(`Retry successful for ${key}`);
       } catch (error) {
-        if (attempts >= maxRetries) {
-          this.retryQueue.delete(key);
-          logError(`Max retries exceeded for ${key}, removing from queue`);
-        } else {
-          // Update retry data
-          const retryData = this.retryQueue.get(key);
-          if (retryData) {
-            retryData.attempts++;
-            retryData.nextRetry = now + (Math.pow(2, attempts) * 5 * 60 * 1000); // Exponential backoff
+        try {
+          const updated = await recordRetryFailure(
+            entry.id,
+            error.message,
+            Date.now() + this.getRetryDelay(entry.attempts + 1)
+          );
+          if (updated && updated.status === RETRY_STATUS.DEAD) {
+            logError(`Max retries exceeded for ${key}, moved to dead letters`);
+          } else {
             logInfo(`Retry failed for ${key}, scheduling next attempt`);
           }
+        } catch (dbError) {
+          logError(`Error updating retry entry ${key}:`, dbError);
         }
       }
     }
   }
 
-  // Get retry queue statistics
-  getRetryQueueStats() {
+  // Get per-target send queue statistics
+  getSendQueueStats() {
+    return this.sendQueue.getStats();
+  }
+
+  async getRetryQueueStats() {
+    const counts = await getRetryQueueCounts();
     return {
-      queueSize: this.retryQueue.size,
-      items: Array.from(this.retryQueue.entries()).map(([key, data]) => ({
-        key,
-        attempts: data.attempts,
-        maxRetries: data.maxRetries,
-        nextRetry: new Date(data.nextRetry),
-        error: data.error
-      }))
+      queueSize: counts.pending,
+      deadLetters: counts.dead
     };
   }
 
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { logInfo } = require('../utils/logger');
+const { getReplyParentId } = require('../utils/replyContext');
+const { getTargetHostError, lookupPublicAddress } = require('../utils/httpTargetGuard');
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const USER_AGENT = 'ProForwarder-Webhook/1.0';
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function createHttpTargetError(message, statusCode) {
+  const error = new Error(message);
+  if (statusCode) error.statusCode = statusCode;
+  return error;
+}
+
+function getPathValue(object, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Fill a payload template from the default payload. A string that is a single {{path}} keeps
+ * the value's type (arrays, objects, numbers); placeholders inside longer strings are
+ * interpolated as text. Unknown paths become null / ''.
+ */
+function renderPayloadTemplate(template, payload) {
+  if (Array.isArray(template)) {
+    return template.map(item => renderPayloadTemplate(item, payload));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderPayloadTemplate(value, payload);
+    }
+    return rendered;
+  }
+  if (typeof template !== 'string') return template;
+
+  const whole = WHOLE_PLACEHOLDER_PATTERN.exec(template);
+  if (whole) {
+    const value = getPathValue(payload, whole[1]);
+    return value === undefined ? null : value;
+  }
+  return template.replace(PLACEHOLDER_PATTERN, (_match, path) => {
+    const value = getPathValue(payload, path);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * HTTP Target Handler - POSTs forwarded messages as JSON to a config's targetUrl
+ * Every event for one source message carries the same stable ID ("<configId>:<messageId>"),
+ * so the receiver can apply message.create / message.update / message.delete to one record.
+ * With a signingSecret, X-ProForwarder-Signature is "sha256=" + HMAC-SHA256 of "<timestamp>.<body>"
+ * using the X-ProForwarder-Timestamp header value.
+ */
+class HttpTargetHandler {
+  getEventId(config, originalMessageId) {
+    return `${config.id}:${originalMessageId}`;
+  }
+
+  buildSourcePayload(message) {
+    return {
+      guildId: message.guild?.id || null,
+      guildName: message.guild?.name || null,
+      channelId: message.channel?.id || null,
+      channelName: message.channel?.name || null
+    };
+  }
+
+  buildMessagePayload(message) {
+    return {
+      id: message.id,
+      url: message.url || null,
+      content: message.content || '',
+      cleanContent: message.cleanContent || message.content || '',
+      createdAt: message.createdAt ? message.createdAt.toISOString() : null,
+      editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+      replyToMessageId: getReplyParentId(message),
+      author: {
+        id: message.author?.id || null,
+        username: message.author?.username || null,
+        displayName: message.member?.displayName || message.author?.displayName || message.author?.username || null,
+        avatarUrl: message.author?.displayAvatarURL ? message.author.displayAvatarURL() : null,
+        bot: message.author?.bot === true
+      },
+      attachments: Array.from(message.attachments.values()).map(attachment => ({
+        id: attachment.id,
+        name: attachment.name,
+        url: attachment.url,
+        contentType: attachment.contentType || null,
+        size: attachment.size
+      })),
+      embeds: message.embeds.map(embed => (embed.toJSON ? embed.toJSON() : embed.data || embed)),
+      stickers: Array.from(message.stickers.values()).map(sticker => ({
+        id: sticker.id,
+        name: sticker.name,
+        url: sticker.url || null
+      }))
+    };
+  }
+
+  // message.create / message.update
+  async sendMessageEvent(event, message, config) {
+    return await this.post(config, {
+      event,
+      id: this.getEventId(config, message.id),
+      configId: config.id,
+      timestamp: new Date().toISOString(),
+      source: this.buildSourcePayload(message),
+      message: this.buildMessagePayload(message)
+    });
+  }
+
+  // The source message is gone by now, so deletes are built from its message_logs row
+  async sendDeleteEvent(logEntry, config) {
+    return await this.post(config, {
+      event: 'message.delete',
+      id: this.getEventId(config, logEntry.originalMessageId),
+      configId: config.id,
+      timestamp: new Date().toISOString(),
+      source: {
+        guildId: logEntry.originalServerId || null,
+        guildName: null,
+        channelId: logEntry.originalChannelId || null,
+        channelName: null
+      },
+      message: { id: logEntry.originalMessageId }
+    });
+  }
+
+  async post(config, payload) {
+    if (!config.targetUrl) {
+      throw createHttpTargetError('HTTP target URL not specified in config');
+    }
+    // IP literals never reach the lookup, so check the host itself as well
+    const hostError = getTargetHostError(new URL(config.targetUrl));
+    if (hostError) {
+      throw createHttpTargetError(`HTTP target refused: ${hostError}`);
+    }
+
+    const body = JSON.stringify(config.payloadTemplate ? renderPayloadTemplate(config.payloadTemplate, payload) : payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-ProForwarder-Event': payload.event,
+      'X-ProForwarder-Timestamp': timestamp
+    };
+    if (config.signingSecret) {
+      const signature = crypto
+        .createHmac('sha256', String(config.signingSecret))
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+      headers['X-ProForwarder-Signature'] = `sha256=${signature}`;
+    }
+
+    let response;
+    try {
+      response = await axios.post(config.targetUrl, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: lookupPublicAddress,
+        // Status handling below, so 429 can carry Retry-After
+        validateStatus: () => true,
+        transformRequest: [data => data]
+      });
+    } catch (error) {
+      throw createHttpTargetError(`HTTP target request failed: ${error.message}`);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      const error = createHttpTargetError(`HTTP target responded with ${response.status}`, response.status);
+      const retryAfterSeconds = Number(response.headers?.['retry-after']);
+      if (response.status === 429 && Number.isFinite(retryAfterSeconds)) {
+        error.retryAfterMs = retryAfterSeconds * 1000;
+      }
+      throw error;
+    }
+
+    logInfo(`HTTP target for config ${config.id} accepted ${payload.event} ${payload.id} (${response.status})`);
+    return { eventId: payload.id, status: response.status };
+  }
+}
+
+module.exports = HttpTargetHandler;
+module.exports.renderPayloadTemplate = renderPayloadTemplate;
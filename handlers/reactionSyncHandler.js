@@ -0,0 +1,138 @@
+const { logInfo, logError } = require('../utils/logger');
+const { getMessageLogsByOriginalMessage } = require('../utils/database');
+const { getForwardConfigById } = require('../utils/configManager');
+const EmojiManager = require('../utils/emojiManager');
+
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_MAX_WAIT_MS = 10000;
+
+/**
+ * Reaction Sync Handler - mirrors source message reactions onto forwarded Discord copies
+ * for configs with syncReactions enabled. Reaction events only mark a source message as
+ * dirty; after a quiet period the forwarded copies are reconciled against the source's
+ * current reactions, so a burst of reactions costs one pass instead of one API call each.
+ * The bot can hold one reaction per emoji, so copies mirror which emoji are present, not counts.
+ */
+class ReactionSyncHandler {
+  constructor(client) {
+    this.client = client;
+    this.emojiManager = new EmojiManager(client);
+    this.pending = new Map(); // source message ID -> { message, timer, firstQueuedAt }
+  }
+
+  /**
+   * Queue a sync for the message a reaction was added to or removed from.
+   * The message may come from the reader bot; it is only used to read the source state.
+   */
+  queueSync(message) {
+    if (!message || !message.id) return;
+
+    const now = Date.now();
+    const entry = this.pending.get(message.id) || { firstQueuedAt: now };
+    if (entry.timer) clearTimeout(entry.timer);
+
+    entry.message = message;
+    const delay = Math.max(0, Math.min(SYNC_DEBOUNCE_MS, entry.firstQueuedAt + SYNC_MAX_WAIT_MS - now));
+    entry.timer = setTimeout(() => {
+      this.pending.delete(message.id);
+      this.syncMessage(entry.message).catch(error => {
+        logError(`Reaction sync failed for message ${message.id}:`, error);
+      });
+    }, delay);
+
+    this.pending.set(message.id, entry);
+  }
+
+  async syncMessage(message) {
+    const logs = await getMessageLogsByOriginalMessage(message.id);
+    const discordLogs = [];
+    for (const log of logs) {
+      if (!log.forwardedServerId) continue; // Telegram copies have no reactions to mirror
+      const config = await getForwardConfigById(log.configId);
+      if (config && config.syncReactions === true && config.enabled !== false) {
+        discordLogs.push(log);
+      }
+    }
+    if (discordLogs.length === 0) return;
+
+    // Refetch so counts reflect every change since the reactions were queued
+    const sourceMessage = await message.fetch(true).catch(() => null);
+    if (!sourceMessage) return;
+
+    // Our own reaction on the source does not count, so two-way configs don't pin each other's reactions
+    const sourceReactions = Array.from(sourceMessage.reactions.cache.values())
+      .filter(reaction => reaction.count - (reaction.me ? 1 : 0) > 0);
+    for (const log of discordLogs) {
+      try {
+        await this.syncForwardedCopy(sourceReactions, log);
+      } catch (error) {
+        logError(`Reaction sync failed for forwarded message ${log.forwardedMessageId}:`, error);
+      }
+    }
+  }
+
+  async syncForwardedCopy(sourceReactions, log) {
+    const channel = await this.client.channels.fetch(log.forwardedChannelId).catch(() => null);
+    if (!channel || !channel.messages) return;
+
+    const forwardedMessage = await channel.messages.fetch(log.forwardedMessageId).catch(() => null);
+    if (!forwardedMessage) return;
+
+    // Emoji the copy should carry, keyed by custom emoji ID or unicode character
+    const wanted = new Map();
+    for (const reaction of sourceReactions) {
+      const emoji = await this.resolveEmoji(reaction, channel.guild);
+      if (!emoji) continue;
+      wanted.set(this.getEmojiKey(emoji), emoji);
+    }
+
+    const ownReactions = Array.from(forwardedMessage.reactions.cache.values()).filter(reaction => reaction.me);
+    const ownKeys = new Set(ownReactions.map(reaction => this.getEmojiKey(reaction.emoji)));
+
+    let added = 0;
+    let removed = 0;
+    for (const [key, emoji] of wanted) {
+      if (ownKeys.has(key)) continue;
+      try {
+        await forwardedMessage.react(emoji);
+        added++;
+      } catch (error) {
+        logError(`Failed to mirror reaction ${key} on ${log.forwardedMessageId}:`, error.message);
+      }
+    }
+
+    for (const reaction of ownReactions) {
+      if (wanted.has(this.getEmojiKey(reaction.emoji))) continue;
+      try {
+        await reaction.users.remove(this.client.user.id);
+        removed++;
+      } catch (error) {
+        logError(`Failed to remove mirrored reaction on ${log.forwardedMessageId}:`, error.message);
+      }
+    }
+
+    if (added || removed) {
+      logInfo(`Synced reactions on ${log.forwardedMessageId}: +${added} -${removed}`);
+    }
+  }
+
+  // Unicode emoji as-is; custom emoji reused when the bot can see it, otherwise uploaded to the target guild
+  async resolveEmoji(reaction, targetGuild) {
+    if (!reaction.emoji.id) return reaction.emoji.name;
+
+    const knownEmoji = this.client.emojis.cache.get(reaction.emoji.id);
+    if (knownEmoji) return knownEmoji;
+    if (!targetGuild) return null;
+
+    const processed = await this.emojiManager.processReactionEmoji(reaction, targetGuild);
+    // processReactionEmoji falls back to the bare name, which cannot be used as a reaction
+    return processed && typeof processed === 'object' ? processed : null;
+  }
+
+  getEmojiKey(emoji) {
+    if (typeof emoji === 'string') return emoji;
+    return emoji.id || emoji.name;
+  }
+}
+
+module.exports = ReactionSyncHandler;
@@ -1,6 +1,39 @@
 const { logInfo, logSuccess, logError } = require('../../utils/logger');
 const https = require('https');
 const http = require('http');
+const { pipeline } = require('stream');
+const TelegramMediaUploader = require('./telegramMediaUploader');
+const SendQueue = require('../../utils/sendQueue');
+
+const UPLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Calls that name a chat run one at a time per chat, shared by every TelegramAPI instance since
+// Telegram's flood limits are per bot and chat. A 429 (flood wait or slow mode) pauses the chat
+// for parameters.retry_after and the same call is retried.
+let chatCallQueue = null;
+
+function getChatCallQueue() {
+  if (!chatCallQueue) {
+    const envConfig = require('../../config/config');
+    chatCallQueue = new SendQueue({
+      maxRateLimitRetries: envConfig.sendQueue.maxRateLimitRetries,
+      maxRetryAfterMs: envConfig.sendQueue.maxRetryAfterMs
+    });
+  }
+  return chatCallQueue;
+}
+
+/**
+ * Error for a failed Bot API result ("<prefix>: <description>"). A 429 the chat queue already
+ * waited out keeps rateLimitHandled, which outer send queues do not retry.
+ */
+function createTelegramResultError(prefix, result) {
+  const error = new Error(`${prefix}: ${result ? result.description : 'Unknown error'}`);
+  if (result && result.rateLimitHandled) {
+    error.rateLimitHandled = true;
+  }
+  return error;
+}
 
 /**
  * Telegram API Handler - Pure API communication layer
@@ -11,6 +44,7 @@ class TelegramAPI {
     this.botToken = null;
     this.apiUrl = 'https://api.telegram.org';
     this.initialized = false;
+    this.mediaUploader = new TelegramMediaUploader();
   }
 
   /**
@@ -50,9 +84,67 @@ class TelegramAPI {
   }
 
   /**
-   * Make API call to Telegram Bot API
+   * Make API call to Telegram Bot API.
+   * options.timeoutMs aborts the request if no response arrives in time (used by long polling).
+   * Calls with a chat_id wait out that chat's flood-wait pause and are retried after a 429; the
+   * response of the last attempt is returned as usual.
+   */
+  async callTelegramAPI(method, params = {}, options = {}) {
+    const chatId = params.chat_id;
+    if (chatId === undefined || chatId === null || chatId === '') {
+      return await this.sendRequest(method, params, options);
+    }
+
+    try {
+      return await getChatCallQueue().enqueue('telegram', chatId, async () => {
+        const response = await this.sendRequest(method, params, options);
+        if (response && !response.ok && Number.isFinite(response.parameters?.retry_after)) {
+          const error = new Error(`Telegram ${method} rate limited: ${response.description}`);
+          error.parameters = response.parameters;
+          error.telegramResponse = response;
+          throw error;
+        }
+        return response;
+      });
+    } catch (error) {
+      // Out of retries or the wait is too long: hand back Telegram's answer like any other failure,
+      // marked so the error made from it is not retried again by an outer queue
+      if (error.telegramResponse) {
+        return { ...error.telegramResponse, rateLimitHandled: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Single API request. With TELEGRAM_UPLOAD_MEDIA on, Discord attachment URLs in media calls
+   * are uploaded as files.
+   */
+  async sendRequest(method, params = {}, options = {}) {
+    if (this.mediaUploader.isEnabled() && this.mediaUploader.handlesMethod(method)) {
+      const upload = await this.mediaUploader.prepare(method, params);
+      if (upload.files.length === 0) {
+        return await this.postJson(method, upload.fields, options);
+      }
+
+      try {
+        const response = await this.postMultipart(method, this.mediaUploader.createMultipartBody(upload.fields, upload.files));
+        if (response && response.ok) {
+          await this.mediaUploader.rememberFileIds(upload.files, response.result);
+        }
+        return response;
+      } catch (error) {
+        logError(`Telegram ${method} upload failed, sending media by URL instead: ${error.message}`);
+      }
+    }
+
+    return await this.postJson(method, params, options);
+  }
+
+  /**
+   * POST params as JSON
    */
-  async callTelegramAPI(method, params = {}) {
+  async postJson(method, params, options = {}) {
     return new Promise((resolve, reject) => {
       const postData = JSON.stringify(params);
       
@@ -60,7 +152,7 @@ class TelegramAPI {
       const useHttps = parsedUrl.protocol === 'https:';
       const requestModule = useHttps ? https : http;
 
-      const options = {
+      const requestOptions = {
         hostname: parsedUrl.hostname,
         port: parsedUrl.port ? parseInt(parsedUrl.port, 10) : (useHttps ? 443 : 80),
         path: `${parsedUrl.pathname.replace(/\/$/, '')}/bot${this.botToken}/${method}`,
@@ -71,28 +163,119 @@ class TelegramAPI {
         }
       };
 
-      const req = requestModule.request(options, (res) => {
-        let data = '';
+      const req = requestModule.request(requestOptions, (res) => {
+        readJsonResponse(res, resolve, reject);
+      });
 
-        res.on('data', (chunk) => {
-          data += chunk;
+      req.on('error', (error) => {
+        reject(error);
+      });
+
+      if (options.timeoutMs) {
+        req.setTimeout(options.timeoutMs, () => {
+          req.destroy(new Error(`Telegram API ${method} timed out after ${options.timeoutMs}ms`));
         });
+      }
 
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            resolve(response);
-          } catch (error) {
-            reject(new Error('Invalid JSON response from Telegram API'));
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  /**
+   * POST a multipart body ({ boundary, length, stream }) streamed from createMultipartBody
+   */
+  async postMultipart(method, body) {
+    return new Promise((resolve, reject) => {
+      const parsedUrl = new URL(this.apiUrl);
+      const useHttps = parsedUrl.protocol === 'https:';
+      const requestModule = useHttps ? https : http;
+
+      const options = {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port ? parseInt(parsedUrl.port, 10) : (useHttps ? 443 : 80),
+        path: `${parsedUrl.pathname.replace(/\/$/, '')}/bot${this.botToken}/${method}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${body.boundary}`,
+          'Content-Length': body.length
+        }
+      };
+
+      const req = requestModule.request(options, (res) => {
+        readJsonResponse(res, resolve, reject);
+      });
+
+      req.on('error', (error) => {
+        reject(error);
+      });
+      req.setTimeout(UPLOAD_TIMEOUT_MS, () => {
+        req.destroy(new Error(`Telegram API ${method} upload timed out`));
+      });
+
+      // A failed download destroys the request, which rejects through the error handler
+      pipeline(body.stream, req, (error) => {
+        if (error) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve a file_id to its file_path (Bot API only serves files up to 20 MB)
+   */
+  async getFile(fileId) {
+    const response = await this.callTelegramAPI('getFile', { file_id: fileId });
+    if (!response || !response.ok || !response.result?.file_path) {
+      throw createTelegramResultError('Telegram getFile failed', response);
+    }
+    return response.result;
+  }
+
+  /**
+   * Download a file by file_path into a Buffer.
+   * The download URL contains the bot token, so it is never returned or logged.
+   */
+  async downloadFile(filePath, maxBytes = 20 * 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+      const parsedUrl = new URL(this.apiUrl);
+      const useHttps = parsedUrl.protocol === 'https:';
+      const requestModule = useHttps ? https : http;
+
+      const options = {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port ? parseInt(parsedUrl.port, 10) : (useHttps ? 443 : 80),
+        path: `${parsedUrl.pathname.replace(/\/$/, '')}/file/bot${this.botToken}/${filePath}`,
+        method: 'GET'
+      };
+
+      const req = requestModule.request(options, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`Telegram file download failed with HTTP ${res.statusCode}`));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > maxBytes) {
+            req.destroy(new Error(`Telegram file exceeds ${maxBytes} bytes`));
+            return;
           }
+          chunks.push(chunk);
         });
+        res.on('end', () => resolve(Buffer.concat(chunks)));
       });
 
       req.on('error', (error) => {
         reject(error);
       });
-
-      req.write(postData);
+      req.setTimeout(60 * 1000, () => {
+        req.destroy(new Error('Telegram file download timed out'));
+      });
       req.end();
     });
   }
@@ -163,4 +346,38 @@ class TelegramAPI {
   }
 }
 
-module.exports = TelegramAPI;
\ No newline at end of file
+function readJsonResponse(res, resolve, reject) {
+  let data = '';
+
+  res.on('data', (chunk) => {
+    data += chunk;
+  });
+
+  res.on('end', () => {
+    try {
+      const response = JSON.parse(data);
+      resolve(response);
+    } catch (error) {
+      reject(new Error('Invalid JSON response from Telegram API'));
+    }
+  });
+}
+
+/**
+ * Telegram chats with queued calls or a flood-wait pause, for the dashboard.
+ */
+function getChatBackoffStats() {
+  const stats = chatCallQueue ? chatCallQueue.getStats() : { depth: 0, targets: [] };
+  return {
+    depth: stats.depth,
+    chats: stats.targets.map(target => ({
+      chatId: target.targetId,
+      depth: target.depth,
+      pausedUntil: target.pausedUntil
+    }))
+  };
+}
+
+module.exports = TelegramAPI;
+module.exports.getChatBackoffStats = getChatBackoffStats;
+module.exports.createTelegramResultError = createTelegramResultError;
\ No newline at end of file
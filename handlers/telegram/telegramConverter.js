@@ -1,6 +1,17 @@
 const { logInfo, logError } = require('../../utils/logger');
-const FormatConverter = require('../../utils/formatConverter');
 const AIFormatConverter = require('../../utils/aiFormatConverter');
+const SliceFormatConverter = require('../../utils/sliceFormatConverter');
+const { describeMentions } = require('../../utils/mentionMap');
+const { stripHopMarker, addHopMarker } = require('../../utils/hopMarker');
+const { applyContentTransforms } = require('../../utils/contentTransform');
+const { getTelegramMediaLimit, formatFileSize } = require('../../utils/attachmentTiers');
+const { buildSourceHeader } = require('../../utils/sourceHeader');
+const {
+  getTelegramParseMode,
+  escapeTelegramText,
+  formatTelegramBold,
+  formatTelegramLink
+} = require('../../utils/telegramParseMode');
 const TelegramMediaHandler = require('./telegramMediaHandler');
 
 /**
@@ -13,11 +24,12 @@ class TelegramConverter {
   }
 
   /**
-   * Convert Discord message to Telegram format
+   * Convert Discord message to Telegram format (the config's parse mode)
    */
   async convertDiscordMessage(discordMessage, config = {}) {
     const envConfig = require('../../config/config');
     const isDebugMode = envConfig.debugMode;
+    const parseMode = getTelegramParseMode(config);
     
     let text = '';
     const media = [];
@@ -33,12 +45,15 @@ class TelegramConverter {
       text += sourceHeader + '\n\n';
     }
 
-    // Convert message content directly without author prefix
-    if (discordMessage.content) {
+    // Convert message content directly without author prefix, after the config's transformation rules
+    const transformedContent = applyContentTransforms(stripHopMarker(discordMessage.content || ''), discordMessage, config);
+    if (transformedContent) {
       if (isDebugMode) {
-        logInfo(`🔍 CONVERT DEBUG: Converting main content: "${discordMessage.content}"`);
+        logInfo(`🔍 CONVERT DEBUG: Converting main content: "${transformedContent}"`);
       }
-      const convertedContent = await this.convertDiscordToTelegramMarkdown(discordMessage.content, discordMessage);
+      // Role and channel names instead of IDs Telegram cannot resolve
+      const content = describeMentions(transformedContent, discordMessage.guild);
+      const convertedContent = await this.convertDiscordToTelegramFormat(content, discordMessage, parseMode);
       if (isDebugMode) {
         logInfo(`🔍 CONVERT DEBUG: Converted main content: "${convertedContent}"`);
       }
@@ -51,32 +66,38 @@ class TelegramConverter {
         logInfo(`🔍 CONVERT DEBUG: Processing ${discordMessage.embeds.length} embeds`);
       }
       
-      const embedResult = await this.processEmbeds(discordMessage.embeds, discordMessage, isDebugMode);
+      const embedResult = await this.processEmbeds(discordMessage.embeds, discordMessage, isDebugMode, parseMode);
       text += embedResult.text;
       media.push(...embedResult.media);
     }
 
     // Handle attachments with better integration
+    let attachmentOutcomes = [];
     if (discordMessage.attachments && discordMessage.attachments.size > 0) {
-      const attachmentResult = this.processAttachments(discordMessage.attachments);
+      const attachmentResult = this.processAttachments(discordMessage.attachments, parseMode);
       media.push(...attachmentResult.media);
       text += attachmentResult.text;
+      attachmentOutcomes = attachmentResult.outcomes;
     }
 
-    // Handle stickers with better formatting
+    // Sticker images go as media; stickers without one keep a text label
     if (discordMessage.stickers && discordMessage.stickers.size > 0) {
-      const stickerText = this.processStickers(discordMessage.stickers);
-      if (text.trim()) {
-        text += '\n' + stickerText;
-      } else {
-        text += stickerText;
+      const stickerResult = this.processStickers(discordMessage.stickers, parseMode);
+      media.push(...stickerResult.media);
+      if (stickerResult.text) {
+        if (text.trim()) {
+          text += '\n' + stickerResult.text;
+        } else {
+          text += stickerResult.text;
+        }
       }
     }
 
     // Ensure we have some content with a cleaner fallback
     if (!text.trim() && media.length === 0) {
-      text = '💬 *Message*';
+      text = `💬 ${formatTelegramBold('Message', parseMode)}`;
     }
+    text = addHopMarker(text, discordMessage.content, config);
 
     // Determine whether to disable web page previews
     const disableWebPagePreview = this.shouldDisableWebPagePreview(media.length, envConfig);
@@ -84,6 +105,7 @@ class TelegramConverter {
     return {
       text: text,
       media: media,
+      attachmentOutcomes,
       disableWebPagePreview: disableWebPagePreview
       // Don't include replyMarkup unless we actually have one
     };
@@ -92,7 +114,7 @@ class TelegramConverter {
   /**
    * Process Discord embeds into Telegram format
    */
-  async processEmbeds(embeds, discordMessage, isDebugMode = false) {
+  async processEmbeds(embeds, discordMessage, isDebugMode = false, parseMode = 'MarkdownV2') {
     let text = '';
     const media = [];
 
@@ -111,11 +133,11 @@ class TelegramConverter {
         if (isDebugMode) {
           logInfo(`🔍 EMBED DEBUG: Embed title: "${embed.title}"`);
         }
-        const escapedTitle = FormatConverter.escapeMarkdownV2ForText(embed.title);
+        const formattedTitle = formatTelegramBold(embed.title, parseMode);
         if (isDebugMode) {
-          logInfo(`🔍 EMBED DEBUG: Escaped title: "${escapedTitle}"`);
+          logInfo(`🔍 EMBED DEBUG: Formatted title: "${formattedTitle}"`);
         }
-        text += `*${escapedTitle}*\n`;
+        text += `${formattedTitle}\n`;
       }
       
       if (embed.description || embed.rawDescription) {
@@ -125,7 +147,7 @@ class TelegramConverter {
           logInfo(`🔍 EMBED DEBUG: Description source: ${embed.rawDescription ? 'rawDescription' : 'description'}`);
         }
         
-        const convertedDescription = await this.convertDiscordToTelegramMarkdown(description, discordMessage);
+        const convertedDescription = await this.convertDiscordToTelegramFormat(description, discordMessage, parseMode);
         if (isDebugMode) {
           logInfo(`🔍 EMBED DEBUG: Converted description: "${convertedDescription}"`);
         }
@@ -137,7 +159,7 @@ class TelegramConverter {
         if (isDebugMode) {
           logInfo(`🔍 EMBED DEBUG: Embed URL: "${embed.url}"`);
         }
-        text += `🔗 [Link](${embed.url})\n`;
+        text += `🔗 ${formatTelegramLink('Link', embed.url, parseMode)}\n`;
       }
       
       // Handle embed images
@@ -178,15 +200,15 @@ class TelegramConverter {
             logInfo(`🔍 EMBED DEBUG: Field ${j + 1} value: "${fieldValue}"`);
           }
           
-          const escapedFieldName = FormatConverter.escapeMarkdownV2ForText(fieldName);
-          const convertedFieldValue = await this.convertDiscordToTelegramMarkdown(fieldValue, discordMessage);
+          const formattedFieldName = formatTelegramBold(`${fieldName}:`, parseMode);
+          const convertedFieldValue = await this.convertDiscordToTelegramFormat(fieldValue, discordMessage, parseMode);
           
           if (isDebugMode) {
-            logInfo(`🔍 EMBED DEBUG: Field ${j + 1} escaped name: "${escapedFieldName}"`);
+            logInfo(`🔍 EMBED DEBUG: Field ${j + 1} formatted name: "${formattedFieldName}"`);
             logInfo(`🔍 EMBED DEBUG: Field ${j + 1} converted value: "${convertedFieldValue}"`);
           }
           
-          text += `\n*${escapedFieldName}:*\n${convertedFieldValue}\n`;
+          text += `\n${formattedFieldName}\n${convertedFieldValue}\n`;
         }
       }
       
@@ -199,116 +221,77 @@ class TelegramConverter {
   }
 
   /**
-   * Process Discord attachments into Telegram format
+   * Process Discord attachments into Telegram format.
+   * Photos, videos, GIFs, audio, voice messages and documents within the Bot API's size caps (by
+   * URL, or uploaded when uploadMedia is on) become media; documents Telegram cannot fetch by URL
+   * and oversized files are file links. outcomes lists 'uploaded' / 'linked' / 'dropped' per
+   * attachment.
    */
-  processAttachments(attachments) {
+  processAttachments(attachments, parseMode = 'MarkdownV2') {
+    const envConfig = require('../../config/config');
     const media = [];
+    const outcomes = [];
     let text = '';
 
     for (const attachment of attachments.values()) {
-      if (this.mediaHandler.isImageFile(attachment.name)) {
-        // Add to media group
-        media.push({
-          type: 'photo',
-          media: attachment.url
-        });
-      } else if (this.mediaHandler.isVideoFile(attachment.name)) {
+      const entry = { name: attachment.name, size: attachment.size };
+      if (!attachment.url) {
+        outcomes.push({ ...entry, outcome: 'dropped' });
+        continue;
+      }
+
+      const mediaType = this.mediaHandler.getMediaType(attachment);
+      const type = mediaType !== 'document' || this.mediaHandler.canSendDocument(attachment.name) ? mediaType : null;
+      if (type && attachment.size <= getTelegramMediaLimit(type, envConfig.telegram)) {
         // Add to media group
         media.push({
-          type: 'video',
+          type,
           media: attachment.url
         });
+        outcomes.push({ ...entry, outcome: 'uploaded' });
+        continue;
+      }
+
+      // Add as file link (sent as caption when there is media); oversized media note the size
+      const label = type ? `${attachment.name} (${formatFileSize(attachment.size)})` : attachment.name;
+      const fileLink = `📎 ${formatTelegramLink(label, attachment.url, parseMode)}`;
+      if (text.trim()) {
+        text += `\n${fileLink}`;
       } else {
-        // Add as file link in text only if we don't have media
-        // (if we have media, the text will be sent as caption)
-        const fileLink = `📎 [${FormatConverter.escapeMarkdownV2ForText(attachment.name)}](${attachment.url})`;
-        if (text.trim()) {
-          text += `\n${fileLink}`;
-        } else {
-          text += fileLink;
-        }
+        text += fileLink;
       }
+      outcomes.push({ ...entry, outcome: 'linked' });
     }
 
-    return { media, text };
-  }
-
-  /**
-   * Process Discord stickers into Telegram format
-   */
-  processStickers(stickers) {
-    const stickerNames = Array.from(stickers.values())
-      .map(sticker => sticker.name)
-      .join(', ');
-    
-    return `🎭 ${FormatConverter.escapeMarkdownV2ForText(stickerNames)}`;
+    return { media, text, outcomes };
   }
 
   /**
-   * Build source header showing Discord server and channel
+   * Process Discord stickers into Telegram format: PNG/APNG stickers as photos, GIF stickers as
+   * animations, and a text label for the rest (Lottie stickers have no image)
    */
-  async buildSourceHeader(discordMessage, config = {}) {
-    try {
-      const envConfig = require('../../config/config');
-      const isDebugMode = envConfig.debugMode;
-      
-      // Skip header if disabled in config
-      if (config.hideSourceHeader || envConfig.telegram?.hideSourceHeader) {
-        return null;
-      }
-
-      if (!discordMessage.guild || !discordMessage.channel) {
-        if (isDebugMode) {
-          logInfo('🔍 SOURCE DEBUG: No guild or channel info available');
-        }
-        return null;
-      }
-
-      // Get Discord invite manager
-      const discordInviteManager = require('../../utils/discordInviteManager');
-      
-      // Get server name and invite link
-      const serverName = discordMessage.guild.name;
-      const inviteLink = await discordInviteManager.getGuildInvite(discordMessage.guild);
-      
-      // Get channel name
-      const channelName = discordMessage.channel.name;
-      
-      if (isDebugMode) {
-        logInfo(`🔍 SOURCE DEBUG: Server: ${serverName}, Channel: ${channelName}, Invite: ${inviteLink}`);
-      }
+  processStickers(stickers, parseMode = 'MarkdownV2') {
+    const media = [];
+    const labelNames = [];
 
-      // Build header with proper escaping for MarkdownV2
-      let header = '';
-      
-      if (inviteLink) {
-        // Server name as clickable link
-        const escapedServerName = FormatConverter.escapeMarkdownV2ForText(serverName);
-        const escapedInviteLink = inviteLink.replace(/([)\\])/g, '\\$1');
-        header += `[${escapedServerName}](${escapedInviteLink})`;
+    for (const sticker of stickers.values()) {
+      const type = this.mediaHandler.getStickerMediaType(sticker);
+      if (type) {
+        media.push({ type, media: sticker.url });
       } else {
-        // Server name as plain text if no invite available
-        header += FormatConverter.escapeMarkdownV2ForText(serverName);
+        labelNames.push(sticker.name);
       }
-      
-      // Add arrow and channel name
-      header += ` → `;
-      header += `\\#${FormatConverter.escapeMarkdownV2ForText(channelName)}`;
-      
-      // Add elegant separator using Unicode box drawing characters
-      // These work well in Telegram and look clean on all screen sizes
-      const separator = '━'.repeat(25); // Unicode heavy horizontal line
-      header += `\n${separator}`;
+    }
 
-      if (isDebugMode) {
-        logInfo(`🔍 SOURCE DEBUG: Built header: "${header}"`);
-      }
+    const text = labelNames.length > 0 ? `🎭 ${escapeTelegramText(labelNames.join(', '), parseMode)}` : '';
+    return { media, text };
+  }
 
-      return header;
-    } catch (error) {
-      logError('Error building source header:', error);
-      return null;
-    }
+  /**
+   * Build source header showing Discord server and channel (the config's parse mode)
+   */
+  async buildSourceHeader(discordMessage, config = {}) {
+    return await buildSourceHeader(discordMessage, config);
   }
 
   /**
@@ -318,6 +301,16 @@ class TelegramConverter {
     return await AIFormatConverter.convertDiscordToTelegramMarkdownV2(text, message);
   }
 
+  /**
+   * Convert Discord markdown to Telegram text in the given parse mode
+   */
+  async convertDiscordToTelegramFormat(text, message = null, parseMode = 'MarkdownV2') {
+    if (parseMode === 'HTML') {
+      return await SliceFormatConverter.convertDiscordToTelegramHTML(text, message);
+    }
+    return await this.convertDiscordToTelegramMarkdown(text, message);
+  }
+
   /**
    * Determine whether to disable web page previews
    */
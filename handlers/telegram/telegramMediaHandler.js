@@ -1,5 +1,19 @@
 const { logInfo, logError } = require('../../utils/logger');
 
+// Bot API method and file parameter for each media type
+const MEDIA_METHODS = {
+  photo: 'sendPhoto',
+  video: 'sendVideo',
+  animation: 'sendAnimation',
+  audio: 'sendAudio',
+  voice: 'sendVoice',
+  document: 'sendDocument'
+};
+// sendMediaGroup only mixes photos with videos; documents and audio group with their own kind,
+// animations and voice notes are always sent on their own
+const MEDIA_GROUP_KINDS = { photo: 'visual', video: 'visual', document: 'document', audio: 'audio' };
+const MAX_MEDIA_GROUP_SIZE = 10;
+
 /**
  * Telegram Media Handler - Media processing and validation
  * Handles media type detection, validation, and URL filtering
@@ -9,6 +23,11 @@ class TelegramMediaHandler {
     // Supported media extensions
     this.imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'];
     this.videoExtensions = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv'];
+    this.animationExtensions = ['.gif'];
+    // sendAudio only plays MP3 and M4A; other audio files go as documents
+    this.audioExtensions = ['.mp3', '.m4a'];
+    // Telegram only fetches these as documents by URL; other documents need an upload
+    this.urlDocumentExtensions = ['.pdf', '.zip', '.gif'];
   }
 
   /**
@@ -27,6 +46,44 @@ class TelegramMediaHandler {
     return this.videoExtensions.some(ext => filename.toLowerCase().endsWith(ext));
   }
 
+  hasExtension(filename, extensions) {
+    if (!filename) return false;
+    return extensions.some(ext => filename.toLowerCase().endsWith(ext));
+  }
+
+  /**
+   * Telegram media type for a Discord attachment: 'voice' for Discord voice messages (they carry
+   * a waveform), 'animation' for GIFs, then 'photo', 'video', 'audio', and 'document' for the rest
+   */
+  getMediaType(attachment) {
+    if (attachment.waveform) return 'voice';
+    if (this.hasExtension(attachment.name, this.animationExtensions)) return 'animation';
+    if (this.isImageFile(attachment.name)) return 'photo';
+    if (this.isVideoFile(attachment.name)) return 'video';
+    if (this.hasExtension(attachment.name, this.audioExtensions)) return 'audio';
+    return 'document';
+  }
+
+  /**
+   * Whether a file can go out as a document: always when media is uploaded
+   * (TELEGRAM_UPLOAD_MEDIA), otherwise only the types Telegram fetches by URL
+   */
+  canSendDocument(filename) {
+    const envConfig = require('../../config/config');
+    return Boolean(envConfig.telegram?.uploadMedia) || this.hasExtension(filename, this.urlDocumentExtensions);
+  }
+
+  /**
+   * Telegram media type for a Discord sticker image: PNG/APNG as a photo, GIF as an animation.
+   * Lottie stickers (JSON) have no image and return null.
+   */
+  getStickerMediaType(sticker) {
+    const url = String(sticker.url || '').split('?')[0];
+    if (this.hasExtension(url, ['.png'])) return 'photo';
+    if (this.hasExtension(url, ['.gif'])) return 'animation';
+    return null;
+  }
+
   /**
    * Process Discord attachments into Telegram media format
    */
@@ -38,18 +95,14 @@ class TelegramMediaHandler {
     }
 
     for (const attachment of attachments.values()) {
-      if (this.isImageFile(attachment.name)) {
+      const type = this.getMediaType(attachment);
+      if (type !== 'document' || this.canSendDocument(attachment.name)) {
         media.push({
-          type: 'photo',
-          media: attachment.url
-        });
-      } else if (this.isVideoFile(attachment.name)) {
-        media.push({
-          type: 'video',
+          type,
           media: attachment.url
         });
       }
-      // Non-media files are handled separately in the converter
+      // Other files are handled separately in the converter
     }
 
     return media;
@@ -95,7 +148,7 @@ class TelegramMediaHandler {
     }
 
     return media.some(item =>
-      item.media && (
+      item.media && !this.isDiscordStickerUrl(item.media) && (
         item.media.includes('cdn-telegram.org') ||
         item.media.includes('discordapp.net') ||
         item.media.includes('images-ext-')
@@ -103,6 +156,13 @@ class TelegramMediaHandler {
     );
   }
 
+  /**
+   * Discord serves GIF stickers from media.discordapp.net; those are not embed proxies
+   */
+  isDiscordStickerUrl(url) {
+    return /^https:\/\/(cdn\.discordapp\.com|media\.discordapp\.net)\/stickers\//.test(url);
+  }
+
   /**
    * Filter out invalid or problematic media URLs
    */
@@ -211,14 +271,38 @@ class TelegramMediaHandler {
    * Get appropriate API method for media type
    */
   getAPIMethod(mediaType) {
-    switch (mediaType) {
-      case 'photo':
-        return 'sendPhoto';
-      case 'video':
-        return 'sendVideo';
-      default:
-        return 'sendDocument';
+    return MEDIA_METHODS[mediaType] || MEDIA_METHODS.document;
+  }
+
+  /**
+   * Get the file parameter for media type (the parameter is named after the type)
+   */
+  getMediaField(mediaType) {
+    return MEDIA_METHODS[mediaType] ? mediaType : 'document';
+  }
+
+  /**
+   * Split media into sends that follow Telegram's grouping rules: photos and videos together,
+   * documents together, audio together (up to 10 per group), animations and voice notes alone.
+   * Batches keep the order in which their first item appears.
+   */
+  groupMediaForSending(media) {
+    const batches = [];
+    const openGroups = new Map();
+
+    for (const item of media) {
+      const groupKind = MEDIA_GROUP_KINDS[item.type];
+      const openGroup = groupKind ? openGroups.get(groupKind) : null;
+      if (openGroup && openGroup.length < MAX_MEDIA_GROUP_SIZE) {
+        openGroup.push(item);
+        continue;
+      }
+      const batch = [item];
+      batches.push(batch);
+      if (groupKind) openGroups.set(groupKind, batch);
     }
+
+    return batches;
   }
 
   /**
@@ -228,13 +312,7 @@ class TelegramMediaHandler {
     const payload = {};
     
     // Set media parameter based on type
-    if (mediaItem.type === 'photo') {
-      payload.photo = mediaItem.media;
-    } else if (mediaItem.type === 'video') {
-      payload.video = mediaItem.media;
-    } else {
-      payload.document = mediaItem.media;
-    }
+    payload[this.getMediaField(mediaItem.type)] = mediaItem.media;
 
     // Add caption if provided
     if (caption.trim()) {
@@ -271,7 +349,7 @@ class TelegramMediaHandler {
     }
 
     for (const attachment of attachments.values()) {
-      if (!this.isImageFile(attachment.name) && !this.isVideoFile(attachment.name)) {
+      if (this.getMediaType(attachment) === 'document' && !this.canSendDocument(attachment.name)) {
         nonMediaFiles.push({
           name: attachment.name,
           url: attachment.url
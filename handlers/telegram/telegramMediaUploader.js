@@ -0,0 +1,268 @@
+const https = require('https');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { logInfo, logError } = require('../../utils/logger');
+const { getTelegramMediaLimit, formatFileSize } = require('../../utils/attachmentTiers');
+const { getTelegramFileId, saveTelegramFileId } = require('../../utils/database');
+
+// Media methods and the parameter that carries a single file
+const SINGLE_MEDIA_FIELDS = {
+  sendPhoto: 'photo',
+  sendVideo: 'video',
+  sendAnimation: 'animation',
+  sendAudio: 'audio',
+  sendVoice: 'voice',
+  sendDocument: 'document'
+};
+// Media methods whose `media` parameter is an InputMedia object or list
+const INPUT_MEDIA_METHODS = ['sendMediaGroup', 'editMessageMedia'];
+// Only Discord's own CDN is downloaded; other URLs are still passed to Telegram as they are
+const DISCORD_CDN_HOSTS = ['cdn.discordapp.com', 'media.discordapp.net'];
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Telegram Media Uploader - uploads Discord attachments to the Bot API as multipart files
+ * (TELEGRAM_UPLOAD_MEDIA) instead of handing Telegram CDN URLs that may expire or be unreachable.
+ * Files are streamed from Discord into the upload request, and the file_id Telegram returns is
+ * stored so later sends and edits of the same attachment skip the upload.
+ */
+class TelegramMediaUploader {
+  isEnabled() {
+    const envConfig = require('../../config/config');
+    return Boolean(envConfig.telegram?.uploadMedia);
+  }
+
+  handlesMethod(method) {
+    return Boolean(SINGLE_MEDIA_FIELDS[method]) || INPUT_MEDIA_METHODS.includes(method);
+  }
+
+  /**
+   * Swap Discord CDN URLs in a media call's params for stored file_ids or multipart file parts.
+   * Returns { fields, files }; files is empty when nothing needs uploading. A file that cannot be
+   * probed or is over the size cap keeps its URL.
+   */
+  async prepare(method, params) {
+    const envConfig = require('../../config/config');
+    const { fields, refs, finish } = collectMediaRefs(method, params);
+    const files = [];
+
+    for (const ref of refs) {
+      const sourceKey = getSourceKey(ref.url, ref.kind);
+      if (!sourceKey) continue;
+
+      const fileId = await getTelegramFileId(sourceKey).catch(() => null);
+      if (fileId) {
+        ref.set(fileId);
+        continue;
+      }
+
+      const maxBytes = getTelegramMediaLimit(ref.kind, envConfig.telegram);
+      try {
+        const size = await probeDownloadSize(ref.url);
+        if (size > maxBytes) {
+          logInfo(`📎 Sending ${ref.kind} by URL: ${formatFileSize(size)} is over the ${formatFileSize(maxBytes)} upload cap`);
+          continue;
+        }
+        files.push({
+          partName: ref.partName,
+          filename: getFilename(ref.url, ref.kind),
+          url: ref.url,
+          size,
+          kind: ref.kind,
+          index: ref.index,
+          sourceKey
+        });
+        ref.set(ref.attachValue);
+      } catch (error) {
+        logError(`📎 Could not fetch ${ref.kind} for upload, sending it by URL: ${error.message}`);
+      }
+    }
+
+    finish();
+    return { fields, files };
+  }
+
+  /**
+   * Multipart body for prepared fields and files. Returns { boundary, length, stream }.
+   */
+  createMultipartBody(fields, files) {
+    return buildMultipartBody(fields, files);
+  }
+
+  /**
+   * Store the file_ids Telegram assigned to uploaded files (result is a Message or, for albums,
+   * a list of Messages in media order).
+   */
+  async rememberFileIds(files, result) {
+    for (const file of files) {
+      const message = Array.isArray(result) ? result[file.index] : result;
+      const fileId = extractFileId(message, file.kind);
+      if (!fileId) continue;
+      try {
+        await saveTelegramFileId(file.sourceKey, fileId);
+      } catch (error) {
+        logError('Failed to store Telegram file_id:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Media references in a call's params, each with a setter that writes into a copy of the params.
+ * finish() serializes edited InputMedia back into fields.media.
+ */
+function collectMediaRefs(method, params) {
+  const fields = { ...params };
+
+  const singleField = SINGLE_MEDIA_FIELDS[method];
+  if (singleField) {
+    const ref = {
+      kind: singleField,
+      url: fields[singleField],
+      index: 0,
+      partName: singleField,
+      attachValue: undefined, // the file part itself takes the parameter's name
+      set: (value) => { fields[singleField] = value; }
+    };
+    return { fields, refs: [ref], finish: () => {} };
+  }
+
+  let parsed;
+  try {
+    parsed = typeof params.media === 'string' ? JSON.parse(params.media) : params.media;
+  } catch (error) {
+    return { fields, refs: [], finish: () => {} };
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { fields, refs: [], finish: () => {} };
+  }
+
+  const entries = (Array.isArray(parsed) ? parsed : [parsed]).map(entry => ({ ...entry }));
+  const refs = entries.map((entry, index) => ({
+    kind: entry.type,
+    url: entry.media,
+    index,
+    partName: `file${index}`,
+    attachValue: `attach://file${index}`,
+    set: (value) => { entry.media = value; }
+  }));
+  const finish = () => {
+    fields.media = JSON.stringify(Array.isArray(parsed) ? entries : entries[0]);
+  };
+  return { fields, refs, finish };
+}
+
+function parseDiscordCdnUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsedUrl = new URL(url);
+    return parsedUrl.protocol === 'https:' && DISCORD_CDN_HOSTS.includes(parsedUrl.hostname) ? parsedUrl : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Signed CDN URLs change their query string over time, so the key is the kind, host and path
+function getSourceKey(url, kind) {
+  const parsedUrl = parseDiscordCdnUrl(url);
+  return parsedUrl ? `${kind}:${parsedUrl.hostname}${parsedUrl.pathname}` : null;
+}
+
+function getFilename(url, kind) {
+  let name = new URL(url).pathname.split('/').pop() || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the encoded name
+  }
+  return name.replace(/["\r\n\\]/g, '_') || kind;
+}
+
+function extractFileId(message, kind) {
+  if (!message || typeof message !== 'object') return null;
+  if (kind === 'photo' && Array.isArray(message.photo) && message.photo.length > 0) {
+    return message.photo[message.photo.length - 1].file_id;
+  }
+  // Telegram may store a video or photo it cannot process as a document
+  const file = (kind !== 'photo' && message[kind]) || message.document;
+  return file?.file_id || null;
+}
+
+function requestDownload(url, method) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`download failed with HTTP ${res.statusCode}`));
+        return;
+      }
+      resolve(res);
+    });
+    req.on('error', reject);
+    req.setTimeout(DOWNLOAD_TIMEOUT_MS, () => {
+      req.destroy(new Error('download timed out'));
+    });
+    req.end();
+  });
+}
+
+// Content length from a HEAD request, needed up front for the upload's Content-Length
+async function probeDownloadSize(url) {
+  const res = await requestDownload(url, 'HEAD');
+  res.resume();
+  const size = parseInt(res.headers['content-length'], 10);
+  if (!Number.isFinite(size)) {
+    throw new Error('no Content-Length in response');
+  }
+  return size;
+}
+
+/**
+ * Multipart body for the given text fields and files, streamed: each file is downloaded only
+ * when its part is reached. Returns { boundary, length, stream }.
+ */
+function buildMultipartBody(fields, files) {
+  const boundary = `----ProForwarder${crypto.randomBytes(12).toString('hex')}`;
+  const head = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    head.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${text}\r\n`));
+  }
+  const fileHeaders = files.map(file => Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="${file.partName}"; filename="${file.filename}"\r\n` +
+    'Content-Type: application/octet-stream\r\n\r\n'
+  ));
+  const tail = Buffer.from(`--${boundary}--\r\n`);
+  const lineBreak = Buffer.from('\r\n');
+
+  const length = head.reduce((sum, part) => sum + part.length, 0) +
+    files.reduce((sum, file, i) => sum + fileHeaders[i].length + file.size + lineBreak.length, 0) +
+    tail.length;
+
+  async function* generateParts() {
+    yield* head;
+    for (let i = 0; i < files.length; i++) {
+      yield fileHeaders[i];
+      const res = await requestDownload(files[i].url, 'GET');
+      let received = 0;
+      for await (const chunk of res) {
+        received += chunk.length;
+        if (received > files[i].size) {
+          res.destroy();
+          throw new Error(`${files[i].filename} is larger than its probed size`);
+        }
+        yield chunk;
+      }
+      if (received !== files[i].size) {
+        throw new Error(`${files[i].filename} ended after ${received} of ${files[i].size} bytes`);
+      }
+      yield lineBreak;
+    }
+    yield tail;
+  }
+
+  return { boundary, length, stream: Readable.from(generateParts()) };
+}
+
+module.exports = TelegramMediaUploader;
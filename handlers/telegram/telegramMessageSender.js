@@ -1,7 +1,8 @@
 const { logInfo, logSuccess, logError } = require('../../utils/logger');
-const FormatConverter = require('../../utils/formatConverter');
+const { DEFAULT_TELEGRAM_PARSE_MODE, escapeTelegramText } = require('../../utils/telegramParseMode');
 const TelegramTextSplitter = require('./telegramTextSplitter');
 const TelegramMediaHandler = require('./telegramMediaHandler');
+const { createTelegramResultError } = require('./telegramAPI');
 
 /**
  * Telegram Message Sender - All message sending logic and strategies
@@ -14,10 +15,92 @@ class TelegramMessageSender {
     this.mediaHandler = new TelegramMediaHandler();
   }
 
+  /**
+   * Add per-send options to a Bot API payload.
+   * sendOptions.replyToMessageId only applies to the first message of a chain;
+   * sendOptions.messageThreadId (forum topic) applies to every message.
+   */
+  applySendOptions(payload, sendOptions = {}, isFirst = true) {
+    if (isFirst && sendOptions.replyToMessageId) {
+      payload.reply_to_message_id = Number(sendOptions.replyToMessageId);
+      payload.allow_sending_without_reply = true;
+    }
+    if (sendOptions.messageThreadId) {
+      payload.message_thread_id = Number(sendOptions.messageThreadId);
+    }
+    return payload;
+  }
+
+  /**
+   * Parse mode for texts and captions (sendOptions.parseMode, set from the config)
+   */
+  getParseMode(sendOptions = {}) {
+    return sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE;
+  }
+
+  /**
+   * Send options for the follow-up parts of a chain (no reply target)
+   */
+  getFollowUpOptions(sendOptions = {}) {
+    const { replyToMessageId, ...followUpOptions } = sendOptions;
+    return followUpOptions;
+  }
+
+  /**
+   * Send media in the batches Telegram's grouping rules allow (see groupMediaForSending), with
+   * the caption on the first item. Returns the API response of the first failed call, or
+   * { ok: true, result } where result is the sent Message, or every sent Message in order when
+   * there was more than one.
+   */
+  async sendMediaItems(chatId, media, caption, sendOptions = {}) {
+    const parseMode = this.getParseMode(sendOptions);
+    const batches = this.mediaHandler.groupMediaForSending(media);
+    const messages = [];
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+      const batchCaption = i === 0 && caption ? caption : undefined;
+      let result;
+
+      if (batch.length === 1) {
+        const mediaItem = batch[0];
+        const payload = {
+          chat_id: chatId,
+          [this.mediaHandler.getMediaField(mediaItem.type)]: mediaItem.media
+        };
+        if (batchCaption) {
+          payload.caption = batchCaption;
+          payload.parse_mode = parseMode;
+        }
+        result = await this.api.callTelegramAPI(this.mediaHandler.getAPIMethod(mediaItem.type), this.applySendOptions(payload, sendOptions, i === 0));
+      } else {
+        const mediaWithCaption = batch.map((item, index) => ({
+          ...item,
+          caption: index === 0 ? batchCaption : undefined,
+          parse_mode: index === 0 && batchCaption ? parseMode : undefined
+        }));
+        result = await this.api.callTelegramAPI('sendMediaGroup', this.applySendOptions({
+          chat_id: chatId,
+          media: JSON.stringify(mediaWithCaption)
+        }, sendOptions, i === 0));
+      }
+
+      if (!result || !result.ok) {
+        if (messages.length > 0) {
+          logError(`Media batch ${i + 1}/${batches.length} failed after ${messages.length} messages were sent to Telegram chat ${chatId}`);
+        }
+        return result;
+      }
+      messages.push(...(Array.isArray(result.result) ? result.result : [result.result]));
+    }
+
+    return { ok: true, result: messages.length === 1 ? messages[0] : messages };
+  }
+
   /**
    * Send media with caption (supports formatted text with smart length handling)
    */
-  async sendMediaWithCaption(chatId, media, caption) {
+  async sendMediaWithCaption(chatId, media, caption, sendOptions = {}) {
     try {
       const envConfig = require('../../config/config');
       const isDebugMode = envConfig.debugMode;
@@ -32,67 +115,23 @@ class TelegramMessageSender {
       // Check if caption is too long
       if (caption.length > captionLengthLimit) {
         logInfo(`📏 Caption too long (${caption.length} chars), using smart splitting strategy`);
-        return await this.sendMediaWithLongCaption(chatId, media, caption);
+        return await this.sendMediaWithLongCaption(chatId, media, caption, sendOptions);
       }
       
-      if (media.length === 1) {
-        // Single media item - use sendPhoto/sendVideo with caption
-        const mediaItem = media[0];
-        let method = 'sendDocument'; // Default fallback
-        
-        if (mediaItem.type === 'photo') {
-          method = 'sendPhoto';
-        } else if (mediaItem.type === 'video') {
-          method = 'sendVideo';
-        }
-        
-        if (isDebugMode) {
-          logInfo(`🔍 MEDIA DEBUG: Sending ${method} with caption`);
-          logInfo(`🔍 MEDIA DEBUG: Raw caption: "${caption}"`);
-          logInfo(`🔍 MEDIA DEBUG: Media URL: "${mediaItem.media}"`);
-        }
-        
-        const result = await this.api.callTelegramAPI(method, {
-          chat_id: chatId,
-          [mediaItem.type === 'photo' ? 'photo' : mediaItem.type === 'video' ? 'video' : 'document']: mediaItem.media,
-          caption: caption,
-          parse_mode: 'MarkdownV2'
-        });
-
-        if (result && result.ok) {
-          logSuccess(`📎 Sent ${mediaItem.type} with caption to Telegram chat ${chatId}`);
-          return result.result;
-        } else {
-          throw new Error(`Media with caption send error: ${result ? result.description : 'Unknown error'}`);
-        }
-      } else {
-        // Multiple media items - use sendMediaGroup with caption on first item
-        if (isDebugMode) {
-          logInfo(`🔍 MEDIA DEBUG: Sending media group with ${media.length} items`);
-          logInfo(`🔍 MEDIA DEBUG: Caption on first item: "${caption}"`);
-        }
-        
-        const mediaWithCaption = media.map((item, index) => ({
-          ...item,
-          caption: index === 0 ? caption : undefined,
-          parse_mode: index === 0 ? 'MarkdownV2' : undefined
-        }));
-
-        if (isDebugMode) {
-          logInfo(`🔍 MEDIA DEBUG: Media group payload: ${JSON.stringify(mediaWithCaption, null, 2)}`);
-        }
+      // One send per batch: a single item uses its own method (sendPhoto, sendVoice, ...),
+      // groups use sendMediaGroup; the caption goes on the first item
+      if (isDebugMode) {
+        logInfo(`🔍 MEDIA DEBUG: Sending ${media.length} media items (${media.map(item => item.type).join(', ')}) with caption`);
+        logInfo(`🔍 MEDIA DEBUG: Raw caption: "${caption}"`);
+      }
 
-        const result = await this.api.callTelegramAPI('sendMediaGroup', {
-          chat_id: chatId,
-          media: JSON.stringify(mediaWithCaption)
-        });
+      const result = await this.sendMediaItems(chatId, media, caption, sendOptions);
 
-        if (result && result.ok) {
-          logSuccess(`📎 Sent ${media.length} media items with caption to Telegram chat ${chatId}`);
-          return result.result;
-        } else {
-          throw new Error(`Media group with caption send error: ${result ? result.description : 'Unknown error'}`);
-        }
+      if (result && result.ok) {
+        logSuccess(`📎 Sent ${media.length === 1 ? media[0].type : `${media.length} media items`} with caption to Telegram chat ${chatId}`);
+        return result.result;
+      } else {
+        throw createTelegramResultError('Media with caption send error', result);
       }
     } catch (error) {
       logError('Error sending media with caption:', error);
@@ -104,8 +143,9 @@ class TelegramMessageSender {
    * Handle long captions by intelligently splitting them
    * Returns message chain for proper tracking
    */
-  async sendMediaWithLongCaption(chatId, media, fullCaption) {
+  async sendMediaWithLongCaption(chatId, media, fullCaption, sendOptions = {}) {
     try {
+      const parseMode = this.getParseMode(sendOptions);
       const envConfig = require('../../config/config');
       const isDebugMode = envConfig.debugMode;
       const captionLengthLimit = envConfig.telegram?.captionLengthLimit || 900;
@@ -135,25 +175,25 @@ class TelegramMessageSender {
         if (hasEmbedMedia) {
           logInfo(`📏 Detected embed-sourced media, falling back to text splitting to avoid WEBPAGE_MEDIA_EMPTY error`);
           // Fall back to smart splitting as text-only
-          const splitPoint = this.textSplitter.findOptimalSplitPoint(fullCaptionWithoutSeparator, captionLengthLimit - splitIndicator.length - 10);
-          const escapedSplitIndicator = FormatConverter.escapeMarkdownV2ForText(splitIndicator);
-          const firstPart = fullCaptionWithoutSeparator.substring(0, splitPoint).trim() + '\n\n' + escapedSplitIndicator;
-          const remainingPart = fullCaptionWithoutSeparator.substring(splitPoint).trim();
+          const splitPoint = this.textSplitter.findOptimalSplitPoint(fullCaptionWithoutSeparator, captionLengthLimit - splitIndicator.length - 10, parseMode);
+          const escapedSplitIndicator = escapeTelegramText(splitIndicator, parseMode);
+          const { head, tail: remainingPart } = this.textSplitter.splitAt(fullCaptionWithoutSeparator, splitPoint, parseMode);
+          const firstPart = head + '\n\n' + escapedSplitIndicator;
           
           // Send as text messages instead
-          const firstResult = await this.api.callTelegramAPI('sendMessage', {
+          const firstResult = await this.api.callTelegramAPI('sendMessage', this.applySendOptions({
             chat_id: chatId,
             text: firstPart,
-            parse_mode: 'MarkdownV2',
+            parse_mode: parseMode,
             disable_web_page_preview: true
-          });
+          }, sendOptions));
           
-          const secondResult = await this.api.callTelegramAPI('sendMessage', {
+          const secondResult = await this.api.callTelegramAPI('sendMessage', this.applySendOptions({
             chat_id: chatId,
             text: remainingPart,
-            parse_mode: 'MarkdownV2',
+            parse_mode: parseMode,
             disable_web_page_preview: true
-          });
+          }, sendOptions, false));
           
           logSuccess(`📄 Sent content as text-only messages (embed media detected): ${firstPart.length} + ${remainingPart.length} chars`);
           
@@ -166,15 +206,15 @@ class TelegramMessageSender {
         
         // Send media separately with only header, then send full text (only for clean media)
         logInfo(`📏 Using 'separate' strategy: sending ${media.length} clean media items with header, then full text`);
-        return await this.sendMediaSeparately(chatId, media, fullCaptionWithoutSeparator);
+        return await this.sendMediaSeparately(chatId, media, fullCaptionWithoutSeparator, sendOptions);
       }
       
       // Default to smart splitting (using caption without separator)
-      const splitPoint = this.textSplitter.findOptimalSplitPoint(fullCaptionWithoutSeparator, captionLengthLimit - splitIndicator.length - 10);
+      const splitPoint = this.textSplitter.findOptimalSplitPoint(fullCaptionWithoutSeparator, captionLengthLimit - splitIndicator.length - 10, parseMode);
       
-      const escapedSplitIndicator = FormatConverter.escapeMarkdownV2ForText(splitIndicator);
-      const firstPart = fullCaptionWithoutSeparator.substring(0, splitPoint).trim() + '\n\n' + escapedSplitIndicator;
-      const remainingPart = fullCaptionWithoutSeparator.substring(splitPoint).trim();
+      const escapedSplitIndicator = escapeTelegramText(splitIndicator, parseMode);
+      const { head, tail: remainingPart } = this.textSplitter.splitAt(fullCaptionWithoutSeparator, splitPoint, parseMode);
+      const firstPart = head + '\n\n' + escapedSplitIndicator;
       
       if (isDebugMode) {
         logInfo(`📏 SMART SPLIT: First part (${firstPart.length} chars): "${firstPart.substring(0, 100)}..."`);
@@ -182,49 +222,21 @@ class TelegramMessageSender {
       }
       
       // Send media with shortened caption
-      let mediaResult;
-      if (media.length === 1) {
-        const mediaItem = media[0];
-        let method = 'sendDocument';
-        
-        if (mediaItem.type === 'photo') {
-          method = 'sendPhoto';
-        } else if (mediaItem.type === 'video') {
-          method = 'sendVideo';
-        }
-        
-        mediaResult = await this.api.callTelegramAPI(method, {
-          chat_id: chatId,
-          [mediaItem.type === 'photo' ? 'photo' : mediaItem.type === 'video' ? 'video' : 'document']: mediaItem.media,
-          caption: firstPart,
-          parse_mode: 'MarkdownV2'
-        });
-      } else {
-        const mediaWithCaption = media.map((item, index) => ({
-          ...item,
-          caption: index === 0 ? firstPart : undefined,
-          parse_mode: index === 0 ? 'MarkdownV2' : undefined
-        }));
-
-        mediaResult = await this.api.callTelegramAPI('sendMediaGroup', {
-          chat_id: chatId,
-          media: JSON.stringify(mediaWithCaption)
-        });
-      }
+      const mediaResult = await this.sendMediaItems(chatId, media, firstPart, sendOptions);
       
       if (!mediaResult || !mediaResult.ok) {
-        throw new Error(`Media send error: ${mediaResult ? mediaResult.description : 'Unknown error'}`);
+        throw createTelegramResultError('Media send error', mediaResult);
       }
       
       // Send remaining text as separate message
-      const textResult = await this.api.callTelegramAPI('sendMessage', {
+      const textResult = await this.api.callTelegramAPI('sendMessage', this.applySendOptions({
         chat_id: chatId,
         text: remainingPart,
-        parse_mode: 'MarkdownV2'
-      });
+        parse_mode: parseMode
+      }, sendOptions, false));
       
       if (!textResult || !textResult.ok) {
-        throw new Error(`Follow-up text send error: ${textResult ? textResult.description : 'Unknown error'}`);
+        throw createTelegramResultError('Follow-up text send error', textResult);
       }
       
       logSuccess(`📎 Sent media with smart-split caption to Telegram chat ${chatId} (${firstPart.length} + ${remainingPart.length} chars)`);
@@ -249,8 +261,9 @@ class TelegramMessageSender {
    * Handle long text messages by intelligently splitting them
    * Returns message chain for proper tracking
    */
-  async sendLongTextMessage(chatId, fullText, disableWebPagePreview = false) {
+  async sendLongTextMessage(chatId, fullText, disableWebPagePreview = false, sendOptions = {}) {
     try {
+      const parseMode = this.getParseMode(sendOptions);
       const envConfig = require('../../config/config');
       const isDebugMode = envConfig.debugMode;
       const textLengthLimit = envConfig.telegram?.textLengthLimit || 4000;
@@ -274,11 +287,12 @@ class TelegramMessageSender {
         } else {
           // Find optimal split point using smart splitting
           const availableLength = textLengthLimit - splitIndicator.length - 10;
-          const splitPoint = this.textSplitter.findOptimalSplitPoint(remainingText, availableLength);
+          const splitPoint = this.textSplitter.findOptimalSplitPoint(remainingText, availableLength, parseMode);
           
-          const escapedSplitIndicator = FormatConverter.escapeMarkdownV2ForText(splitIndicator);
-          currentPart = remainingText.substring(0, splitPoint).trim() + '\n\n' + escapedSplitIndicator;
-          remainingText = remainingText.substring(splitPoint).trim();
+          const escapedSplitIndicator = escapeTelegramText(splitIndicator, parseMode);
+          const { head, tail } = this.textSplitter.splitAt(remainingText, splitPoint, parseMode);
+          currentPart = head + '\n\n' + escapedSplitIndicator;
+          remainingText = tail;
         }
         
         if (isDebugMode) {
@@ -286,15 +300,15 @@ class TelegramMessageSender {
         }
         
         // Send this part
-        const result = await this.api.callTelegramAPI('sendMessage', {
+        const result = await this.api.callTelegramAPI('sendMessage', this.applySendOptions({
           chat_id: chatId,
           text: currentPart,
-          parse_mode: 'MarkdownV2',
+          parse_mode: parseMode,
           disable_web_page_preview: disableWebPagePreview
-        });
+        }, sendOptions, partIndex === 1));
         
         if (!result || !result.ok) {
-          throw new Error(`Text part ${partIndex} send error: ${result ? result.description : 'Unknown error'}`);
+          throw createTelegramResultError(`Text part ${partIndex} send error`, result);
         }
         
         messages.push(result.result.message_id.toString());
@@ -319,7 +333,7 @@ class TelegramMessageSender {
   /**
    * Send media separately with header, then send full content as text
    */
-  async sendMediaSeparately(chatId, media, fullContent) {
+  async sendMediaSeparately(chatId, media, fullContent, sendOptions = {}) {
     try {
       const envConfig = require('../../config/config');
       const isDebugMode = envConfig.debugMode;
@@ -337,7 +351,7 @@ class TelegramMessageSender {
           logInfo(`📏 SEPARATE: No media found, falling back to regular text message`);
         }
         // No media - just send as regular text message
-        return await this.sendLongTextMessage(chatId, fullContent);
+        return await this.sendLongTextMessage(chatId, fullContent, false, sendOptions);
       }
       
       // Validate media URLs - filter out Discord proxy URLs and invalid URLs
@@ -348,7 +362,7 @@ class TelegramMessageSender {
           logInfo(`📏 SEPARATE: No valid media URLs found (all were Discord proxies), falling back to regular text message`);
         }
         // No valid media URLs - just send as regular text message
-        return await this.sendLongTextMessage(chatId, fullContent);
+        return await this.sendLongTextMessage(chatId, fullContent, false, sendOptions);
       }
       
       if (validMedia.length !== media.length) {
@@ -366,20 +380,20 @@ class TelegramMessageSender {
       // Send media with header as caption (or no caption if no header)
       let mediaResult;
       if (validMedia.length === 1) {
-        mediaResult = await this.sendSingleMediaWithHeader(chatId, validMedia[0], headerForCaption, isDebugMode);
+        mediaResult = await this.sendSingleMediaWithHeader(chatId, validMedia[0], headerForCaption, isDebugMode, sendOptions);
       } else {
-        mediaResult = await this.sendMediaGroupWithHeader(chatId, validMedia, headerForCaption, isDebugMode);
+        mediaResult = await this.sendMediaGroupWithHeader(chatId, validMedia, headerForCaption, isDebugMode, sendOptions);
       }
       
       if (!mediaResult || !mediaResult.ok) {
-        throw new Error(`Media send error: ${mediaResult ? mediaResult.description : 'Unknown error'}`);
+        throw createTelegramResultError('Media send error', mediaResult);
       }
       
       // Determine web page preview settings
       const disableWebPagePreview = this.shouldDisablePreviewForSeparate(envConfig);
       
       // Send full content as separate text message
-      const textResult = await this.sendSeparateTextContent(chatId, headerForCaption, contentWithoutHeader, disableWebPagePreview, isDebugMode);
+      const textResult = await this.sendSeparateTextContent(chatId, headerForCaption, contentWithoutHeader, disableWebPagePreview, isDebugMode, this.getFollowUpOptions(sendOptions));
       
       // Combine results
       const primaryMessageId = Array.isArray(mediaResult.result) ? mediaResult.result[0].message_id : mediaResult.result.message_id;
@@ -415,18 +429,13 @@ class TelegramMessageSender {
   /**
    * Send single media item with header as caption
    */
-  async sendSingleMediaWithHeader(chatId, mediaItem, headerForCaption, isDebugMode) {
-    let method = 'sendDocument';
-    
-    if (mediaItem.type === 'photo') {
-      method = 'sendPhoto';
-    } else if (mediaItem.type === 'video') {
-      method = 'sendVideo';
-    }
+  async sendSingleMediaWithHeader(chatId, mediaItem, headerForCaption, isDebugMode, sendOptions = {}) {
+    const parseMode = this.getParseMode(sendOptions);
+    const method = this.mediaHandler.getAPIMethod(mediaItem.type);
     
     const mediaPayload = {
       chat_id: chatId,
-      [mediaItem.type === 'photo' ? 'photo' : mediaItem.type === 'video' ? 'video' : 'document']: mediaItem.media
+      [this.mediaHandler.getMediaField(mediaItem.type)]: mediaItem.media
     };
     
     // Add caption only if we have a header (but check for problematic URLs)
@@ -441,7 +450,7 @@ class TelegramMessageSender {
         // Don't add caption with problematic URLs
       } else {
         mediaPayload.caption = headerForCaption;
-        mediaPayload.parse_mode = 'MarkdownV2';
+        mediaPayload.parse_mode = parseMode;
       }
     }
     
@@ -449,26 +458,17 @@ class TelegramMessageSender {
       logInfo(`📏 SEPARATE: Sending ${method} with media`);
     }
     
-    return await this.api.callTelegramAPI(method, mediaPayload);
+    return await this.api.callTelegramAPI(method, this.applySendOptions(mediaPayload, sendOptions));
   }
 
   /**
    * Send media group with header as caption on first item
    */
-  async sendMediaGroupWithHeader(chatId, validMedia, headerForCaption, isDebugMode) {
+  async sendMediaGroupWithHeader(chatId, validMedia, headerForCaption, isDebugMode, sendOptions = {}) {
     const hasProblematicUrls = headerForCaption.trim() ? this.textSplitter.hasProblematicUrls(headerForCaption) : false;
     
-    const mediaItems = validMedia.map((item, index) => {
-      const mediaItem = { ...item };
-      
-      // Add caption to first item only if we have a header and no problematic URLs
-      if (index === 0 && headerForCaption.trim() && !hasProblematicUrls) {
-        mediaItem.caption = headerForCaption;
-        mediaItem.parse_mode = 'MarkdownV2';
-      }
-      
-      return mediaItem;
-    });
+    // Add caption to first item only if we have a header and no problematic URLs
+    const caption = headerForCaption.trim() && !hasProblematicUrls ? headerForCaption : '';
 
     if (isDebugMode) {
       if (hasProblematicUrls) {
@@ -477,16 +477,14 @@ class TelegramMessageSender {
       logInfo(`📏 SEPARATE: Sending media group with ${validMedia.length} items`);
     }
 
-    return await this.api.callTelegramAPI('sendMediaGroup', {
-      chat_id: chatId,
-      media: JSON.stringify(mediaItems)
-    });
+    return await this.sendMediaItems(chatId, validMedia, caption, sendOptions);
   }
 
   /**
    * Send separate text content, handling both short and long text
    */
-  async sendSeparateTextContent(chatId, headerForCaption, contentWithoutHeader, disableWebPagePreview, isDebugMode) {
+  async sendSeparateTextContent(chatId, headerForCaption, contentWithoutHeader, disableWebPagePreview, isDebugMode, sendOptions = {}) {
+    const parseMode = this.getParseMode(sendOptions);
     // Check if we need to include the header in the text message
     let textToSend = contentWithoutHeader;
     const hasProblematicUrls = headerForCaption.trim() ? this.textSplitter.hasProblematicUrls(headerForCaption) : false;
@@ -504,22 +502,22 @@ class TelegramMessageSender {
     
     if (textToSend.length <= textLengthLimit) {
       // Content fits in single message
-      const textResult = await this.api.callTelegramAPI('sendMessage', {
+      const textResult = await this.api.callTelegramAPI('sendMessage', this.applySendOptions({
         chat_id: chatId,
         text: textToSend,
-        parse_mode: 'MarkdownV2',
+        parse_mode: parseMode,
         disable_web_page_preview: disableWebPagePreview
-      });
+      }, sendOptions));
       
       if (!textResult || !textResult.ok) {
-        throw new Error(`Text send error: ${textResult ? textResult.description : 'Unknown error'}`);
+        throw createTelegramResultError('Text send error', textResult);
       }
       
       return textResult;
     } else {
       // Content is too long, split it using smart splitting
       logInfo(`📏 SEPARATE: Content too long (${textToSend.length} chars), using smart text splitting`);
-      return await this.sendLongTextMessage(chatId, textToSend, disableWebPagePreview);
+      return await this.sendLongTextMessage(chatId, textToSend, disableWebPagePreview, sendOptions);
     }
   }
 
@@ -543,18 +541,18 @@ class TelegramMessageSender {
   /**
    * Send media group to Telegram
    */
-  async sendMediaGroup(chatId, media) {
+  async sendMediaGroup(chatId, media, sendOptions = {}) {
     try {
-      const result = await this.api.callTelegramAPI('sendMediaGroup', {
+      const result = await this.api.callTelegramAPI('sendMediaGroup', this.applySendOptions({
         chat_id: chatId,
         media: JSON.stringify(media)
-      });
+      }, sendOptions));
 
       if (result && result.ok) {
         logSuccess(`📎 Sent ${media.length} media items to Telegram chat ${chatId}`);
         return result.result;
       } else {
-        throw new Error(`Media send error: ${result ? result.description : 'Unknown error'}`);
+        throw createTelegramResultError('Media send error', result);
       }
     } catch (error) {
       logError('Error sending media group:', error);
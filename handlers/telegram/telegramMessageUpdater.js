@@ -1,7 +1,20 @@
 const { logInfo, logSuccess, logError } = require('../../utils/logger');
-const { getMessageChain, MESSAGE_STATUS, updateMessageLog, deleteMessageChain, logMessageChain } = require('../../utils/database');
+const { getMessageChain, MESSAGE_STATUS, SYNC_ACTION, updateMessageLog, deleteMessageChain, logMessageChain, logForwardedMessage } = require('../../utils/database');
 const { getForwardConfigById } = require('../../utils/configManager');
+const { getEditPolicy, getDeletePolicy } = require('../../utils/syncPolicy');
+const { DEFAULT_TELEGRAM_PARSE_MODE, formatTelegramBold, formatTelegramItalic } = require('../../utils/telegramParseMode');
 const TelegramHandler = require('../telegramHandler');
+const { createTelegramResultError } = require('./telegramAPI');
+const ApprovalManager = require('../approvalManager');
+
+// Texts for the 'append' edit policy and the 'tombstone' delete policy, in the target's parse mode
+function buildTelegramEditNoteHeader(parseMode) {
+  return `✏️ ${formatTelegramBold('Edited at source:', parseMode)}`;
+}
+
+function buildTelegramTombstoneText(parseMode) {
+  return `🗑️ ${formatTelegramItalic('Message removed at source', parseMode)}`;
+}
 
 // Shared TelegramHandler instance for edit/delete paths
 let sharedTelegramHandler = null;
@@ -14,8 +27,50 @@ async function getSharedTelegramHandler() {
   return sharedTelegramHandler;
 }
 
-// Update a Telegram forwarded message with smart media and chain handling
+/**
+ * Apply the config's edit policy to a Telegram copy. Returns the SYNC_ACTION taken.
+ */
 async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
+  const config = await getForwardConfigById(logEntry.configId);
+  const editPolicy = getEditPolicy(config);
+
+  if (editPolicy === 'ignore') {
+    logInfo(`Edit policy of config ${logEntry.configId} is ignore, leaving Telegram message ${logEntry.forwardedMessageId} as is`);
+    return SYNC_ACTION.EDIT_IGNORED;
+  }
+  if (await ApprovalManager.isEditLocked(logEntry.originalMessageId, logEntry.configId)) {
+    logInfo(`Message ${logEntry.originalMessageId} was approved for config ${logEntry.configId}, leaving Telegram message ${logEntry.forwardedMessageId} as approved`);
+    return SYNC_ACTION.EDIT_IGNORED;
+  }
+  if (editPolicy === 'append') {
+    await sendTelegramEditNote(newMessage, logEntry, config);
+    return SYNC_ACTION.EDIT_NOTED;
+  }
+
+  await editTelegramForwardedMessage(newMessage, logEntry, client);
+  return SYNC_ACTION.EDITED;
+}
+
+// The bot cannot read back the copy's text, so the new version goes out as a reply to it
+async function sendTelegramEditNote(newMessage, logEntry, config) {
+  const messageChain = await getMessageChain(logEntry.originalMessageId, logEntry.configId);
+  const firstMessageId = messageChain.length > 0 ? messageChain[0].forwardedMessageId : logEntry.forwardedMessageId;
+
+  const telegramHandler = await getSharedTelegramHandler();
+  const telegramMessage = await telegramHandler.convertDiscordMessage(newMessage, config);
+  const sendOptions = telegramHandler.getTargetSendOptions(config);
+  await telegramHandler.sendTextWithFallback(
+    logEntry.forwardedChannelId,
+    `${buildTelegramEditNoteHeader(sendOptions.parseMode)}\n${telegramMessage.text}`,
+    true,
+    null,
+    { ...sendOptions, replyToMessageId: firstMessageId }
+  );
+  logSuccess(`Sent edit note for Telegram message ${firstMessageId} in chat ${logEntry.forwardedChannelId}`);
+}
+
+// Update a Telegram forwarded message with smart media and chain handling
+async function editTelegramForwardedMessage(newMessage, logEntry, client) {
   try {
     logInfo(`Smart editing Telegram message ${logEntry.forwardedMessageId} in chat ${logEntry.forwardedChannelId}`);
 
@@ -40,6 +95,8 @@ async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
 
     // Get shared Telegram handler (lazy-initialized)
     const telegramHandler = await getSharedTelegramHandler();
+    // Messages re-sent during the edit go to the config's forum topic
+    const sendOptions = telegramHandler.getTargetSendOptions(config);
 
     // Convert new message content
     const telegramMessage = await telegramHandler.convertDiscordMessage(newMessage, config);
@@ -68,7 +125,8 @@ async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
             [mediaGroupIds[0]],
             telegramMessage.text,
             true,
-            telegramMessage.disableWebPagePreview || false
+            telegramMessage.disableWebPagePreview || false,
+            sendOptions
           );
 
           const combinedChain = [
@@ -111,7 +169,8 @@ async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
         chainMessageIds,
         telegramMessage.text,
         hasMedia,
-        telegramMessage.disableWebPagePreview || false
+        telegramMessage.disableWebPagePreview || false,
+        sendOptions
       );
 
       // Update database with new chain structure if it changed
@@ -139,7 +198,7 @@ async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
 
     } else {
       // Handle single message editing (existing logic)
-      return await updateSingleTelegramMessage(newMessage, logEntry, client, telegramHandler, telegramMessage);
+      return await updateSingleTelegramMessage(newMessage, logEntry, client, telegramHandler, telegramMessage, sendOptions);
     }
 
   } catch (error) {
@@ -149,7 +208,7 @@ async function updateTelegramForwardedMessage(newMessage, logEntry, client) {
 }
 
 // Update a single Telegram message (non-chain)
-async function updateSingleTelegramMessage(newMessage, logEntry, client, telegramHandler, telegramMessage) {
+async function updateSingleTelegramMessage(newMessage, logEntry, client, telegramHandler, telegramMessage, sendOptions = {}) {
   try {
     // Get the original message to compare media
     let originalMessage = null;
@@ -193,7 +252,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
           chat_id: logEntry.forwardedChannelId,
           message_id: logEntry.forwardedMessageId,
           text: telegramMessage.text,
-          parse_mode: 'MarkdownV2',
+          parse_mode: sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE,
           disable_web_page_preview: telegramMessage.disableWebPagePreview || false
         });
 
@@ -201,11 +260,11 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
           logSuccess(`✅ Text-only edit successful for Telegram message ${logEntry.forwardedMessageId}`);
           return result.result;
         } else {
-          throw new Error(`Text edit failed: ${result ? result.description : 'Unknown error'}`);
+          throw createTelegramResultError('Text edit failed', result);
         }
       } catch (editError) {
         logInfo(`Text edit failed (${editError.message}), falling back to delete and resend`);
-        return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage);
+        return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions);
       }
 
     } else if (originalHasMedia && !newHasMedia) {
@@ -215,7 +274,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
       }
 
       logInfo(`Media removed from message, converting to text-only`);
-      return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage);
+      return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions);
 
     } else if (!originalHasMedia && newHasMedia) {
       // Case 3: Was text-only, now has media - delete and resend with media
@@ -224,7 +283,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
       }
 
       logInfo(`Media added to message, converting to media message`);
-      return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage);
+      return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions);
 
     } else {
       // Case 4: Both had media - check if media changed or if caption is too long
@@ -242,7 +301,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
         }
 
         logInfo(`Caption is now too long, converting single message to chain`);
-        return await convertToChainAndUpdate(telegramHandler, logEntry, telegramMessage, newMessage);
+        return await convertToChainAndUpdate(telegramHandler, logEntry, telegramMessage, newMessage, sendOptions);
       }
 
       const mediaChanged = await hasMediaChanged(originalMessage, newMessage);
@@ -258,18 +317,18 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
             chat_id: logEntry.forwardedChannelId,
             message_id: logEntry.forwardedMessageId,
             caption: telegramMessage.text,
-            parse_mode: 'MarkdownV2'
+            parse_mode: sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE
           });
 
           if (result && result.ok) {
             logSuccess(`✅ Caption-only edit successful for Telegram message ${logEntry.forwardedMessageId}`);
             return result.result;
           } else {
-            throw new Error(`Caption edit failed: ${result ? result.description : 'Unknown error'}`);
+            throw createTelegramResultError('Caption edit failed', result);
           }
         } catch (editError) {
           logInfo(`Caption edit failed (${editError.message}), falling back to delete and resend`);
-          return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage);
+          return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions);
         }
       } else {
         // Media changed - use editMessageMedia to replace media
@@ -278,7 +337,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
         }
 
         logInfo(`Media changed in message, updating media with editMessageMedia`);
-        return await editTelegramMessageMedia(telegramHandler, logEntry, telegramMessage);
+        return await editTelegramMessageMedia(telegramHandler, logEntry, telegramMessage, sendOptions);
       }
     }
 
@@ -289,7 +348,7 @@ async function updateSingleTelegramMessage(newMessage, logEntry, client, telegra
 }
 
 // Convert single message to chain when caption becomes too long
-async function convertToChainAndUpdate(telegramHandler, logEntry, telegramMessage, newMessage) {
+async function convertToChainAndUpdate(telegramHandler, logEntry, telegramMessage, newMessage, sendOptions = {}) {
   try {
     logInfo(`Converting single message to chain due to long caption`);
 
@@ -300,7 +359,8 @@ async function convertToChainAndUpdate(telegramHandler, logEntry, telegramMessag
     const result = await telegramHandler.sendMediaWithLongCaption(
       logEntry.forwardedChannelId,
       telegramMessage.media,
-      telegramMessage.text
+      telegramMessage.text,
+      sendOptions
     );
 
     if (result.isSplit && result.messageChain) {
@@ -333,7 +393,7 @@ async function convertToChainAndUpdate(telegramHandler, logEntry, telegramMessag
 }
 
 // Helper function to delete and resend Telegram message
-async function deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage) {
+async function deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions = {}) {
   try {
     // Delete the old message
     await telegramHandler.callTelegramAPI('deleteMessage', {
@@ -352,16 +412,17 @@ async function deleteAndResendTelegram(telegramHandler, logEntry, telegramMessag
     result = await telegramHandler.sendMediaWithCaption(
       logEntry.forwardedChannelId,
       telegramMessage.media,
-      telegramMessage.text
+      telegramMessage.text,
+      sendOptions
     );
   } else {
     // Send text-only
-    result = await telegramHandler.callTelegramAPI('sendMessage', {
+    result = await telegramHandler.callTelegramAPI('sendMessage', telegramHandler.messageSender.applySendOptions({
       chat_id: logEntry.forwardedChannelId,
       text: telegramMessage.text,
-      parse_mode: 'MarkdownV2',
+      parse_mode: sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE,
       disable_web_page_preview: telegramMessage.disableWebPagePreview || false
-    });
+    }, sendOptions));
     result = result.result;
   }
 
@@ -396,7 +457,7 @@ async function deleteAndResendTelegram(telegramHandler, logEntry, telegramMessag
 }
 
 // Helper function to edit Telegram message media using editMessageMedia API
-async function editTelegramMessageMedia(telegramHandler, logEntry, telegramMessage) {
+async function editTelegramMessageMedia(telegramHandler, logEntry, telegramMessage, sendOptions = {}) {
   try {
     // Check if we have media to send
     if (!telegramMessage.media || telegramMessage.media.length === 0) {
@@ -412,13 +473,17 @@ async function editTelegramMessageMedia(telegramHandler, logEntry, telegramMessa
     // For editMessageMedia, we need to send the first media item
     // Note: Telegram's editMessageMedia only supports single media replacement
     const mediaItem = telegramMessage.media[0];
+    // There is no InputMediaVoice; a voice note is reposted instead
+    if (mediaItem.type === 'voice') {
+      throw new Error('voice notes cannot be set with editMessageMedia');
+    }
 
     // Prepare media object for editMessageMedia
     const mediaObject = {
       type: mediaItem.type,
       media: mediaItem.media,
       caption: telegramMessage.text,
-      parse_mode: 'MarkdownV2'
+      parse_mode: sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE
     };
 
     if (envConfig.debugMode) {
@@ -441,31 +506,31 @@ async function editTelegramMessageMedia(telegramHandler, logEntry, telegramMessa
         logInfo(`Original had ${telegramMessage.media.length} media items, sending remaining ${telegramMessage.media.length - 1} as follow-up`);
 
         const remainingMedia = telegramMessage.media.slice(1);
-        for (const additionalMedia of remainingMedia) {
-          try {
-            const method = additionalMedia.type === 'photo' ? 'sendPhoto' :
-                          additionalMedia.type === 'video' ? 'sendVideo' : 'sendDocument';
-
-            await telegramHandler.callTelegramAPI(method, {
-              chat_id: logEntry.forwardedChannelId,
-              [additionalMedia.type === 'photo' ? 'photo' : additionalMedia.type === 'video' ? 'video' : 'document']: additionalMedia.media
-            });
-          } catch (additionalError) {
-            logError(`Failed to send additional media item:`, additionalError);
+        try {
+          const followUpResult = await telegramHandler.messageSender.sendMediaItems(
+            logEntry.forwardedChannelId,
+            remainingMedia,
+            '',
+            telegramHandler.messageSender.getFollowUpOptions(sendOptions)
+          );
+          if (!followUpResult || !followUpResult.ok) {
+            logError(`Failed to send additional media items: ${followUpResult ? followUpResult.description : 'Unknown error'}`);
           }
+        } catch (additionalError) {
+          logError(`Failed to send additional media items:`, additionalError);
         }
       }
 
       return result.result;
     } else {
-      throw new Error(`editMessageMedia failed: ${result ? result.description : 'Unknown error'}`);
+      throw createTelegramResultError('editMessageMedia failed', result);
     }
 
   } catch (error) {
     logError(`editMessageMedia failed (${error.message}), falling back to delete and resend`);
 
     // Fallback to delete and resend if editMessageMedia fails
-    return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage);
+    return await deleteAndResendTelegram(telegramHandler, logEntry, telegramMessage, sendOptions);
   }
 }
 
@@ -517,8 +582,71 @@ async function hasMediaChanged(originalMessage, newMessage) {
   }
 }
 
-// Delete a Telegram forwarded message (handles both single messages and chains)
+/**
+ * Apply the config's delete policy to a Telegram copy. Returns the SYNC_ACTION taken.
+ */
 async function deleteTelegramForwardedMessage(logEntry, client) {
+  const config = await getForwardConfigById(logEntry.configId);
+  const deletePolicy = getDeletePolicy(config);
+
+  if (deletePolicy === 'keep') {
+    logInfo(`Delete policy of config ${logEntry.configId} is keep, leaving Telegram message ${logEntry.forwardedMessageId}`);
+    return SYNC_ACTION.KEPT;
+  }
+  if (deletePolicy === 'tombstone') {
+    await tombstoneTelegramForwardedMessage(logEntry, config);
+    return SYNC_ACTION.TOMBSTONED;
+  }
+
+  await removeTelegramForwardedMessage(logEntry, client);
+  return SYNC_ACTION.DELETED;
+}
+
+// Replace the copy with a notice. Text messages are edited in place; media cannot be removed
+// from a message, so those are deleted and the notice is posted instead. Extra chain parts go.
+async function tombstoneTelegramForwardedMessage(logEntry, config) {
+  const messageChain = await getMessageChain(logEntry.originalMessageId, logEntry.configId);
+  const messageIds = messageChain.length > 0
+    ? messageChain.map(entry => entry.forwardedMessageId)
+    : [logEntry.forwardedMessageId];
+  const [firstMessageId, ...restMessageIds] = messageIds;
+  const chatId = logEntry.forwardedChannelId;
+  const telegramHandler = await getSharedTelegramHandler();
+  const sendOptions = telegramHandler.getTargetSendOptions(config);
+  const tombstoneText = buildTelegramTombstoneText(sendOptions.parseMode);
+
+  let tombstoneMessageId = firstMessageId;
+  try {
+    await telegramHandler.editMessageText(chatId, firstMessageId, tombstoneText, true, sendOptions.parseMode);
+  } catch (error) {
+    logInfo(`Could not edit Telegram message ${firstMessageId} into a tombstone (${error.message}), replacing it`);
+    await telegramHandler.deleteMessage(chatId, firstMessageId).catch(() => {});
+    const sent = await telegramHandler.sendTextWithFallback(chatId, tombstoneText, true, null, sendOptions);
+    tombstoneMessageId = String(sent.message_id);
+  }
+
+  if (restMessageIds.length > 0) {
+    await telegramHandler.deleteMessageChain(chatId, restMessageIds);
+  }
+
+  // The notice is now the only copy
+  if (tombstoneMessageId !== firstMessageId || restMessageIds.length > 0) {
+    await deleteMessageChain(logEntry.originalMessageId, logEntry.configId);
+    await logForwardedMessage(
+      logEntry.originalMessageId,
+      logEntry.originalChannelId,
+      logEntry.originalServerId,
+      tombstoneMessageId,
+      chatId,
+      logEntry.forwardedServerId,
+      logEntry.configId
+    );
+  }
+  logSuccess(`Replaced Telegram message ${firstMessageId} in chat ${chatId} with a tombstone`);
+}
+
+// Delete a Telegram forwarded message (handles both single messages and chains)
+async function removeTelegramForwardedMessage(logEntry, client) {
   try {
     // Check if this is part of a message chain (scoped to this config)
     const messageChain = await getMessageChain(logEntry.originalMessageId, logEntry.configId);
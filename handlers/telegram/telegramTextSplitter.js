@@ -13,12 +13,18 @@ class TelegramTextSplitter {
 
   /**
    * Find optimal point to split long text while preserving formatting
+   * (for HTML, never inside a tag or an entity)
    */
-  findOptimalSplitPoint(text, maxLength) {
+  findOptimalSplitPoint(text, maxLength, parseMode = null) {
     if (text.length <= maxLength) {
       return text.length;
     }
-    
+    const splitPoint = this.findTextBreak(text, maxLength);
+    return parseMode === 'HTML' ? this.moveOutOfHtmlMarkup(text, splitPoint) : splitPoint;
+  }
+
+  // Last paragraph, line, sentence or word break within maxLength
+  findTextBreak(text, maxLength) {
     // Try to find good break points in order of preference
     const breakPoints = [
       // Double line breaks (paragraph separators)
@@ -60,6 +66,51 @@ class TelegramTextSplitter {
     return Math.max(cutPoint, Math.floor(maxLength * 0.8)); // Ensure we don't cut too short
   }
 
+  // Move a split point that falls inside <...> or &...; back to where the markup starts
+  moveOutOfHtmlMarkup(text, splitPoint) {
+    let point = splitPoint;
+    const tagStart = text.lastIndexOf('<', point - 1);
+    if (tagStart > text.lastIndexOf('>', point - 1)) {
+      point = tagStart;
+    }
+    const entityStart = text.lastIndexOf('&', point - 1);
+    if (entityStart > text.lastIndexOf(';', point - 1)) {
+      point = entityStart;
+    }
+    return point > 0 ? point : splitPoint;
+  }
+
+  /**
+   * Cut text at splitPoint into { head, tail }. In HTML, tags still open at the cut are closed
+   * at the end of head and opened again at the start of tail, so each part parses on its own.
+   */
+  splitAt(text, splitPoint, parseMode = null) {
+    let head = text.substring(0, splitPoint).trim();
+    let tail = text.substring(splitPoint).trim();
+    if (parseMode !== 'HTML') {
+      return { head, tail };
+    }
+
+    const openTags = [];
+    for (const match of head.matchAll(/<(\/?)([a-z][a-z-]*)[^>]*>/gi)) {
+      const name = match[2].toLowerCase();
+      if (!match[1]) {
+        openTags.push({ name, tag: match[0] });
+        continue;
+      }
+      const index = openTags.map(openTag => openTag.name).lastIndexOf(name);
+      if (index >= 0) {
+        openTags.splice(index);
+      }
+    }
+
+    if (openTags.length > 0) {
+      head += openTags.slice().reverse().map(openTag => `</${openTag.name}>`).join('');
+      tail = openTags.map(openTag => openTag.tag).join('') + tail;
+    }
+    return { head, tail };
+  }
+
   /**
    * Remove separator line (━━━━━━━━━━━━━━━━━━━━━━━━━) when using splitting strategies
    */
@@ -86,7 +137,7 @@ class TelegramTextSplitter {
   /**
    * Split long text into multiple parts with smart boundaries
    */
-  splitLongText(text, maxLength, splitIndicator = '...(continued)') {
+  splitLongText(text, maxLength, splitIndicator = '...(continued)', parseMode = null) {
     const parts = [];
     let remainingText = text;
     
@@ -99,14 +150,14 @@ class TelegramTextSplitter {
       
       // Find optimal split point
       const availableLength = maxLength - splitIndicator.length - 10; // Reserve space for indicator
-      const splitPoint = this.findOptimalSplitPoint(remainingText, availableLength);
+      const splitPoint = this.findOptimalSplitPoint(remainingText, availableLength, parseMode);
+      const { head, tail } = this.splitAt(remainingText, splitPoint, parseMode);
       
       // Create current part with indicator
-      const currentPart = remainingText.substring(0, splitPoint).trim() + '\n\n' + splitIndicator;
-      parts.push(currentPart);
+      parts.push(head + '\n\n' + splitIndicator);
       
       // Update remaining text
-      remainingText = remainingText.substring(splitPoint).trim();
+      remainingText = tail;
     }
     
     return parts;
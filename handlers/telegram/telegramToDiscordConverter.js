@@ -0,0 +1,118 @@
+/**
+ * Telegram To Discord Converter - Telegram entities to Discord markdown
+ * The Bot API delivers formatting (including anything the sender typed as MarkdownV2)
+ * as message entities with UTF-16 offsets, which match JavaScript string indexes.
+ */
+class TelegramToDiscordConverter {
+  constructor() {
+    // Entity type -> [open, close] wrappers; others are handled in wrapEntity
+    this.simpleWrappers = {
+      bold: ['**', '**'],
+      italic: ['*', '*'],
+      underline: ['__', '__'],
+      strikethrough: ['~~', '~~'],
+      spoiler: ['||', '||'],
+      code: ['`', '`']
+    };
+  }
+
+  /**
+   * Escape characters Discord would otherwise treat as markdown
+   */
+  escapeDiscordMarkdown(text) {
+    if (!text) return '';
+    return text
+      .replace(/([\\*_~|`])/g, '\\$1')
+      .replace(/^(\s*)([>#-])/gm, '$1\\$2');
+  }
+
+  /**
+   * Convert text plus Telegram entities into Discord markdown
+   */
+  convert(text, entities = []) {
+    if (!text) return '';
+    const usable = (entities || [])
+      .filter(entity => entity && entity.length > 0 && entity.offset >= 0 && entity.offset + entity.length <= text.length)
+      .sort((a, b) => a.offset - b.offset || b.length - a.length);
+
+    return this.renderRange(text, usable, 0, text.length);
+  }
+
+  /**
+   * Render text[start, end) with the entities that fall inside it.
+   * Entities are nested in Telegram, so each top-level entity renders its children recursively.
+   */
+  renderRange(text, entities, start, end) {
+    let output = '';
+    let cursor = start;
+    let index = 0;
+
+    while (index < entities.length) {
+      const entity = entities[index];
+      const entityEnd = entity.offset + entity.length;
+
+      // Children: every following entity that starts inside this one
+      const children = [];
+      let next = index + 1;
+      while (next < entities.length && entities[next].offset < entityEnd) {
+        if (entities[next].offset + entities[next].length <= entityEnd) {
+          children.push(entities[next]);
+        }
+        next++;
+      }
+
+      if (entity.offset > cursor) {
+        output += this.escapeDiscordMarkdown(text.slice(cursor, entity.offset));
+      }
+      output += this.wrapEntity(entity, text, children);
+      cursor = entityEnd;
+      index = next;
+    }
+
+    if (cursor < end) {
+      output += this.escapeDiscordMarkdown(text.slice(cursor, end));
+    }
+    return output;
+  }
+
+  wrapEntity(entity, text, children) {
+    const rawText = text.slice(entity.offset, entity.offset + entity.length);
+
+    // Links would break if escaped
+    if (entity.type === 'url' || entity.type === 'email') {
+      return rawText;
+    }
+
+    // Code keeps its content verbatim
+    if (entity.type === 'pre') {
+      const language = entity.language ? entity.language.replace(/[^\w+#-]/g, '') : '';
+      return `\`\`\`${language}\n${rawText.replace(/```/g, '`\u200b``')}\n\`\`\``;
+    }
+    if (entity.type === 'code') {
+      return rawText.includes('`') ? `\`\` ${rawText} \`\`` : `\`${rawText}\``;
+    }
+
+    const inner = this.renderRange(text, children, entity.offset, entity.offset + entity.length);
+
+    if (this.simpleWrappers[entity.type]) {
+      const [open, close] = this.simpleWrappers[entity.type];
+      return `${open}${inner}${close}`;
+    }
+
+    switch (entity.type) {
+      case 'text_link':
+        return `[${inner}](${entity.url})`;
+      case 'blockquote':
+      case 'expandable_blockquote':
+        return inner.split('\n').map(line => `> ${line}`).join('\n');
+      case 'text_mention':
+        // Telegram users have no Discord counterpart; keep the visible name
+        return inner;
+      default:
+        // url, mention, hashtag, email, etc. are plain text on Discord
+        return inner;
+    }
+  }
+}
+
+module.exports = TelegramToDiscordConverter;
@@ -0,0 +1,147 @@
+const { logInfo, logSuccess, logError } = require('../../utils/logger');
+const { getBotSetting, setBotSetting } = require('../../utils/database');
+const { persistChatsFromUpdates } = require('../../utils/telegramChatTracker');
+
+const OFFSET_SETTING_KEY = 'telegram_update_offset';
+const LONG_POLL_TIMEOUT_SECONDS = 25;
+const IDLE_CHECK_MS = 60 * 1000;
+const ERROR_BACKOFF_MS = 5 * 1000;
+const CONFLICT_BACKOFF_MS = 30 * 1000;
+const ALLOWED_UPDATES = ['message', 'edited_message', 'channel_post', 'edited_channel_post', 'my_chat_member'];
+
+// Only one poller may call getUpdates at a time; discovery code checks this before polling itself
+let activePoller = null;
+
+function isTelegramUpdatePollingActive() {
+  return Boolean(activePoller && activePoller.polling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Telegram Update Poller - long-polls getUpdates and hands each update to a callback
+ * The confirmed offset is stored in bot_settings so a restart does not replay updates.
+ * Polling only runs while shouldPoll() is true, leaving getUpdates free for chat discovery otherwise.
+ */
+class TelegramUpdatePoller {
+  constructor(api, { onUpdate, shouldPoll = async () => true } = {}) {
+    this.api = api;
+    this.onUpdate = onUpdate;
+    this.shouldPoll = shouldPoll;
+    this.running = false;
+    this.polling = false;
+    this.offset = null;
+  }
+
+  start() {
+    if (this.running) return;
+    if (activePoller && activePoller !== this) {
+      activePoller.stop();
+    }
+    activePoller = this;
+    this.running = true;
+    this.loop().catch(error => {
+      logError('Telegram update poller stopped unexpectedly:', error);
+      this.running = false;
+      this.polling = false;
+    });
+    logSuccess('Telegram update poller started');
+  }
+
+  stop() {
+    this.running = false;
+    this.polling = false;
+    if (activePoller === this) {
+      activePoller = null;
+    }
+  }
+
+  async loadOffset() {
+    const stored = await getBotSetting(OFFSET_SETTING_KEY).catch(() => null);
+    const parsed = parseInt(stored, 10);
+    this.offset = Number.isFinite(parsed) ? parsed : null;
+  }
+
+  async saveOffset() {
+    try {
+      await setBotSetting(OFFSET_SETTING_KEY, String(this.offset));
+    } catch (error) {
+      logError('Failed to persist Telegram update offset:', error);
+    }
+  }
+
+  async loop() {
+    await this.loadOffset();
+
+    while (this.running) {
+      let wanted = false;
+      try {
+        wanted = await this.shouldPoll();
+      } catch (error) {
+        logError('Telegram update poller check failed:', error);
+      }
+
+      if (!wanted) {
+        if (this.polling) {
+          logInfo('Telegram update poller idle (no Telegram source configs)');
+        }
+        this.polling = false;
+        await sleep(IDLE_CHECK_MS);
+        continue;
+      }
+
+      this.polling = true;
+      await this.pollOnce();
+    }
+  }
+
+  async pollOnce() {
+    const params = {
+      timeout: LONG_POLL_TIMEOUT_SECONDS,
+      allowed_updates: ALLOWED_UPDATES
+    };
+    if (this.offset !== null) {
+      params.offset = this.offset;
+    }
+
+    let response;
+    try {
+      response = await this.api.callTelegramAPI('getUpdates', params, {
+        timeoutMs: (LONG_POLL_TIMEOUT_SECONDS + 10) * 1000
+      });
+    } catch (error) {
+      logError(`Telegram getUpdates failed: ${error.message}`);
+      await sleep(ERROR_BACKOFF_MS);
+      return;
+    }
+
+    if (!response || !response.ok) {
+      const isConflict = response && response.error_code === 409;
+      logError(`Telegram getUpdates error: ${response ? response.description : 'Unknown error'}`);
+      await sleep(isConflict ? CONFLICT_BACKOFF_MS : ERROR_BACKOFF_MS);
+      return;
+    }
+
+    const updates = Array.isArray(response.result) ? response.result : [];
+    if (updates.length === 0) return;
+
+    // Keep chat discovery working while this poller owns getUpdates
+    await persistChatsFromUpdates(updates);
+
+    for (const update of updates) {
+      try {
+        await this.onUpdate(update);
+      } catch (error) {
+        logError(`Error handling Telegram update ${update.update_id}:`, error);
+      }
+      this.offset = update.update_id + 1;
+    }
+
+    await this.saveOffset();
+  }
+}
+
+module.exports = TelegramUpdatePoller;
+module.exports.isTelegramUpdatePollingActive = isTelegramUpdatePollingActive;
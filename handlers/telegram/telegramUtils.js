@@ -1,5 +1,6 @@
 const { logInfo, logSuccess, logError } = require('../../utils/logger');
-const FormatConverter = require('../../utils/formatConverter');
+const { DEFAULT_TELEGRAM_PARSE_MODE, escapeTelegramText } = require('../../utils/telegramParseMode');
+const { createTelegramResultError } = require('./telegramAPI');
 
 /**
  * Telegram Utilities - Message chain management and helper functions
@@ -13,20 +14,20 @@ class TelegramUtils {
   /**
    * Edit message caption for media messages
    */
-  async editMessageCaption(chatId, messageId, newCaption) {
+  async editMessageCaption(chatId, messageId, newCaption, parseMode = DEFAULT_TELEGRAM_PARSE_MODE) {
     try {
       const result = await this.api.callTelegramAPI('editMessageCaption', {
         chat_id: chatId,
         message_id: parseInt(messageId),
         caption: newCaption,
-        parse_mode: 'MarkdownV2'
+        parse_mode: parseMode
       });
 
       if (result && result.ok) {
         logSuccess(`✏️ Edited message caption ${messageId} in chat ${chatId}`);
         return result.result;
       } else {
-        throw new Error(`Caption edit error: ${result ? result.description : 'Unknown error'}`);
+        throw createTelegramResultError('Caption edit error', result);
       }
     } catch (error) {
       logError('Error editing message caption:', error);
@@ -37,13 +38,13 @@ class TelegramUtils {
   /**
    * Edit message text for text-only messages
    */
-  async editMessageText(chatId, messageId, newText, disableWebPagePreview = false) {
+  async editMessageText(chatId, messageId, newText, disableWebPagePreview = false, parseMode = DEFAULT_TELEGRAM_PARSE_MODE) {
     try {
       const result = await this.api.callTelegramAPI('editMessageText', {
         chat_id: chatId,
         message_id: parseInt(messageId),
         text: newText,
-        parse_mode: 'MarkdownV2',
+        parse_mode: parseMode,
         disable_web_page_preview: disableWebPagePreview
       });
 
@@ -51,7 +52,7 @@ class TelegramUtils {
         logSuccess(`✏️ Edited message text ${messageId} in chat ${chatId}`);
         return result.result;
       } else {
-        throw new Error(`Text edit error: ${result ? result.description : 'Unknown error'}`);
+        throw createTelegramResultError('Text edit error', result);
       }
     } catch (error) {
       logError('Error editing message text:', error);
@@ -73,7 +74,7 @@ class TelegramUtils {
         logSuccess(`🗑️ Deleted message ${messageId} in chat ${chatId}`);
         return true;
       } else {
-        throw new Error(`Delete error: ${result ? result.description : 'Unknown error'}`);
+        throw createTelegramResultError('Delete error', result);
       }
     } catch (error) {
       logError('Error deleting message:', error);
@@ -87,14 +88,17 @@ class TelegramUtils {
    * @param {string[]} messageChain - Array of message IDs in the chain
    * @param {string} newFullText - New full text content
    * @param {boolean} hasMedia - Whether the first message in the chain is a media message (caption vs text)
+   * @param {Object} sendOptions - messageThreadId puts parts added to the chain in the chain's forum topic;
+   *   parseMode is the format the text was converted to
    */
-  async editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview = false) {
+  async editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview = false, sendOptions = {}) {
     try {
       const envConfig = require('../../config/config');
       const isDebugMode = envConfig.debugMode;
       const captionLengthLimit = envConfig.telegram?.captionLengthLimit || 900;
       const textLengthLimit = envConfig.telegram?.textLengthLimit || 4000;
       const firstMessageLimit = hasMedia ? captionLengthLimit : textLengthLimit;
+      const parseMode = sendOptions.parseMode || DEFAULT_TELEGRAM_PARSE_MODE;
 
       if (isDebugMode) {
         logInfo(`✏️ CHAIN EDIT: Editing message chain with ${messageChain.length} messages (hasMedia: ${hasMedia})`);
@@ -103,9 +107,9 @@ class TelegramUtils {
       // Helper to edit the first message based on its type
       const editFirstMessage = async (text) => {
         if (hasMedia) {
-          await this.editMessageCaption(chatId, messageChain[0], text);
+          await this.editMessageCaption(chatId, messageChain[0], text, parseMode);
         } else {
-          await this.editMessageText(chatId, messageChain[0], text, disableWebPagePreview);
+          await this.editMessageText(chatId, messageChain[0], text, disableWebPagePreview, parseMode);
         }
       };
 
@@ -133,17 +137,17 @@ class TelegramUtils {
         const textSplitter = new TelegramTextSplitter();
 
         // Split the first part to fit the first message (media caption or text)
-        const escapedSplitIndicator = FormatConverter.escapeMarkdownV2ForText(splitIndicator);
+        const escapedSplitIndicator = escapeTelegramText(splitIndicator, parseMode);
         const availableFirstLength = firstMessageLimit - escapedSplitIndicator.length - 10;
-        let firstSplitPoint = textSplitter.findOptimalSplitPoint(newFullText, availableFirstLength);
+        let firstSplitPoint = textSplitter.findOptimalSplitPoint(newFullText, availableFirstLength, parseMode);
         if (!firstSplitPoint || firstSplitPoint <= 0) {
           firstSplitPoint = Math.max(1, Math.min(availableFirstLength, newFullText.length));
         }
-        const firstPart = newFullText.substring(0, firstSplitPoint).trim() + '\n\n' + escapedSplitIndicator;
-        const afterFirst = newFullText.substring(firstSplitPoint).trim();
+        const { head, tail: afterFirst } = textSplitter.splitAt(newFullText, firstSplitPoint, parseMode);
+        const firstPart = head + '\n\n' + escapedSplitIndicator;
 
         // Split the remainder into N secondary parts using the standard text limit
-        const secondaryParts = textSplitter.splitLongText(afterFirst, textLengthLimit, escapedSplitIndicator);
+        const secondaryParts = textSplitter.splitLongText(afterFirst, textLengthLimit, escapedSplitIndicator, parseMode);
 
         const totalParts = 1 + secondaryParts.length; // first message + secondary parts
         if (isDebugMode) {
@@ -162,16 +166,20 @@ class TelegramUtils {
 
           if (existingIndex < messageChain.length) {
             // Edit existing message
-            await this.editMessageText(chatId, messageChain[existingIndex], secondaryParts[i], disableWebPagePreview);
+            await this.editMessageText(chatId, messageChain[existingIndex], secondaryParts[i], disableWebPagePreview, parseMode);
             newChain.push(messageChain[existingIndex]);
           } else {
             // Create new message
-            const textResult = await this.api.callTelegramAPI('sendMessage', {
+            const textPayload = {
               chat_id: chatId,
               text: secondaryParts[i],
-              parse_mode: 'MarkdownV2',
+              parse_mode: parseMode,
               disable_web_page_preview: disableWebPagePreview
-            });
+            };
+            if (sendOptions.messageThreadId) {
+              textPayload.message_thread_id = Number(sendOptions.messageThreadId);
+            }
+            const textResult = await this.api.callTelegramAPI('sendMessage', textPayload);
 
             if (textResult && textResult.ok) {
               newChain.push(textResult.result.message_id.toString());
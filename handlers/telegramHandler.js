@@ -1,10 +1,13 @@
 const { logInfo, logSuccess, logError } = require('../utils/logger');
 const TelegramAPI = require('./telegram/telegramAPI');
+const { createTelegramResultError } = require('./telegram/telegramAPI');
 const TelegramConverter = require('./telegram/telegramConverter');
 const TelegramMessageSender = require('./telegram/telegramMessageSender');
 const TelegramUtils = require('./telegram/telegramUtils');
 const TelegramMediaHandler = require('./telegram/telegramMediaHandler');
 const TelegramTextSplitter = require('./telegram/telegramTextSplitter');
+const { getForwardedReplyParent } = require('../utils/replyContext');
+const { getTelegramParseMode, toTelegramPlainText } = require('../utils/telegramParseMode');
 
 /**
  * Telegram Bot API Handler for ProForwarder
@@ -61,12 +64,12 @@ class TelegramHandler {
     return /(WEBPAGE_MEDIA_EMPTY|WEBPAGE_CURL_FAILED)/i.test(String(errorMessage || ''));
   }
 
-  async sendPlainTextMessage(chatId, text, disableWebPagePreview = false, replyMarkup = null) {
-    const payload = {
+  async sendPlainTextMessage(chatId, text, disableWebPagePreview = false, replyMarkup = null, sendOptions = {}) {
+    const payload = this.messageSender.applySendOptions({
       chat_id: chatId,
       text: text,
       disable_web_page_preview: disableWebPagePreview
-    };
+    }, sendOptions);
 
     if (replyMarkup) {
       payload.reply_markup = replyMarkup;
@@ -77,10 +80,10 @@ class TelegramHandler {
       return result.result;
     }
 
-    throw new Error(`Telegram API error (plain text fallback): ${result ? result.description : 'Unknown error'}`);
+    throw createTelegramResultError('Telegram API error (plain text fallback)', result);
   }
 
-  async sendPlainTextSplit(chatId, fullText, disableWebPagePreview = false) {
+  async sendPlainTextSplit(chatId, fullText, disableWebPagePreview = false, sendOptions = {}) {
     const envConfig = require('../config/config');
     const textLengthLimit = envConfig.telegram?.textLengthLimit || 4000;
     const splitIndicator = '...(continued)';
@@ -88,7 +91,7 @@ class TelegramHandler {
     const sentMessages = [];
 
     for (let i = 0; i < parts.length; i++) {
-      const messageResult = await this.sendPlainTextMessage(chatId, parts[i], disableWebPagePreview, null);
+      const messageResult = await this.sendPlainTextMessage(chatId, parts[i], disableWebPagePreview, null, i === 0 ? sendOptions : this.messageSender.getFollowUpOptions(sendOptions));
       sentMessages.push(messageResult);
     }
 
@@ -103,30 +106,31 @@ class TelegramHandler {
     };
   }
 
-  async sendTextWithFallback(chatId, text, disableWebPagePreview = false, replyMarkup = null) {
+  async sendTextWithFallback(chatId, text, disableWebPagePreview = false, replyMarkup = null, sendOptions = {}) {
     const envConfig = require('../config/config');
     const textLengthLimit = envConfig.telegram?.textLengthLimit || 4000;
+    const parseMode = this.messageSender.getParseMode(sendOptions);
 
     if (text.length > textLengthLimit) {
       try {
-        return await this.messageSender.sendLongTextMessage(chatId, text, disableWebPagePreview);
+        return await this.messageSender.sendLongTextMessage(chatId, text, disableWebPagePreview, sendOptions);
       } catch (error) {
         const errorMessage = this.getTelegramErrorMessage(error);
         if (!this.isMarkdownEntityError(errorMessage)) {
           throw error;
         }
 
-        logInfo(`Telegram MarkdownV2 split send failed, retrying plain text split fallback: ${errorMessage}`);
-        return await this.sendPlainTextSplit(chatId, text, disableWebPagePreview);
+        logInfo(`Telegram ${parseMode} split send failed, retrying plain text split fallback: ${errorMessage}`);
+        return await this.sendPlainTextSplit(chatId, toTelegramPlainText(text, parseMode), disableWebPagePreview, sendOptions);
       }
     }
 
-    const markdownPayload = {
+    const markdownPayload = this.messageSender.applySendOptions({
       chat_id: chatId,
       text: text,
-      parse_mode: 'MarkdownV2',
+      parse_mode: parseMode,
       disable_web_page_preview: disableWebPagePreview
-    };
+    }, sendOptions);
 
     if (replyMarkup) {
       markdownPayload.reply_markup = replyMarkup;
@@ -139,17 +143,37 @@ class TelegramHandler {
 
     const apiError = markdownResult ? markdownResult.description : 'Unknown error';
     if (!this.isMarkdownEntityError(apiError)) {
-      throw new Error(`Telegram API error: ${apiError}`);
+      throw createTelegramResultError('Telegram API error', markdownResult);
     }
 
-    logInfo(`Telegram MarkdownV2 send failed, retrying plain text fallback: ${apiError}`);
-    return await this.sendPlainTextMessage(chatId, text, disableWebPagePreview, replyMarkup);
+    logInfo(`Telegram ${parseMode} send failed, retrying plain text fallback: ${apiError}`);
+    return await this.sendPlainTextMessage(chatId, toTelegramPlainText(text, parseMode), disableWebPagePreview, replyMarkup, sendOptions);
+  }
+
+  /**
+   * Send options for a config's target: its parse mode and forum topic, if any
+   */
+  getTargetSendOptions(config = {}) {
+    const sendOptions = { parseMode: getTelegramParseMode(config) };
+    if (config && config.targetTopicId) {
+      sendOptions.messageThreadId = config.targetTopicId;
+    }
+    return sendOptions;
   }
 
   /**
    * Send message to Telegram chat with enhanced chain support
    */
   async sendMessage(chatId, message, config = {}) {
+    const { telegramResult } = await this.sendMessageWithOutcomes(chatId, message, config);
+    return telegramResult;
+  }
+
+  /**
+   * sendMessage that also returns what happened to each attachment:
+   * { telegramResult, attachmentOutcomes }. Uploads are 'dropped' when the send falls back to text.
+   */
+  async sendMessageWithOutcomes(chatId, message, config = {}) {
     if (!this.initialized) {
       throw new Error('Telegram handler not initialized');
     }
@@ -157,6 +181,17 @@ class TelegramHandler {
     try {
       // Convert Discord message to Telegram format
       const telegramMessage = await this.converter.convertDiscordMessage(message, config);
+      const attachmentOutcomes = telegramMessage.attachmentOutcomes || [];
+      const textOnlyOutcomes = () => attachmentOutcomes.map(entry => (
+        entry.outcome === 'uploaded' ? { ...entry, outcome: 'dropped' } : entry
+      ));
+
+      // Replies point at the forwarded parent when this config forwarded it
+      const sendOptions = this.getTargetSendOptions(config);
+      const replyParent = await getForwardedReplyParent(message, config);
+      if (replyParent) {
+        sendOptions.replyToMessageId = replyParent.forwardedMessageId;
+      }
       
       const envConfig = require('../config/config');
       const isDebugMode = envConfig.debugMode;
@@ -183,19 +218,17 @@ class TelegramHandler {
             chatId,
             telegramMessage.text,
             disablePreview,
-            telegramMessage.replyMarkup || null
+            telegramMessage.replyMarkup || null,
+            sendOptions
           );
           logSuccess(`✅ Message sent to Telegram chat ${chatId} as text-only fallback (embed media filtered)`);
-          return fallbackResult;
+          return { telegramResult: fallbackResult, attachmentOutcomes: textOnlyOutcomes() };
         }
 
         // Send media with caption; if Telegram formatting/preview errors occur, fallback to text-only.
         try {
-          const result = await this.messageSender.sendMediaWithCaption(chatId, telegramMessage.media, telegramMessage.text);
-          if (result.isSplit && result.messageChain) {
-            return result;
-          }
-          return result;
+          const result = await this.messageSender.sendMediaWithCaption(chatId, telegramMessage.media, telegramMessage.text, sendOptions);
+          return { telegramResult: result, attachmentOutcomes };
         } catch (mediaError) {
           const mediaErrorMessage = this.getTelegramErrorMessage(mediaError);
           const canFallback = this.isMarkdownEntityError(mediaErrorMessage) || this.isWebPreviewMediaError(mediaErrorMessage);
@@ -205,12 +238,14 @@ class TelegramHandler {
           }
 
           logInfo(`Telegram media send failed, retrying as text-only fallback: ${mediaErrorMessage}`);
-          return await this.sendTextWithFallback(
+          const fallbackResult = await this.sendTextWithFallback(
             chatId,
             telegramMessage.text,
             true,
-            telegramMessage.replyMarkup || null
+            telegramMessage.replyMarkup || null,
+            sendOptions
           );
+          return { telegramResult: fallbackResult, attachmentOutcomes: textOnlyOutcomes() };
         }
       } else {
         if (isDebugMode) {
@@ -223,11 +258,12 @@ class TelegramHandler {
           chatId,
           telegramMessage.text,
           telegramMessage.disableWebPagePreview || false,
-          telegramMessage.replyMarkup || null
+          telegramMessage.replyMarkup || null,
+          sendOptions
         );
 
-        logSuccess(`✅ Message sent to Telegram chat ${chatId} (with MarkdownV2 fallback protection)`);
-        return result;
+        logSuccess(`✅ Message sent to Telegram chat ${chatId} (with ${sendOptions.parseMode} fallback protection)`);
+        return { telegramResult: result, attachmentOutcomes };
       }
     } catch (error) {
       logError('Error sending Telegram message:', error);
@@ -238,45 +274,45 @@ class TelegramHandler {
   /**
    * Send media with caption (supports formatted text with smart length handling)
    */
-  async sendMediaWithCaption(chatId, media, caption) {
-    return await this.messageSender.sendMediaWithCaption(chatId, media, caption);
+  async sendMediaWithCaption(chatId, media, caption, sendOptions = {}) {
+    return await this.messageSender.sendMediaWithCaption(chatId, media, caption, sendOptions);
   }
 
   /**
    * Handle long captions by intelligently splitting them
    * Returns message chain for proper tracking
    */
-  async sendMediaWithLongCaption(chatId, media, fullCaption) {
-    return await this.messageSender.sendMediaWithLongCaption(chatId, media, fullCaption);
+  async sendMediaWithLongCaption(chatId, media, fullCaption, sendOptions = {}) {
+    return await this.messageSender.sendMediaWithLongCaption(chatId, media, fullCaption, sendOptions);
   }
 
   /**
    * Handle long text messages by intelligently splitting them
    * Returns message chain for proper tracking
    */
-  async sendLongTextMessage(chatId, fullText, disableWebPagePreview = false) {
-    return await this.messageSender.sendLongTextMessage(chatId, fullText, disableWebPagePreview);
+  async sendLongTextMessage(chatId, fullText, disableWebPagePreview = false, sendOptions = {}) {
+    return await this.messageSender.sendLongTextMessage(chatId, fullText, disableWebPagePreview, sendOptions);
   }
 
   /**
    * Send media separately with header, then send full content as text
    */
-  async sendMediaSeparately(chatId, media, fullContent) {
-    return await this.messageSender.sendMediaSeparately(chatId, media, fullContent);
+  async sendMediaSeparately(chatId, media, fullContent, sendOptions = {}) {
+    return await this.messageSender.sendMediaSeparately(chatId, media, fullContent, sendOptions);
   }
 
   /**
    * Edit message caption for media messages
    */
-  async editMessageCaption(chatId, messageId, newCaption) {
-    return await this.utils.editMessageCaption(chatId, messageId, newCaption);
+  async editMessageCaption(chatId, messageId, newCaption, parseMode) {
+    return await this.utils.editMessageCaption(chatId, messageId, newCaption, parseMode);
   }
 
   /**
    * Edit message text for text-only messages
    */
-  async editMessageText(chatId, messageId, newText, disableWebPagePreview = false) {
-    return await this.utils.editMessageText(chatId, messageId, newText, disableWebPagePreview);
+  async editMessageText(chatId, messageId, newText, disableWebPagePreview = false, parseMode) {
+    return await this.utils.editMessageText(chatId, messageId, newText, disableWebPagePreview, parseMode);
   }
 
   /**
@@ -289,8 +325,8 @@ class TelegramHandler {
   /**
    * Handle editing of split messages (message chains)
    */
-  async editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview = false) {
-    return await this.utils.editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview);
+  async editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview = false, sendOptions = {}) {
+    return await this.utils.editMessageChain(chatId, messageChain, newFullText, hasMedia, disableWebPagePreview, sendOptions);
   }
 
   /**
@@ -303,8 +339,8 @@ class TelegramHandler {
   /**
    * Send media group to Telegram
    */
-  async sendMediaGroup(chatId, media) {
-    return await this.messageSender.sendMediaGroup(chatId, media);
+  async sendMediaGroup(chatId, media, sendOptions = {}) {
+    return await this.messageSender.sendMediaGroup(chatId, media, sendOptions);
   }
 
   /**
@@ -324,8 +360,8 @@ class TelegramHandler {
   /**
    * Make API call to Telegram Bot API
    */
-  async callTelegramAPI(method, params = {}) {
-    return await this.api.callTelegramAPI(method, params);
+  async callTelegramAPI(method, params = {}, options = {}) {
+    return await this.api.callTelegramAPI(method, params, options);
   }
 
   /**
@@ -336,9 +372,9 @@ class TelegramHandler {
   }
 
   /**
-   * Test Telegram functionality
+   * Test Telegram functionality with a config's target options (targetTopicId, telegramParseMode)
    */
-  async testTelegram(chatId) {
+  async testTelegram(chatId, targetOptions = {}) {
     if (!this.initialized) {
       return { error: 'Telegram handler not initialized' };
     }
@@ -353,7 +389,7 @@ class TelegramHandler {
         guild: { name: 'Test Server' }
       };
 
-      const result = await this.sendMessage(chatId, testMessage);
+      const result = await this.sendMessage(chatId, testMessage, targetOptions);
       return { success: true, messageId: result.message_id || result.result?.message_id };
     } catch (error) {
       logError('Telegram test failed:', error);
@@ -0,0 +1,455 @@
+const { logInfo, logSuccess, logError } = require('../utils/logger');
+const {
+  logForwardedMessage,
+  logMessageChain,
+  getMessageLogsByOriginalMessage,
+  getMessageChain,
+  updateMessageChain,
+  recordAttachmentOutcomes,
+  MESSAGE_STATUS
+} = require('../utils/database');
+const { loadForwardConfigs, getForwardConfigsForTelegramChat, getForwardConfigById } = require('../utils/configManager');
+const { sendWebhookPayload, editWebhookPayload, deleteWebhookPayload, processMentions } = require('../utils/webhookManager');
+const { hasPassedThrough, addHopMarker } = require('../utils/hopMarker');
+const TelegramAPI = require('./telegram/telegramAPI');
+const TelegramToDiscordConverter = require('./telegram/telegramToDiscordConverter');
+const TelegramUpdatePoller = require('./telegram/telegramUpdatePoller');
+
+const DISCORD_CONTENT_LIMIT = 2000;
+const DISCORD_USERNAME_LIMIT = 80;
+const MEDIA_GROUP_WAIT_MS = 1500;
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024; // Bot API getFile limit
+
+/**
+ * Telegram Source Handler - mirrors Telegram chats/channels into Discord
+ * Receives updates through TelegramUpdatePoller, converts entities to Discord markdown,
+ * re-uploads media as attachments and posts through the channel webhook as the Telegram author.
+ * Message logs use the Telegram message_id/chat id as originalMessageId/originalChannelId
+ * (originalServerId stays null) so edits can be mapped back to the Discord copies.
+ */
+class TelegramSourceHandler {
+  constructor(client) {
+    this.client = client;
+    this.api = new TelegramAPI();
+    this.converter = new TelegramToDiscordConverter();
+    this.poller = null;
+    this.mediaGroups = new Map(); // `${chatId}:${mediaGroupId}` -> { messages, timer }
+  }
+
+  async initialize() {
+    const initialized = await this.api.initialize();
+    if (!initialized) {
+      return false;
+    }
+
+    this.poller = new TelegramUpdatePoller(this.api, {
+      onUpdate: update => this.handleUpdate(update),
+      shouldPoll: () => this.hasActiveSourceConfigs()
+    });
+    this.poller.start();
+    return true;
+  }
+
+  stop() {
+    if (this.poller) {
+      this.poller.stop();
+    }
+  }
+
+  async hasActiveSourceConfigs() {
+    const configs = await loadForwardConfigs();
+    return configs.some(config => config.sourceType === 'telegram' && config.enabled !== false);
+  }
+
+  async handleUpdate(update) {
+    const post = update.channel_post || update.message;
+    if (post) {
+      await this.handleNewMessage(post);
+      return;
+    }
+
+    const edited = update.edited_channel_post || update.edited_message;
+    if (edited) {
+      await this.handleEditedMessage(edited);
+    }
+  }
+
+  async handleNewMessage(telegramMessage) {
+    const configs = await getForwardConfigsForTelegramChat(telegramMessage.chat.id);
+    if (configs.length === 0) return;
+
+    // Albums arrive as separate messages sharing media_group_id; collect them into one Discord post
+    if (telegramMessage.media_group_id) {
+      const key = `${telegramMessage.chat.id}:${telegramMessage.media_group_id}`;
+      const group = this.mediaGroups.get(key) || { messages: [], timer: null };
+      group.messages.push(telegramMessage);
+      clearTimeout(group.timer);
+      group.timer = setTimeout(() => {
+        this.mediaGroups.delete(key);
+        this.forwardTelegramMessages(group.messages).catch(error => {
+          logError(`Error forwarding Telegram media group ${key}:`, error);
+        });
+      }, MEDIA_GROUP_WAIT_MS);
+      this.mediaGroups.set(key, group);
+      return;
+    }
+
+    await this.forwardTelegramMessages([telegramMessage]);
+  }
+
+  /**
+   * Forward one Telegram message (or one album) to every Discord target configured for its chat
+   */
+  async forwardTelegramMessages(telegramMessages) {
+    const sorted = [...telegramMessages].sort((a, b) => a.message_id - b.message_id);
+    // Edits target the message carrying the text/caption, so log the mapping against it
+    const primary = sorted.find(msg => msg.text || msg.caption) || sorted[0];
+    const chatId = String(primary.chat.id);
+
+    const configs = await getForwardConfigsForTelegramChat(chatId);
+    if (configs.length === 0) return;
+
+    const content = this.convertMessageText(primary);
+    const { files, outcomes } = await this.collectFiles(sorted);
+    const username = this.getAuthorName(primary);
+
+    for (const config of configs) {
+      // A copy that already passed through this config has come back around a loop
+      if (hasPassedThrough(content, config.id)) {
+        logInfo(`Skipping Telegram message ${primary.message_id}: already forwarded by config ${config.id} (forwarding loop)`);
+        continue;
+      }
+
+      try {
+        const targetChannel = await this.getTargetChannel(config);
+        // The upload limit differs per target guild, so each config records its own outcomes
+        const configOutcomes = outcomes.map(entry => ({ ...entry }));
+        const sentMessages = await this.sendToDiscord(targetChannel, config, {
+          content: this.buildDiscordContent(content, configOutcomes, config),
+          username,
+          files,
+          outcomes: configOutcomes
+        });
+
+        const sentIds = sentMessages.map(msg => msg.id);
+        if (sentIds.length > 1) {
+          await logMessageChain(
+            String(primary.message_id),
+            chatId,
+            null,
+            sentIds,
+            targetChannel.id,
+            targetChannel.guild.id,
+            config.id
+          );
+        } else {
+          await logForwardedMessage(
+            String(primary.message_id),
+            chatId,
+            null,
+            sentIds[0],
+            targetChannel.id,
+            targetChannel.guild.id,
+            config.id
+          );
+        }
+        // Notes for files that did not make it are rebuilt from these when the message is edited
+        await recordAttachmentOutcomes(String(primary.message_id), config.id, configOutcomes);
+        logSuccess(`Forwarded Telegram message ${primary.message_id} from ${chatId} via config ${config.id}`);
+      } catch (error) {
+        logError(`Failed to forward Telegram message ${primary.message_id} via config ${config.id}: ${error.message}`);
+        try {
+          await logForwardedMessage(
+            String(primary.message_id),
+            chatId,
+            null,
+            null,
+            config.targetChannelId,
+            config.targetServerId,
+            config.id,
+            MESSAGE_STATUS.FAILED,
+            error.message
+          );
+        } catch (dbLogError) {
+          logError('Error logging failed Telegram forward:', dbLogError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Mirror a Telegram edit onto the Discord copies. Only text/captions are updated;
+   * replaced media is not re-uploaded. The copy is re-split, posting or deleting parts as needed.
+   */
+  async handleEditedMessage(telegramMessage) {
+    const chatId = String(telegramMessage.chat.id);
+    const logs = (await getMessageLogsByOriginalMessage(String(telegramMessage.message_id)))
+      .filter(log => String(log.originalChannelId) === chatId && !log.originalServerId);
+    if (logs.length === 0) return;
+
+    const content = this.convertMessageText(telegramMessage);
+    const handledConfigs = new Set();
+
+    for (const log of logs) {
+      if (handledConfigs.has(log.configId)) continue;
+      handledConfigs.add(log.configId);
+
+      const config = await getForwardConfigById(log.configId);
+      if (!config || config.sourceType !== 'telegram' || config.enabled === false) continue;
+
+      try {
+        const targetChannel = await this.getTargetChannel(config);
+        const chain = await getMessageChain(log.originalMessageId, log.configId);
+        const primaryLog = chain[0] || log;
+        const forwardedIds = chain.length > 0
+          ? chain.map(entry => entry.forwardedMessageId)
+          : [log.forwardedMessageId];
+        const outcomes = this.parseAttachmentOutcomes(primaryLog.attachmentOutcomes);
+        const mentionResult = processMentions(this.buildDiscordContent(content, outcomes, config), config, targetChannel, this.client.user?.id);
+        const chunks = this.splitContent(mentionResult.content);
+
+        const updatedIds = [];
+        for (let i = 0; i < forwardedIds.length; i++) {
+          if (i < chunks.length) {
+            await editWebhookPayload(targetChannel, forwardedIds[i], {
+              content: chunks[i],
+              allowedMentions: mentionResult.allowedMentions
+            });
+            updatedIds.push(forwardedIds[i]);
+          } else if (i > 0) {
+            // Edited text is shorter than before; drop the surplus parts
+            await deleteWebhookPayload(targetChannel, forwardedIds[i]);
+          } else {
+            // The first part keeps the attachments even when the text is gone
+            updatedIds.push(forwardedIds[i]);
+          }
+        }
+        for (let i = forwardedIds.length; i < chunks.length; i++) {
+          // Edited text is longer than before; post the extra parts after the copy
+          const sent = await sendWebhookPayload(targetChannel, {
+            content: chunks[i],
+            username: this.getAuthorName(telegramMessage),
+            allowedMentions: mentionResult.allowedMentions
+          });
+          updatedIds.push(sent.id);
+        }
+
+        if (updatedIds.length !== forwardedIds.length && chain.length > 0) {
+          await updateMessageChain(log.originalMessageId, log.configId, updatedIds);
+        }
+      } catch (error) {
+        logError(`Failed to sync Telegram edit ${telegramMessage.message_id} via config ${log.configId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Discord text for a Telegram message: the converted text, notes for files that were not
+   * uploaded, and the hop marker
+   */
+  buildDiscordContent(content, outcomes, config) {
+    const notes = [...new Set(outcomes.filter(entry => entry.note).map(entry => entry.note))];
+    return addHopMarker(notes.length ? [content, ...notes].filter(Boolean).join('\n') : content, content, config);
+  }
+
+  parseAttachmentOutcomes(value) {
+    if (!value) return [];
+    try {
+      const outcomes = JSON.parse(value);
+      return Array.isArray(outcomes) ? outcomes : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  convertMessageText(telegramMessage) {
+    if (telegramMessage.text) {
+      return this.converter.convert(telegramMessage.text, telegramMessage.entities);
+    }
+    if (telegramMessage.caption) {
+      return this.converter.convert(telegramMessage.caption, telegramMessage.caption_entities);
+    }
+    return '';
+  }
+
+  getAuthorName(telegramMessage) {
+    let name = '';
+    if (telegramMessage.author_signature) {
+      name = telegramMessage.author_signature;
+    } else if (telegramMessage.sender_chat) {
+      name = telegramMessage.sender_chat.title || '';
+    } else if (telegramMessage.from) {
+      name = [telegramMessage.from.first_name, telegramMessage.from.last_name].filter(Boolean).join(' ')
+        || telegramMessage.from.username
+        || '';
+    }
+    if (!name) {
+      name = telegramMessage.chat.title || 'Telegram';
+    }
+    return name.slice(0, DISCORD_USERNAME_LIMIT);
+  }
+
+  /**
+   * Pick the downloadable file of a Telegram message, if any
+   */
+  getMessageFile(telegramMessage) {
+    const id = telegramMessage.message_id;
+    if (Array.isArray(telegramMessage.photo) && telegramMessage.photo.length > 0) {
+      const largest = telegramMessage.photo[telegramMessage.photo.length - 1];
+      return { fileId: largest.file_id, fileSize: largest.file_size, name: `photo_${id}.jpg` };
+    }
+    if (telegramMessage.animation) {
+      const file = telegramMessage.animation;
+      return { fileId: file.file_id, fileSize: file.file_size, name: file.file_name || `animation_${id}.mp4` };
+    }
+    if (telegramMessage.video) {
+      const file = telegramMessage.video;
+      return { fileId: file.file_id, fileSize: file.file_size, name: file.file_name || `video_${id}.mp4` };
+    }
+    if (telegramMessage.video_note) {
+      const file = telegramMessage.video_note;
+      return { fileId: file.file_id, fileSize: file.file_size, name: `video_note_${id}.mp4` };
+    }
+    if (telegramMessage.voice) {
+      const file = telegramMessage.voice;
+      return { fileId: file.file_id, fileSize: file.file_size, name: `voice_${id}.ogg` };
+    }
+    if (telegramMessage.audio) {
+      const file = telegramMessage.audio;
+      return { fileId: file.file_id, fileSize: file.file_size, name: file.file_name || `audio_${id}.mp3` };
+    }
+    if (telegramMessage.document) {
+      const file = telegramMessage.document;
+      return { fileId: file.file_id, fileSize: file.file_size, name: file.file_name || `document_${id}` };
+    }
+    if (telegramMessage.sticker && !telegramMessage.sticker.is_animated) {
+      const file = telegramMessage.sticker;
+      const extension = file.is_video ? 'webm' : 'webp';
+      return { fileId: file.file_id, fileSize: file.file_size, name: `sticker_${id}.${extension}` };
+    }
+    return null;
+  }
+
+  /**
+   * Download media into Buffers for Discord attachments. Returns the files and one outcome
+   * per file ({ name, size, outcome, note }); files that cannot be fetched carry a note for the text.
+   */
+  async collectFiles(telegramMessages) {
+    const files = [];
+    const outcomes = [];
+
+    for (const telegramMessage of telegramMessages) {
+      if (telegramMessage.sticker && telegramMessage.sticker.is_animated) {
+        const emoji = telegramMessage.sticker.emoji ? ` ${telegramMessage.sticker.emoji}` : '';
+        outcomes.push({
+          name: `sticker_${telegramMessage.message_id}.tgs`,
+          size: telegramMessage.sticker.file_size,
+          outcome: 'dropped',
+          note: `*[Sticker${emoji}]*`
+        });
+        continue;
+      }
+
+      const file = this.getMessageFile(telegramMessage);
+      if (!file) continue;
+      const entry = { name: file.name, size: file.fileSize };
+
+      if (file.fileSize && file.fileSize > TELEGRAM_DOWNLOAD_LIMIT) {
+        outcomes.push({ ...entry, outcome: 'dropped', note: `*[${file.name} is too large to mirror from Telegram]*` });
+        continue;
+      }
+      if (files.length >= 10) {
+        outcomes.push({ ...entry, outcome: 'dropped' });
+        continue;
+      }
+
+      try {
+        const telegramFile = await this.api.getFile(file.fileId);
+        const buffer = await this.api.downloadFile(telegramFile.file_path, TELEGRAM_DOWNLOAD_LIMIT);
+        files.push({ attachment: buffer, name: file.name });
+        outcomes.push({ ...entry, size: file.fileSize || buffer.length, outcome: 'uploaded' });
+      } catch (error) {
+        logError(`Failed to download Telegram file ${file.name}: ${error.message}`);
+        outcomes.push({ ...entry, outcome: 'dropped', note: `*[${file.name} could not be downloaded from Telegram]*` });
+      }
+    }
+
+    return { files, outcomes };
+  }
+
+  splitContent(content) {
+    if (!content) return [];
+    const chunks = [];
+    let remaining = content;
+    while (remaining.length > DISCORD_CONTENT_LIMIT) {
+      let cut = remaining.lastIndexOf('\n', DISCORD_CONTENT_LIMIT);
+      if (cut <= 0) cut = remaining.lastIndexOf(' ', DISCORD_CONTENT_LIMIT);
+      if (cut <= 0) cut = DISCORD_CONTENT_LIMIT;
+      chunks.push(remaining.slice(0, cut));
+      remaining = remaining.slice(cut).replace(/^\n/, '');
+    }
+    if (remaining) chunks.push(remaining);
+    return chunks;
+  }
+
+  /**
+   * Send content (split at Discord's limit) with files attached to the first part.
+   * Returns the sent Discord messages in order. Files refused by the upload limit are
+   * marked dropped in `outcomes`.
+   */
+  async sendToDiscord(targetChannel, config, { content, username, files, outcomes = [] }) {
+    const mentionResult = processMentions(content, config, targetChannel, this.client.user?.id);
+    const chunks = this.splitContent(mentionResult.content);
+    if (chunks.length === 0 && files.length === 0) {
+      chunks.push('*[Message with unsupported content]*');
+    }
+
+    const sent = [];
+    const partCount = Math.max(chunks.length, 1);
+    for (let i = 0; i < partCount; i++) {
+      const options = {
+        content: chunks[i] || undefined,
+        username,
+        allowedMentions: mentionResult.allowedMentions
+      };
+      if (i === 0 && files.length > 0) {
+        options.files = files;
+      }
+
+      try {
+        sent.push(await sendWebhookPayload(targetChannel, options));
+      } catch (error) {
+        // 40005: attachments exceed the guild upload limit; post the text with a note instead
+        if (error.code !== 40005 || !options.files) {
+          throw error;
+        }
+        const note = `*[${options.files.length} attachment(s) exceeded this server's upload limit]*`;
+        for (const entry of outcomes) {
+          if (entry.outcome === 'uploaded') Object.assign(entry, { outcome: 'dropped', note });
+        }
+        delete options.files;
+        // The note can push a full-length part over the limit; re-split so it spills into its own message
+        const withNote = options.content ? `${options.content}\n${note}` : note;
+        for (const part of this.splitContent(withNote)) {
+          sent.push(await sendWebhookPayload(targetChannel, { ...options, content: part }));
+        }
+      }
+    }
+    return sent;
+  }
+
+  async getTargetChannel(config) {
+    const guild = this.client.guilds.cache.get(config.targetServerId);
+    if (!guild) {
+      throw new Error(`Target guild ${config.targetServerId} not found`);
+    }
+    const channel = guild.channels.cache.get(config.targetChannelId)
+      || await guild.channels.fetch(config.targetChannelId).catch(() => null);
+    if (!channel) {
+      throw new Error(`Target channel ${config.targetChannelId} not found in guild ${guild.name}`);
+    }
+    return channel;
+  }
+}
+
+module.exports = TelegramSourceHandler;
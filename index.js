@@ -16,7 +16,7 @@ if (!fs.existsSync('./config/config.js')) {
 }
 require("./errorHandlers");
 
-const { Client, GatewayIntentBits } = require("discord.js");
+const { Client, GatewayIntentBits, Partials } = require("discord.js");
 const { exec, close, setMaintenanceReaderBotClient } = require('./utils/database');
 const { logInfo, logSuccess, logError } = require('./utils/logger');
 const config = require('./config/config');
@@ -24,7 +24,7 @@ const {
   proforwarderCommand,
   handleProforwarderCommand
 } = require('./commands/proforwarderCommand');
-const { handleMessageCreate, handleMessageUpdate, handleMessageDelete } = require('./events/messageEvents');
+const { handleMessageCreate, handleMessageUpdate, handleMessageDelete, handleReactionChange, handleApprovalInteraction, initializeForwardHandler } = require('./events/messageEvents');
 let startWebAdminServer = () => null;
 let stopWebAdminServer = async () => {};
 try {
@@ -43,13 +43,17 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent
   ],
+  // Reactions on messages sent before startup arrive as partials
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction]
 });
 
 // Reader Bot instance
 let readerBot = null;
 let webAdminServer = null;
+let telegramSourceHandler = null;
 
 // Event Handlers
 client.on("messageCreate", async (message) => {
@@ -64,8 +68,30 @@ client.on("messageDelete", async (message) => {
   await handleMessageDelete(message, client);
 });
 
+client.on("messageReactionAdd", async (reaction, user) => {
+  await handleReactionChange(reaction, user, client);
+});
+
+client.on("messageReactionRemove", async (reaction, user) => {
+  await handleReactionChange(reaction, user, client);
+});
+
+client.on("messageReactionRemoveAll", async (message) => {
+  await handleReactionChange(message, null, client);
+});
+
+client.on("messageReactionRemoveEmoji", async (reaction) => {
+  await handleReactionChange(reaction, null, client);
+});
+
 
 client.on("interactionCreate", async (interaction) => {
+  // Approval review buttons and the edit modal
+  if (interaction.isButton() || interaction.isModalSubmit()) {
+    await handleApprovalInteraction(interaction, client);
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   if (interaction.commandName === 'proforwarder') {
@@ -150,6 +176,13 @@ client.on("clientReady", async () => {
     logInfo('Startup log maintenance disabled');
   }
 
+  // Start the forward handler now so retries queued before a restart resume without waiting for new messages
+  try {
+    await initializeForwardHandler(client);
+  } catch (error) {
+    logError('Error initializing forward handler:', error);
+  }
+
   // Initialize Web Admin if enabled
   if (!webAdminServer) {
     webAdminServer = startWebAdminServer(client, config);
@@ -168,6 +201,15 @@ client.on("clientReady", async () => {
       } catch (error) {
         logError(`Telegram chat startup sync failed: ${error.message}`);
       }
+
+      // Start after the startup sync so its getUpdates call does not conflict with the poller
+      try {
+        const TelegramSourceHandler = require('./handlers/telegramSourceHandler');
+        telegramSourceHandler = new TelegramSourceHandler(client);
+        await telegramSourceHandler.initialize();
+      } catch (error) {
+        logError(`Telegram source handler failed to start: ${error.message}`);
+      }
     }, 5000);
   }
 
@@ -185,6 +227,10 @@ process.on('SIGINT', async () => {
     await readerBot.shutdown();
   }
 
+  if (telegramSourceHandler) {
+    telegramSourceHandler.stop();
+  }
+
   if (webAdminServer) {
     logInfo('Shutting down web admin server...');
     await stopWebAdminServer(webAdminServer);
@@ -9,7 +9,7 @@ const dotenv = require('dotenv');
 });
 require("./errorHandlers");
 
-const { Client, GatewayIntentBits } = require("discord.js");
+const { Client, GatewayIntentBits, Partials } = require("discord.js");
 const { logInfo, logSuccess, logError } = require('./utils/logger');
 const config = require('./config/config');
 
@@ -39,8 +39,10 @@ class ReaderBot {
         intents: [
           GatewayIntentBits.Guilds,
           GatewayIntentBits.GuildMessages,
+          GatewayIntentBits.GuildMessageReactions,
           GatewayIntentBits.MessageContent
         ],
+        partials: [Partials.Message, Partials.Channel, Partials.Reaction],
         presence: {
           status: 'invisible', // Stay invisible to minimize presence
           activities: []
@@ -70,6 +72,22 @@ class ReaderBot {
       await this.handleMessageDelete(message);
     });
 
+    this.client.on("messageReactionAdd", async (reaction) => {
+      await this.sendToMainBot('reactionChange', null, reaction.message);
+    });
+
+    this.client.on("messageReactionRemove", async (reaction) => {
+      await this.sendToMainBot('reactionChange', null, reaction.message);
+    });
+
+    this.client.on("messageReactionRemoveAll", async (message) => {
+      await this.sendToMainBot('reactionChange', null, message);
+    });
+
+    this.client.on("messageReactionRemoveEmoji", async (reaction) => {
+      await this.sendToMainBot('reactionChange', null, reaction.message);
+    });
+
     this.client.on('clientReady', async () => {
       this.isReady = true;
       logSuccess(`Reader Bot logged in as ${this.client.user.tag}`);
@@ -182,7 +200,7 @@ class ReaderBot {
   async sendToMainBot(eventType, data, originalMessage, oldMessage) {
     try {
       // Import the main bot's message handlers
-      const { handleMessageCreate, handleMessageUpdate, handleMessageDelete } = require('./events/messageEvents');
+      const { handleMessageCreate, handleMessageUpdate, handleMessageDelete, handleReactionChange } = require('./events/messageEvents');
 
       // Process the message through main bot's logic using the reader bot's data
       switch (eventType) {
@@ -196,6 +214,9 @@ class ReaderBot {
         case 'messageDelete':
           await handleMessageDelete(originalMessage, this.mainBot);
           break;
+        case 'reactionChange':
+          await handleReactionChange(originalMessage, null, this.mainBot);
+          break;
       }
     } catch (error) {
       logError('Error sending data to main bot:', error);
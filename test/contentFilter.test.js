@@ -0,0 +1,24 @@
+// Content filter regex patterns: matching and the time limit.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateContentFilters } = require('../utils/contentFilter');
+
+function message(content) {
+  return { content, embeds: [], author: { id: '1', bot: false } };
+}
+
+test('include and exclude patterns match case-insensitively', () => {
+  assert.equal(evaluateContentFilters(message('Release v2 is out'), { includePatterns: ['release v\\d'] }).passed, true);
+  assert.equal(evaluateContentFilters(message('nothing here'), { includePatterns: ['release v\\d'] }).filter, 'includePatterns');
+  assert.equal(evaluateContentFilters(message('BUY NOW'), { excludePatterns: ['buy\\s+now'] }).filter, 'excludePatterns');
+});
+
+test('a pattern that backtracks catastrophically drops the message within the time limit', () => {
+  const started = Date.now();
+  const result = evaluateContentFilters(message(`${'a'.repeat(40)}!`), { excludePatterns: ['(a+)+$'] });
+  assert.equal(result.passed, false);
+  assert.equal(result.filter, 'excludePatterns');
+  assert.match(result.reason, /took longer than/);
+  assert.ok(Date.now() - started < 2000);
+});
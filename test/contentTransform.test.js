@@ -0,0 +1,85 @@
+// Content transformation rules: order, templates, truncation and pattern limits.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateContentTransforms,
+  normalizeContentTransforms,
+  applyContentTransforms,
+  getTransformLengthLimit
+} = require('../utils/contentTransform');
+
+const message = {
+  member: { displayName: 'Alice' },
+  author: { username: 'alice' },
+  channel: { name: 'news' },
+  guild: { name: 'Guild' },
+  url: 'https://discord.com/channels/1/2/3'
+};
+
+function transform(content, transforms, targetType = 'discord') {
+  return applyContentTransforms(content, message, { targetType, transforms });
+}
+
+test('rules run in order', () => {
+  const replaceThenRemove = [
+    { type: 'replace', pattern: 'secret', replacement: 'internal: redacted' },
+    { type: 'removeLines', pattern: '^internal:' }
+  ];
+  assert.equal(transform('keep\nsecret', replaceThenRemove), 'keep');
+  assert.equal(transform('keep\nsecret', [...replaceThenRemove].reverse()), 'keep\ninternal: redacted');
+});
+
+test('replace is global and honors flags', () => {
+  assert.equal(transform('a?utm_x=1 b&UTM_y=2', [{ type: 'replace', pattern: '[?&]utm_[^\\s&]+', replacement: '', flags: 'i' }]), 'a b');
+  assert.equal(transform('one\ntwo', [{ type: 'replace', pattern: '^.*\\n?' }]), 'two');
+});
+
+test('templates fill in the message details', () => {
+  const text = transform('body', [
+    { type: 'prepend', template: '**{author}** in #{channel}' },
+    { type: 'append', template: '-# {guild} · {jumpLink}' }
+  ]);
+  assert.equal(text, '**Alice** in #news\nbody\n-# Guild · https://discord.com/channels/1/2/3');
+  // Empty text becomes the template alone
+  assert.equal(transform('', [{ type: 'prepend', template: '{author}' }]), 'Alice');
+});
+
+test('truncate closes the formatting it cuts through', () => {
+  assert.equal(transform('**bold words here** and more', [{ type: 'truncate', maxLength: 14 }]), '**bold word**…');
+  assert.equal(transform('short', [{ type: 'truncate', maxLength: 14 }]), 'short');
+});
+
+test('Discord targets are capped at 2000 characters', () => {
+  const templates = [
+    { type: 'prepend', template: 'x'.repeat(1000) },
+    { type: 'append', template: 'y'.repeat(1000) }
+  ];
+  assert.equal(transform('body', templates).length, 2000);
+  assert.equal(transform('body', templates, 'telegram').length, 2006);
+
+  assert.equal(getTransformLengthLimit({ targetType: 'discord' }), 2000);
+  assert.equal(getTransformLengthLimit({ targetType: 'telegram' }), 4000);
+  assert.equal(validateContentTransforms([{ type: 'truncate', maxLength: 3000 }], { maxLength: 2000 }).valid, false);
+  assert.equal(validateContentTransforms([{ type: 'truncate', maxLength: 3000 }]).valid, true);
+});
+
+test('a pattern that backtracks catastrophically fails within the time limit', () => {
+  const started = Date.now();
+  assert.throws(
+    () => transform(`${'a'.repeat(40)}!`, [{ type: 'replace', pattern: '(a+)+$', replacement: '' }]),
+    /took longer than/
+  );
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('validation rejects malformed rules', () => {
+  assert.equal(validateContentTransforms([{ type: 'replace', pattern: '(' }]).valid, false);
+  assert.equal(validateContentTransforms([{ type: 'replace', pattern: 'a', flags: 'g' }]).valid, false);
+  assert.equal(validateContentTransforms([{ type: 'prepend', template: ' ' }]).valid, false);
+  assert.equal(validateContentTransforms([{ type: 'unknown' }]).valid, false);
+  assert.deepEqual(
+    normalizeContentTransforms([{ type: 'replace', pattern: 'a', extra: true }]),
+    [{ type: 'replace', pattern: 'a', replacement: '', flags: '' }]
+  );
+});
@@ -0,0 +1,92 @@
+// Golden-file tests for Discord markdown conversion.
+//
+// Each test/golden/formatting/<name>.md is converted to MarkdownV2, HTML and plain text and
+// compared with <name>.markdownv2.txt, <name>.html.txt and <name>.txt, and must come back
+// unchanged when rendered as Discord markdown. After an intended change, rewrite the expected
+// files with `UPDATE_GOLDEN=1 npm test` and review the diff.
+
+// Fixed before the config loads (.env does not override variables that are already set)
+process.env.TELEGRAM_TIMEZONE = 'UTC';
+process.env.DEBUG_MODE = 'false';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SliceFormatConverter = require('../utils/sliceFormatConverter');
+const {
+  parseDiscordMarkdown,
+  renderPlainText,
+  renderDiscordMarkdown,
+  truncateDiscordMarkdown
+} = require('../utils/discordMarkdown');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden', 'formatting');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Mentions in the cases resolve against this message
+const message = {
+  mentions: {
+    users: new Map([['111', { username: 'alice' }]]),
+    roles: new Map([['222', { name: 'Moderators' }]]),
+    channels: new Map()
+  },
+  guild: { channels: { cache: new Map([['333', { name: 'general' }]]) } }
+};
+
+const OUTPUTS = [
+  { suffix: '.markdownv2.txt', convert: text => SliceFormatConverter.convertDiscordToTelegramMarkdownV2(text, message) },
+  { suffix: '.html.txt', convert: text => SliceFormatConverter.convertDiscordToTelegramHTML(text, message) },
+  { suffix: '.txt', convert: async text => renderPlainText(parseDiscordMarkdown(text), { message }) }
+];
+
+// Files end with a newline that is not part of the text
+function readGoldenFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8').replace(/\n$/, '');
+}
+
+const caseNames = fs.readdirSync(GOLDEN_DIR)
+  .filter(fileName => fileName.endsWith('.md'))
+  .map(fileName => fileName.slice(0, -'.md'.length))
+  .sort();
+
+for (const name of caseNames) {
+  for (const { suffix, convert } of OUTPUTS) {
+    test(`${name}${suffix}`, async () => {
+      const actual = await convert(readGoldenFile(path.join(GOLDEN_DIR, `${name}.md`)));
+      const expectedPath = path.join(GOLDEN_DIR, `${name}${suffix}`);
+
+      if (UPDATE_GOLDEN) {
+        fs.writeFileSync(expectedPath, `${actual}\n`);
+        return;
+      }
+      assert.equal(actual, readGoldenFile(expectedPath));
+    });
+  }
+
+  test(`${name}.md renders back unchanged`, () => {
+    const text = readGoldenFile(path.join(GOLDEN_DIR, `${name}.md`));
+    assert.equal(renderDiscordMarkdown(parseDiscordMarkdown(text)), text);
+  });
+}
+
+// Cases the goldens once got wrong, spelled out so a regenerated golden cannot hide them
+test('subtext keeps inner bold, _text_ is italic and mentions resolve inside bold', async () => {
+  const toMarkdownV2 = text => SliceFormatConverter.convertDiscordToTelegramMarkdownV2(text, message);
+  const toHTML = text => SliceFormatConverter.convertDiscordToTelegramHTML(text, message);
+
+  assert.equal(await toMarkdownV2('-# Subtext with **stars**'), '_Subtext with *stars*_');
+  assert.equal(await toHTML('-# Subtext with **stars**'), '<i>Subtext with <b>stars</b></i>');
+  assert.equal(await toMarkdownV2('#tag _under_ a.b'), '\\#tag _under_ a\\.b');
+  assert.equal(await toHTML('_under_ snake_case_name'), '<i>under</i> snake_case_name');
+  assert.equal(await toMarkdownV2('**Bold <@111> mention**'), '*Bold ＠alice mention*');
+  assert.equal(await toHTML('**Bold <@111> mention**'), '<b>Bold ＠alice mention</b>');
+});
+
+test('truncation keeps Discord formatting closed', () => {
+  assert.equal(truncateDiscordMarkdown('short **text**', 20), 'short **text**');
+  assert.equal(truncateDiscordMarkdown('**bold words here** and more', 14), '**bold word**…');
+  assert.equal(truncateDiscordMarkdown('see ||a **hidden** part|| now', 20), 'see ||a **hidde**||…');
+  assert.equal(truncateDiscordMarkdown('```js\nconst a = 1;\nconst b = 2;\n```', 24), '```js\nconst a = 1;\nc```…');
+  assert.equal(truncateDiscordMarkdown('hi <@123456789012345678> there', 10), 'hi…');
+});
@@ -0,0 +1,47 @@
+// Hop marker encoding, decoding and stripping.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readHops, stripHopMarker, addHopMarker, hasPassedThrough } = require('../utils/hopMarker');
+
+test('marker is invisible and records the config', () => {
+  const marked = addHopMarker('hello', 'hello', { id: 5 });
+  assert.ok(marked.startsWith('hello'));
+  assert.match(marked.slice('hello'.length), /^[\u2062\u2063\u200b\u200c]+$/);
+  assert.deepEqual(readHops(marked), [5]);
+  assert.equal(hasPassedThrough(marked, 5), true);
+  assert.equal(hasPassedThrough(marked, 6), false);
+});
+
+test('hops from the source are carried over in order', () => {
+  const first = addHopMarker('text', 'text', { id: 1 });
+  const second = addHopMarker('text again', first, { id: 12 });
+  assert.deepEqual(readHops(second), [1, 12]);
+  // Passing through the same config again does not repeat it
+  assert.deepEqual(readHops(addHopMarker('text', second, { id: 1 })), [1, 12]);
+});
+
+test('stripping removes only the marker', () => {
+  const marked = addHopMarker('**bold** text', '', { id: 3 });
+  assert.equal(stripHopMarker(marked), '**bold** text');
+  assert.equal(stripHopMarker('no marker'), 'no marker');
+  assert.deepEqual(readHops('no marker'), []);
+  // Re-marking replaces the old marker instead of stacking a second one
+  assert.equal(addHopMarker(marked, marked, { id: 3 }), marked);
+});
+
+test('content is returned unchanged without a numeric config id', () => {
+  assert.equal(addHopMarker('text', '', null), 'text');
+  assert.equal(addHopMarker('text', '', { id: 'abc' }), 'text');
+});
+
+test('maxLength truncates the text to leave room for the marker', () => {
+  const text = 'a'.repeat(1995) + ' word';
+  const marked = addHopMarker(text, '', { id: 7 }, { maxLength: 2000 });
+  assert.ok(marked.length <= 2000);
+  assert.deepEqual(readHops(marked), [7]);
+  assert.ok(stripHopMarker(marked).endsWith('…'));
+
+  const short = addHopMarker('short', '', { id: 7 }, { maxLength: 2000 });
+  assert.equal(stripHopMarker(short), 'short');
+});
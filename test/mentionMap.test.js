@@ -0,0 +1,57 @@
+// Role and channel mention remapping for cross-server Discord forwards.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { remapDiscordMentions, describeMentions, validateMentionMap, normalizeMentionMap } = require('../utils/mentionMap');
+
+function guild(id, roles = {}, channels = {}) {
+  const toCache = names => new Map(Object.entries(names).map(([itemId, name]) => [itemId, { id: itemId, name }]));
+  return { id, roles: { cache: toCache(roles) }, channels: { cache: toCache(channels) } };
+}
+
+const sourceGuild = guild('1', { 10: 'Mods', 11: 'Artists' }, { 20: 'rules', 21: 'art' });
+const targetGuild = guild('2');
+const content = 'Ping <@&10> and <@&11>, see <#20> and <#21>, unknown <@&99> <#98>';
+
+test('mapped mentions are rewritten, unmapped ones become names', () => {
+  const config = { mentionMap: { roles: { 10: '110' }, channels: { 20: '120' } } };
+  const result = remapDiscordMentions(content, config, sourceGuild, targetGuild);
+  assert.equal(result.content, 'Ping <@&110> and @Artists, see <#120> and #art, unknown <@&99> <#98>');
+});
+
+test('mapped roles ping only with pingRoles on', () => {
+  const mentionMap = { roles: { 10: '110', 11: '111' }, channels: {} };
+  const quiet = remapDiscordMentions(content, { mentionMap }, sourceGuild, targetGuild);
+  assert.deepEqual(quiet.roleIds, []);
+
+  const pinging = remapDiscordMentions(content, { mentionMap: { ...mentionMap, pingRoles: true } }, sourceGuild, targetGuild);
+  assert.deepEqual(pinging.roleIds, ['110', '111']);
+  // The text is the same either way
+  assert.equal(pinging.content, quiet.content);
+  // Repeated mentions of a role are allowed once
+  assert.deepEqual(remapDiscordMentions('<@&10> <@&10>', { mentionMap: { ...mentionMap, pingRoles: true } }, sourceGuild, targetGuild).roleIds, ['110']);
+});
+
+test('same-server forwards and configs without a map', () => {
+  const config = { mentionMap: { roles: { 10: '110' }, pingRoles: true } };
+  assert.deepEqual(remapDiscordMentions(content, config, sourceGuild, sourceGuild), { content, roleIds: [] });
+  assert.equal(
+    remapDiscordMentions('<@&10> <#20>', {}, sourceGuild, targetGuild).content,
+    '@Mods #rules'
+  );
+});
+
+test('Telegram targets get names with the full-width at sign', () => {
+  assert.equal(describeMentions('<@&10> <#21> <@&99>', sourceGuild), '＠Mods #art <@&99>');
+});
+
+test('validation and normalization', () => {
+  assert.equal(validateMentionMap(null).valid, true);
+  assert.equal(validateMentionMap({ roles: { 10: '110' }, pingRoles: true }).valid, true);
+  assert.equal(validateMentionMap({ roles: { abc: '110' } }).valid, false);
+  assert.equal(validateMentionMap({ pingRoles: 'yes' }).valid, false);
+  assert.deepEqual(
+    normalizeMentionMap({ roles: { 10: ' 110 ' } }),
+    { roles: { 10: '110' }, channels: {}, pingRoles: false }
+  );
+});
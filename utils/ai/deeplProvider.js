@@ -345,7 +345,8 @@ class DeepLProvider {
    */
   async testConnection() {
     try {
-      await this.getUsage();
+      // getUsage() swallows errors, so call the endpoint directly
+      await this.makeRequest('/usage');
       return true;
     } catch (error) {
       logError('DeepL connection test failed:', error);
@@ -1,5 +1,7 @@
 const { logInfo, logSuccess, logError } = require('../logger');
 
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
 /**
  * OpenAI Provider for translation and content optimization
  * Supports GPT models for high-quality translation and content enhancement
@@ -11,14 +13,21 @@ class OpenAIProvider {
     this.model = config.model || 'gpt-4';
     this.maxTokens = config.maxTokens || 2000;
     this.temperature = config.temperature || 0.3;
-    this.baseURL = 'https://api.openai.com/v1';
+    this.baseURL = String(config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Self-hosted OpenAI-compatible servers often run without an API key
+   */
+  isConfigured() {
+    return !!this.apiKey || this.baseURL !== DEFAULT_BASE_URL;
   }
 
   /**
    * Translate text using OpenAI GPT
    */
   async translateText(text, targetLanguage, sourceLanguage = 'auto') {
-    if (!this.apiKey) {
+    if (!this.isConfigured()) {
       throw new Error('OpenAI API key not configured');
     }
 
@@ -65,7 +74,7 @@ class OpenAIProvider {
    * Optimize content using OpenAI
    */
   async optimizeContent(content, options = {}) {
-    if (!this.apiKey) {
+    if (!this.isConfigured()) {
       throw new Error('OpenAI API key not configured');
     }
 
@@ -123,7 +132,7 @@ class OpenAIProvider {
    * Detect language (basic implementation using OpenAI)
    */
   async detectLanguage(text) {
-    if (!this.apiKey) {
+    if (!this.isConfigured()) {
       throw new Error('OpenAI API key not configured');
     }
 
@@ -294,17 +303,21 @@ ${content}`;
   /**
    * Make HTTP request to OpenAI API
    */
-  async makeRequest(endpoint, data) {
+  async makeRequest(endpoint, data = null) {
     const axios = require('axios');
     
     const url = `${this.baseURL}${endpoint}`;
     const headers = {
-      'Authorization': `Bearer ${this.apiKey}`,
       'Content-Type': 'application/json'
     };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
 
     try {
-      const response = await axios.post(url, data, { headers });
+      const response = data
+        ? await axios.post(url, data, { headers })
+        : await axios.get(url, { headers });
       return response.data;
     } catch (error) {
       if (error.response) {
@@ -322,7 +335,7 @@ ${content}`;
    */
   async testConnection() {
     try {
-      await this.makeRequest('/models', { method: 'GET' });
+      await this.makeRequest('/models');
       return true;
     } catch (error) {
       logError('OpenAI connection test failed:', error);
@@ -1,5 +1,6 @@
 const { logInfo, logError } = require('./logger');
 const FormatConverter = require('./formatConverter');
+const { parseDiscordMarkdown, findNodes, resolveMentionText, renderPlainText } = require('./discordMarkdown');
 
 /**
  * AI-Powered Format Converter - Uses AI for complex Discord to Telegram formatting
@@ -25,89 +26,26 @@ class AIFormatConverter {
       return mentions;
     }
 
-    // Extract user mentions: <@123456> or <@!123456>
-    const userMentionRegex = /<@!?(\d+)>/g;
-    let match;
-    while ((match = userMentionRegex.exec(text)) !== null) {
-      const userId = match[1];
-      const fullMention = match[0];
-      
-      // Get actual username from message.mentions.users
-      const user = message.mentions.users.get(userId);
-      const userName = user ? (user.globalName || user.username || user.displayName) : `User${userId}`;
-      
-      mentions.users.push({ id: userId, fullMention, name: userName });
-      mentions.replacements.push(`Replace "${fullMention}" with "＠${userName}"`);
-      
-      const envConfig = require('../config/config');
-      if (envConfig.debugMode) {
-        logInfo(`🔍 Found user mention: ${fullMention} -> ${userName}`);
-      }
-    }
-
-    // Extract role mentions: <@&123456>
-    const roleMentionRegex = /<@&(\d+)>/g;
-    while ((match = roleMentionRegex.exec(text)) !== null) {
-      const roleId = match[1];
-      const fullMention = match[0];
-      
-      // Get actual role name from message.mentions.roles
-      const role = message.mentions.roles.get(roleId);
-      const roleName = role ? role.name : `Role${roleId}`;
-      
-      mentions.roles.push({ id: roleId, fullMention, name: roleName });
-      mentions.replacements.push(`Replace "${fullMention}" with "＠${roleName}"`);
-      
-      const envConfig = require('../config/config');
-      if (envConfig.debugMode) {
-        logInfo(`🔍 Found role mention: ${fullMention} -> ${roleName}`);
-      }
-    }
-
-    // Extract channel mentions: <#123456>
-    const channelMentionRegex = /<#(\d+)>/g;
-    while ((match = channelMentionRegex.exec(text)) !== null) {
-      const channelId = match[1];
-      const fullMention = match[0];
-      
-      // Get actual channel name from message.mentions.channels or guild channels
-      let channel = message.mentions.channels.get(channelId);
-      if (!channel && message.guild) {
-        channel = message.guild.channels.cache.get(channelId);
-      }
-      const channelName = channel ? channel.name : `channel${channelId}`;
-      
-      mentions.channels.push({ id: channelId, fullMention, name: channelName });
-      mentions.replacements.push(`Replace "${fullMention}" with "\\#${channelName}"`);
-      
-      const envConfig = require('../config/config');
-      if (envConfig.debugMode) {
-        logInfo(`🔍 Found channel mention: ${fullMention} -> ${channelName}`);
-      }
-    }
-
-    // Handle @everyone and @here mentions
-    const everyoneRegex = /@everyone/g;
-    while ((match = everyoneRegex.exec(text)) !== null) {
-      mentions.replacements.push(`Replace "@everyone" with "＠everyone"`);
-      
-      const envConfig = require('../config/config');
-      if (envConfig.debugMode) {
-        logInfo(`🔍 Found @everyone mention -> ＠everyone`);
+    const envConfig = require('../config/config');
+    // Mentions inside code are left as written
+    for (const node of findNodes(parseDiscordMarkdown(text), 'mention')) {
+      const resolved = resolveMentionText(node, message);
+      if (node.kind === 'channel') {
+        // Keep # prefix for channel references, escaped for MarkdownV2
+        mentions.channels.push({ id: node.id, fullMention: node.raw, name: resolved.slice(1) });
+        mentions.replacements.push(`Replace "${node.raw}" with "\\${resolved}"`);
+      } else {
+        if (node.kind === 'user' || node.kind === 'role') {
+          mentions[`${node.kind}s`].push({ id: node.id, fullMention: node.raw, name: resolved.slice(1) });
+        }
+        mentions.replacements.push(`Replace "${node.raw}" with "${resolved}"`);
       }
-    }
 
-    const hereRegex = /@here/g;
-    while ((match = hereRegex.exec(text)) !== null) {
-      mentions.replacements.push(`Replace "@here" with "＠here"`);
-      
-      const envConfig = require('../config/config');
       if (envConfig.debugMode) {
-        logInfo(`🔍 Found @here mention -> ＠here`);
+        logInfo(`🔍 Found ${node.kind} mention: ${node.raw} -> ${resolved}`);
       }
     }
 
-    const envConfig = require('../config/config');
     if (envConfig.debugMode) {
       logInfo(`🔍 Total mentions found: ${mentions.users.length} users, ${mentions.roles.length} roles, ${mentions.channels.length} channels`);
     }
@@ -139,7 +77,7 @@ class AIFormatConverter {
           logInfo('🤖 AI manager not initialized, cannot perform AI conversion');
         }
         // Return basic escaped text as last resort since we removed old regular converter
-        return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+        return this.toEscapedPlainText(text, message);
       }
       
       if (envConfig.debugMode) {
@@ -378,7 +316,7 @@ Converted text (escape ALL special characters even inside formatting):`;
         } else {
           logError('🤖 AI result failed validation, no more fallbacks available');
           // Return basic escaped text as last resort since we removed old regular converter
-          return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+          return this.toEscapedPlainText(text, message);
         }
       } else {
         logError('🤖 AI conversion returned empty or invalid result');
@@ -387,14 +325,14 @@ Converted text (escape ALL special characters even inside formatting):`;
         }
         logInfo('🤖 AI conversion failed, no more fallbacks available');
         // Return basic escaped text as last resort since we removed old regular converter
-        return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+        return this.toEscapedPlainText(text, message);
       }
       
     } catch (error) {
       logError('🤖 AI format conversion error:', error);
       logInfo('No more fallbacks available (old regular converter removed)');
       // Return basic escaped text as last resort since we removed old regular converter
-      return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+      return this.toEscapedPlainText(text, message);
     }
   }
 
@@ -427,12 +365,6 @@ Converted text (escape ALL special characters even inside formatting):`;
         return false;
       }
       
-      // Check if result contains our internal placeholders (means AI got pre-processed text)
-      if (aiResult.includes('XPROTECTEDX')) {
-        logError('🤖 AI result contains internal placeholders - AI got pre-processed text');
-        return false;
-      }
-      
       // Check for completely missing formatting when original had it
       const originalHasBold = originalText.includes('**');
       const resultHasBold = aiResult.includes('*');
@@ -506,6 +438,17 @@ Converted text (escape ALL special characters even inside formatting):`;
     }
   }
 
+  /**
+   * Last resort when conversion fails: the text without markup, escaped for MarkdownV2
+   */
+  static toEscapedPlainText(text, message = null) {
+    try {
+      return FormatConverter.escapeMarkdownV2ForText(renderPlainText(parseDiscordMarkdown(text), { message }));
+    } catch (error) {
+      return FormatConverter.escapeMarkdownV2ForText(text);
+    }
+  }
+
   /**
    * Static helper method to conditionally use AI, slice-based, or regular conversion
    * Can be called from anywhere in the codebase
@@ -540,12 +483,12 @@ Converted text (escape ALL special characters even inside formatting):`;
           logError('🤖 AI format conversion also failed. No more fallbacks available.', aiError);
           logError('⚠️  CRITICAL: Both enhanced slice and AI conversion failed. Returning escaped text.');
           // Last resort: basic escape to prevent Telegram errors
-          return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+          return this.toEscapedPlainText(text, message);
         }
       } else {
         logError('⚠️  CRITICAL: Enhanced slice conversion failed and AI is disabled. Returning escaped text.');
         // Last resort: basic escape to prevent Telegram errors
-        return text.replace(/([_*\[\]()~`>#+=\-|{}.!\\])/g, '\\$1');
+        return this.toEscapedPlainText(text, message);
       }
     }
   }
@@ -67,6 +67,36 @@ class AIManager {
       logInfo('Google Translate provider not configured (fallback unavailable)');
     }
 
+    // Initialize DeepL provider (optional)
+    if (providers.deepl?.apiKey) {
+      try {
+        const DeepLProvider = require('./ai/deeplProvider');
+        this.providers.set('deepl', new DeepLProvider(providers.deepl));
+        logInfo(`DeepL provider initialized (${providers.deepl.freeApi ? 'free' : 'pro'} API)`);
+      } catch (error) {
+        logError('Failed to initialize DeepL provider:', error);
+      }
+    }
+
+    // Initialize OpenAI-compatible provider (optional; a custom base URL may need no key)
+    if (providers.openai) {
+      try {
+        const OpenAIProvider = require('./ai/openaiProvider');
+        const openaiProvider = new OpenAIProvider(providers.openai);
+        if (openaiProvider.isConfigured()) {
+          this.providers.set('openai', openaiProvider);
+          logInfo(`OpenAI-compatible provider initialized (${openaiProvider.baseURL}, model ${openaiProvider.model})`);
+        }
+      } catch (error) {
+        logError('Failed to initialize OpenAI provider:', error);
+      }
+    }
+
+    // selectProvider() only names providers picked by preference order; name them all up front
+    for (const [providerName, provider] of this.providers.entries()) {
+      provider.name = providerName;
+    }
+
     if (this.providers.size === 0) {
       throw new Error('No AI providers configured');
     }
@@ -264,15 +294,7 @@ class AIManager {
     }
 
     // Otherwise, select based on operation type and availability
-    const providerPreferences = {
-      translation: ['gemini', 'google'], // Gemini first, Google Translate fallback
-      optimization: ['gemini'], // Only Gemini for optimization
-      detection: ['gemini', 'google'] // Gemini first, Google fallback for detection
-    };
-
-    const preferences = providerPreferences[operation] || Array.from(this.providers.keys());
-    
-    for (const providerName of preferences) {
+    for (const providerName of this.getProviderPreferences(operation)) {
       if (this.providers.has(providerName)) {
         const provider = this.providers.get(providerName);
         provider.name = providerName; // Ensure provider knows its name
@@ -284,22 +306,64 @@ class AIManager {
   }
 
   /**
-   * Get fallback provider
+   * Provider order per operation type
+   */
+  getProviderPreferences(operation) {
+    const providerPreferences = {
+      translation: ['gemini', 'deepl', 'openai', 'google'], // Gemini first, Google Translate last resort
+      optimization: ['gemini', 'openai'], // DeepL/Google cannot rewrite content
+      detection: ['gemini', 'google', 'openai'] // DeepL has no detection endpoint
+    };
+
+    return providerPreferences[operation] || Array.from(this.providers.keys());
+  }
+
+  /**
+   * Get fallback provider: the configured fallback first, then the next provider that supports the operation
    */
   getFallbackProvider(currentProvider, operation) {
     const fallbackProviderName = this.config.ai.translation.fallbackProvider;
-    
-    if (fallbackProviderName && 
-        fallbackProviderName !== currentProvider && 
-        this.providers.has(fallbackProviderName)) {
-      const provider = this.providers.get(fallbackProviderName);
-      provider.name = fallbackProviderName;
-      return provider;
+    const candidates = [fallbackProviderName, ...this.getProviderPreferences(operation)];
+
+    for (const providerName of candidates) {
+      if (providerName &&
+          providerName !== currentProvider &&
+          this.providers.has(providerName)) {
+        const provider = this.providers.get(providerName);
+        provider.name = providerName;
+        return provider;
+      }
     }
 
     return null;
   }
 
+  /**
+   * Run testConnection() on every initialized provider.
+   * Providers report either a boolean or { success, message }; normalize to the latter.
+   */
+  async testProviders() {
+    const results = {};
+
+    for (const [providerName, provider] of this.providers.entries()) {
+      if (typeof provider.testConnection !== 'function') {
+        results[providerName] = { success: false, message: 'Provider has no connection test' };
+        continue;
+      }
+
+      try {
+        const result = await provider.testConnection();
+        results[providerName] = typeof result === 'object' && result !== null
+          ? { success: result.success === true, message: result.message || '' }
+          : { success: result === true, message: result === true ? 'Connection successful' : 'Connection test failed (see bot logs)' };
+      } catch (error) {
+        results[providerName] = { success: false, message: error.message };
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Cache management
    */
@@ -0,0 +1,105 @@
+// Attachment re-upload tiers.
+//
+// Every source attachment ends up 'uploaded' (re-sent as a file), 'linked' (too big for the
+// target, sent as a link card instead) or 'dropped' (could not be sent at all). The outcome
+// list is recorded on message_logs.attachmentOutcomes:
+// [{ name: 'clip.mp4', size: 73400320, outcome: 'linked' }]
+
+const MB = 1024 * 1024;
+// Per-file upload limit by boost tier; bots and webhooks get the guild's limit
+const DISCORD_UPLOAD_LIMITS = { 0: 10 * MB, 1: 10 * MB, 2: 50 * MB, 3: 100 * MB };
+// Bot API caps when Telegram downloads the file from its URL
+const TELEGRAM_URL_PHOTO_LIMIT = 5 * MB;
+const TELEGRAM_URL_FILE_LIMIT = 20 * MB;
+// Bot API caps for multipart uploads (a local Bot API server accepts bigger files, photos excepted)
+const TELEGRAM_UPLOAD_PHOTO_LIMIT = 10 * MB;
+const TELEGRAM_UPLOAD_FILE_LIMIT = 50 * MB;
+const MAX_DISCORD_EMBEDS = 10;
+
+function getDiscordUploadLimit(guild) {
+  return DISCORD_UPLOAD_LIMITS[guild?.premiumTier] || DISCORD_UPLOAD_LIMITS[0];
+}
+
+function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return 'unknown size';
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1).replace(/\.0$/, '')} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Split a message's attachments into files to re-upload to targetGuild and links for the rest.
+ * Returns { files, links, outcomes, uploadLimit }.
+ */
+function planDiscordAttachments(message, targetGuild) {
+  const uploadLimit = getDiscordUploadLimit(targetGuild);
+  const files = [];
+  const links = [];
+  const outcomes = [];
+
+  for (const attachment of message.attachments?.values() || []) {
+    const entry = { name: attachment.name, size: attachment.size };
+    if (!attachment.url) {
+      outcomes.push({ ...entry, outcome: 'dropped' });
+    } else if (attachment.size > uploadLimit) {
+      links.push(attachment);
+      outcomes.push({ ...entry, outcome: 'linked' });
+    } else {
+      files.push({
+        attachment: attachment.url,
+        name: attachment.name,
+        description: attachment.description || undefined
+      });
+      outcomes.push({ ...entry, outcome: 'uploaded' });
+    }
+  }
+
+  return { files, links, outcomes, uploadLimit };
+}
+
+/**
+ * Add link cards for oversized attachments to Discord send/edit options: embeds while there
+ * is room, then plain links in the content.
+ */
+function addAttachmentLinks(options, links, uploadLimit) {
+  if (links.length === 0) return options;
+  const embeds = Array.isArray(options.embeds) ? [...options.embeds] : [];
+  const textLinks = [];
+
+  for (const attachment of links) {
+    if (embeds.length < MAX_DISCORD_EMBEDS) {
+      embeds.push({
+        title: `📎 ${attachment.name}`.slice(0, 256),
+        url: attachment.url,
+        description: `${formatFileSize(attachment.size)}, over this server's ${formatFileSize(uploadLimit)} upload limit`
+      });
+    } else {
+      textLinks.push(`📎 [${attachment.name}](<${attachment.url}>) (${formatFileSize(attachment.size)})`);
+    }
+  }
+
+  options.embeds = embeds;
+  if (textLinks.length > 0) {
+    options.content = [options.content, ...textLinks].filter(Boolean).join('\n');
+  }
+  return options;
+}
+
+/**
+ * Largest file the bot sends to Telegram as the given media kind ('photo', 'video', 'animation',
+ * 'audio', 'voice', 'document'): the by-URL caps, or the upload caps when telegramConfig.uploadMedia is on.
+ */
+function getTelegramMediaLimit(kind, telegramConfig = {}) {
+  if (telegramConfig.uploadMedia) {
+    const uploadLimit = telegramConfig.uploadMaxBytes || TELEGRAM_UPLOAD_FILE_LIMIT;
+    return kind === 'photo' ? Math.min(TELEGRAM_UPLOAD_PHOTO_LIMIT, uploadLimit) : uploadLimit;
+  }
+  return kind === 'photo' ? TELEGRAM_URL_PHOTO_LIMIT : TELEGRAM_URL_FILE_LIMIT;
+}
+
+module.exports = {
+  getDiscordUploadLimit,
+  formatFileSize,
+  planDiscordAttachments,
+  addAttachmentLinks,
+  getTelegramMediaLimit
+};
@@ -0,0 +1,135 @@
+// Forward configs as a graph, for spotting forwarding cycles before they ping-pong.
+//
+// Nodes are endpoints ('discord:<channelId>', 'telegram:<chatId>'); every enabled config is an
+// edge from its source to its target. HTTP targets are sinks. The runtime hop marker
+// (utils/hopMarker.js) still stops loops that run through bots outside this config set.
+
+function getSourceNode(config) {
+  if (config.sourceType === 'telegram') return `telegram:${config.sourceChatId}`;
+  return `discord:${config.sourceChannelId}`;
+}
+
+function getTargetNode(config) {
+  if (config.targetType === 'discord') return `discord:${config.targetChannelId}`;
+  if (config.targetType === 'telegram') return `telegram:${config.targetChatId}`;
+  return null;
+}
+
+/**
+ * Cycles among enabled configs: one entry per group of endpoints that forward into each other,
+ * as { configIds, path } where path is one loop through the group ('discord:1', ..., 'discord:1').
+ */
+function findForwardConfigCycles(configs) {
+  const edges = new Map();
+  for (const config of configs || []) {
+    if (config.enabled === false) continue;
+    const from = getSourceNode(config);
+    const to = getTargetNode(config);
+    if (!to) continue;
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push({ to, configId: config.id });
+  }
+
+  const components = findStronglyConnectedComponents(edges);
+  const cycles = [];
+  for (const component of components) {
+    const members = new Set(component);
+    const configIds = [];
+    for (const node of component) {
+      for (const edge of edges.get(node) || []) {
+        if (members.has(edge.to)) configIds.push(edge.configId);
+      }
+    }
+    // A single endpoint is only a cycle when a config forwards it into itself
+    if (configIds.length === 0) continue;
+    cycles.push({
+      configIds: configIds.sort((a, b) => a - b),
+      path: findLoopPath(component[0], members, edges)
+    });
+  }
+  return cycles;
+}
+
+// Tarjan's algorithm, iterative so long chains cannot overflow the stack
+function findStronglyConnectedComponents(edges) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of edges.keys()) {
+    if (index.has(start)) continue;
+    const work = [{ node: start, edgeIndex: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter);
+    counter++;
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const nodeEdges = edges.get(frame.node) || [];
+      if (frame.edgeIndex < nodeEdges.length) {
+        const next = nodeEdges[frame.edgeIndex++].to;
+        if (!index.has(next)) {
+          index.set(next, counter);
+          lowLink.set(next, counter);
+          counter++;
+          stack.push(next);
+          onStack.add(next);
+          work.push({ node: next, edgeIndex: 0 });
+        } else if (onStack.has(next)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(next)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component.reverse());
+      }
+    }
+  }
+  return components;
+}
+
+// Breadth-first path from start back to start, staying inside the component
+function findLoopPath(start, members, edges) {
+  const previous = new Map();
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const edge of edges.get(node) || []) {
+      if (!members.has(edge.to)) continue;
+      if (edge.to === start) {
+        const path = [];
+        for (let current = node; current !== start; current = previous.get(current)) {
+          path.unshift(current);
+        }
+        return [start, ...path, start];
+      }
+      if (!previous.has(edge.to)) {
+        previous.set(edge.to, node);
+        queue.push(edge.to);
+      }
+    }
+  }
+  return [start];
+}
+
+module.exports = {
+  findForwardConfigCycles
+};
@@ -1,6 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { logInfo, logSuccess, logError } = require('./logger');
+const { validateContentFilters, validateFilterAuthorType, normalizeContentFilters, hasActiveContentFilters } = require('./contentFilter');
+const { getTargetHostError } = require('./httpTargetGuard');
+const { validateDigestSettings, normalizeDigestSettings } = require('./digestSchedule');
+const { validateMentionMap, normalizeMentionMap } = require('./mentionMap');
+const { validateContentTransforms, normalizeContentTransforms, getTransformLengthLimit } = require('./contentTransform');
+const { validateSyncPolicies, getEditPolicy, getDeletePolicy } = require('./syncPolicy');
+const { validateTelegramParseMode, normalizeTelegramParseMode } = require('./telegramParseMode');
+const { findForwardConfigCycles } = require('./configGraph');
 
 // ─── File paths ───
 const FORWARD_CONFIGS_PATH = path.join(__dirname, '..', 'data', 'forwardConfigs.json');
@@ -108,7 +116,7 @@ async function writeJsonFile(filePath, data) {
 // ─── Forward config validation ───
 
 function validateForwardConfig(config, index) {
-  const basicRequired = ['id', 'sourceType', 'sourceChannelId', 'targetType'];
+  const basicRequired = ['id', 'sourceType', 'targetType'];
 
   for (const field of basicRequired) {
     if (!config[field]) {
@@ -116,18 +124,53 @@ function validateForwardConfig(config, index) {
     }
   }
 
+  if (config.sourceType === 'discord') {
+    if (!config.sourceChannelId) {
+      return { valid: false, error: 'Missing required field: sourceChannelId' };
+    }
+  } else if (config.sourceType === 'telegram') {
+    // Telegram sources are mirrored into Discord only
+    if (!config.sourceChatId) {
+      return { valid: false, error: 'Missing required field for Telegram source: sourceChatId' };
+    }
+    if (config.targetType !== 'discord') {
+      return { valid: false, error: 'Telegram sources can only target Discord' };
+    }
+  } else {
+    return { valid: false, error: `Unsupported source type: ${config.sourceType}` };
+  }
+
   if (config.targetType === 'telegram') {
     if (!config.targetChatId) {
       return { valid: false, error: 'Missing required field for Telegram: targetChatId' };
     }
+    if (typeof config.targetTopicId !== 'undefined' && !/^[1-9]\d*$/.test(String(config.targetTopicId))) {
+      return { valid: false, error: 'targetTopicId must be a numeric forum topic ID' };
+    }
+    const parseModeValidation = validateTelegramParseMode(config);
+    if (!parseModeValidation.valid) return parseModeValidation;
   } else if (config.targetType === 'discord') {
     if (!config.targetChannelId) {
       return { valid: false, error: 'Missing required field for Discord: targetChannelId' };
     }
+  } else if (config.targetType === 'http') {
+    if (!config.targetUrl) {
+      return { valid: false, error: 'Missing required field for HTTP: targetUrl' };
+    }
+    const httpValidation = validateHttpTargetFields(config);
+    if (!httpValidation.valid) return httpValidation;
   } else {
     return { valid: false, error: `Unsupported target type: ${config.targetType}` };
   }
 
+  if (config.targetType !== 'telegram' && typeof config.targetTopicId !== 'undefined') {
+    return { valid: false, error: 'targetTopicId only applies to Telegram targets' };
+  }
+
+  if (config.targetType !== 'telegram' && typeof config.telegramParseMode !== 'undefined') {
+    return { valid: false, error: 'telegramParseMode only applies to Telegram targets' };
+  }
+
   if (typeof config.id !== 'number') {
     return { valid: false, error: 'id must be a number' };
   }
@@ -136,9 +179,321 @@ function validateForwardConfig(config, index) {
     return { valid: false, error: 'enabled must be a boolean' };
   }
 
+  if (typeof config.filters !== 'undefined') {
+    const filterValidation = validateContentFilters(config.filters);
+    if (!filterValidation.valid) {
+      return filterValidation;
+    }
+    // Filters match Discord authors, roles and embeds; Telegram sources never evaluate them
+    if (config.sourceType === 'telegram' && hasActiveContentFilters(config.filters)) {
+      return { valid: false, error: 'Content filters need a Discord source' };
+    }
+  }
+
+  if (typeof config.mentionMap !== 'undefined' && config.mentionMap !== null) {
+    const mentionMapValidation = validateMentionMap(config.mentionMap);
+    if (!mentionMapValidation.valid) return mentionMapValidation;
+    if (config.sourceType !== 'discord' || config.targetType !== 'discord') {
+      return { valid: false, error: 'Mention mapping needs a Discord source and a Discord target' };
+    }
+  }
+
+  if (typeof config.transforms !== 'undefined') {
+    const transformValidation = validateContentTransforms(config.transforms, { maxLength: getTransformLengthLimit(config) });
+    if (!transformValidation.valid) return transformValidation;
+    if (config.transforms.length > 0 && (config.sourceType !== 'discord' || config.targetType === 'http')) {
+      return { valid: false, error: 'Transformation rules need a Discord source and a Discord or Telegram target' };
+    }
+  }
+
+  const syncPolicyValidation = validateSyncPolicies(config);
+  if (!syncPolicyValidation.valid) return syncPolicyValidation;
+  if (config.sourceType !== 'discord' && (getEditPolicy(config) !== 'sync' || getDeletePolicy(config) !== 'delete')) {
+    return { valid: false, error: 'Edit and delete policies are only available for Discord sources' };
+  }
+
+  if (config.requireApproval === true && config.sourceType !== 'discord') {
+    return { valid: false, error: 'Approval is only available for Discord sources' };
+  }
+
+  if (typeof config.digest !== 'undefined' && config.digest !== null) {
+    const digestValidation = validateDigestSettings(config.digest);
+    if (!digestValidation.valid) return digestValidation;
+    // Digests are built from Discord messages and posted as an embed or a text message
+    if (config.sourceType !== 'discord' || !['discord', 'telegram'].includes(config.targetType)) {
+      return { valid: false, error: 'Digest mode needs a Discord source and a Discord or Telegram target' };
+    }
+  }
+
   return { valid: true };
 }
 
+const MAX_SIGNING_SECRET_LENGTH = 256;
+const MAX_PAYLOAD_TEMPLATE_LENGTH = 8000;
+
+// HTTP targets: URL, optional HMAC signing secret and optional JSON payload template
+function validateHttpTargetFields(fields) {
+  if (typeof fields.targetUrl !== 'undefined') {
+    let parsedUrl = null;
+    try {
+      parsedUrl = typeof fields.targetUrl === 'string' ? new URL(fields.targetUrl) : null;
+    } catch (_error) {
+      parsedUrl = null;
+    }
+    if (!parsedUrl || (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:')) {
+      return { valid: false, error: 'targetUrl must be an http(s) URL' };
+    }
+    // Hostnames are resolved and checked again on every request
+    const hostError = getTargetHostError(parsedUrl);
+    if (hostError) {
+      return { valid: false, error: hostError };
+    }
+  }
+
+  if (typeof fields.signingSecret !== 'undefined' && fields.signingSecret !== null) {
+    if (typeof fields.signingSecret !== 'string' || fields.signingSecret.length > MAX_SIGNING_SECRET_LENGTH) {
+      return { valid: false, error: `signingSecret must be a string of at most ${MAX_SIGNING_SECRET_LENGTH} characters` };
+    }
+  }
+
+  if (typeof fields.payloadTemplate !== 'undefined' && fields.payloadTemplate !== null) {
+    if (typeof fields.payloadTemplate !== 'object') {
+      return { valid: false, error: 'payloadTemplate must be a JSON object or array' };
+    }
+    if (JSON.stringify(fields.payloadTemplate).length > MAX_PAYLOAD_TEMPLATE_LENGTH) {
+      return { valid: false, error: `payloadTemplate cannot be longer than ${MAX_PAYLOAD_TEMPLATE_LENGTH} characters` };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Fields that may be changed on an existing config (source and target type are fixed)
+const EDITABLE_CONFIG_FIELDS = [
+  'name',
+  'enabled',
+  'targetServerId',
+  'targetChannelId',
+  'targetChatId',
+  'targetTopicId',
+  'telegramParseMode',
+  'targetUrl',
+  'signingSecret',
+  'payloadTemplate',
+  'allowEveryoneHereMentions',
+  'hideSourceHeader',
+  'syncReactions',
+  'ai',
+  'filters',
+  'digest',
+  'requireApproval',
+  'reviewChannelId',
+  'mentionMap',
+  'transforms',
+  'editPolicy',
+  'deletePolicy'
+];
+const AI_PROVIDERS = ['gemini', 'google', 'deepl', 'openai'];
+const AI_OPTIMIZATION_LEVELS = ['basic', 'enhanced', 'custom'];
+const MAX_CONFIG_NAME_LENGTH = 100;
+const MAX_TARGET_LANGUAGES = 10;
+
+function createConfigError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function validateBooleanFields(object, fields, prefix) {
+  for (const field of fields) {
+    if (typeof object[field] !== 'undefined' && typeof object[field] !== 'boolean') {
+      return { valid: false, error: `${prefix}${field} must be a boolean` };
+    }
+  }
+  return { valid: true };
+}
+
+function validateAIConfig(ai) {
+  if (!ai || typeof ai !== 'object' || Array.isArray(ai)) {
+    return { valid: false, error: 'ai must be an object' };
+  }
+
+  const topLevel = validateBooleanFields(ai, ['enabled'], 'ai.');
+  if (!topLevel.valid) return topLevel;
+
+  const translation = ai.translation;
+  if (typeof translation !== 'undefined') {
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+      return { valid: false, error: 'ai.translation must be an object' };
+    }
+    const flags = validateBooleanFields(
+      translation,
+      ['enabled', 'createThreads', 'preserveFormatting', 'notifyTranslations'],
+      'ai.translation.'
+    );
+    if (!flags.valid) return flags;
+
+    if (typeof translation.targetLanguages !== 'undefined') {
+      if (!Array.isArray(translation.targetLanguages)) {
+        return { valid: false, error: 'ai.translation.targetLanguages must be an array' };
+      }
+      if (translation.targetLanguages.length > MAX_TARGET_LANGUAGES) {
+        return { valid: false, error: `ai.translation.targetLanguages cannot have more than ${MAX_TARGET_LANGUAGES} entries` };
+      }
+      const invalidLanguage = translation.targetLanguages.find(lang =>
+        typeof lang !== 'string' || !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(lang)
+      );
+      if (typeof invalidLanguage !== 'undefined') {
+        return { valid: false, error: `ai.translation.targetLanguages has an invalid language code: ${invalidLanguage}` };
+      }
+    }
+
+    if (typeof translation.provider !== 'undefined' && !AI_PROVIDERS.includes(translation.provider)) {
+      return { valid: false, error: `ai.translation.provider must be one of: ${AI_PROVIDERS.join(', ')}` };
+    }
+  }
+
+  const optimization = ai.contentOptimization;
+  if (typeof optimization !== 'undefined') {
+    if (!optimization || typeof optimization !== 'object' || Array.isArray(optimization)) {
+      return { valid: false, error: 'ai.contentOptimization must be an object' };
+    }
+    const flags = validateBooleanFields(optimization, ['enabled', 'platformSpecific'], 'ai.contentOptimization.');
+    if (!flags.valid) return flags;
+
+    if (typeof optimization.level !== 'undefined' && !AI_OPTIMIZATION_LEVELS.includes(optimization.level)) {
+      return { valid: false, error: `ai.contentOptimization.level must be one of: ${AI_OPTIMIZATION_LEVELS.join(', ')}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Field-level checks for a PATCH body, before the merged config goes through validateForwardConfig
+function validateConfigUpdates(updates) {
+  const unknownFields = Object.keys(updates).filter(field => !EDITABLE_CONFIG_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { valid: false, error: `Fields cannot be updated: ${unknownFields.join(', ')}` };
+  }
+
+  if (typeof updates.name !== 'undefined') {
+    if (typeof updates.name !== 'string' || !updates.name.trim()) {
+      return { valid: false, error: 'name must be a non-empty string' };
+    }
+    if (updates.name.trim().length > MAX_CONFIG_NAME_LENGTH) {
+      return { valid: false, error: `name cannot be longer than ${MAX_CONFIG_NAME_LENGTH} characters` };
+    }
+  }
+
+  for (const field of ['targetServerId', 'targetChannelId', 'targetChatId']) {
+    if (typeof updates[field] !== 'undefined' && !/^-?\d+$/.test(String(updates[field]).trim())) {
+      return { valid: false, error: `${field} must be a numeric ID` };
+    }
+  }
+
+  // Empty targetTopicId sends to the whole chat (the General topic in forum supergroups)
+  if (typeof updates.targetTopicId !== 'undefined' && updates.targetTopicId !== null && updates.targetTopicId !== '' &&
+      !/^[1-9]\d*$/.test(String(updates.targetTopicId).trim())) {
+    return { valid: false, error: 'targetTopicId must be a numeric forum topic ID' };
+  }
+
+  // Empty telegramParseMode goes back to the global TELEGRAM_PARSE_MODE
+  if (typeof updates.telegramParseMode !== 'undefined' && updates.telegramParseMode !== null && updates.telegramParseMode !== '') {
+    const parseModeValidation = validateTelegramParseMode(updates);
+    if (!parseModeValidation.valid) return parseModeValidation;
+  }
+
+  // Empty reviewChannelId removes the review channel
+  if (typeof updates.reviewChannelId !== 'undefined' && updates.reviewChannelId !== null && updates.reviewChannelId !== '' &&
+      !/^\d+$/.test(String(updates.reviewChannelId).trim())) {
+    return { valid: false, error: 'reviewChannelId must be a numeric ID' };
+  }
+
+  const httpValidation = validateHttpTargetFields(updates);
+  if (!httpValidation.valid) return httpValidation;
+
+  const flagValidation = validateBooleanFields(updates, ['enabled', 'allowEveryoneHereMentions', 'hideSourceHeader', 'syncReactions', 'requireApproval'], '');
+  if (!flagValidation.valid) return flagValidation;
+
+  if (typeof updates.ai !== 'undefined') {
+    const aiValidation = validateAIConfig(updates.ai);
+    if (!aiValidation.valid) return aiValidation;
+  }
+
+  if (typeof updates.filters !== 'undefined') {
+    const filterValidation = validateContentFilters(updates.filters);
+    if (!filterValidation.valid) return filterValidation;
+    const authorTypeValidation = validateFilterAuthorType(updates.filters);
+    if (!authorTypeValidation.valid) return authorTypeValidation;
+  }
+
+  if (typeof updates.digest !== 'undefined') {
+    const digestValidation = validateDigestSettings(updates.digest);
+    if (!digestValidation.valid) return digestValidation;
+  }
+
+  if (typeof updates.mentionMap !== 'undefined') {
+    const mentionMapValidation = validateMentionMap(updates.mentionMap);
+    if (!mentionMapValidation.valid) return mentionMapValidation;
+  }
+
+  if (typeof updates.transforms !== 'undefined') {
+    const transformValidation = validateContentTransforms(updates.transforms);
+    if (!transformValidation.valid) return transformValidation;
+  }
+
+  const syncPolicyValidation = validateSyncPolicies(updates);
+  if (!syncPolicyValidation.valid) return syncPolicyValidation;
+
+  return { valid: true };
+}
+
+// Telegram-source configs have no source guild; they belong to the guild they post into
+function getConfigOwnerGuildId(configItem) {
+  return configItem.sourceType === 'telegram' ? configItem.targetServerId : configItem.sourceServerId;
+}
+
+// Find another config with the same source and the same target
+function findDuplicateForwardConfig(configs, candidate, ignoreConfigId = null) {
+  return configs.find(config => {
+    if (ignoreConfigId !== null && config.id === ignoreConfigId) return false;
+    if (config.sourceType !== candidate.sourceType) return false;
+    if (config.sourceChatId !== candidate.sourceChatId) return false;
+    if (config.sourceChannelId !== candidate.sourceChannelId) return false;
+    if (config.sourceServerId !== candidate.sourceServerId) return false;
+    if (config.targetType !== candidate.targetType) return false;
+
+    if (config.targetType === 'telegram') {
+      return config.targetChatId === candidate.targetChatId &&
+             (config.targetTopicId || null) === (candidate.targetTopicId || null);
+    } else if (config.targetType === 'discord') {
+      return config.targetChannelId === candidate.targetChannelId &&
+             config.targetServerId === candidate.targetServerId;
+    } else if (config.targetType === 'http') {
+      return config.targetUrl === candidate.targetUrl;
+    }
+
+    return false;
+  });
+}
+
+// Merge a partial AI block over the existing one so omitted keys keep their values
+function mergeAIConfig(existingAI, updates) {
+  const base = existingAI && typeof existingAI === 'object' ? existingAI : getDefaultAIConfig();
+  return {
+    ...base,
+    ...updates,
+    translation: {
+      ...(base.translation || {}),
+      ...(updates.translation || {})
+    },
+    contentOptimization: {
+      ...(base.contentOptimization || {}),
+      ...(updates.contentOptimization || {})
+    }
+  };
+}
+
 // ─── Forward config CRUD ───
 
 async function loadForwardConfigs(forceReload = false) {
@@ -188,10 +543,21 @@ async function loadForwardConfigs(forceReload = false) {
   }
 }
 
-async function getForwardConfigsForChannel(sourceChannelId) {
+// parentChannelId lets a forum config cover messages posted inside its threads
+async function getForwardConfigsForChannel(sourceChannelId, parentChannelId = null) {
   const configs = await loadForwardConfigs();
   return configs.filter(config =>
-    config.sourceChannelId === sourceChannelId &&
+    (config.sourceChannelId === sourceChannelId ||
+      (parentChannelId && config.sourceChannelId === parentChannelId)) &&
+    (config.enabled !== false)
+  );
+}
+
+async function getForwardConfigsForTelegramChat(sourceChatId) {
+  const configs = await loadForwardConfigs();
+  return configs.filter(config =>
+    config.sourceType === 'telegram' &&
+    String(config.sourceChatId) === String(sourceChatId) &&
     (config.enabled !== false)
   );
 }
@@ -206,6 +572,20 @@ async function getForwardConfigById(configId) {
   return configs.find(config => config.id === configId);
 }
 
+// Creating or enabling a config can close a forwarding loop; the hop marker stops it at runtime,
+// but the config set should not contain one
+function logForwardConfigCycles(configs, configId) {
+  for (const cycle of findForwardConfigCycles(configs)) {
+    if (cycle.configIds.includes(configId)) {
+      logInfo(`⚠️ Config ${configId} is part of a forwarding cycle (configs ${cycle.configIds.join(', ')}: ${cycle.path.join(' → ')})`);
+    }
+  }
+}
+
+async function getForwardConfigCycles() {
+  return findForwardConfigCycles(await loadForwardConfigs());
+}
+
 async function addForwardConfig(newConfig) {
   await acquireWriteLock();
   try {
@@ -217,20 +597,7 @@ async function addForwardConfig(newConfig) {
     newConfig.enabled = true;
 
     // Check for exact duplicate
-    const exactDuplicate = configs.find(config => {
-      if (config.sourceChannelId !== newConfig.sourceChannelId) return false;
-      if (config.sourceServerId !== newConfig.sourceServerId) return false;
-      if (config.targetType !== newConfig.targetType) return false;
-
-      if (config.targetType === 'telegram') {
-        return config.targetChatId === newConfig.targetChatId;
-      } else if (config.targetType === 'discord') {
-        return config.targetChannelId === newConfig.targetChannelId &&
-               config.targetServerId === newConfig.targetServerId;
-      }
-
-      return false;
-    });
+    const exactDuplicate = findDuplicateForwardConfig(configs, newConfig);
 
     if (exactDuplicate) {
       throw new Error('Exact duplicate configuration already exists (same source and same target)');
@@ -247,6 +614,7 @@ async function addForwardConfig(newConfig) {
     invalidateCache();
 
     logSuccess(`Added forward config ${newConfig.id} to forwardConfigs.json`);
+    logForwardConfigCycles(configs, newConfig.id);
     return newConfig.id;
   } catch (error) {
     logError('Error adding forward config:', error);
@@ -272,6 +640,7 @@ async function setForwardConfigEnabled(configId, enabled) {
     invalidateCache();
 
     logSuccess(`${enabled ? 'Enabled' : 'Disabled'} forward config ${configId}`);
+    if (enabled) logForwardConfigCycles(configs, configId);
     return true;
   } catch (error) {
     logError(`Error ${enabled ? 'enabling' : 'disabling'} forward config:`, error);
@@ -281,6 +650,115 @@ async function setForwardConfigEnabled(configId, enabled) {
   }
 }
 
+/**
+ * Apply a partial update to an existing config, keeping its ID (and so its message_logs link).
+ * Only EDITABLE_CONFIG_FIELDS are accepted; the merged result must pass validateForwardConfig
+ * and must not duplicate another config's source/target pair.
+ * Validation failures throw an error with statusCode 400 (409 for duplicates).
+ */
+async function updateForwardConfig(configId, updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw createConfigError('updates must be an object');
+  }
+
+  const updateValidation = validateConfigUpdates(updates);
+  if (!updateValidation.valid) {
+    throw createConfigError(updateValidation.error);
+  }
+
+  await acquireWriteLock();
+  try {
+    const configs = await loadForwardConfigs(true);
+    const index = configs.findIndex(c => c.id === configId);
+
+    if (index === -1) {
+      throw createConfigError(`Configuration ${configId} not found`, 404);
+    }
+
+    const existing = configs[index];
+    const merged = { ...existing };
+
+    for (const field of Object.keys(updates)) {
+      if (field === 'ai') {
+        merged.ai = mergeAIConfig(existing.ai, updates.ai);
+      } else if (field === 'filters') {
+        merged.filters = normalizeContentFilters(updates.filters);
+      } else if (field === 'digest') {
+        // null switches the config back to immediate delivery
+        if (updates.digest) merged.digest = normalizeDigestSettings(updates.digest);
+        else delete merged.digest;
+      } else if (field === 'mentionMap') {
+        // null drops the mapping
+        if (updates.mentionMap) merged.mentionMap = normalizeMentionMap(updates.mentionMap);
+        else delete merged.mentionMap;
+      } else if (field === 'transforms') {
+        // An empty list forwards the text unchanged
+        if (updates.transforms.length > 0) merged.transforms = normalizeContentTransforms(updates.transforms);
+        else delete merged.transforms;
+      } else if (field === 'telegramParseMode') {
+        // Empty follows the global TELEGRAM_PARSE_MODE
+        if (updates.telegramParseMode) merged.telegramParseMode = normalizeTelegramParseMode(updates.telegramParseMode);
+        else delete merged.telegramParseMode;
+      } else if (field === 'name') {
+        merged.name = updates.name.trim();
+      } else if (['targetServerId', 'targetChannelId', 'targetChatId', 'targetUrl'].includes(field)) {
+        merged[field] = String(updates[field]).trim();
+      } else if (['signingSecret', 'payloadTemplate', 'reviewChannelId', 'targetTopicId'].includes(field) && !updates[field]) {
+        // Empty secret / null template / empty review channel / empty topic removes it
+        delete merged[field];
+      } else if (field === 'reviewChannelId' || field === 'targetTopicId') {
+        merged[field] = String(updates[field]).trim();
+      } else {
+        merged[field] = updates[field];
+      }
+    }
+
+    const validation = validateForwardConfig(merged, index);
+    if (!validation.valid) {
+      throw createConfigError(validation.error);
+    }
+
+    if (merged.targetType === 'discord' &&
+        merged.targetChannelId === merged.sourceChannelId &&
+        (merged.targetServerId || merged.sourceServerId) === merged.sourceServerId) {
+      throw createConfigError('Source and target channels cannot be the same');
+    }
+
+    if (findDuplicateForwardConfig(configs, merged, configId)) {
+      throw createConfigError('Another configuration already forwards this source to the same target', 409);
+    }
+
+    configs[index] = merged;
+
+    await writeJsonFile(FORWARD_CONFIGS_PATH, configs);
+    invalidateCache();
+
+    logSuccess(`Updated forward config ${configId} (${Object.keys(updates).join(', ')})`);
+    logForwardConfigCycles(configs, configId);
+    return merged;
+  } catch (error) {
+    logError('Error updating forward config:', error);
+    throw error;
+  } finally {
+    releaseWriteLock();
+  }
+}
+
+async function setForwardConfigFilters(configId, filters) {
+  const updated = await updateForwardConfig(configId, { filters });
+  return updated.filters;
+}
+
+async function setForwardConfigMentionMap(configId, mentionMap) {
+  const updated = await updateForwardConfig(configId, { mentionMap });
+  return updated.mentionMap || null;
+}
+
+async function setForwardConfigTransforms(configId, transforms) {
+  const updated = await updateForwardConfig(configId, { transforms });
+  return updated.transforms || [];
+}
+
 async function disableForwardConfig(configId) {
   return setForwardConfigEnabled(configId, false);
 }
@@ -481,13 +959,23 @@ async function migrateToJsonConfigs() {
 
 module.exports = {
   loadForwardConfigs,
+  getConfigOwnerGuildId,
   getForwardConfigsForChannel,
+  getForwardConfigsForTelegramChat,
   getAllActiveForwardConfigs,
   getForwardConfigById,
   addForwardConfig,
   enableForwardConfig,
   disableForwardConfig,
   removeForwardConfig,
+  updateForwardConfig,
+  setForwardConfigFilters,
+  setForwardConfigMentionMap,
+  setForwardConfigTransforms,
+  getForwardConfigCycles,
+  getDefaultAIConfig,
+  EDITABLE_CONFIG_FIELDS,
+  validateHttpTargetFields,
   getConfigStats,
   getAutoPublishConfig,
   setAutoPublishChannelEnabled,
@@ -0,0 +1,285 @@
+// Per-config content filters evaluated before a message is forwarded.
+//
+// Shape stored on a forward config (all keys optional):
+// {
+//   includeKeywords: [],   // at least one must appear (case-insensitive)
+//   excludeKeywords: [],   // none may appear
+//   includePatterns: [],   // at least one regex must match
+//   excludePatterns: [],   // no regex may match
+//   allowedAuthorIds: [],  // only these authors are forwarded
+//   blockedAuthorIds: [],  // these authors are never forwarded
+//   requiredRoleIds: [],   // author must hold at least one of these source roles
+//   requireAttachment: false,
+//   requireLink: false,
+//   requireEmbed: false,
+//   authorType: 'any'      // 'any' | 'humans' | 'bots'
+// }
+//
+// Bot messages only reach the filters when FORWARD_BOT_MESSAGES is on, so setting 'bots' is
+// refused while it is off (validateFilterAuthorType). Stored configs are left alone.
+
+const config = require('../config/config');
+const { compilePattern, testPattern } = require('./safeRegex');
+
+const FILTER_LIST_FIELDS = [
+  'includeKeywords',
+  'excludeKeywords',
+  'includePatterns',
+  'excludePatterns',
+  'allowedAuthorIds',
+  'blockedAuthorIds',
+  'requiredRoleIds'
+];
+const FILTER_FLAG_FIELDS = ['requireAttachment', 'requireLink', 'requireEmbed'];
+const AUTHOR_TYPES = ['any', 'humans', 'bots'];
+const MAX_LIST_ENTRIES = 100;
+const MAX_PATTERN_LENGTH = 500;
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+function getDefaultContentFilters() {
+  return {
+    includeKeywords: [],
+    excludeKeywords: [],
+    includePatterns: [],
+    excludePatterns: [],
+    allowedAuthorIds: [],
+    blockedAuthorIds: [],
+    requiredRoleIds: [],
+    requireAttachment: false,
+    requireLink: false,
+    requireEmbed: false,
+    authorType: 'any'
+  };
+}
+
+/**
+ * Validate a filters object. Returns { valid, error }.
+ */
+function validateContentFilters(filters) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { valid: false, error: 'filters must be an object' };
+  }
+
+  for (const field of FILTER_LIST_FIELDS) {
+    const value = filters[field];
+    if (typeof value === 'undefined') continue;
+    if (!Array.isArray(value)) {
+      return { valid: false, error: `filters.${field} must be an array` };
+    }
+    if (value.length > MAX_LIST_ENTRIES) {
+      return { valid: false, error: `filters.${field} cannot have more than ${MAX_LIST_ENTRIES} entries` };
+    }
+    for (const entry of value) {
+      if (typeof entry !== 'string' || !entry.trim()) {
+        return { valid: false, error: `filters.${field} must only contain non-empty strings` };
+      }
+    }
+  }
+
+  for (const field of ['allowedAuthorIds', 'blockedAuthorIds', 'requiredRoleIds']) {
+    const value = filters[field] || [];
+    if (value.some(entry => !/^\d+$/.test(entry.trim()))) {
+      return { valid: false, error: `filters.${field} must only contain numeric Discord IDs` };
+    }
+  }
+
+  for (const field of ['includePatterns', 'excludePatterns']) {
+    for (const pattern of filters[field] || []) {
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        return { valid: false, error: `filters.${field} pattern exceeds ${MAX_PATTERN_LENGTH} characters` };
+      }
+      try {
+        compilePattern(pattern, 'i');
+      } catch (error) {
+        return { valid: false, error: `filters.${field} has an invalid regex "${pattern}": ${error.message}` };
+      }
+    }
+  }
+
+  for (const field of FILTER_FLAG_FIELDS) {
+    if (typeof filters[field] !== 'undefined' && typeof filters[field] !== 'boolean') {
+      return { valid: false, error: `filters.${field} must be a boolean` };
+    }
+  }
+
+  if (typeof filters.authorType !== 'undefined' && !AUTHOR_TYPES.includes(filters.authorType)) {
+    return { valid: false, error: `filters.authorType must be one of: ${AUTHOR_TYPES.join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Refuse authorType 'bots' while FORWARD_BOT_MESSAGES is off. Checked when filters are set,
+ * not on load, so turning bot forwarding off never drops stored configs.
+ */
+function validateFilterAuthorType(filters) {
+  if (filters?.authorType === 'bots' && !config.forwardBotMessages) {
+    return { valid: false, error: 'filters.authorType "bots" needs FORWARD_BOT_MESSAGES=true' };
+  }
+  return { valid: true };
+}
+
+// Match a filter pattern under the safeRegex time limit; a pattern that runs over throws
+function matchesPattern(pattern, text, field) {
+  return testPattern(compilePattern(pattern, 'i'), text, `filters.${field}`);
+}
+
+/**
+ * Trim list entries, drop empties and fill in defaults so stored configs stay uniform.
+ */
+function normalizeContentFilters(filters) {
+  const normalized = getDefaultContentFilters();
+  if (!filters || typeof filters !== 'object') return normalized;
+
+  for (const field of FILTER_LIST_FIELDS) {
+    if (Array.isArray(filters[field])) {
+      normalized[field] = Array.from(new Set(
+        filters[field]
+          .map(entry => String(entry || '').trim())
+          .filter(Boolean)
+      ));
+    }
+  }
+  for (const field of FILTER_FLAG_FIELDS) {
+    normalized[field] = filters[field] === true;
+  }
+  if (AUTHOR_TYPES.includes(filters.authorType)) {
+    normalized.authorType = filters.authorType;
+  }
+
+  return normalized;
+}
+
+function hasActiveContentFilters(filters) {
+  if (!filters || typeof filters !== 'object') return false;
+  if (FILTER_LIST_FIELDS.some(field => Array.isArray(filters[field]) && filters[field].length > 0)) return true;
+  if (FILTER_FLAG_FIELDS.some(field => filters[field] === true)) return true;
+  return Boolean(filters.authorType) && filters.authorType !== 'any';
+}
+
+// Text searched by keyword/regex filters: message content plus embed text
+function getSearchableText(message) {
+  const parts = [message.content || ''];
+  for (const embed of message.embeds || []) {
+    if (embed.title) parts.push(embed.title);
+    if (embed.description) parts.push(embed.description);
+    for (const field of embed.fields || []) {
+      if (field.name) parts.push(field.name);
+      if (field.value) parts.push(field.value);
+    }
+  }
+  return parts.join('\n');
+}
+
+function hasLink(message) {
+  if (LINK_PATTERN.test(message.content || '')) return true;
+  return (message.embeds || []).some(embed => Boolean(embed.url));
+}
+
+function getMemberRoleIds(message) {
+  const roles = message.member?.roles?.cache;
+  if (!roles) return null;
+  return new Set(roles.keys());
+}
+
+function drop(filter, reason) {
+  return { passed: false, filter, reason };
+}
+
+/**
+ * Check a message against a config's filters.
+ * Returns { passed: true } or { passed: false, filter, reason } naming the filter that dropped it.
+ */
+function evaluateContentFilters(message, filters) {
+  if (!hasActiveContentFilters(filters)) {
+    return { passed: true };
+  }
+
+  const authorId = message.author?.id ? String(message.author.id) : '';
+  const isBot = Boolean(message.author?.bot);
+
+  if (filters.authorType === 'humans' && isBot) {
+    return drop('authorType', 'author is a bot');
+  }
+  if (filters.authorType === 'bots' && !isBot) {
+    return drop('authorType', 'author is not a bot');
+  }
+
+  const blockedAuthorIds = filters.blockedAuthorIds || [];
+  if (blockedAuthorIds.includes(authorId)) {
+    return drop('blockedAuthorIds', `author ${authorId} is blocked`);
+  }
+
+  const allowedAuthorIds = filters.allowedAuthorIds || [];
+  if (allowedAuthorIds.length > 0 && !allowedAuthorIds.includes(authorId)) {
+    return drop('allowedAuthorIds', `author ${authorId} is not in the allow list`);
+  }
+
+  const requiredRoleIds = filters.requiredRoleIds || [];
+  if (requiredRoleIds.length > 0) {
+    const memberRoleIds = getMemberRoleIds(message);
+    if (!memberRoleIds) {
+      return drop('requiredRoleIds', 'author roles unavailable (not a guild member)');
+    }
+    if (!requiredRoleIds.some(roleId => memberRoleIds.has(roleId))) {
+      return drop('requiredRoleIds', 'author has none of the required roles');
+    }
+  }
+
+  if (filters.requireAttachment === true && !(message.attachments?.size > 0)) {
+    return drop('requireAttachment', 'message has no attachment');
+  }
+  if (filters.requireEmbed === true && !(message.embeds?.length > 0)) {
+    return drop('requireEmbed', 'message has no embed');
+  }
+  if (filters.requireLink === true && !hasLink(message)) {
+    return drop('requireLink', 'message has no link');
+  }
+
+  const text = getSearchableText(message);
+  const lowerText = text.toLowerCase();
+
+  const excludedKeyword = (filters.excludeKeywords || []).find(keyword => lowerText.includes(keyword.toLowerCase()));
+  if (excludedKeyword) {
+    return drop('excludeKeywords', `matched excluded keyword "${excludedKeyword}"`);
+  }
+
+  const includeKeywords = filters.includeKeywords || [];
+  if (includeKeywords.length > 0 && !includeKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()))) {
+    return drop('includeKeywords', 'no required keyword found');
+  }
+
+  // A pattern that takes too long drops the message rather than blocking the bot
+  let excludedPattern;
+  try {
+    excludedPattern = (filters.excludePatterns || []).find(pattern => matchesPattern(pattern, text, 'excludePatterns'));
+  } catch (error) {
+    return drop('excludePatterns', error.message);
+  }
+  if (excludedPattern) {
+    return drop('excludePatterns', `matched excluded pattern /${excludedPattern}/`);
+  }
+
+  const includePatterns = filters.includePatterns || [];
+  if (includePatterns.length > 0) {
+    try {
+      if (!includePatterns.some(pattern => matchesPattern(pattern, text, 'includePatterns'))) {
+        return drop('includePatterns', 'no required pattern matched');
+      }
+    } catch (error) {
+      return drop('includePatterns', error.message);
+    }
+  }
+
+  return { passed: true };
+}
+
+module.exports = {
+  getDefaultContentFilters,
+  validateContentFilters,
+  validateFilterAuthorType,
+  normalizeContentFilters,
+  hasActiveContentFilters,
+  evaluateContentFilters
+};
@@ -0,0 +1,172 @@
+// Per-config content transformation rules, applied in order to the message text before it is
+// formatted for the target (on send and again on edit).
+//
+// Shape stored on a forward config (absent or empty means the text is forwarded as is):
+// [
+//   { type: 'replace', pattern: '[?&]utm_[^\\s&]+', replacement: '', flags: 'i' },
+//   { type: 'removeLines', pattern: '^internal:', flags: 'i' },
+//   { type: 'prepend', template: '**{author}** in #{channel}' },
+//   { type: 'append', template: '-# {guild} · {jumpLink}' },
+//   { type: 'truncate', maxLength: 500 }
+// ]
+//
+// Patterns are JavaScript regular expressions. Replace rules are global; without the 'm' flag
+// '^' only matches the start of the text, so { pattern: '^.*\\n?' } drops the first line.
+// Templates take {author}, {channel}, {guild} and {jumpLink}.
+//
+// Patterns run through utils/safeRegex with a time limit, so a pattern that backtracks
+// catastrophically fails the forward instead of blocking the bot. Discord targets are capped at
+// 2000 characters.
+
+const { truncateDiscordMarkdown } = require('./discordMarkdown');
+const { compilePattern, replacePattern, removeMatchingLines } = require('./safeRegex');
+
+const TRANSFORM_TYPES = ['replace', 'removeLines', 'prepend', 'append', 'truncate'];
+const TEMPLATE_VARIABLES = ['author', 'channel', 'guild', 'jumpLink'];
+const TEMPLATE_PATTERN = /\{(author|channel|guild|jumpLink)\}/g;
+const FLAGS_PATTERN = /^[imsu]*$/;
+const MAX_TRANSFORM_RULES = 20;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TEMPLATE_LENGTH = 1000;
+const MAX_TRUNCATE_LENGTH = 4000;
+const DISCORD_TRUNCATE_LENGTH = 2000;
+
+// Largest truncate length a config accepts: Discord messages stop at 2000 characters
+function getTransformLengthLimit(config) {
+  return config?.targetType === 'discord' ? DISCORD_TRUNCATE_LENGTH : MAX_TRUNCATE_LENGTH;
+}
+
+/**
+ * Validate a transforms list. Returns { valid, error }. maxLength caps truncate rules
+ * (see getTransformLengthLimit).
+ */
+function validateContentTransforms(transforms, { maxLength = MAX_TRUNCATE_LENGTH } = {}) {
+  if (!Array.isArray(transforms)) {
+    return { valid: false, error: 'transforms must be an array' };
+  }
+  if (transforms.length > MAX_TRANSFORM_RULES) {
+    return { valid: false, error: `transforms cannot have more than ${MAX_TRANSFORM_RULES} rules` };
+  }
+
+  for (let i = 0; i < transforms.length; i++) {
+    const rule = transforms[i];
+    const label = `transforms[${i}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { valid: false, error: `${label} must be an object` };
+    }
+    if (!TRANSFORM_TYPES.includes(rule.type)) {
+      return { valid: false, error: `${label}.type must be one of: ${TRANSFORM_TYPES.join(', ')}` };
+    }
+
+    if (rule.type === 'replace' || rule.type === 'removeLines') {
+      if (typeof rule.pattern !== 'string' || !rule.pattern) {
+        return { valid: false, error: `${label}.pattern must be a non-empty string` };
+      }
+      if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+        return { valid: false, error: `${label}.pattern exceeds ${MAX_PATTERN_LENGTH} characters` };
+      }
+      if (typeof rule.flags !== 'undefined' && (typeof rule.flags !== 'string' || !FLAGS_PATTERN.test(rule.flags))) {
+        return { valid: false, error: `${label}.flags may only contain i, m, s and u` };
+      }
+      try {
+        compilePattern(rule.pattern, rule.flags || '');
+      } catch (error) {
+        return { valid: false, error: `${label} has an invalid regex "${rule.pattern}": ${error.message}` };
+      }
+      if (rule.type === 'replace' && typeof rule.replacement !== 'undefined' && typeof rule.replacement !== 'string') {
+        return { valid: false, error: `${label}.replacement must be a string` };
+      }
+    } else if (rule.type === 'prepend' || rule.type === 'append') {
+      if (typeof rule.template !== 'string' || !rule.template.trim()) {
+        return { valid: false, error: `${label}.template must be a non-empty string` };
+      }
+      if (rule.template.length > MAX_TEMPLATE_LENGTH) {
+        return { valid: false, error: `${label}.template exceeds ${MAX_TEMPLATE_LENGTH} characters` };
+      }
+    } else if (!Number.isInteger(rule.maxLength) || rule.maxLength < 1 || rule.maxLength > maxLength) {
+      return { valid: false, error: `${label}.maxLength must be an integer between 1 and ${maxLength}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Keep only the keys each rule type uses so stored configs stay uniform.
+ */
+function normalizeContentTransforms(transforms) {
+  if (!Array.isArray(transforms)) return [];
+  return transforms.map(rule => {
+    if (rule.type === 'replace') {
+      return { type: 'replace', pattern: rule.pattern, replacement: rule.replacement || '', flags: rule.flags || '' };
+    }
+    if (rule.type === 'removeLines') {
+      return { type: 'removeLines', pattern: rule.pattern, flags: rule.flags || '' };
+    }
+    if (rule.type === 'truncate') {
+      return { type: 'truncate', maxLength: rule.maxLength };
+    }
+    return { type: rule.type, template: rule.template };
+  });
+}
+
+function renderTemplate(template, message) {
+  const values = {
+    author: message.member?.displayName || message.author?.displayName || message.author?.username || '',
+    channel: message.channel?.name || '',
+    guild: message.guild?.name || '',
+    jumpLink: message.url || ''
+  };
+  return template.replace(TEMPLATE_PATTERN, (match, name) => values[name]);
+}
+
+/**
+ * Run the config's transformation rules over a message's text, in order.
+ * Throws when a pattern exceeds its time limit.
+ */
+function applyContentTransforms(content, message, config) {
+  const transforms = config?.transforms;
+  if (!Array.isArray(transforms) || transforms.length === 0) return content;
+
+  let text = content || '';
+  for (const [index, rule] of transforms.entries()) {
+    switch (rule.type) {
+      case 'replace':
+        text = replacePattern(compilePattern(rule.pattern, `${rule.flags || ''}g`), text, rule.replacement || '', `transforms[${index}]`);
+        break;
+      case 'removeLines':
+        text = removeMatchingLines(compilePattern(rule.pattern, rule.flags || ''), text, `transforms[${index}]`);
+        break;
+      case 'prepend': {
+        const prefix = renderTemplate(rule.template, message);
+        text = text ? `${prefix}\n${text}` : prefix;
+        break;
+      }
+      case 'append': {
+        const suffix = renderTemplate(rule.template, message);
+        text = text ? `${text}\n${suffix}` : suffix;
+        break;
+      }
+      case 'truncate':
+        // Cut on the parsed markdown so formatting the cut falls inside is closed again
+        text = truncateDiscordMarkdown(text, rule.maxLength);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Templates can push the text past a Discord message; Telegram splits long text instead
+  if (config.targetType === 'discord' && text.length > DISCORD_TRUNCATE_LENGTH) {
+    text = truncateDiscordMarkdown(text, DISCORD_TRUNCATE_LENGTH);
+  }
+  return text;
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  getTransformLengthLimit,
+  validateContentTransforms,
+  normalizeContentTransforms,
+  applyContentTransforms
+};
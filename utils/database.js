@@ -7,9 +7,53 @@ const { logInfo, logSuccess, logError, formatUser } = require('./logger');
 const MESSAGE_STATUS = Object.freeze({
   SUCCESS: 'success',
   FAILED: 'failed',
-  RETRY: 'retry'
+  RETRY: 'retry',
+  DIGEST: 'digest' // buffered for (or sent in) a digest; digestId links the row to it
 });
 
+const RETRY_STATUS = Object.freeze({
+  PENDING: 'pending',
+  DEAD: 'dead'
+});
+
+const BACKFILL_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+});
+
+const DIGEST_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+});
+
+const APPROVAL_STATUS = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+});
+
+// What an edit or delete of the source did to a forwarded copy (message_logs.syncAction)
+const SYNC_ACTION = Object.freeze({
+  EDITED: 'edited',
+  EDIT_IGNORED: 'edit_ignored',
+  EDIT_NOTED: 'edit_noted',
+  DELETED: 'deleted',
+  KEPT: 'kept',
+  TOMBSTONED: 'tombstoned'
+});
+
+// Actions taken after the source was deleted; these rows stay as a record, not as orphans
+const SOURCE_DELETED_SYNC_ACTIONS = [SYNC_ACTION.DELETED, SYNC_ACTION.KEPT, SYNC_ACTION.TOMBSTONED];
+
+// forwardedChannelId of message_logs rows for HTTP webhook targets (no channel; forwardedMessageId is the event ID)
+const HTTP_TARGET_CHANNEL_ID = 'http';
+
 // Create data directory if it doesn't exist (sync to ensure it exists before DB opens)
 const dataDir = path.join(__dirname, '..', 'data');
 try {
@@ -299,6 +343,17 @@ async function deleteOldMessageLogs(cutoffForwardedAt) {
   return result.changes || 0;
 }
 
+// backfill_jobs tables created before the held/buffered counts
+async function ensureBackfillJobCountColumns() {
+  const tableInfo = await all('PRAGMA table_info(backfill_jobs)');
+  const existingColumns = new Set((tableInfo || []).map(column => column.name));
+  for (const name of ['held', 'buffered']) {
+    if (existingColumns.has(name)) continue;
+    await run(`ALTER TABLE backfill_jobs ADD COLUMN ${name} INTEGER NOT NULL DEFAULT 0`);
+    logInfo(`Added ${name} column to backfill_jobs table`);
+  }
+}
+
 async function ensureMessageLogsChainColumns() {
   if (messageLogsChainColumnsReady) return;
   if (messageLogsChainColumnsCheckPromise) {
@@ -313,7 +368,11 @@ async function ensureMessageLogsChainColumns() {
     const requiredColumns = [
       { name: 'messageChain', ddl: 'TEXT' },
       { name: 'chainPosition', ddl: 'INTEGER DEFAULT 0' },
-      { name: 'chainParentId', ddl: 'INTEGER' }
+      { name: 'chainParentId', ddl: 'INTEGER' },
+      { name: 'digestId', ddl: 'INTEGER' },
+      { name: 'syncAction', ddl: 'TEXT' },
+      { name: 'syncedAt', ddl: 'INTEGER' },
+      { name: 'attachmentOutcomes', ddl: 'TEXT' }
     ];
 
     for (const column of requiredColumns) {
@@ -356,11 +415,15 @@ async function initializeDatabase() {
         forwardedServerId TEXT,
         configId INTEGER NOT NULL, -- References config ID from config.js
         forwardedAt INTEGER NOT NULL,
-        status TEXT DEFAULT 'success', -- 'success', 'failed', 'retry'
+        status TEXT DEFAULT 'success', -- 'success', 'failed', 'retry', 'digest'
         errorMessage TEXT,
         messageChain TEXT, -- JSON array of message IDs for split messages
         chainPosition INTEGER DEFAULT 0, -- 0=primary, 1=secondary, etc.
-        chainParentId INTEGER -- Reference to primary message log ID
+        chainParentId INTEGER, -- Reference to primary message log ID
+        digestId INTEGER, -- Digest the message was buffered into (status 'digest')
+        syncAction TEXT, -- Last edit/delete sync applied to the copy (SYNC_ACTION)
+        syncedAt INTEGER,
+        attachmentOutcomes TEXT -- JSON [{ name, size, outcome: 'uploaded'|'linked'|'dropped' }]
       )
     `);
 
@@ -390,6 +453,141 @@ async function initializeDatabase() {
       )
     `);
 
+    // Forum topics seen in Telegram supergroups (the Bot API cannot list them)
+    await run(`
+      CREATE TABLE IF NOT EXISTS telegram_topics (
+        chatId TEXT NOT NULL,
+        topicId TEXT NOT NULL,
+        name TEXT,
+        lastSeenAt INTEGER NOT NULL,
+        PRIMARY KEY (chatId, topicId)
+      )
+    `);
+
+    // Create retry queue for failed forwards (survives restarts; 'dead' rows are dead letters)
+    await run(`
+      CREATE TABLE IF NOT EXISTS retry_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        originalMessageId TEXT NOT NULL,
+        originalChannelId TEXT NOT NULL,
+        originalServerId TEXT,
+        configId INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'dead'
+        attempts INTEGER NOT NULL DEFAULT 0,
+        maxAttempts INTEGER NOT NULL,
+        nextRetryAt INTEGER NOT NULL,
+        lastError TEXT,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL,
+        UNIQUE(originalMessageId, configId)
+      )
+    `);
+
+    // Backfill jobs: history forwarded oldest-first; afterMessageId is the resume cursor
+    await run(`
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configId INTEGER NOT NULL,
+        sourceServerId TEXT,
+        mode TEXT NOT NULL, -- 'count', 'range'
+        requestedCount INTEGER,
+        rangeStart INTEGER,
+        rangeEnd INTEGER,
+        afterMessageId TEXT,
+        untilMessageId TEXT NOT NULL,
+        paceMs INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'paused', 'completed', 'cancelled', 'failed'
+        total INTEGER,
+        scanned INTEGER NOT NULL DEFAULT 0,
+        forwarded INTEGER NOT NULL DEFAULT 0,
+        held INTEGER NOT NULL DEFAULT 0, -- held for approval, not forwarded yet
+        buffered INTEGER NOT NULL DEFAULT 0, -- added to a digest, sent with it later
+        skipped INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        lastError TEXT,
+        createdBy TEXT,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL,
+        finishedAt INTEGER
+      )
+    `);
+
+    // Source thread -> forum post created for it in a forum target, per config
+    await run(`
+      CREATE TABLE IF NOT EXISTS forum_thread_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sourceThreadId TEXT NOT NULL,
+        configId INTEGER NOT NULL,
+        targetThreadId TEXT NOT NULL,
+        createdAt INTEGER NOT NULL,
+        UNIQUE(sourceThreadId, configId)
+      )
+    `);
+
+    // Telegram file_ids of uploaded Discord attachments ('<kind>:<host><path>'), reused on later sends and edits
+    await run(`
+      CREATE TABLE IF NOT EXISTS telegram_file_ids (
+        sourceKey TEXT PRIMARY KEY,
+        fileId TEXT NOT NULL,
+        createdAt INTEGER NOT NULL
+      )
+    `);
+
+    // Digests: one open ('pending') digest per config collects messages until dueAt
+    await run(`
+      CREATE TABLE IF NOT EXISTS digests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configId INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed'
+        dueAt INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        forwardedMessageIds TEXT, -- JSON array of the sent digest message IDs
+        lastError TEXT,
+        createdAt INTEGER NOT NULL,
+        sentAt INTEGER
+      )
+    `);
+
+    // Buffered messages, rendered for the config's target when they were added
+    await run(`
+      CREATE TABLE IF NOT EXISTS digest_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        digestId INTEGER NOT NULL,
+        originalMessageId TEXT NOT NULL,
+        originalChannelId TEXT NOT NULL,
+        sourceHeader TEXT,
+        authorName TEXT NOT NULL,
+        content TEXT NOT NULL,
+        jumpUrl TEXT,
+        messageCreatedAt INTEGER NOT NULL,
+        UNIQUE(digestId, originalMessageId)
+      )
+    `);
+
+    // Messages held for moderator approval (configs with requireApproval); decided rows stay as history
+    await run(`
+      CREATE TABLE IF NOT EXISTS approval_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        configId INTEGER NOT NULL,
+        originalMessageId TEXT NOT NULL,
+        originalChannelId TEXT NOT NULL,
+        originalServerId TEXT,
+        authorName TEXT NOT NULL,
+        content TEXT NOT NULL, -- latest source text, kept current by source edits
+        editedContent TEXT, -- moderator's replacement text, forwarded instead of the source text
+        attachmentCount INTEGER NOT NULL DEFAULT 0,
+        jumpUrl TEXT,
+        status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
+        reviewChannelId TEXT,
+        reviewMessageId TEXT,
+        decidedBy TEXT,
+        decidedAt INTEGER,
+        createdAt INTEGER NOT NULL,
+        updatedAt INTEGER NOT NULL,
+        UNIQUE(originalMessageId, configId)
+      )
+    `);
+
     // Create indexes for common queries
     await run('CREATE INDEX IF NOT EXISTS idx_bot_settings_key ON bot_settings(key)');
     await run('CREATE INDEX IF NOT EXISTS idx_message_logs_original ON message_logs(originalMessageId, originalChannelId)');
@@ -397,8 +595,15 @@ async function initializeDatabase() {
     await run('CREATE INDEX IF NOT EXISTS idx_translation_threads_message ON translation_threads(forwardedMessageId)');
     await run('CREATE INDEX IF NOT EXISTS idx_translation_threads_thread ON translation_threads(threadId)');
     await run('CREATE INDEX IF NOT EXISTS idx_telegram_chats_type ON telegram_chats(type)');
+    await run('CREATE INDEX IF NOT EXISTS idx_retry_queue_due ON retry_queue(status, nextRetryAt)');
+    await run('CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status)');
+    await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_digests_open ON digests(configId) WHERE status = '${DIGEST_STATUS.PENDING}'`);
+    await run('CREATE INDEX IF NOT EXISTS idx_digests_due ON digests(status, dueAt)');
+    await run('CREATE INDEX IF NOT EXISTS idx_digest_entries_original ON digest_entries(originalMessageId)');
+    await run('CREATE INDEX IF NOT EXISTS idx_approval_queue_status ON approval_queue(status, createdAt)');
 
     await ensureMessageLogsChainColumns();
+    await ensureBackfillJobCountColumns();
     await backfillTelegramDiscoveredViaLegacyValues();
 
     logSuccess('Database tables ready (forward configs now in config.js)');
@@ -594,6 +799,51 @@ async function deleteMessageChain(originalMessageId, configId) {
   }
 }
 
+// Resize a logged chain after an edit re-split the copy: drop rows of deleted parts, add rows
+// for new parts and refresh messageChain. Rows are rebuilt from the primary so its columns stay.
+async function updateMessageChain(originalMessageId, configId, messageChain) {
+  if (!Array.isArray(messageChain) || messageChain.length === 0) {
+    throw new Error('messageChain must be a non-empty array');
+  }
+
+  await ensureMessageLogsChainColumns();
+  const rows = await getMessageChain(originalMessageId, configId);
+  if (rows.length === 0) {
+    throw new Error(`No message chain logged for original ${originalMessageId} (config ${configId})`);
+  }
+
+  const primary = rows[0];
+  const messageChainJson = messageChain.length > 1 ? JSON.stringify(messageChain) : null;
+
+  await run('BEGIN');
+  try {
+    for (const row of rows.slice(messageChain.length)) {
+      await run('DELETE FROM message_logs WHERE id = ?', [row.id]);
+    }
+    for (let i = 0; i < messageChain.length; i++) {
+      if (i < rows.length) {
+        await run(
+          'UPDATE message_logs SET forwardedMessageId = ?, messageChain = ?, chainPosition = ?, chainParentId = ? WHERE id = ?',
+          [String(messageChain[i]), messageChainJson, i, i === 0 ? null : primary.id, rows[i].id]
+        );
+      } else {
+        await run(
+          `INSERT INTO message_logs (originalMessageId, originalChannelId, originalServerId, forwardedMessageId, forwardedChannelId, forwardedServerId, configId, forwardedAt, status, errorMessage, messageChain, chainPosition, chainParentId)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [primary.originalMessageId, primary.originalChannelId, primary.originalServerId, String(messageChain[i]), primary.forwardedChannelId, primary.forwardedServerId, primary.configId, primary.forwardedAt, MESSAGE_STATUS.SUCCESS, null, messageChainJson, i, primary.id]
+        );
+      }
+    }
+    await run('COMMIT');
+  } catch (error) {
+    await run('ROLLBACK').catch(() => {});
+    logError('Error updating message chain:', error);
+    throw error;
+  }
+
+  logInfo(`📎 Updated message chain: ${rows.length} -> ${messageChain.length} messages for original ${originalMessageId}`);
+}
+
 async function getMessageLogsFiltered({ configId = null, status = null, limit = 50, beforeId = null, messageId = null } = {}) {
   const conditions = [];
   const params = [];
@@ -763,6 +1013,9 @@ async function validateRecentMessageLogs(client, optionsOrLimit = 20) {
           logInfo(`  Skipping log ${log.id} - status is ${log.status}`);
           continue;
         }
+
+        // The source is known to be gone; the row records what was done with the copy
+        if (isSourceDeletedLog(log)) continue;
         
         const originalCheck = await checkDiscordMessageAcrossClients(
           sourceVerificationClients,
@@ -779,8 +1032,8 @@ async function validateRecentMessageLogs(client, optionsOrLimit = 20) {
         const isTelegramTarget = !log.forwardedServerId
           && String(log.forwardedChannelId || '').trim().startsWith('-');
 
-        if (isTelegramTarget) {
-          // Telegram message existence is not reliably verifiable from Discord APIs.
+        if (isTelegramTarget || log.forwardedChannelId === HTTP_TARGET_CHANNEL_ID) {
+          // Telegram and HTTP copies are not verifiable from Discord APIs.
           forwardedExists = true;
           forwardedChecked = false;
         } else {
@@ -850,20 +1103,30 @@ async function validateRecentMessageLogs(client, optionsOrLimit = 20) {
   }
 }
 
-// Clean up database entries for deleted messages
-async function cleanupDeletedMessage(originalMessageId) {
-  try {
-    const result = await run(`
-      DELETE FROM message_logs
-      WHERE originalMessageId = ? AND status = '${MESSAGE_STATUS.SUCCESS}'
-    `, [String(originalMessageId)]);
-    
-    logInfo(`🗑️ Cleaned up ${result.changes || 0} database entries for deleted message ${originalMessageId}`);
-    return result.changes || 0;
-  } catch (error) {
-    logError('Error cleaning up deleted message from database:', error);
-    throw error;
-  }
+// Record the edit/delete sync applied to a message's copies for one config (all chain parts)
+async function recordMessageSyncAction(originalMessageId, configId, syncAction) {
+  await ensureMessageLogsChainColumns();
+  const result = await run(
+    `UPDATE message_logs SET syncAction = ?, syncedAt = ? WHERE originalMessageId = ? AND configId = ? AND status = '${MESSAGE_STATUS.SUCCESS}'`,
+    [syncAction, Date.now(), String(originalMessageId), configId]
+  );
+  return result.changes || 0;
+}
+
+// Record what happened to each attachment of a forward (on the primary row of a chain)
+async function recordAttachmentOutcomes(originalMessageId, configId, outcomes) {
+  if (!Array.isArray(outcomes) || outcomes.length === 0) return 0;
+  await ensureMessageLogsChainColumns();
+  const result = await run(
+    `UPDATE message_logs SET attachmentOutcomes = ?
+     WHERE originalMessageId = ? AND configId = ? AND status = '${MESSAGE_STATUS.SUCCESS}' AND COALESCE(chainPosition, 0) = 0`,
+    [JSON.stringify(outcomes), String(originalMessageId), configId]
+  );
+  return result.changes || 0;
+}
+
+function isSourceDeletedLog(log) {
+  return SOURCE_DELETED_SYNC_ACTIONS.includes(log.syncAction);
 }
 
 // Clean up invalid/orphaned message logs
@@ -883,6 +1146,7 @@ async function cleanupOrphanedLogs(client, optionsOrLimit = 50) {
       if (deletedOld > 0) {
         logInfo(`🧹 Retention cleanup: Removed ${deletedOld} old message logs (older than ${maintenance.retentionDays} days)`);
       }
+      await deleteOldTelegramFileIds(retentionCutoff);
     }
 
     const limitLabel = options.limit ? `last ${options.limit}` : 'paged';
@@ -917,7 +1181,7 @@ async function cleanupOrphanedLogs(client, optionsOrLimit = 50) {
 
       for (const log of recentLogs) {
         processedCount++;
-      if (log.status !== MESSAGE_STATUS.SUCCESS) continue;
+      if (log.status !== MESSAGE_STATUS.SUCCESS || isSourceDeletedLog(log)) continue;
       
       try {
         // Check if original message still exists
@@ -1218,11 +1482,613 @@ async function getTelegramChat(chatId) {
 
 async function removeTelegramChat(chatId) {
   const result = await run('DELETE FROM telegram_chats WHERE chatId = ?', [String(chatId)]);
+  await run('DELETE FROM telegram_topics WHERE chatId = ?', [String(chatId)]);
+  return result.changes || 0;
+}
+
+// A null name keeps the one already stored (only topic creation and rename messages carry it)
+async function upsertTelegramTopic({ chatId, topicId, name = null }) {
+  await run(`
+    INSERT INTO telegram_topics (chatId, topicId, name, lastSeenAt)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(chatId, topicId) DO UPDATE SET
+      name = COALESCE(excluded.name, telegram_topics.name),
+      lastSeenAt = excluded.lastSeenAt
+  `, [String(chatId), String(topicId), name, Date.now()]);
+}
+
+async function getTelegramTopics(chatId = null) {
+  if (chatId !== null) {
+    return await all('SELECT * FROM telegram_topics WHERE chatId = ? ORDER BY name, topicId', [String(chatId)]);
+  }
+  return await all('SELECT * FROM telegram_topics ORDER BY chatId, name, topicId');
+}
+
+async function getTelegramTopic(chatId, topicId) {
+  return await get('SELECT * FROM telegram_topics WHERE chatId = ? AND topicId = ?', [String(chatId), String(topicId)]);
+}
+
+// Forum thread links
+
+async function getForumThreadLink(sourceThreadId, configId) {
+  const row = await get(
+    'SELECT targetThreadId FROM forum_thread_links WHERE sourceThreadId = ? AND configId = ?',
+    [String(sourceThreadId), configId]
+  );
+  return row ? row.targetThreadId : null;
+}
+
+async function saveForumThreadLink(sourceThreadId, configId, targetThreadId) {
+  await run(`
+    INSERT INTO forum_thread_links (sourceThreadId, configId, targetThreadId, createdAt)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(sourceThreadId, configId) DO UPDATE SET
+      targetThreadId = excluded.targetThreadId,
+      createdAt = excluded.createdAt
+  `, [String(sourceThreadId), configId, String(targetThreadId), Date.now()]);
+}
+
+async function isLinkedForumThread(targetThreadId) {
+  const row = await get('SELECT 1 FROM forum_thread_links WHERE targetThreadId = ? LIMIT 1', [String(targetThreadId)]);
+  return Boolean(row);
+}
+
+async function deleteForumThreadLink(sourceThreadId, configId) {
+  await run(
+    'DELETE FROM forum_thread_links WHERE sourceThreadId = ? AND configId = ?',
+    [String(sourceThreadId), configId]
+  );
+}
+
+// Telegram file_ids
+
+async function getTelegramFileId(sourceKey) {
+  const row = await get('SELECT fileId FROM telegram_file_ids WHERE sourceKey = ?', [sourceKey]);
+  return row ? row.fileId : null;
+}
+
+async function saveTelegramFileId(sourceKey, fileId) {
+  await run(`
+    INSERT INTO telegram_file_ids (sourceKey, fileId, createdAt)
+    VALUES (?, ?, ?)
+    ON CONFLICT(sourceKey) DO UPDATE SET
+      fileId = excluded.fileId,
+      createdAt = excluded.createdAt
+  `, [sourceKey, fileId, Date.now()]);
+}
+
+async function deleteOldTelegramFileIds(cutoffCreatedAt) {
+  const result = await run('DELETE FROM telegram_file_ids WHERE createdAt < ?', [cutoffCreatedAt]);
+  return result.changes || 0;
+}
+
+// Retry queue operations
+
+/**
+ * Queue a failed forward. A pending row that already exists for the same message/config keeps
+ * its attempt count and only records the latest error; a dead-lettered one is queued again from
+ * the first attempt.
+ */
+async function enqueueRetry({ originalMessageId, originalChannelId, originalServerId = null, configId, error = null, maxAttempts, nextRetryAt }) {
+  const now = Date.now();
+  await run(`
+    INSERT INTO retry_queue (originalMessageId, originalChannelId, originalServerId, configId, status, attempts, maxAttempts, nextRetryAt, lastError, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?, ?, ?)
+    ON CONFLICT(originalMessageId, configId) DO UPDATE SET
+      status = CASE WHEN retry_queue.status = ? THEN excluded.status ELSE retry_queue.status END,
+      attempts = CASE WHEN retry_queue.status = ? THEN excluded.attempts ELSE retry_queue.attempts END,
+      maxAttempts = CASE WHEN retry_queue.status = ? THEN excluded.maxAttempts ELSE retry_queue.maxAttempts END,
+      nextRetryAt = CASE WHEN retry_queue.status = ? THEN excluded.nextRetryAt ELSE retry_queue.nextRetryAt END,
+      lastError = excluded.lastError,
+      updatedAt = excluded.updatedAt
+  `, [
+    String(originalMessageId),
+    String(originalChannelId),
+    originalServerId ? String(originalServerId) : null,
+    configId,
+    RETRY_STATUS.PENDING,
+    maxAttempts,
+    nextRetryAt,
+    error,
+    now,
+    now,
+    RETRY_STATUS.DEAD,
+    RETRY_STATUS.DEAD,
+    RETRY_STATUS.DEAD,
+    RETRY_STATUS.DEAD
+  ]);
+  return true;
+}
+
+async function getDueRetries(now = Date.now(), limit = 25) {
+  return await all(`
+    SELECT * FROM retry_queue
+    WHERE status = ? AND nextRetryAt <= ?
+    ORDER BY nextRetryAt ASC
+    LIMIT ?
+  `, [RETRY_STATUS.PENDING, now, limit]);
+}
+
+/**
+ * Record a failed retry attempt. The row becomes a dead letter once it reaches maxAttempts.
+ * Returns the updated row.
+ */
+async function recordRetryFailure(id, error, nextRetryAt) {
+  await run(`
+    UPDATE retry_queue SET
+      attempts = attempts + 1,
+      lastError = ?,
+      nextRetryAt = ?,
+      status = CASE WHEN attempts + 1 >= maxAttempts THEN ? ELSE ? END,
+      updatedAt = ?
+    WHERE id = ?
+  `, [error, nextRetryAt, RETRY_STATUS.DEAD, RETRY_STATUS.PENDING, Date.now(), id]);
+  return await get('SELECT * FROM retry_queue WHERE id = ?', [id]);
+}
+
+async function markRetryDead(id, error) {
+  const result = await run(
+    'UPDATE retry_queue SET status = ?, lastError = ?, updatedAt = ? WHERE id = ?',
+    [RETRY_STATUS.DEAD, error, Date.now(), id]
+  );
+  return result.changes || 0;
+}
+
+async function deleteRetry(id) {
+  const result = await run('DELETE FROM retry_queue WHERE id = ?', [id]);
+  return result.changes || 0;
+}
+
+// Shared WHERE builder for the admin list/requeue/discard queries
+function buildRetryQueueWhere({ status = null, ids = null, serverIds = null } = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (status) {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  if (Array.isArray(ids)) {
+    if (!ids.length) return { where: 'WHERE 0', params: [] };
+    clauses.push(`id IN (${ids.map(() => '?').join(', ')})`);
+    params.push(...ids);
+  }
+  if (Array.isArray(serverIds)) {
+    if (!serverIds.length) return { where: 'WHERE 0', params: [] };
+    clauses.push(`originalServerId IN (${serverIds.map(() => '?').join(', ')})`);
+    params.push(...serverIds.map(String));
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+async function getRetryQueueEntries({ status = null, serverIds = null, limit = 50, beforeId = null } = {}) {
+  const { where, params } = buildRetryQueueWhere({ status, serverIds });
+  let query = `SELECT * FROM retry_queue ${where}`;
+  if (beforeId) {
+    query += `${where ? ' AND' : ' WHERE'} id < ?`;
+    params.push(beforeId);
+  }
+  query += ' ORDER BY id DESC LIMIT ?';
+  params.push(limit);
+  return await all(query, params);
+}
+
+/**
+ * Put entries back into the pending state with a fresh attempt budget, due immediately.
+ */
+async function requeueRetries({ status = null, ids = null, serverIds = null } = {}) {
+  const { where, params } = buildRetryQueueWhere({ status, ids, serverIds });
+  const now = Date.now();
+  const result = await run(
+    `UPDATE retry_queue SET status = ?, attempts = 0, nextRetryAt = ?, updatedAt = ? ${where}`,
+    [RETRY_STATUS.PENDING, now, now, ...params]
+  );
+  return result.changes || 0;
+}
+
+async function discardRetries({ status = null, ids = null, serverIds = null } = {}) {
+  const { where, params } = buildRetryQueueWhere({ status, ids, serverIds });
+  const result = await run(`DELETE FROM retry_queue ${where}`, params);
+  return result.changes || 0;
+}
+
+async function getRetryQueueCounts({ serverIds = null } = {}) {
+  const { where, params } = buildRetryQueueWhere({ serverIds });
+  const rows = await all(`SELECT status, COUNT(*) AS count FROM retry_queue ${where} GROUP BY status`, params);
+  const counts = { pending: 0, dead: 0 };
+  for (const row of rows) {
+    counts[row.status] = Number(row.count || 0);
+  }
+  return counts;
+}
+
+// Backfill job operations
+
+const BACKFILL_PROGRESS_FIELDS = ['afterMessageId', 'total', 'scanned', 'forwarded', 'held', 'buffered', 'skipped', 'failed', 'lastError'];
+const BACKFILL_ACTIVE_STATUSES = [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.RUNNING, BACKFILL_STATUS.PAUSED];
+const BACKFILL_FINISHED_STATUSES = [BACKFILL_STATUS.COMPLETED, BACKFILL_STATUS.CANCELLED, BACKFILL_STATUS.FAILED];
+
+async function createBackfillJob({ configId, sourceServerId = null, mode, requestedCount = null, rangeStart = null, rangeEnd = null, afterMessageId = null, untilMessageId, paceMs, createdBy = null }) {
+  const now = Date.now();
+  const result = await run(`
+    INSERT INTO backfill_jobs (configId, sourceServerId, mode, requestedCount, rangeStart, rangeEnd, afterMessageId, untilMessageId, paceMs, status, createdBy, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    configId,
+    sourceServerId ? String(sourceServerId) : null,
+    mode,
+    requestedCount,
+    rangeStart,
+    rangeEnd,
+    afterMessageId,
+    String(untilMessageId),
+    paceMs,
+    BACKFILL_STATUS.QUEUED,
+    createdBy,
+    now,
+    now
+  ]);
+  return result.lastID;
+}
+
+async function getBackfillJob(id) {
+  return await get('SELECT * FROM backfill_jobs WHERE id = ?', [id]);
+}
+
+async function getActiveBackfillJobForConfig(configId) {
+  return await get(
+    `SELECT * FROM backfill_jobs WHERE configId = ? AND status IN (${BACKFILL_ACTIVE_STATUSES.map(() => '?').join(', ')}) LIMIT 1`,
+    [configId, ...BACKFILL_ACTIVE_STATUSES]
+  );
+}
+
+// Next job for the runner: one interrupted by a restart first, then the oldest queued
+async function getNextBackfillJob() {
+  return await get(`
+    SELECT * FROM backfill_jobs
+    WHERE status IN (?, ?)
+    ORDER BY CASE status WHEN ? THEN 0 ELSE 1 END, id ASC
+    LIMIT 1
+  `, [BACKFILL_STATUS.RUNNING, BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.RUNNING]);
+}
+
+async function getBackfillJobs({ serverIds = null, limit = 50 } = {}) {
+  if (Array.isArray(serverIds)) {
+    if (!serverIds.length) return [];
+    return await all(
+      `SELECT * FROM backfill_jobs WHERE sourceServerId IN (${serverIds.map(() => '?').join(', ')}) ORDER BY id DESC LIMIT ?`,
+      [...serverIds.map(String), limit]
+    );
+  }
+  return await all('SELECT * FROM backfill_jobs ORDER BY id DESC LIMIT ?', [limit]);
+}
+
+async function updateBackfillProgress(id, progress) {
+  const fields = Object.keys(progress).filter(field => BACKFILL_PROGRESS_FIELDS.includes(field));
+  if (!fields.length) return 0;
+  const result = await run(
+    `UPDATE backfill_jobs SET ${fields.map(field => `${field} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+    [...fields.map(field => progress[field]), Date.now(), id]
+  );
+  return result.changes || 0;
+}
+
+/**
+ * Move a job to a new status, only if it is currently in one of fromStatuses.
+ * Returns the number of rows changed (0 when the transition is not allowed).
+ */
+async function setBackfillJobStatus(id, status, fromStatuses, lastError = undefined) {
+  const now = Date.now();
+  const finishedAt = BACKFILL_FINISHED_STATUSES.includes(status) ? now : null;
+  const params = [status, now, finishedAt];
+  let errorClause = '';
+  if (lastError !== undefined) {
+    errorClause = ', lastError = ?';
+    params.push(lastError);
+  }
+  params.push(id, ...fromStatuses);
+
+  const result = await run(
+    `UPDATE backfill_jobs SET status = ?, updatedAt = ?, finishedAt = ?${errorClause}
+     WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    params
+  );
+  return result.changes || 0;
+}
+
+// Digest operations
+
+/**
+ * Buffer a rendered message in the config's open digest, opening one due at dueAt if needed.
+ * The entry only goes into a digest that is still pending, so a digest being sent is never
+ * changed under the sender. Also records the message_logs row. Returns the digest ID, or
+ * null when the message is already in an unsent digest.
+ */
+async function addDigestEntry({ configId, dueAt, entry, log }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const now = Date.now();
+    await run(
+      'INSERT OR IGNORE INTO digests (configId, status, dueAt, createdAt) VALUES (?, ?, ?, ?)',
+      [configId, DIGEST_STATUS.PENDING, dueAt, now]
+    );
+    const digest = await get('SELECT id FROM digests WHERE configId = ? AND status = ?', [configId, DIGEST_STATUS.PENDING]);
+    if (!digest) continue;
+
+    const result = await run(`
+      INSERT OR IGNORE INTO digest_entries (digestId, originalMessageId, originalChannelId, sourceHeader, authorName, content, jumpUrl, messageCreatedAt)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE EXISTS (SELECT 1 FROM digests WHERE id = ? AND status = ?)
+    `, [
+      digest.id,
+      String(entry.originalMessageId),
+      String(entry.originalChannelId),
+      entry.sourceHeader || null,
+      entry.authorName,
+      entry.content,
+      entry.jumpUrl || null,
+      entry.messageCreatedAt,
+      digest.id,
+      DIGEST_STATUS.PENDING
+    ]);
+    if (!result.changes) {
+      const existing = await get('SELECT id FROM digest_entries WHERE digestId = ? AND originalMessageId = ?', [digest.id, String(entry.originalMessageId)]);
+      if (existing) return null;
+      continue; // The digest started sending in between; open the next one
+    }
+
+    await run(`
+      INSERT INTO message_logs (originalMessageId, originalChannelId, originalServerId, forwardedMessageId, forwardedChannelId, forwardedServerId, configId, forwardedAt, status, digestId)
+      VALUES (?, ?, ?, NULL, ?, ?, ?, ?, ?, ?)
+    `, [
+      String(entry.originalMessageId),
+      String(entry.originalChannelId),
+      log.originalServerId || null,
+      log.forwardedChannelId || null,
+      log.forwardedServerId || null,
+      configId,
+      now,
+      MESSAGE_STATUS.DIGEST,
+      digest.id
+    ]);
+    return digest.id;
+  }
+  throw new Error(`Could not open a digest for config ${configId}`);
+}
+
+// Whether a message is already buffered in or sent with a digest of this config
+async function isMessageInDigest(originalMessageId, configId) {
+  const row = await get(
+    'SELECT id FROM message_logs WHERE originalMessageId = ? AND configId = ? AND status = ? LIMIT 1',
+    [String(originalMessageId), configId, MESSAGE_STATUS.DIGEST]
+  );
+  return Boolean(row);
+}
+
+async function getDueDigests(now = Date.now(), limit = 25) {
+  return await all(
+    'SELECT * FROM digests WHERE status = ? AND dueAt <= ? ORDER BY dueAt ASC LIMIT ?',
+    [DIGEST_STATUS.PENDING, now, limit]
+  );
+}
+
+// Take a pending digest for sending; false if another run already took it
+async function claimDigest(id) {
+  const result = await run(
+    'UPDATE digests SET status = ?, attempts = attempts + 1 WHERE id = ? AND status = ?',
+    [DIGEST_STATUS.SENDING, id, DIGEST_STATUS.PENDING]
+  );
+  return (result.changes || 0) > 0;
+}
+
+async function getDigestEntries(digestId) {
+  return await all(
+    'SELECT * FROM digest_entries WHERE digestId = ? ORDER BY messageCreatedAt ASC, id ASC',
+    [digestId]
+  );
+}
+
+// Record the sent digest; its message_logs rows point at the first digest message
+async function markDigestSent(id, forwardedMessageIds, forwardedChannelId) {
+  await run(
+    'UPDATE digests SET status = ?, forwardedMessageIds = ?, sentAt = ?, lastError = NULL WHERE id = ?',
+    [DIGEST_STATUS.SENT, JSON.stringify(forwardedMessageIds), Date.now(), id]
+  );
+  await run(
+    'UPDATE message_logs SET forwardedMessageId = ?, forwardedChannelId = ? WHERE digestId = ? AND status = ?',
+    [String(forwardedMessageIds[0]), String(forwardedChannelId), id, MESSAGE_STATUS.DIGEST]
+  );
+}
+
+/**
+ * A send that failed goes back to pending (due again at nextDueAt), or to failed with its
+ * message_logs rows when there are no attempts left. If a newer digest was opened for the
+ * config meanwhile, the entries move into that one.
+ */
+async function recordDigestFailure(id, error, nextDueAt, giveUp = false) {
+  if (giveUp) {
+    await run('UPDATE digests SET status = ?, lastError = ? WHERE id = ?', [DIGEST_STATUS.FAILED, error, id]);
+    await run(
+      'UPDATE message_logs SET status = ?, errorMessage = ? WHERE digestId = ? AND status = ?',
+      [MESSAGE_STATUS.FAILED, error, id, MESSAGE_STATUS.DIGEST]
+    );
+    return;
+  }
+
+  // Reopening fails on the one-pending-digest index when a newer digest is already open
+  const result = await run(
+    'UPDATE OR IGNORE digests SET status = ?, dueAt = ?, lastError = ? WHERE id = ?',
+    [DIGEST_STATUS.PENDING, nextDueAt, error, id]
+  );
+  if (result.changes) return;
+
+  // Fold the entries into the open digest instead
+  const open = await get(`
+    SELECT d.id FROM digests d
+    JOIN digests f ON f.configId = d.configId
+    WHERE f.id = ? AND d.status = ?
+  `, [id, DIGEST_STATUS.PENDING]);
+  if (!open) return;
+  await run('UPDATE OR IGNORE digest_entries SET digestId = ? WHERE digestId = ?', [open.id, id]);
+  await run('UPDATE message_logs SET digestId = ? WHERE digestId = ? AND status = ?', [open.id, id, MESSAGE_STATUS.DIGEST]);
+  await run('UPDATE digests SET dueAt = MIN(dueAt, ?) WHERE id = ?', [nextDueAt, open.id]);
+  await deleteDigest(id);
+}
+
+// A digest left with nothing to send (every entry was redacted)
+async function deleteDigest(id) {
+  await run('DELETE FROM digest_entries WHERE digestId = ?', [id]);
+  await run('DELETE FROM digests WHERE id = ?', [id]);
+}
+
+// Digests interrupted mid-send by a restart are sent again
+async function resetSendingDigests() {
+  const result = await run('UPDATE digests SET status = ? WHERE status = ?', [DIGEST_STATUS.PENDING, DIGEST_STATUS.SENDING]);
+  return result.changes || 0;
+}
+
+/**
+ * Drop a deleted source message from every digest that has not been sent yet, with its
+ * message_logs rows. Returns the number of entries removed.
+ */
+async function redactPendingDigestEntries(originalMessageId) {
+  const messageIdStr = String(originalMessageId);
+  const pendingDigestIds = `SELECT id FROM digests WHERE status = '${DIGEST_STATUS.PENDING}'`;
+  const result = await run(
+    `DELETE FROM digest_entries WHERE originalMessageId = ? AND digestId IN (${pendingDigestIds})`,
+    [messageIdStr]
+  );
+  await run(
+    `DELETE FROM message_logs WHERE originalMessageId = ? AND status = ? AND digestId IN (${pendingDigestIds})`,
+    [messageIdStr, MESSAGE_STATUS.DIGEST]
+  );
+  return result.changes || 0;
+}
+
+// Pending entries of a source message, with their config, so edits can re-render them
+async function getPendingDigestEntries(originalMessageId) {
+  return await all(`
+    SELECT e.*, d.configId FROM digest_entries e
+    JOIN digests d ON d.id = e.digestId
+    WHERE e.originalMessageId = ? AND d.status = ?
+  `, [String(originalMessageId), DIGEST_STATUS.PENDING]);
+}
+
+async function updateDigestEntryContent(entryId, content) {
+  const result = await run(
+    `UPDATE digest_entries SET content = ?
+     WHERE id = ? AND digestId IN (SELECT id FROM digests WHERE status = '${DIGEST_STATUS.PENDING}')`,
+    [content, entryId]
+  );
+  return result.changes || 0;
+}
+
+// Approval queue operations
+
+/**
+ * Hold a message for approval. Returns the new row ID, or null when the message was
+ * already held for this config (pending or decided).
+ */
+async function createApprovalEntry({ configId, originalMessageId, originalChannelId, originalServerId = null, authorName, content, attachmentCount = 0, jumpUrl = null }) {
+  const now = Date.now();
+  const result = await run(`
+    INSERT OR IGNORE INTO approval_queue (configId, originalMessageId, originalChannelId, originalServerId, authorName, content, attachmentCount, jumpUrl, status, createdAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    configId,
+    String(originalMessageId),
+    String(originalChannelId),
+    originalServerId ? String(originalServerId) : null,
+    authorName,
+    content,
+    attachmentCount,
+    jumpUrl,
+    APPROVAL_STATUS.PENDING,
+    now,
+    now
+  ]);
+  return result.changes ? result.lastID : null;
+}
+
+async function getApprovalEntry(id) {
+  return await get('SELECT * FROM approval_queue WHERE id = ?', [id]);
+}
+
+async function getApprovalEntryForMessage(originalMessageId, configId) {
+  return await get(
+    'SELECT * FROM approval_queue WHERE originalMessageId = ? AND configId = ?',
+    [String(originalMessageId), configId]
+  );
+}
+
+async function getPendingApprovalsForMessage(originalMessageId) {
+  return await all(
+    'SELECT * FROM approval_queue WHERE originalMessageId = ? AND status = ?',
+    [String(originalMessageId), APPROVAL_STATUS.PENDING]
+  );
+}
+
+async function getApprovalEntries({ status = APPROVAL_STATUS.PENDING, serverIds = null, limit = 50 } = {}) {
+  const clauses = ['status = ?'];
+  const params = [status];
+  if (Array.isArray(serverIds)) {
+    if (!serverIds.length) return [];
+    clauses.push(`originalServerId IN (${serverIds.map(() => '?').join(', ')})`);
+    params.push(...serverIds.map(String));
+  }
+  params.push(limit);
+  return await all(
+    `SELECT * FROM approval_queue WHERE ${clauses.join(' AND ')} ORDER BY createdAt ASC, id ASC LIMIT ?`,
+    params
+  );
+}
+
+async function setApprovalReviewMessage(id, reviewChannelId, reviewMessageId) {
+  await run(
+    'UPDATE approval_queue SET reviewChannelId = ?, reviewMessageId = ?, updatedAt = ? WHERE id = ?',
+    [String(reviewChannelId), String(reviewMessageId), Date.now(), id]
+  );
+}
+
+// Source edits while pending; decided rows keep the text they were decided on
+async function updatePendingApprovalContent(id, content, attachmentCount) {
+  const result = await run(
+    'UPDATE approval_queue SET content = ?, attachmentCount = ?, updatedAt = ? WHERE id = ? AND status = ?',
+    [content, attachmentCount, Date.now(), id, APPROVAL_STATUS.PENDING]
+  );
+  return result.changes || 0;
+}
+
+/**
+ * Approve or reject a pending entry. Returns the number of rows changed (0 when it was
+ * already decided or dropped), so two moderators cannot both decide it.
+ */
+async function decideApproval(id, status, decidedBy = null, editedContent = null) {
+  const now = Date.now();
+  const result = await run(`
+    UPDATE approval_queue SET status = ?, decidedBy = ?, editedContent = ?, decidedAt = ?, updatedAt = ?
+    WHERE id = ? AND status = ?
+  `, [status, decidedBy, editedContent, now, now, id, APPROVAL_STATUS.PENDING]);
+  return result.changes || 0;
+}
+
+// Source deleted: pending entries are dropped entirely
+async function deletePendingApprovalsForMessage(originalMessageId) {
+  const result = await run(
+    'DELETE FROM approval_queue WHERE originalMessageId = ? AND status = ?',
+    [String(originalMessageId), APPROVAL_STATUS.PENDING]
+  );
   return result.changes || 0;
 }
 
 module.exports = {
   MESSAGE_STATUS,
+  RETRY_STATUS,
+  BACKFILL_STATUS,
+  DIGEST_STATUS,
+  APPROVAL_STATUS,
+  SYNC_ACTION,
+  HTTP_TARGET_CHANNEL_ID,
   // Bot settings operations
   getBotSetting,
   setBotSetting,
@@ -1239,8 +2105,10 @@ module.exports = {
   getMessageChain,
   isMessageChain,
   deleteMessageChain,
+  updateMessageChain,
   validateRecentMessageLogs,
-  cleanupDeletedMessage,
+  recordMessageSyncAction,
+  recordAttachmentOutcomes,
   cleanupOrphanedLogs,
   setMaintenanceReaderBotClient,
   // Translation threads operations
@@ -1254,6 +2122,58 @@ module.exports = {
   getTelegramChats,
   getTelegramChat,
   removeTelegramChat,
+  upsertTelegramTopic,
+  getTelegramTopics,
+  getTelegramTopic,
+  // Forum thread links
+  getForumThreadLink,
+  saveForumThreadLink,
+  isLinkedForumThread,
+  deleteForumThreadLink,
+  // Telegram file_ids
+  getTelegramFileId,
+  saveTelegramFileId,
+  // Retry queue
+  enqueueRetry,
+  getDueRetries,
+  recordRetryFailure,
+  markRetryDead,
+  deleteRetry,
+  getRetryQueueEntries,
+  requeueRetries,
+  discardRetries,
+  getRetryQueueCounts,
+  // Backfill jobs
+  createBackfillJob,
+  getBackfillJob,
+  getActiveBackfillJobForConfig,
+  getNextBackfillJob,
+  getBackfillJobs,
+  updateBackfillProgress,
+  setBackfillJobStatus,
+  // Digests
+  addDigestEntry,
+  isMessageInDigest,
+  getDueDigests,
+  claimDigest,
+  getDigestEntries,
+  markDigestSent,
+  recordDigestFailure,
+  deleteDigest,
+  resetSendingDigests,
+  redactPendingDigestEntries,
+  getPendingDigestEntries,
+  updateDigestEntryContent,
+  // Approval queue
+  createApprovalEntry,
+  getApprovalEntry,
+  getApprovalEntryForMessage,
+  getPendingApprovalsForMessage,
+  getApprovalEntries,
+  setApprovalReviewMessage,
+  updatePendingApprovalContent,
+  decideApproval,
+  deletePendingApprovalsForMessage,
   // Database utilities
   run,
   get,
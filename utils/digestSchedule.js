@@ -0,0 +1,73 @@
+// Digest delivery schedule stored on a forward config.
+//
+// Shape (absent or null means every message is forwarded immediately):
+// { mode: 'interval', intervalMinutes: 60 }  // one digest N minutes after its first message
+// { mode: 'daily', time: '18:00' }           // one digest per day at HH:MM UTC
+
+const DIGEST_MODES = ['interval', 'daily'];
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+const DAILY_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validateDigestSettings(digest) {
+  if (digest === null) return { valid: true };
+  if (!digest || typeof digest !== 'object' || Array.isArray(digest)) {
+    return { valid: false, error: 'digest must be an object or null' };
+  }
+  if (!DIGEST_MODES.includes(digest.mode)) {
+    return { valid: false, error: `digest.mode must be one of: ${DIGEST_MODES.join(', ')}` };
+  }
+
+  if (digest.mode === 'interval') {
+    const minutes = digest.intervalMinutes;
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+      return { valid: false, error: `digest.intervalMinutes must be an integer between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}` };
+    }
+  } else if (typeof digest.time !== 'string' || !DAILY_TIME_PATTERN.test(digest.time)) {
+    return { valid: false, error: 'digest.time must be HH:MM (24-hour, UTC)' };
+  }
+
+  return { valid: true };
+}
+
+// Keep only the keys the mode uses
+function normalizeDigestSettings(digest) {
+  if (!digest) return null;
+  return digest.mode === 'interval'
+    ? { mode: 'interval', intervalMinutes: digest.intervalMinutes }
+    : { mode: 'daily', time: digest.time };
+}
+
+function isDigestEnabled(config) {
+  return Boolean(config && config.digest && DIGEST_MODES.includes(config.digest.mode));
+}
+
+/**
+ * When a digest opened now should be sent: now + interval, or the next HH:MM UTC.
+ */
+function getNextDigestDueAt(digest, now = Date.now()) {
+  if (digest.mode === 'interval') {
+    return now + digest.intervalMinutes * 60 * 1000;
+  }
+
+  const [, hours, minutes] = DAILY_TIME_PATTERN.exec(digest.time);
+  const today = new Date(now);
+  const dueAt = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), Number(hours), Number(minutes));
+  return dueAt > now ? dueAt : dueAt + DAY_MS;
+}
+
+function describeDigestSchedule(digest) {
+  if (!digest) return 'immediate';
+  return digest.mode === 'interval'
+    ? `every ${digest.intervalMinutes} minutes`
+    : `daily at ${digest.time} UTC`;
+}
+
+module.exports = {
+  validateDigestSettings,
+  normalizeDigestSettings,
+  isDigestEnabled,
+  getNextDigestDueAt,
+  describeDigestSchedule
+};
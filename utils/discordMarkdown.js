@@ -0,0 +1,582 @@
+// Discord markdown as a syntax tree, rendered for Telegram (MarkdownV2 or HTML), as plain text
+// or back to Discord markdown.
+//
+// parseDiscordMarkdown(text) returns a list of nodes:
+//   { type: 'text', value }                       literal text
+//   { type: 'escape', value }                     a backslash-escaped character (\*)
+//   { type: 'bold' | 'italic' | 'underline' | 'strikethrough' | 'spoiler', children }
+//   { type: 'inline_code', fence, value }         `code` or ``code``
+//   { type: 'code_block', language, value }       ```lang\ncode```
+//   { type: 'heading', level, prefix, children }  # to ### (#### and deeper stay text, as on Discord)
+//   { type: 'subtext', prefix, children }         -# text
+//   { type: 'blockquote', prefix, children }      '> ' quotes a line, '>>> ' the rest of the text
+//   { type: 'list_item', prefix, level, ordered, marker, children }
+//   { type: 'link', url, target, children }       [text](url); only http(s) targets, others stay text
+//   { type: 'mention', kind, id, raw }            kind: user, role, channel, everyone or here
+//   { type: 'timestamp', seconds, style, raw }    <t:1618953630:f>
+//   { type: 'emoji', name, id, animated, raw }    <:name:123>
+//
+// Formatting nests as on Discord (***bold italic***, a bold word in a spoiler in a quote).
+// Every node keeps what it was written with, so renderDiscordMarkdown(parseDiscordMarkdown(text))
+// gives back the text unchanged.
+
+const FormatConverter = require('./formatConverter');
+const { formatDiscordTimestamp } = require('./discordTimestamp');
+const { convertCustomEmojiToStandard } = require('./standardEmoji');
+
+// Bullets for unordered list items by nesting level (Telegram has no list entity)
+const LIST_BULLETS = ['•', '◦', '▪'];
+const FORMATTING_TYPES = ['bold', 'italic', 'underline', 'strikethrough', 'spoiler'];
+
+// Text up to the next character a rule can start with; a line break is its own run so the
+// next line start is seen
+const TEXT_RUN = /\n|[\s\S]+?(?=[\\`|*_~[<@\n]|https?:\/\/|$)/y;
+
+function container(type, content, mode = 'inline') {
+  return { type, children: parseNodes(content, mode) };
+}
+
+// Rules tried at any position, in order; the first that matches wins
+const INLINE_RULES = [
+  { regex: /\\([^0-9A-Za-z\s])/y, parse: match => ({ type: 'escape', value: match[1] }) },
+  // Bare URLs are left alone, so an underscore in one is not italic
+  { regex: /https?:\/\/[^\s<]+[^<.,:;"')\]\s]/y, parse: match => ({ type: 'text', value: match[0] }) },
+  {
+    regex: /```(?:([\w+#-]+)\n)?([\s\S]+?)```/y,
+    parse: match => ({ type: 'code_block', language: match[1] || '', value: match[2] })
+  },
+  {
+    regex: /(``?)(?!`)([\s\S]+?)(?<!`)\1(?!`)/y,
+    parse: match => ({ type: 'inline_code', fence: match[1], value: match[2] })
+  },
+  { regex: /\|\|([\s\S]+?)\|\|/y, parse: match => container('spoiler', match[1]) },
+  { regex: /\*\*([\s\S]+?)\*\*(?!\*)/y, parse: match => container('bold', match[1]) },
+  {
+    regex: /\*(?=\S)((?:\*\*|\\[\s\S]|\s+(?:\\[\s\S]|[^\s*\\]|\*\*)|[^\s*\\])+?)\*(?!\*)/y,
+    parse: match => ({ ...container('italic', match[1]), marker: '*' })
+  },
+  { regex: /__([\s\S]+?)__(?!_)/y, parse: match => container('underline', match[1]) },
+  {
+    // _italic_ only between word boundaries, so snake_case stays text
+    regex: /_((?:__|\\[\s\S]|[^\\_])+?)_(?![A-Za-z0-9_])/y,
+    afterWordBoundary: true,
+    parse: match => ({ ...container('italic', match[1]), marker: '_' })
+  },
+  { regex: /~~([\s\S]+?)~~(?!_)/y, parse: match => container('strikethrough', match[1]) },
+  {
+    // The URL may be wrapped in <> (no embed) and hold one level of balanced parentheses
+    regex: /\[([^\]]+)\]\((<[^>\s]+>|(?:[^()\s]|\([^()\s]*\))+)\)/y,
+    parse: match => {
+      const url = getLinkUrl(match[2]);
+      return url ? { type: 'link', url, target: match[2], children: parseNodes(match[1], 'inline') } : null;
+    }
+  },
+  { regex: /<@!?(\d+)>/y, parse: match => ({ type: 'mention', kind: 'user', id: match[1], raw: match[0] }) },
+  { regex: /<@&(\d+)>/y, parse: match => ({ type: 'mention', kind: 'role', id: match[1], raw: match[0] }) },
+  { regex: /<#(\d+)>/y, parse: match => ({ type: 'mention', kind: 'channel', id: match[1], raw: match[0] }) },
+  {
+    regex: /<t:(-?\d{1,13})(?::([tTdDfFR]))?>/y,
+    parse: match => ({ type: 'timestamp', seconds: Number(match[1]), style: match[2] || 'f', raw: match[0] })
+  },
+  {
+    regex: /<(a?):(\w+):(\d+)>/y,
+    parse: match => ({ type: 'emoji', name: match[2], id: match[3], animated: match[1] === 'a', raw: match[0] })
+  },
+  { regex: /@(everyone|here)/y, parse: match => ({ type: 'mention', kind: match[1], id: null, raw: match[0] }) }
+];
+
+// Rules tried at the start of a line outside inline formatting
+const QUOTE_RULES = [
+  {
+    regex: />>> ([\s\S]+)/y,
+    parse: match => ({ type: 'blockquote', prefix: '>>> ', children: parseNodes(match[1], 'quote') })
+  },
+  {
+    regex: /> ([^\n]+)/y,
+    parse: match => ({ type: 'blockquote', prefix: '> ', children: parseNodes(match[1], 'quote') })
+  }
+];
+const LINE_RULES = [
+  {
+    regex: /(#{1,3} +)([^\n]+)/y,
+    parse: match => ({ type: 'heading', level: match[1].trim().length, prefix: match[1], children: parseNodes(match[2], 'inline') })
+  },
+  {
+    regex: /(-# +)([^\n]+)/y,
+    parse: match => ({ type: 'subtext', prefix: match[1], children: parseNodes(match[2], 'inline') })
+  },
+  {
+    regex: /(([ \t]*)([-*]|\d{1,9}\.) +)([^\n]+)/y,
+    parse: match => ({
+      type: 'list_item',
+      prefix: match[1],
+      // Every two spaces of indentation is one nesting level
+      level: Math.floor(match[2].replace(/\t/g, '    ').length / 2),
+      ordered: /^\d/.test(match[3]),
+      marker: match[3],
+      children: parseNodes(match[4], 'inline')
+    })
+  }
+];
+const BLOCK_RULES = [...QUOTE_RULES, ...LINE_RULES, ...INLINE_RULES];
+// Discord quotes do not nest
+const QUOTED_BLOCK_RULES = [...LINE_RULES, ...INLINE_RULES];
+
+function getRules(mode, atLineStart) {
+  if (mode === 'inline' || !atLineStart) return INLINE_RULES;
+  return mode === 'quote' ? QUOTED_BLOCK_RULES : BLOCK_RULES;
+}
+
+function pushText(nodes, value) {
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') {
+    last.value += value;
+  } else {
+    nodes.push({ type: 'text', value });
+  }
+}
+
+/**
+ * Nodes for a piece of text. mode is 'block' (the whole message), 'quote' (inside a quote:
+ * line rules but no nested quotes) or 'inline' (inside formatting: no line rules).
+ */
+function parseNodes(text, mode) {
+  const nodes = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const atLineStart = pos === 0 || text[pos - 1] === '\n';
+    let node = null;
+    let length = 0;
+
+    for (const rule of getRules(mode, atLineStart)) {
+      if (rule.afterWordBoundary && pos > 0 && /\w/.test(text[pos - 1])) continue;
+      rule.regex.lastIndex = pos;
+      const match = rule.regex.exec(text);
+      if (!match) continue;
+      node = rule.parse(match);
+      if (node) {
+        length = match[0].length;
+        break;
+      }
+    }
+
+    if (node && node.type === 'text') {
+      pushText(nodes, node.value);
+    } else if (node) {
+      nodes.push(node);
+    } else {
+      TEXT_RUN.lastIndex = pos;
+      const run = TEXT_RUN.exec(text)[0];
+      pushText(nodes, run);
+      length = run.length;
+    }
+    pos += length;
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse Discord message text into a list of nodes (see the top of this file)
+ */
+function parseDiscordMarkdown(text) {
+  return text ? parseNodes(String(text), 'block') : [];
+}
+
+/**
+ * http(s) URL of a masked link without Discord's <> embed suppression, or null
+ */
+function getLinkUrl(target) {
+  const url = target.trim().replace(/^<(.*)>$/, '$1');
+  return /^https?:\/\/\S+$/i.test(url) ? url : null;
+}
+
+/**
+ * Readable text for a mention node: ＠user, ＠role or #channel. Names come from the message's
+ * resolved mentions, then its guild's caches. The full-width ＠ keeps Telegram from linking a
+ * username.
+ */
+function resolveMentionText(node, message = null) {
+  switch (node.kind) {
+    case 'user': {
+      const user = message?.mentions?.users?.get(node.id);
+      return `＠${user ? (user.globalName || user.username || user.displayName) : `User${node.id}`}`;
+    }
+    case 'role': {
+      const role = message?.mentions?.roles?.get(node.id) || message?.guild?.roles?.cache?.get(node.id);
+      return `＠${role ? role.name : `Role${node.id}`}`;
+    }
+    case 'channel': {
+      const channel = message?.mentions?.channels?.get(node.id) || message?.guild?.channels?.cache?.get(node.id);
+      return `#${channel ? channel.name : `channel${node.id}`}`;
+    }
+    default:
+      return `＠${node.kind}`;
+  }
+}
+
+/**
+ * Every node of the given type, depth first
+ */
+function findNodes(nodes, type) {
+  const found = [];
+  for (const node of nodes) {
+    if (node.type === type) found.push(node);
+    if (node.children) found.push(...findNodes(node.children, type));
+  }
+  return found;
+}
+
+function getListPrefix(node) {
+  const bullet = node.ordered ? node.marker : LIST_BULLETS[Math.min(node.level, LIST_BULLETS.length - 1)];
+  return `${'  '.repeat(node.level)}${bullet} `;
+}
+
+/**
+ * Flatten nodes into tokens for the Telegram and plain text renderers:
+ * { kind: 'open' | 'close', entity, url }, { kind: 'text', value }, { kind: 'code', value }
+ * and { kind: 'pre', language, value }. Headings become bold and subtext italic.
+ */
+function tokenize(nodes, options, tokens = []) {
+  const wrap = (entity, children, url) => {
+    tokens.push({ kind: 'open', entity, url });
+    tokenize(children, options, tokens);
+    tokens.push({ kind: 'close', entity, url });
+  };
+  const text = value => {
+    if (value) tokens.push({ kind: 'text', value });
+  };
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+      case 'escape':
+        text(node.value);
+        break;
+      case 'heading':
+        wrap('bold', node.children);
+        break;
+      case 'subtext':
+        // Telegram has no small text
+        wrap('italic', node.children);
+        break;
+      case 'blockquote':
+        wrap('blockquote', node.children);
+        break;
+      case 'link':
+        wrap('link', node.children, node.url);
+        break;
+      case 'list_item':
+        text(getListPrefix(node));
+        tokenize(node.children, options, tokens);
+        break;
+      case 'inline_code':
+        tokens.push({ kind: 'code', value: node.value });
+        break;
+      case 'code_block':
+        tokens.push({ kind: 'pre', language: node.language, value: node.value });
+        break;
+      case 'mention':
+        text(resolveMentionText(node, options.message));
+        break;
+      case 'timestamp':
+        // Relative timestamps are written as dates: "in 2 hours" would be stale when read
+        text(formatDiscordTimestamp(node.seconds, node.style, options.timeZone) || node.raw);
+        break;
+      case 'emoji':
+        text(convertCustomEmojiToStandard(node.name) || '');
+        break;
+      default:
+        if (FORMATTING_TYPES.includes(node.type)) wrap(node.type, node.children);
+        break;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Apply Telegram's nesting rules to a token list: an entity inside the same entity is dropped,
+ * code inside a link becomes text, code inside formatting closes the formatting around it, and
+ * entities left empty are removed.
+ */
+function normalizeTokens(tokens) {
+  const result = [];
+  const open = [];
+  // Per open token in the input: whether it was dropped
+  const dropped = [];
+
+  const push = token => {
+    const last = result[result.length - 1];
+    if (token.kind === 'close' && last && last.kind === 'open' && last.entity === token.entity) {
+      result.pop();
+    } else {
+      result.push(token);
+    }
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'open') {
+      const nested = open.some(entity => entity.entity === token.entity);
+      dropped.push(nested);
+      if (!nested) {
+        open.push(token);
+        push(token);
+      }
+    } else if (token.kind === 'close') {
+      if (!dropped.pop()) {
+        open.pop();
+        push(token);
+      }
+    } else if ((token.kind === 'code' || token.kind === 'pre') && open.some(entity => entity.entity === 'link')) {
+      push({ kind: 'text', value: token.value });
+    } else if (token.kind === 'code' || token.kind === 'pre') {
+      const formatting = open.filter(entity => FORMATTING_TYPES.includes(entity.entity));
+      for (const entity of [...formatting].reverse()) push({ ...entity, kind: 'close' });
+      push(token);
+      for (const entity of formatting) push(entity);
+    } else {
+      push(token);
+    }
+  }
+  return result;
+}
+
+const MARKDOWN_V2_MARKERS = { bold: '*', italic: '_', underline: '__', strikethrough: '~', spoiler: '||' };
+
+function escapeMarkdownV2Code(value) {
+  return value.replace(/([`\\])/g, '\\$1');
+}
+
+function serializeMarkdownV2(tokens) {
+  let output = '';
+  let quoted = false;
+  const open = [];
+  // Entity of the marker written last, while nothing else has followed it
+  let lastMarker = null;
+
+  // Inside a quote every line starts with >
+  const write = value => {
+    output += quoted ? value.replace(/\n/g, '\n>') : value;
+  };
+  const writeMarker = entity => {
+    // Telegram reads "__" greedily, so "_" followed by "_" or "__" is split by an empty entity
+    if (lastMarker === 'italic' && (entity === 'italic' || entity === 'underline')) {
+      const separator = ['bold', 'strikethrough', 'spoiler'].find(candidate => !open.includes(candidate)) || 'bold';
+      write(MARKDOWN_V2_MARKERS[separator].repeat(2));
+    }
+    write(MARKDOWN_V2_MARKERS[entity]);
+    lastMarker = entity;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'open') {
+      if (token.entity === 'blockquote') {
+        write('>');
+        quoted = true;
+        lastMarker = null;
+      } else if (token.entity === 'link') {
+        write('[');
+        lastMarker = null;
+      } else {
+        writeMarker(token.entity);
+      }
+      open.push(token.entity);
+    } else if (token.kind === 'close') {
+      open.pop();
+      if (token.entity === 'blockquote') {
+        quoted = false;
+      } else if (token.entity === 'link') {
+        write(`](${token.url.replace(/([)\\])/g, '\\$1')})`);
+        lastMarker = null;
+      } else {
+        writeMarker(token.entity);
+      }
+    } else if (token.kind === 'code') {
+      write(`\`${escapeMarkdownV2Code(token.value)}\``);
+      lastMarker = null;
+    } else if (token.kind === 'pre') {
+      const language = token.language ? `${token.language}\n` : '';
+      write(`\`\`\`${language}${escapeMarkdownV2Code(token.value)}\`\`\``);
+      lastMarker = null;
+    } else {
+      write(FormatConverter.escapeMarkdownV2ForText(token.value));
+      lastMarker = null;
+    }
+  }
+  return output;
+}
+
+const HTML_TAGS = { bold: 'b', italic: 'i', underline: 'u', strikethrough: 's', spoiler: 'tg-spoiler', blockquote: 'blockquote' };
+
+function serializeHTML(tokens) {
+  let output = '';
+  for (const token of tokens) {
+    if (token.kind === 'open') {
+      output += token.entity === 'link'
+        ? `<a href="${FormatConverter.escapeHTMLAttribute(token.url)}">`
+        : `<${HTML_TAGS[token.entity]}>`;
+    } else if (token.kind === 'close') {
+      output += `</${token.entity === 'link' ? 'a' : HTML_TAGS[token.entity]}>`;
+    } else if (token.kind === 'code') {
+      output += `<code>${FormatConverter.escapeHTML(token.value)}</code>`;
+    } else if (token.kind === 'pre') {
+      const code = FormatConverter.escapeHTML(token.value);
+      output += token.language
+        ? `<pre><code class="language-${FormatConverter.escapeHTMLAttribute(token.language)}">${code}</code></pre>`
+        : `<pre>${code}</pre>`;
+    } else {
+      output += FormatConverter.escapeHTML(token.value);
+    }
+  }
+  // Consecutive quote lines read as one quote
+  return output.replace(/<\/blockquote>\n<blockquote>/g, '\n');
+}
+
+function serializePlainText(tokens) {
+  let output = '';
+  let quoted = false;
+  const linkStarts = [];
+
+  const write = value => {
+    output += quoted ? value.replace(/\n/g, '\n> ') : value;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'open' && token.entity === 'blockquote') {
+      write('> ');
+      quoted = true;
+    } else if (token.kind === 'close' && token.entity === 'blockquote') {
+      quoted = false;
+    } else if (token.kind === 'open' && token.entity === 'link') {
+      linkStarts.push(output.length);
+    } else if (token.kind === 'close' && token.entity === 'link') {
+      // The URL follows the link text unless the text already is the URL
+      if (output.slice(linkStarts.pop()) !== token.url) write(` (${token.url})`);
+    } else if (token.kind !== 'open' && token.kind !== 'close') {
+      write(token.value);
+    }
+  }
+  return output;
+}
+
+/**
+ * Telegram MarkdownV2 for parsed Discord markdown.
+ * options: { message } resolves mention names, { timeZone } overrides TELEGRAM_TIMEZONE.
+ */
+function renderTelegramMarkdownV2(nodes, options = {}) {
+  return serializeMarkdownV2(normalizeTokens(tokenize(nodes, options)));
+}
+
+/**
+ * Telegram HTML for parsed Discord markdown (options as for renderTelegramMarkdownV2)
+ */
+function renderTelegramHTML(nodes, options = {}) {
+  return serializeHTML(normalizeTokens(tokenize(nodes, options)));
+}
+
+/**
+ * Readable text without markup: mentions, timestamps and emojis as on Telegram, links as
+ * "text (url)", quote lines prefixed with "> " (options as for renderTelegramMarkdownV2)
+ */
+function renderPlainText(nodes, options = {}) {
+  return serializePlainText(tokenize(nodes, options));
+}
+
+/**
+ * Discord markdown for nodes, written as they were parsed
+ */
+function renderDiscordMarkdown(nodes) {
+  return nodes.map(node => {
+    const children = () => renderDiscordMarkdown(node.children);
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'escape':
+        return `\\${node.value}`;
+      case 'bold':
+        return `**${children()}**`;
+      case 'italic':
+        return `${node.marker}${children()}${node.marker}`;
+      case 'underline':
+        return `__${children()}__`;
+      case 'strikethrough':
+        return `~~${children()}~~`;
+      case 'spoiler':
+        return `||${children()}||`;
+      case 'inline_code':
+        return `${node.fence}${node.value}${node.fence}`;
+      case 'code_block':
+        return `\`\`\`${node.language ? `${node.language}\n` : ''}${node.value}\`\`\``;
+      case 'heading':
+      case 'subtext':
+      case 'blockquote':
+      case 'list_item':
+        return `${node.prefix}${children()}`;
+      case 'link':
+        return `[${children()}](${node.target})`;
+      default:
+        return node.raw;
+    }
+  }).join('');
+}
+
+// Nodes cut down to about `budget` characters of text. Returns { nodes, remaining }.
+function truncateNodes(nodes, budget) {
+  const kept = [];
+  let remaining = budget;
+
+  for (const node of nodes) {
+    if (remaining <= 0) break;
+
+    if (node.children) {
+      const inner = truncateNodes(node.children, remaining);
+      if (inner.nodes.length > 0) kept.push({ ...node, children: inner.nodes });
+      remaining = inner.remaining;
+    } else if (node.type === 'text' || node.type === 'inline_code' || node.type === 'code_block') {
+      const value = node.value.length > remaining ? node.value.slice(0, remaining).trimEnd() : node.value;
+      if (value) kept.push({ ...node, value });
+      remaining -= node.value.length;
+    } else {
+      // Escapes, mentions, timestamps and emojis are kept whole or not at all
+      const length = renderDiscordMarkdown([node]).length;
+      if (length > remaining) {
+        remaining = 0;
+        break;
+      }
+      kept.push(node);
+      remaining -= length;
+    }
+  }
+
+  return { nodes: kept, remaining };
+}
+
+/**
+ * Shorten Discord markdown to at most maxLength characters ending in "…", closing any
+ * formatting the cut falls inside so no stray markers are left behind
+ */
+function truncateDiscordMarkdown(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const nodes = parseDiscordMarkdown(text);
+  let budget = maxLength - 1;
+  while (budget > 0) {
+    const truncated = `${renderDiscordMarkdown(truncateNodes(nodes, budget).nodes).trimEnd()}…`;
+    if (truncated.length <= maxLength) return truncated;
+    // Markers count towards the length too; shrink by the overshoot and retry
+    budget -= truncated.length - maxLength;
+  }
+  return '…';
+}
+
+module.exports = {
+  parseDiscordMarkdown,
+  findNodes,
+  resolveMentionText,
+  renderTelegramMarkdownV2,
+  renderTelegramHTML,
+  renderPlainText,
+  renderDiscordMarkdown,
+  truncateDiscordMarkdown
+};
@@ -0,0 +1,87 @@
+// Discord timestamps (<t:1618953630:f>) as readable text for targets that cannot render them.
+//
+// Styles follow Discord: t 16:20, T 16:20:30, d 2021-04-20, D 20 April 2021,
+// f (default) 20 April 2021 16:20, F Tuesday, 20 April 2021 16:20. Relative timestamps (R) are
+// written like f, since "in 2 hours" would be wrong by the time the copy is read. Times carry
+// the zone name of TELEGRAM_TIMEZONE (an IANA zone, default UTC).
+
+const DEFAULT_TIMESTAMP_TIMEZONE = 'UTC';
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Formatter per time zone (building one is slow)
+const formatterCache = new Map();
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getTimestampTimeZone() {
+  const envConfig = require('../config/config');
+  const timeZone = envConfig.telegram?.timezone;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMESTAMP_TIMEZONE;
+}
+
+function getDateParts(date, timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZoneName: 'short'
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+/**
+ * Readable text for a Discord timestamp, or null when the value is out of range
+ */
+function formatDiscordTimestamp(seconds, style = 'f', timeZone = getTimestampTimeZone()) {
+  const date = new Date(Number(seconds) * 1000);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const parts = getDateParts(date, timeZone);
+  const time = `${parts.hour}:${parts.minute}`;
+  const longDate = `${Number(parts.day)} ${MONTH_NAMES[Number(parts.month) - 1]} ${parts.year}`;
+
+  switch (style) {
+    case 't':
+      return `${time} ${parts.timeZoneName}`;
+    case 'T':
+      return `${time}:${parts.second} ${parts.timeZoneName}`;
+    case 'd':
+      return `${parts.year}-${parts.month}-${parts.day}`;
+    case 'D':
+      return longDate;
+    case 'F':
+      return `${parts.weekday}, ${longDate} ${time} ${parts.timeZoneName}`;
+    default:
+      return `${longDate} ${time} ${parts.timeZoneName}`;
+  }
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimestampTimeZone,
+  formatDiscordTimestamp
+};
@@ -0,0 +1,75 @@
+// Invisible hop marker appended to forwarded content.
+//
+// The marker lists the IDs of every config the content has passed through, so a copy that
+// comes back around (A -> B -> A, or through another bot or the reader bot) is never
+// forwarded by the same config twice. It is made of zero-width characters:
+// U+2063 <id> U+2062 <id> ... U+2063, each id written in binary with U+200B (0) / U+200C (1).
+
+const { truncateDiscordMarkdown } = require('./discordMarkdown');
+
+const MARKER_EDGE = '\u2063';
+const ID_SEPARATOR = '\u2062';
+const BIT_ZERO = '\u200b';
+const BIT_ONE = '\u200c';
+const MARKER_PATTERN = /\u2063([\u200b\u200c\u2062]+)\u2063/g;
+
+function encodeId(id) {
+  return Number(id).toString(2).replace(/0/g, BIT_ZERO).replace(/1/g, BIT_ONE);
+}
+
+function decodeId(encoded) {
+  const bits = encoded.split(BIT_ZERO).join('0').split(BIT_ONE).join('1');
+  return bits ? parseInt(bits, 2) : NaN;
+}
+
+/**
+ * Config IDs recorded in the text's hop markers.
+ */
+function readHops(text) {
+  if (!text || !text.includes(MARKER_EDGE)) return [];
+  const hops = new Set();
+  for (const match of String(text).matchAll(MARKER_PATTERN)) {
+    for (const encoded of match[1].split(ID_SEPARATOR)) {
+      const id = decodeId(encoded);
+      if (Number.isInteger(id)) hops.add(id);
+    }
+  }
+  return Array.from(hops);
+}
+
+function stripHopMarker(text) {
+  if (!text || !text.includes(MARKER_EDGE)) return text;
+  return text.replace(MARKER_PATTERN, '');
+}
+
+function buildHopMarker(configIds) {
+  return `${MARKER_EDGE}${configIds.map(encodeId).join(ID_SEPARATOR)}${MARKER_EDGE}`;
+}
+
+/**
+ * Mark outgoing content as forwarded by config: the source's hops plus config.id, at the end.
+ * With maxLength, text that leaves no room for the marker is truncated rather than sent unmarked
+ * (an unmarked copy could loop forever).
+ */
+function addHopMarker(content, sourceContent, config, { maxLength = null } = {}) {
+  if (!config || !Number.isInteger(config.id)) return content;
+  const hops = readHops(sourceContent);
+  if (!hops.includes(config.id)) hops.push(config.id);
+  const marker = buildHopMarker(hops);
+  let text = stripHopMarker(content || '');
+  if (maxLength && text.length + marker.length > maxLength) {
+    text = truncateDiscordMarkdown(text, maxLength - marker.length);
+  }
+  return `${text}${marker}`;
+}
+
+function hasPassedThrough(content, configId) {
+  return readHops(content).includes(configId);
+}
+
+module.exports = {
+  readHops,
+  stripHopMarker,
+  addHopMarker,
+  hasPassedThrough
+};
@@ -0,0 +1,101 @@
+// Keeps HTTP webhook targets off the bot's own network (SSRF).
+//
+// A targetUrl must reach a public address: loopback, private, link-local, CGNAT and other
+// reserved ranges are refused when the URL is saved (localhost and IP literals) and on every
+// request (each resolved address, so a host cannot be re-pointed after it was saved).
+// Hosts listed in HTTP_TARGET_ALLOWED_HOSTS skip the check, for receivers on the local network.
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+];
+const IPV4_MAPPED_PREFIX = '::ffff:';
+
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of BLOCKED_IPV4_RANGES) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of BLOCKED_IPV6_RANGES) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedAddress(address) {
+  const value = String(address || '').toLowerCase();
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) reaches the IPv4 address
+  if (value.startsWith(IPV4_MAPPED_PREFIX) && net.isIPv4(value.slice(IPV4_MAPPED_PREFIX.length))) {
+    return blockedAddresses.check(value.slice(IPV4_MAPPED_PREFIX.length), 'ipv4');
+  }
+  const family = net.isIP(value);
+  if (family === 0) return false;
+  return blockedAddresses.check(value, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+  const { httpTarget } = require('../config/config');
+  return httpTarget.allowedHosts.includes(String(hostname || '').toLowerCase());
+}
+
+// URL.hostname keeps the brackets of IPv6 literals
+function getHostname(parsedUrl) {
+  return parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Check the host of an http(s) URL without resolving it. Returns an error message, or null.
+ */
+function getTargetHostError(parsedUrl) {
+  const hostname = getHostname(parsedUrl);
+  if (isAllowedHost(hostname)) return null;
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) {
+    return `targetUrl host ${hostname} is a local or private address; add it to HTTP_TARGET_ALLOWED_HOSTS to allow it`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup replacement for requests to a target: fails when the host resolves to a
+ * blocked address.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = isAllowedHost(hostname) ? null : addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to ${blocked.address}, a local or private address`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+module.exports = {
+  isBlockedAddress,
+  getTargetHostError,
+  lookupPublicAddress
+};
@@ -0,0 +1,168 @@
+// Per-config role and channel mention remapping for cross-server Discord forwards.
+//
+// Shape stored on a forward config (absent means no mapping):
+// {
+//   roles: { '<sourceRoleId>': '<targetRoleId>' },
+//   channels: { '<sourceChannelId>': '<targetChannelId>' },
+//   pingRoles: false   // mapped role mentions ping in the target guild
+// }
+//
+// Mapped mentions are rewritten to the target IDs; unmapped ones become readable
+// "@role" / "#channel" text instead of mentions that are broken in the target guild.
+
+const ROLE_MENTION_PATTERN = /<@&(\d+)>/g;
+const CHANNEL_MENTION_PATTERN = /<#(\d+)>/g;
+const MAX_MAPPING_ENTRIES = 200;
+const ID_PATTERN = /^\d+$/;
+
+function validateMentionMap(mentionMap) {
+  if (mentionMap === null) return { valid: true };
+  if (!mentionMap || typeof mentionMap !== 'object' || Array.isArray(mentionMap)) {
+    return { valid: false, error: 'mentionMap must be an object or null' };
+  }
+
+  for (const field of ['roles', 'channels']) {
+    const mapping = mentionMap[field];
+    if (typeof mapping === 'undefined') continue;
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { valid: false, error: `mentionMap.${field} must be an object of source ID -> target ID` };
+    }
+    const entries = Object.entries(mapping);
+    if (entries.length > MAX_MAPPING_ENTRIES) {
+      return { valid: false, error: `mentionMap.${field} cannot have more than ${MAX_MAPPING_ENTRIES} entries` };
+    }
+    for (const [sourceId, targetId] of entries) {
+      if (!ID_PATTERN.test(sourceId) || !ID_PATTERN.test(String(targetId || '').trim())) {
+        return { valid: false, error: `mentionMap.${field} must only map numeric Discord IDs` };
+      }
+    }
+  }
+
+  if (typeof mentionMap.pingRoles !== 'undefined' && typeof mentionMap.pingRoles !== 'boolean') {
+    return { valid: false, error: 'mentionMap.pingRoles must be a boolean' };
+  }
+
+  return { valid: true };
+}
+
+function normalizeMentionMap(mentionMap) {
+  if (!mentionMap) return null;
+  const normalized = { roles: {}, channels: {}, pingRoles: mentionMap.pingRoles === true };
+  for (const field of ['roles', 'channels']) {
+    for (const [sourceId, targetId] of Object.entries(mentionMap[field] || {})) {
+      normalized[field][sourceId] = String(targetId).trim();
+    }
+  }
+  return normalized;
+}
+
+function getRoleName(guild, roleId) {
+  const role = guild?.roles?.cache?.get(roleId);
+  return role ? role.name : null;
+}
+
+function getChannelName(guild, channelId) {
+  const channel = guild?.channels?.cache?.get(channelId);
+  return channel ? channel.name : null;
+}
+
+/**
+ * Rewrite role and channel mentions of a message forwarded from sourceGuild into targetGuild.
+ * Returns { content, roleIds } where roleIds are the mapped target roles allowed to ping.
+ * Same-server forwards are returned unchanged.
+ */
+function remapDiscordMentions(content, config, sourceGuild, targetGuild) {
+  if (!content || !sourceGuild || !targetGuild || sourceGuild.id === targetGuild.id) {
+    return { content, roleIds: [] };
+  }
+
+  const mentionMap = config?.mentionMap || {};
+  const roleMap = mentionMap.roles || {};
+  const channelMap = mentionMap.channels || {};
+  const roleIds = new Set();
+
+  const remapped = content
+    .replace(ROLE_MENTION_PATTERN, (match, roleId) => {
+      if (roleMap[roleId]) {
+        if (mentionMap.pingRoles === true) roleIds.add(roleMap[roleId]);
+        return `<@&${roleMap[roleId]}>`;
+      }
+      const name = getRoleName(sourceGuild, roleId);
+      return name ? `@${name}` : match;
+    })
+    .replace(CHANNEL_MENTION_PATTERN, (match, channelId) => {
+      if (channelMap[channelId]) return `<#${channelMap[channelId]}>`;
+      const name = getChannelName(sourceGuild, channelId);
+      return name ? `#${name}` : match;
+    });
+
+  return { content: remapped, roleIds: Array.from(roleIds) };
+}
+
+/**
+ * Replace role and channel mentions with their names for targets that cannot render them (Telegram).
+ * Roles use the full-width ＠ like the converters, so Telegram does not link them to a username.
+ */
+function describeMentions(content, guild) {
+  if (!content || !guild) return content;
+  return content
+    .replace(ROLE_MENTION_PATTERN, (match, roleId) => {
+      const name = getRoleName(guild, roleId);
+      return name ? `＠${name}` : match;
+    })
+    .replace(CHANNEL_MENTION_PATTERN, (match, channelId) => {
+      const name = getChannelName(guild, channelId);
+      return name ? `#${name}` : match;
+    });
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Pair each source item with the target item of the same normalized name (first match wins)
+function matchByName(sourceItems, targetItems) {
+  const targetsByName = new Map();
+  for (const item of targetItems) {
+    const key = normalizeName(item.name);
+    if (key && !targetsByName.has(key)) targetsByName.set(key, item);
+  }
+  return sourceItems.map(item => {
+    const match = targetsByName.get(normalizeName(item.name));
+    return { sourceId: item.id, sourceName: item.name, suggestedTargetId: match ? match.id : null };
+  });
+}
+
+/**
+ * Roles and channels of both guilds with name-matched mapping suggestions, for the web admin.
+ */
+function suggestMentionMap(sourceGuild, targetGuild) {
+  const listRoles = guild => Array.from(guild.roles.cache.values())
+    .filter(role => role.id !== guild.id && !role.managed)
+    .sort((a, b) => b.position - a.position)
+    .map(role => ({ id: role.id, name: role.name }));
+  const listChannels = guild => Array.from(guild.channels.cache.values())
+    .filter(channel => channel.isTextBased?.() && !channel.isThread?.())
+    .sort((a, b) => a.rawPosition - b.rawPosition)
+    .map(channel => ({ id: channel.id, name: channel.name }));
+
+  const sourceRoles = listRoles(sourceGuild);
+  const targetRoles = listRoles(targetGuild);
+  const sourceChannels = listChannels(sourceGuild);
+  const targetChannels = listChannels(targetGuild);
+
+  return {
+    roles: matchByName(sourceRoles, targetRoles),
+    channels: matchByName(sourceChannels, targetChannels),
+    targetRoles,
+    targetChannels
+  };
+}
+
+module.exports = {
+  validateMentionMap,
+  normalizeMentionMap,
+  remapDiscordMentions,
+  describeMentions,
+  suggestMentionMap
+};
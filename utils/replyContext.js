@@ -0,0 +1,91 @@
+// Reply context for forwarded messages.
+//
+// A source reply is linked to the forwarded copy of its parent through message_logs
+// (same config), so Discord targets can quote and jump to it and Telegram targets can
+// reply to it natively. When the parent was never forwarded the reply goes out as-is.
+
+const { logError } = require('./logger');
+const { getMessageChain } = require('./database');
+
+const DISCORD_CONTENT_LIMIT = 2000;
+const REPLY_SNIPPET_LENGTH = 80;
+
+function getReplyParentId(message) {
+  if (!message || !message.reference || !message.reference.messageId) return null;
+  // Only real replies; forwarded-message snapshots also carry a reference
+  if (message.reference.type !== undefined && message.reference.type !== 0) return null;
+  return message.reference.messageId;
+}
+
+/**
+ * Find the forwarded copy of the message this one replies to, for the same config.
+ * Returns the message_logs row of the first part (chains reply to their head) or null.
+ */
+async function getForwardedReplyParent(message, config) {
+  const parentId = getReplyParentId(message);
+  if (!parentId || !config || config.id === undefined || config.id === null) return null;
+
+  try {
+    const rows = await getMessageChain(parentId, config.id);
+    return rows.length > 0 ? rows[0] : null;
+  } catch (error) {
+    logError(`Failed to look up forwarded reply parent ${parentId}:`, error);
+    return null;
+  }
+}
+
+function buildJumpLink(logEntry) {
+  if (!logEntry || !logEntry.forwardedServerId || !logEntry.forwardedChannelId) return null;
+  return `https://discord.com/channels/${logEntry.forwardedServerId}/${logEntry.forwardedChannelId}/${logEntry.forwardedMessageId}`;
+}
+
+function buildSnippet(parentMessage) {
+  const text = String(parentMessage.cleanContent || parentMessage.content || '')
+    .replace(/\s+/g, ' ')
+    .replace(/([\\*_~|`[\]])/g, '\\$1')
+    .trim();
+  if (!text) {
+    return parentMessage.attachments?.size ? '*attachment*' : '';
+  }
+  return text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Compact "replying to" quote line for Discord targets, or '' when there is nothing to show.
+ * The jump link points at the forwarded parent; without one the quote only names the parent author.
+ */
+async function buildDiscordReplyQuote(message, config) {
+  const parentId = getReplyParentId(message);
+  if (!parentId) return '';
+
+  const [forwardedParent, parentMessage] = await Promise.all([
+    getForwardedReplyParent(message, config),
+    message.fetchReference ? message.fetchReference().catch(() => null) : null
+  ]);
+
+  const jumpLink = config?.targetType === 'discord' ? buildJumpLink(forwardedParent) : null;
+  if (!parentMessage) {
+    return jumpLink ? `> ↪ [Replying to a message](${jumpLink})` : '';
+  }
+
+  const author = parentMessage.member?.displayName || parentMessage.author?.displayName || parentMessage.author?.username || 'Unknown';
+  const snippet = buildSnippet(parentMessage);
+  let quote = `> ↪ **${author}**`;
+  if (snippet) quote += ` ${snippet}`;
+  if (jumpLink) quote += ` ([jump](${jumpLink}))`;
+  return quote;
+}
+
+// Prepend the quote unless it would push the message past Discord's content limit
+function prependReplyQuote(content, quote) {
+  if (!quote) return content;
+  const combined = content ? `${quote}\n${content}` : quote;
+  return combined.length > DISCORD_CONTENT_LIMIT ? content : combined;
+}
+
+module.exports = {
+  getReplyParentId,
+  getForwardedReplyParent,
+  buildDiscordReplyQuote,
+  prependReplyQuote
+};
@@ -0,0 +1,63 @@
+// User-supplied regular expressions (content filters and transformation rules) run here.
+//
+// Each match runs in a vm context with a time limit, so a pattern that backtracks
+// catastrophically throws instead of blocking the bot.
+
+const vm = require('vm');
+
+const PATTERN_TIME_LIMIT_MS = 100;
+
+// The context is reused and its inputs set before each run
+const patternContext = vm.createContext({});
+const TEST_SCRIPT = new vm.Script('regex.test(text)');
+const REPLACE_SCRIPT = new vm.Script('text.replace(regex, replacement)');
+const REMOVE_LINES_SCRIPT = new vm.Script("text.split('\\n').filter(line => !regex.test(line)).join('\\n')");
+
+// Compiled regex cache keyed by flags and pattern source
+const patternCache = new Map();
+
+function compilePattern(pattern, flags = '') {
+  const key = `${flags}/${pattern}`;
+  if (patternCache.has(key)) {
+    return patternCache.get(key);
+  }
+  const compiled = new RegExp(pattern, flags);
+  patternCache.set(key, compiled);
+  return compiled;
+}
+
+function runPatternScript(script, inputs, label) {
+  Object.assign(patternContext, inputs);
+  try {
+    return script.runInContext(patternContext, { timeout: PATTERN_TIME_LIMIT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`${label} pattern "${inputs.regex.source}" took longer than ${PATTERN_TIME_LIMIT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    Object.assign(patternContext, { text: null, regex: null, replacement: null });
+  }
+}
+
+// regex.test(text); label names the rule in the time-limit error
+function testPattern(regex, text, label) {
+  return runPatternScript(TEST_SCRIPT, { text, regex }, label);
+}
+
+function replacePattern(regex, text, replacement, label) {
+  return runPatternScript(REPLACE_SCRIPT, { text, regex, replacement }, label);
+}
+
+// Drop every line the regex matches
+function removeMatchingLines(regex, text, label) {
+  return runPatternScript(REMOVE_LINES_SCRIPT, { text, regex }, label);
+}
+
+module.exports = {
+  PATTERN_TIME_LIMIT_MS,
+  compilePattern,
+  testPattern,
+  replacePattern,
+  removeMatchingLines
+};
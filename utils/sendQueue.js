@@ -0,0 +1,157 @@
+// Per-target outbound send queue.
+//
+// Each target (Discord channel or Telegram chat) has its own FIFO that runs one send at a
+// time, so forwards arrive in the order they were queued. A sliding window caps how many
+// sends a target gets per window, and a 429 pauses the target for the platform's
+// retry_after before the same send is tried again.
+
+const { logInfo } = require('./logger');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds a rate-limited error asks us to wait, or null if it is not a rate limit.
+ */
+function getRetryAfterMs(error) {
+  if (!error) return null;
+
+  // Already waited out by an inner queue (Telegram's per-chat queue); retrying here multiplies the attempts
+  if (error.rateLimitHandled) {
+    return null;
+  }
+
+  // Our own errors (HTTP targets) set it directly
+  if (Number.isFinite(error.retryAfterMs)) {
+    return error.retryAfterMs;
+  }
+  // discord.js RateLimitError (rejectOnRateLimit) already carries milliseconds
+  if (error.name === 'RateLimitError' && Number.isFinite(error.retryAfter)) {
+    return error.retryAfter;
+  }
+  // Discord API 429 body: retry_after in seconds
+  if (error.status === 429 && Number.isFinite(error.rawError?.retry_after)) {
+    return Math.ceil(error.rawError.retry_after * 1000);
+  }
+  // Telegram: parameters.retry_after in seconds, also spelled out in the description
+  if (Number.isFinite(error.parameters?.retry_after)) {
+    return error.parameters.retry_after * 1000;
+  }
+  const match = /retry after (\d+)/i.exec(error.message || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+class SendQueue {
+  /**
+   * options: { discord: { messagesPerWindow, windowMs }, telegram: {...}, maxRateLimitRetries, maxRetryAfterMs }
+   */
+  constructor(options) {
+    this.options = options;
+    this.targets = new Map(); // `${targetType}:${targetId}` -> { targetType, targetId, tasks, sentAt, pausedUntil }
+  }
+
+  /**
+   * Queue a send for a target. Resolves or rejects with the task's own result once it has run.
+   */
+  enqueue(targetType, targetId, task) {
+    this.pruneIdleTargets();
+    const key = `${targetType}:${targetId}`;
+    let target = this.targets.get(key);
+    if (!target) {
+      target = { targetType, targetId: String(targetId), tasks: [], sentAt: [], pausedUntil: 0 };
+      this.targets.set(key, target);
+    }
+
+    return new Promise((resolve, reject) => {
+      target.tasks.push({ task, resolve, reject });
+      if (target.tasks.length === 1) {
+        this.drain(key, target);
+      }
+    });
+  }
+
+  async drain(key, target) {
+    while (target.tasks.length > 0) {
+      const entry = target.tasks[0];
+      try {
+        entry.resolve(await this.runTask(key, target, entry.task));
+      } catch (error) {
+        entry.reject(error);
+      }
+      target.tasks.shift();
+    }
+  }
+
+  // Idle targets are kept until their window has passed, so trickling sends still count against the budget
+  pruneIdleTargets() {
+    const now = Date.now();
+    for (const [key, target] of this.targets) {
+      if (target.tasks.length > 0 || target.pausedUntil > now) continue;
+      const windowMs = (this.options[target.targetType] || {}).windowMs || 0;
+      if (target.sentAt.every(sentAt => sentAt <= now - windowMs)) {
+        this.targets.delete(key);
+      }
+    }
+  }
+
+  async runTask(key, target, task) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForTurn(target);
+      try {
+        return await task();
+      } catch (error) {
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs === null || attempt >= this.options.maxRateLimitRetries || retryAfterMs > this.options.maxRetryAfterMs) {
+          throw error;
+        }
+        target.pausedUntil = Date.now() + retryAfterMs;
+        logInfo(`Rate limited on ${key}, pausing for ${Math.ceil(retryAfterMs / 1000)}s before retrying`);
+      }
+    }
+  }
+
+  // Wait out a 429 pause and the target's window budget, then claim a slot
+  async waitForTurn(target) {
+    const budget = this.options[target.targetType] || {};
+    while (true) {
+      const now = Date.now();
+      if (target.pausedUntil > now) {
+        await sleep(target.pausedUntil - now);
+        continue;
+      }
+
+      if (!budget.messagesPerWindow || !budget.windowMs) return;
+      target.sentAt = target.sentAt.filter(sentAt => sentAt > now - budget.windowMs);
+      if (target.sentAt.length < budget.messagesPerWindow) {
+        target.sentAt.push(now);
+        return;
+      }
+      await sleep(target.sentAt[0] + budget.windowMs - now);
+    }
+  }
+
+  /**
+   * Queue depth per target (queued plus in flight) for the dashboard.
+   */
+  getStats() {
+    const now = Date.now();
+    const targets = Array.from(this.targets.values())
+      .filter(target => target.tasks.length > 0 || target.pausedUntil > now)
+      .map(target => ({
+        targetType: target.targetType,
+        targetId: target.targetId,
+        depth: target.tasks.length,
+        pausedUntil: target.pausedUntil > now ? new Date(target.pausedUntil).toISOString() : null
+      }));
+    targets.sort((a, b) => b.depth - a.depth);
+
+    return {
+      depth: targets.reduce((sum, target) => sum + target.depth, 0),
+      targets
+    };
+  }
+}
+
+module.exports = SendQueue;
+module.exports.getRetryAfterMs = getRetryAfterMs;
@@ -0,0 +1,76 @@
+// Source header: "server → #channel" above forwarded text, the server name linking to an invite.
+//
+// Telegram forwards and digests render it in the config's parse mode; Discord digests render it
+// as Discord markdown. hideSourceHeader on the config (or TELEGRAM_HIDE_SOURCE_HEADER for
+// Telegram targets) turns it off.
+
+const { escapeMarkdown } = require('discord.js');
+const { logInfo, logError } = require('./logger');
+const { getTelegramParseMode, escapeTelegramText, formatTelegramLink } = require('./telegramParseMode');
+
+const SEPARATOR = '━'.repeat(25); // Unicode heavy horizontal line
+
+function getHeaderFormatting(config) {
+  if (config.targetType === 'discord') {
+    return {
+      escape: text => escapeMarkdown(text),
+      // <url> keeps Discord from adding an invite embed
+      link: (label, url) => `[${escapeMarkdown(label)}](<${url}>)`
+    };
+  }
+  const parseMode = getTelegramParseMode(config);
+  return {
+    escape: text => escapeTelegramText(text, parseMode),
+    link: (label, url) => formatTelegramLink(label, url, parseMode)
+  };
+}
+
+/**
+ * Source header for a Discord message in the format of the config's target, or null when
+ * hidden or the message has no guild/channel.
+ */
+async function buildSourceHeader(discordMessage, config = {}) {
+  try {
+    const envConfig = require('../config/config');
+    const isDebugMode = envConfig.debugMode;
+
+    // Skip header if disabled in config
+    if (config.hideSourceHeader || (config.targetType !== 'discord' && envConfig.telegram?.hideSourceHeader)) {
+      return null;
+    }
+
+    if (!discordMessage.guild || !discordMessage.channel) {
+      if (isDebugMode) {
+        logInfo('🔍 SOURCE DEBUG: No guild or channel info available');
+      }
+      return null;
+    }
+
+    const discordInviteManager = require('./discordInviteManager');
+    const serverName = discordMessage.guild.name;
+    const inviteLink = await discordInviteManager.getGuildInvite(discordMessage.guild);
+    const channelName = discordMessage.channel.name;
+
+    if (isDebugMode) {
+      logInfo(`🔍 SOURCE DEBUG: Server: ${serverName}, Channel: ${channelName}, Invite: ${inviteLink}`);
+    }
+
+    // Server name as clickable link, or plain text if no invite is available
+    const { escape, link } = getHeaderFormatting(config);
+    const server = inviteLink ? link(serverName, inviteLink) : escape(serverName);
+    const header = `${server} → ${escape(`#${channelName}`)}\n${SEPARATOR}`;
+
+    if (isDebugMode) {
+      logInfo(`🔍 SOURCE DEBUG: Built header: "${header}"`);
+    }
+
+    return header;
+  } catch (error) {
+    logError('Error building source header:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  buildSourceHeader
+};
@@ -0,0 +1,169 @@
+// Standard emojis for Discord custom emojis, which other platforms cannot show.
+//
+// Names are matched exactly first, then by a key of 4+ characters at a word boundary
+// ("fire_emoji" -> 🔥). Emojis without a match are dropped.
+
+const { logInfo } = require('./logger');
+
+const STANDARD_EMOJIS = {
+  // Hearts and love
+  'heart': '❤️', 'love': '❤️', 'heartred': '❤️', 'heartorange': '🧡',
+  'heartyellow': '💛', 'heartgreen': '💚', 'heartblue': '💙', 'heartpurple': '💜',
+  'heartblack': '🖤', 'heartwhite': '🤍', 'heartbrown': '🤎', 'heartpink': '💗',
+  'heartbroken': '💔', 'heartbeat': '💓', 'heartpulse': '💗', 'hearteyes': '😍',
+  'kiss': '😘', 'kissing': '😗', 'blowkiss': '😘',
+
+  // Fire and energy
+  'fire': '🔥', 'flame': '🔥', 'burn': '🔥', 'hot': '🔥', 'lit': '🔥', 'burning': '🔥',
+  'energy': '⚡', 'lightning': '⚡', 'electric': '⚡', 'bolt': '⚡', 'power': '⚡',
+  'zap': '⚡', 'shock': '⚡',
+
+  // Stars and sparkles
+  'star': '⭐', 'stars': '⭐', 'sparkle': '✨', 'sparkles': '✨', 'glitter': '✨',
+  'shine': '✨', 'bright': '✨', 'starry': '🌟', 'shooting_star': '🌠', 'dizzy': '💫',
+  'glowing': '✨', 'shiny': '✨',
+
+  // Check marks and success
+  'check': '✅', 'tick': '✅', 'checkmark': '✅', 'yes': '✅', 'correct': '✅',
+  'done': '✅', 'success': '✅', 'approve': '✅', 'accept': '✅', 'ok': '✅',
+  'good': '✅', 'valid': '✅', 'confirmed': '✅',
+
+  // Cross marks and errors
+  'cross': '❌', 'x': '❌', 'no': '❌', 'wrong': '❌', 'error': '❌', 'fail': '❌',
+  'reject': '❌', 'deny': '❌', 'bad': '❌', 'remove': '❌', 'delete': '❌',
+  'invalid': '❌', 'forbidden': '❌', 'block': '❌',
+
+  // Emotions and faces
+  'laugh': '😂', 'lol': '😂', 'joy': '😂', 'funny': '😂', 'lmao': '😂', 'rofl': '🤣',
+  'laughing': '😂', 'lmfao': '😂', 'haha': '😂', 'hahaha': '😂',
+  'happy': '😊', 'smile': '😊', 'grin': '😁', 'pleased': '😊', 'content': '😊',
+  'smiling': '😊', 'smiley': '😀', 'grinning': '😄', 'beaming': '😁',
+  'sad': '😢', 'cry': '😢', 'tear': '😢', 'upset': '😢', 'disappointed': '😞',
+  'crying': '😭', 'sobbing': '😭', 'weeping': '😢',
+  'angry': '😠', 'rage': '😡', 'mad': '😡', 'furious': '😡', 'pissed': '😠',
+  'enraged': '😡', 'livid': '😡', 'fuming': '😤',
+  'thinking': '🤔', 'think': '🤔', 'hmm': '🤔', 'confused': '😕', 'worry': '😟',
+  'worried': '😟', 'uncertain': '🤔', 'contemplating': '🤔',
+  'surprised': '😲', 'shock': '😱', 'wow': '😮', 'amazed': '😲', 'astonished': '😲',
+  'cool': '😎', 'sunglasses': '😎', 'awesome': '😎', 'slick': '😎',
+  'wink': '😉', 'winky': '😉', 'tongue': '😛', 'silly': '😜', 'crazy': '🤪',
+  'sleep': '😴', 'tired': '😴', 'sleepy': '😴', 'yawn': '🥱', 'exhausted': '😴',
+  'excited': '🤩', 'starstruck': '🤩', 'thrilled': '🤩',
+
+  // Common symbols and reactions
+  'warning': '⚠️', 'warn': '⚠️', 'caution': '⚠️', 'alert': '⚠️', 'danger': '⚠️',
+  'info': 'ℹ️', 'information': 'ℹ️', 'notice': 'ℹ️',
+  'question': '❓', 'ask': '❓', 'help': '❓', 'confused_question': '❓',
+  'exclamation': '❗', 'important': '❗', 'attention': '❗', 'urgent': '❗',
+  'point_right': '👉', 'point_left': '👈', 'point_up': '👆', 'point_down': '👇',
+  'pointing_right': '👉', 'pointing_left': '👈', 'pointing_up': '👆', 'pointing_down': '👇',
+  'thumbsup': '👍', 'thumbup': '👍', 'like': '👍', 'approve_thumb': '👍',
+  'thumbsdown': '👎', 'thumbdown': '👎', 'dislike': '👎', 'disapprove': '👎',
+  'clap': '👏', 'applause': '👏', 'praise': '👏', 'clapping': '👏',
+  'pray': '🙏', 'please': '🙏', 'thanks': '🙏', 'thankyou': '🙏', 'grateful': '🙏',
+  'peace': '✌️', 'victory': '✌️', 'fingers_crossed': '🤞', 'crossed_fingers': '🤞',
+
+  // Gaming and tech
+  'game': '🎮', 'gaming': '🎮', 'controller': '🎮', 'gamer': '🎮', 'console': '🎮',
+  'pc': '💻', 'computer': '💻', 'laptop': '💻', 'desktop': '💻',
+  'mobile': '📱', 'phone': '📱', 'smartphone': '📱', 'iphone': '📱',
+  'rocket': '🚀', 'launch': '🚀', 'fast': '🚀', 'speed': '🚀', 'boost': '🚀',
+  'crown': '👑', 'king': '👑', 'queen': '👑', 'royal': '👑', 'ruler': '👑',
+  'diamond': '💎', 'gem': '💎', 'precious': '💎', 'jewel': '💎',
+  'money': '💰', 'coin': '🪙', 'cash': '💵', 'rich': '💰', 'wealth': '💰',
+  'dollar': '💵', 'euro': '💶', 'pound': '💷', 'yen': '💴',
+
+  // Nature and weather
+  'sun': '☀️', 'sunny': '☀️', 'sunshine': '☀️', 'bright_sun': '☀️',
+  'moon': '🌙', 'night': '🌙', 'crescent': '🌙', 'lunar': '🌙',
+  'cloud': '☁️', 'cloudy': '☁️', 'overcast': '☁️',
+  'rain': '🌧️', 'rainy': '🌧️', 'raining': '🌧️', 'storm': '⛈️',
+  'snow': '❄️', 'snowflake': '❄️', 'snowy': '❄️', 'winter': '❄️',
+  'tree': '🌳', 'forest': '🌲', 'plant': '🌱', 'flower': '🌸', 'blossom': '🌸',
+  'rose': '🌹', 'tulip': '🌷', 'sunflower': '🌻',
+
+  // Animals
+  'cat': '🐱', 'kitty': '🐱', 'kitten': '🐱', 'feline': '🐱',
+  'dog': '🐶', 'puppy': '🐶', 'doggo': '🐶', 'pupper': '🐶',
+  'wolf': '🐺', 'lion': '🦁', 'tiger': '🐯', 'bear': '🐻', 'panda': '🐼',
+  'fox': '🦊', 'rabbit': '🐰', 'bunny': '🐰', 'mouse': '🐭',
+  'dragon': '🐉', 'unicorn': '🦄', 'horse': '🐴', 'cow': '🐄', 'pig': '🐷',
+
+  // Food and drinks
+  'pizza': '🍕', 'burger': '🍔', 'hamburger': '🍔', 'fries': '🍟',
+  'cake': '🎂', 'birthday': '🎂', 'cookie': '🍪', 'donut': '🍩', 'doughnut': '🍩',
+  'ice_cream': '🍦', 'icecream': '🍦', 'candy': '🍬', 'chocolate': '🍫',
+  'coffee': '☕', 'tea': '🍵', 'beer': '🍺', 'wine': '🍷', 'cocktail': '🍸',
+  'water': '💧', 'milk': '🥛', 'juice': '🧃', 'soda': '🥤',
+  'apple': '🍎', 'banana': '🍌', 'orange': '🍊', 'strawberry': '🍓',
+
+  // Activities and objects
+  'music': '🎵', 'note': '🎶', 'musical_note': '🎵', 'song': '🎵',
+  'guitar': '🎸', 'piano': '🎹', 'microphone': '🎤', 'mic': '🎤',
+  'headphones': '🎧', 'speaker': '🔊', 'sound': '🔊',
+  'book': '📚', 'reading': '📖', 'library': '📚', 'study': '📚',
+  'pen': '✏️', 'pencil': '✏️', 'write': '✏️', 'writing': '✏️',
+  'paint': '🎨', 'art': '🎨', 'artist': '🎨', 'creative': '🎨',
+  'camera': '📷', 'photo': '📷', 'picture': '📷', 'video': '📹',
+  'movie': '🎬', 'film': '🎬', 'cinema': '🎬', 'tv': '📺', 'television': '📺',
+  'radio': '📻', 'news': '📰', 'newspaper': '📰',
+  'key': '🔑', 'lock': '🔒', 'unlock': '🔓', 'security': '🔒',
+  'shield': '🛡️', 'protection': '🛡️', 'safe': '🛡️',
+  'sword': '⚔️', 'weapon': '⚔️', 'gun': '🔫', 'bomb': '💣',
+  'tool': '🔧', 'hammer': '🔨', 'wrench': '🔧', 'screwdriver': '🪛',
+  'gear': '⚙️', 'settings': '⚙️', 'config': '⚙️', 'cog': '⚙️',
+
+  // Transportation
+  'car': '🚗', 'vehicle': '🚗', 'auto': '🚗', 'bus': '🚌',
+  'train': '🚆', 'airplane': '✈️', 'plane': '✈️', 'ship': '🚢', 'boat': '⛵',
+  'bike': '🚴', 'bicycle': '🚴', 'motorcycle': '🏍️',
+
+  // Sports and activities
+  'football': '⚽', 'soccer': '⚽', 'basketball': '🏀', 'tennis': '🎾',
+  'baseball': '⚾', 'golf': '⛳', 'swimming': '🏊', 'running': '🏃',
+  'gym': '🏋️', 'workout': '💪', 'muscle': '💪', 'strong': '💪', 'strength': '💪',
+
+  // Time and calendar
+  'clock': '🕐', 'time': '🕐', 'calendar': '📅', 'date': '📅',
+  'alarm': '⏰', 'timer': '⏲️', 'stopwatch': '⏱️',
+
+  // Miscellaneous common ones
+  'gift': '🎁', 'present': '🎁', 'party': '🎉', 'celebration': '🎉',
+  'balloon': '🎈', 'confetti': '🎊', 'tada': '🎉',
+  'flag': '🏳️', 'trophy': '🏆', 'medal': '🏅', 'winner': '🏆',
+  'target': '🎯', 'bullseye': '🎯', 'goal': '🥅'
+};
+
+/**
+ * Standard emoji for a custom emoji name, or null if there is no equivalent
+ */
+function convertCustomEmojiToStandard(emojiName) {
+  const envConfig = require('../config/config');
+  const name = emojiName.toLowerCase();
+
+  if (STANDARD_EMOJIS[name]) {
+    if (envConfig.debugMode) {
+      logInfo(`🔍 Converted custom emoji: <:${emojiName}:*> -> ${STANDARD_EMOJIS[name]}`);
+    }
+    return STANDARD_EMOJIS[name];
+  }
+
+  // Partial matches only for keys of 4+ characters (avoid "no" matching "unknown")
+  for (const [key, emoji] of Object.entries(STANDARD_EMOJIS)) {
+    if (key.length >= 4 && (name.startsWith(key) || name.includes('_' + key) || name.includes(key + '_'))) {
+      if (envConfig.debugMode) {
+        logInfo(`🔍 Converted custom emoji (partial match): <:${emojiName}:*> -> ${emoji} (matched "${key}")`);
+      }
+      return emoji;
+    }
+  }
+
+  if (envConfig.debugMode) {
+    logInfo(`🔍 Removed unsupported custom emoji: <:${emojiName}:*> (no match found)`);
+  }
+  return null;
+}
+
+module.exports = {
+  convertCustomEmojiToStandard
+};
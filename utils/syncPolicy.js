@@ -0,0 +1,57 @@
+// Per-config policies for what happens to forwarded copies when the source message changes.
+//
+// editPolicy:   'sync' (default) edits the copy, 'ignore' leaves it as sent, 'append' keeps the
+//               forwarded text and adds an "(edited)" note with the new version
+// deletePolicy: 'delete' (default) removes the copy, 'keep' leaves it, 'tombstone' replaces it
+//               with a "message removed at source" notice
+//
+// What was done is recorded on the message_logs rows (syncAction / syncedAt).
+
+const EDIT_POLICIES = ['sync', 'ignore', 'append'];
+const DELETE_POLICIES = ['delete', 'keep', 'tombstone'];
+
+const EDIT_NOTE_SEPARATOR = '\n\n-# ✏️ (edited)\n';
+// Leaves room for the hop marker under Discord's 2000 character limit
+const EDIT_NOTE_CONTENT_LIMIT = 1900;
+
+function getEditPolicy(config) {
+  return EDIT_POLICIES.includes(config?.editPolicy) ? config.editPolicy : 'sync';
+}
+
+function getDeletePolicy(config) {
+  return DELETE_POLICIES.includes(config?.deletePolicy) ? config.deletePolicy : 'delete';
+}
+
+function validateSyncPolicies(config) {
+  if (typeof config.editPolicy !== 'undefined' && !EDIT_POLICIES.includes(config.editPolicy)) {
+    return { valid: false, error: `editPolicy must be one of: ${EDIT_POLICIES.join(', ')}` };
+  }
+  if (typeof config.deletePolicy !== 'undefined' && !DELETE_POLICIES.includes(config.deletePolicy)) {
+    return { valid: false, error: `deletePolicy must be one of: ${DELETE_POLICIES.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Discord copy text with the edit note: the text as first forwarded, then the latest version.
+ * A previous note is replaced, so repeated edits do not stack.
+ */
+function appendEditNote(forwardedContent, newContent) {
+  const base = String(forwardedContent || '').split(EDIT_NOTE_SEPARATOR)[0];
+  const text = `${base}${EDIT_NOTE_SEPARATOR}${newContent || '*(no text)*'}`;
+  return text.length > EDIT_NOTE_CONTENT_LIMIT ? `${text.slice(0, EDIT_NOTE_CONTENT_LIMIT - 1)}…` : text;
+}
+
+function buildDiscordTombstone(deletedAt = Date.now()) {
+  return `🗑️ *Message removed at source* <t:${Math.floor(deletedAt / 1000)}:f>`;
+}
+
+module.exports = {
+  EDIT_POLICIES,
+  DELETE_POLICIES,
+  getEditPolicy,
+  getDeletePolicy,
+  validateSyncPolicies,
+  appendEditNote,
+  buildDiscordTombstone
+};
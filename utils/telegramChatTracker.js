@@ -1,4 +1,4 @@
-const { upsertTelegramChat, getTelegramChats } = require('./database');
+const { upsertTelegramChat, getTelegramChats, upsertTelegramTopic } = require('./database');
 const { logInfo, logError, logSuccess } = require('./logger');
 
 const ALLOWED_TYPES = new Set(['group', 'supergroup', 'channel']);
@@ -49,9 +49,24 @@ function parseUpdateChat(update) {
     || null;
 }
 
+/**
+ * Extract the forum topic of a supergroup message update as { chatId, topicId, name }.
+ * name is null unless the message created or renamed the topic, or replies to its creation.
+ */
+function parseUpdateTopic(update) {
+  const message = update?.message || update?.edited_message;
+  if (!message || !message.is_topic_message || !message.message_thread_id || !message.chat) return null;
+  const name = message.forum_topic_created?.name
+    || message.forum_topic_edited?.name
+    || message.reply_to_message?.forum_topic_created?.name
+    || null;
+  return { chatId: String(message.chat.id), topicId: String(message.message_thread_id), name };
+}
+
 /**
  * Process an array of Telegram updates and persist discovered chats to the database.
- * Handles both regular message updates and my_chat_member events.
+ * Handles both regular message updates and my_chat_member events; forum topics seen in
+ * messages are recorded too.
  */
 async function persistChatsFromUpdates(updates) {
   if (!Array.isArray(updates)) return;
@@ -77,6 +92,15 @@ async function persistChatsFromUpdates(updates) {
       }
     }
 
+    const topic = parseUpdateTopic(update);
+    if (topic) {
+      try {
+        await upsertTelegramTopic(topic);
+      } catch (err) {
+        logError(`Failed to persist Telegram topic ${topic.topicId} of chat ${topic.chatId}: ${err.message}`);
+      }
+    }
+
     // my_chat_member event (bot added/removed)
     const memberEvent = parseMyChatMemberUpdate(update);
     if (memberEvent) {
@@ -144,15 +168,21 @@ function isBotRemovedError(error) {
  */
 async function runStartupSync(telegramHandler) {
   // 1. Process pending updates to discover new chats / catch missed my_chat_member events
+  // (skipped while the Telegram source poller owns getUpdates; it persists chats itself)
+  const { isTelegramUpdatePollingActive } = require('../handlers/telegram/telegramUpdatePoller');
   try {
-    const updates = await telegramHandler.callTelegramAPI('getUpdates', {
-      limit: 100,
-      timeout: 0,
-      allowed_updates: ['message', 'edited_message', 'channel_post', 'edited_channel_post', 'my_chat_member']
-    });
-    if (updates && updates.ok && Array.isArray(updates.result)) {
-      await persistChatsFromUpdates(updates.result);
-      logInfo(`Telegram startup sync: processed ${updates.result.length} pending updates`);
+    if (isTelegramUpdatePollingActive()) {
+      logInfo('Telegram startup sync: update poller active, skipping getUpdates');
+    } else {
+      const updates = await telegramHandler.callTelegramAPI('getUpdates', {
+        limit: 100,
+        timeout: 0,
+        allowed_updates: ['message', 'edited_message', 'channel_post', 'edited_channel_post', 'my_chat_member']
+      });
+      if (updates && updates.ok && Array.isArray(updates.result)) {
+        await persistChatsFromUpdates(updates.result);
+        logInfo(`Telegram startup sync: processed ${updates.result.length} pending updates`);
+      }
     }
   } catch (error) {
     logError(`Telegram startup sync: failed to process updates: ${error.message}`);
@@ -212,6 +242,7 @@ module.exports = {
   shouldIncludeChat,
   parseUpdateChat,
   parseMyChatMemberUpdate,
+  parseUpdateTopic,
   persistChatsFromUpdates,
   enrichChatViaAPI,
   isBotRemovedError,
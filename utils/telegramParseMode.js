@@ -0,0 +1,77 @@
+// Telegram parse mode per config.
+//
+// telegramParseMode on a Telegram-target config picks how forwarded text is formatted:
+// 'MarkdownV2' or 'HTML'. Configs without it follow TELEGRAM_PARSE_MODE (default MarkdownV2).
+// Everything built for a message (source header, embeds, split indicators, edit notes,
+// tombstones) uses the same mode, and an entity error still falls back to plain text.
+
+const FormatConverter = require('./formatConverter');
+
+const TELEGRAM_PARSE_MODES = ['MarkdownV2', 'HTML'];
+const DEFAULT_TELEGRAM_PARSE_MODE = 'MarkdownV2';
+
+// Accepts any casing ('html', 'markdownv2'); returns the Bot API spelling or null
+function normalizeTelegramParseMode(value) {
+  if (typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  return TELEGRAM_PARSE_MODES.find(mode => mode.toLowerCase() === lower) || null;
+}
+
+function getTelegramParseMode(config) {
+  const configured = normalizeTelegramParseMode(config?.telegramParseMode);
+  if (configured) return configured;
+  const envConfig = require('../config/config');
+  return normalizeTelegramParseMode(envConfig.telegram?.parseMode) || DEFAULT_TELEGRAM_PARSE_MODE;
+}
+
+function validateTelegramParseMode(config) {
+  if (typeof config.telegramParseMode !== 'undefined' && !normalizeTelegramParseMode(config.telegramParseMode)) {
+    return { valid: false, error: `telegramParseMode must be one of: ${TELEGRAM_PARSE_MODES.join(', ')}` };
+  }
+  return { valid: true };
+}
+
+function escapeTelegramText(text, parseMode) {
+  return parseMode === 'HTML'
+    ? FormatConverter.escapeHTML(text)
+    : FormatConverter.escapeMarkdownV2ForText(text);
+}
+
+function formatTelegramBold(text, parseMode) {
+  const escaped = escapeTelegramText(text, parseMode);
+  return parseMode === 'HTML' ? `<b>${escaped}</b>` : `*${escaped}*`;
+}
+
+function formatTelegramItalic(text, parseMode) {
+  const escaped = escapeTelegramText(text, parseMode);
+  return parseMode === 'HTML' ? `<i>${escaped}</i>` : `_${escaped}_`;
+}
+
+function formatTelegramLink(label, url, parseMode) {
+  const escapedLabel = escapeTelegramText(label, parseMode);
+  if (parseMode === 'HTML') {
+    return `<a href="${FormatConverter.escapeHTMLAttribute(url)}">${escapedLabel}</a>`;
+  }
+  return `[${escapedLabel}](${String(url).replace(/([)\\])/g, '\\$1')})`;
+}
+
+/**
+ * Text for the plain-text fallback after an entity error. HTML loses its tags; MarkdownV2 text
+ * is sent as it is.
+ */
+function toTelegramPlainText(text, parseMode) {
+  return parseMode === 'HTML' ? FormatConverter.stripTelegramHTML(text) : text;
+}
+
+module.exports = {
+  TELEGRAM_PARSE_MODES,
+  DEFAULT_TELEGRAM_PARSE_MODE,
+  normalizeTelegramParseMode,
+  getTelegramParseMode,
+  validateTelegramParseMode,
+  escapeTelegramText,
+  formatTelegramBold,
+  formatTelegramItalic,
+  formatTelegramLink,
+  toTelegramPlainText
+};
@@ -1,7 +1,13 @@
 const { logInfo, logSuccess, logError } = require('./logger');
 const ApplicationEmojiManager = require('./applicationEmojiManager');
+const { buildDiscordReplyQuote, prependReplyQuote } = require('./replyContext');
+const { remapDiscordMentions } = require('./mentionMap');
+const { addHopMarker, stripHopMarker } = require('./hopMarker');
+const { applyContentTransforms } = require('./contentTransform');
+const { planDiscordAttachments, addAttachmentLinks } = require('./attachmentTiers');
 
 const WEBHOOK_NAME = 'ProForwarder';
+const DISCORD_CONTENT_LIMIT = 2000;
 
 // Cache for webhooks to avoid recreating them
 const webhookCache = new Map();
@@ -64,43 +70,56 @@ function processMentions(content, config, targetChannel, clientUserId) {
 }
 
 /**
- * Process attachments (size check) and stickers (to text) from a message.
- * Returns { files: Array, stickerText: string|null }.
+ * Remap role/channel mentions for the target guild, then apply the @everyone/@here rules.
+ * Mapped roles are added to allowedMentions when the config's mention map lets them ping.
  */
-function processAttachmentsAndStickers(message) {
-  const files = [];
-  let stickerText = null;
+function processForwardedMentions(content, config, sourceGuild, targetChannel, clientUserId) {
+  const remapped = remapDiscordMentions(content, config, sourceGuild, targetChannel.guild);
+  const mentionResult = processMentions(remapped.content, config, targetChannel, clientUserId);
+  if (remapped.roleIds.length > 0) {
+    mentionResult.allowedMentions = { ...mentionResult.allowedMentions, roles: remapped.roleIds };
+  }
+  return mentionResult;
+}
 
-  if (message.attachments.size > 0) {
-    for (const attachment of message.attachments.values()) {
-      try {
-        if (attachment.size > 8 * 1024 * 1024) {
-          logInfo(`Skipping large attachment: ${attachment.name} (${attachment.size} bytes)`);
-          continue;
-        }
-        files.push({
-          attachment: attachment.url,
-          name: attachment.name,
-          description: attachment.description || undefined
-        });
-      } catch (attachmentError) {
-        logError(`Error processing attachment ${attachment.name}:`, attachmentError);
-      }
+/**
+ * Process attachments (upload limit of the target guild) and stickers (to text) from a message.
+ * Returns { files, links, uploadLimit, stickerText } where links are attachments too big to re-upload.
+ */
+function processAttachmentsAndStickers(message, targetGuild) {
+  const { files, links, outcomes, uploadLimit } = planDiscordAttachments(message, targetGuild);
+  for (const { name, size, outcome } of outcomes) {
+    if (outcome === 'linked') {
+      logInfo(`Linking attachment ${name} (${size} bytes): over the target server's ${uploadLimit} byte upload limit`);
+    } else if (outcome === 'dropped') {
+      logInfo(`Dropping attachment ${name}: no URL to re-upload from`);
     }
   }
 
+  let stickerText = null;
   if (message.stickers.size > 0) {
     stickerText = Array.from(message.stickers.values())
       .map(sticker => `*[Sticker: ${sticker.name}]*`)
       .join(' ');
   }
 
-  return { files, stickerText };
+  return { files, links, outcomes, uploadLimit, stickerText };
+}
+
+// Threads cannot own webhooks; their parent's webhook posts into them via threadId
+function getWebhookChannel(targetChannel) {
+  return targetChannel.isThread?.() && targetChannel.parent ? targetChannel.parent : targetChannel;
+}
+
+// Webhook send/edit/delete options that route into a thread target
+function getThreadRouting(targetChannel) {
+  return targetChannel.isThread?.() ? { threadId: targetChannel.id } : {};
 }
 
 // Get or create a webhook for a target channel
 async function getWebhook(targetChannel) {
-  const cacheKey = targetChannel.id;
+  const webhookChannel = getWebhookChannel(targetChannel);
+  const cacheKey = webhookChannel.id;
   
   // Check if we have a cached webhook — trust the cache, callers handle 10015
   if (webhookCache.has(cacheKey)) {
@@ -109,16 +128,16 @@ async function getWebhook(targetChannel) {
 
   try {
     // Check if ProForwarder webhook already exists
-    const existingWebhooks = await targetChannel.fetchWebhooks();
+    const existingWebhooks = await webhookChannel.fetchWebhooks();
     let webhook = existingWebhooks.find(wh => wh.name === WEBHOOK_NAME);
 
     if (!webhook) {
       // Create new webhook
-      webhook = await targetChannel.createWebhook({
+      webhook = await webhookChannel.createWebhook({
         name: WEBHOOK_NAME,
         reason: `${WEBHOOK_NAME} message forwarding`
       });
-      logInfo(`Created webhook for channel ${targetChannel.name}`);
+      logInfo(`Created webhook for channel ${webhookChannel.name}`);
     }
 
     // Cache the webhook
@@ -132,24 +151,65 @@ async function getWebhook(targetChannel) {
 }
 
 // Send a message using webhook to perfectly mimic the original user
-async function sendWebhookMessage(targetChannel, originalMessage, client = null, config = null) {
+// Run a webhook call; if the webhook was deleted externally (10015), evict the cache, recreate and retry once
+async function withWebhookRecovery(targetChannel, operation, webhook = null) {
+  const hook = webhook || await getWebhook(targetChannel);
   try {
-    let webhook = await getWebhook(targetChannel);
+    return await operation(hook);
+  } catch (error) {
+    if (error.code !== 10015) {
+      throw error;
+    }
+    logInfo(`Webhook deleted for ${targetChannel.name}, recreating...`);
+    webhookCache.delete(getWebhookChannel(targetChannel).id);
+    return await operation(await getWebhook(targetChannel));
+  }
+}
+
+/**
+ * Send pre-built webhook options (content/username/files/allowedMentions) for sources
+ * that are not Discord messages, e.g. Telegram posts.
+ */
+async function sendWebhookPayload(targetChannel, webhookOptions) {
+  const options = { ...getThreadRouting(targetChannel), ...webhookOptions };
+  const sentMessage = await withWebhookRecovery(targetChannel, hook => hook.send(options));
+  logSuccess(`Webhook message sent to ${targetChannel.name} as ${webhookOptions.username || WEBHOOK_NAME}`);
+  return sentMessage;
+}
+
+async function editWebhookPayload(targetChannel, messageId, editOptions) {
+  const options = { ...getThreadRouting(targetChannel), ...editOptions };
+  const editedMessage = await withWebhookRecovery(targetChannel, hook => hook.editMessage(messageId, options));
+  logSuccess(`Edited webhook message in ${targetChannel.name}`);
+  return editedMessage;
+}
+
+async function deleteWebhookPayload(targetChannel, messageId) {
+  const { threadId } = getThreadRouting(targetChannel);
+  await withWebhookRecovery(targetChannel, hook => hook.deleteMessage(messageId, threadId));
+  logSuccess(`Deleted webhook message in ${targetChannel.name}`);
+}
+
+// threadOptions ({ threadId } or { threadName, appliedTags }) picks or creates the forum post to send into.
+// Returns { message, attachmentOutcomes } with what happened to each attachment of this send.
+async function sendWebhookMessage(targetChannel, originalMessage, client = null, config = null, threadOptions = {}) {
+  try {
+    const webhook = await getWebhook(targetChannel);
 
     // Initialize application emoji manager if client is provided
     if (client && !appEmojiManager) {
       initializeAppEmojiManager(client);
     }
 
-    // Process content for cross-server emojis using application-level emoji storage
-    let processedContent = originalMessage.content || '';
+    // Apply the config's transformation rules to the plain text, then cross-server emojis
+    let processedContent = applyContentTransforms(stripHopMarker(originalMessage.content || ''), originalMessage, config);
     if (appEmojiManager && processedContent) {
       processedContent = await appEmojiManager.processMessageEmojis(processedContent, targetChannel.guild);
     }
 
     // Process mentions
-    const mentionResult = processMentions(processedContent, config, targetChannel, client?.user?.id);
-    processedContent = mentionResult.content;
+    const mentionResult = processForwardedMentions(processedContent, config, originalMessage.guild, targetChannel, client?.user?.id);
+    processedContent = prependReplyQuote(mentionResult.content, await buildDiscordReplyQuote(originalMessage, config));
 
     // Build webhook message options to perfectly mimic original
     const webhookOptions = {
@@ -158,7 +218,9 @@ async function sendWebhookMessage(targetChannel, originalMessage, client = null,
       avatarURL: originalMessage.author.displayAvatarURL({ dynamic: true, size: 256 }),
       embeds: originalMessage.embeds.length > 0 ? originalMessage.embeds.slice(0, 10) : undefined, // Discord limit
       files: [],
-      allowedMentions: mentionResult.allowedMentions
+      allowedMentions: mentionResult.allowedMentions,
+      ...getThreadRouting(targetChannel),
+      ...threadOptions
     };
 
     // For bot messages, add a subtle indicator if needed
@@ -169,9 +231,10 @@ async function sendWebhookMessage(targetChannel, originalMessage, client = null,
       webhookOptions.username = `${webhookOptions.username} 🤖`;
     }
 
-    // Handle attachments and stickers
-    const { files, stickerText } = processAttachmentsAndStickers(originalMessage);
+    // Handle attachments (link cards for files over the target's upload limit) and stickers
+    const { files, links, outcomes, uploadLimit, stickerText } = processAttachmentsAndStickers(originalMessage, targetChannel.guild);
     webhookOptions.files = files;
+    addAttachmentLinks(webhookOptions, links, uploadLimit);
 
     if (stickerText) {
       if (webhookOptions.content) {
@@ -185,25 +248,13 @@ async function sendWebhookMessage(targetChannel, originalMessage, client = null,
     if (!webhookOptions.content && !webhookOptions.embeds?.length && !webhookOptions.files?.length) {
       webhookOptions.content = '*[Message with unsupported content]*';
     }
+    webhookOptions.content = addHopMarker(webhookOptions.content, originalMessage.content, config, { maxLength: DISCORD_CONTENT_LIMIT });
 
     // Send the webhook message, with Unknown Webhook (10015) recovery
-    let forwardedMessage;
-    try {
-      forwardedMessage = await webhook.send(webhookOptions);
-    } catch (sendError) {
-      if (sendError.code === 10015) {
-        // Webhook was deleted externally — evict cache, recreate, retry once
-        logInfo(`Webhook deleted for ${targetChannel.name}, recreating...`);
-        webhookCache.delete(targetChannel.id);
-        webhook = await getWebhook(targetChannel);
-        forwardedMessage = await webhook.send(webhookOptions);
-      } else {
-        throw sendError;
-      }
-    }
+    const forwardedMessage = await withWebhookRecovery(targetChannel, hook => hook.send(webhookOptions), webhook);
 
     logSuccess(`Webhook message sent to ${targetChannel.name} as ${webhookOptions.username}`);
-    return forwardedMessage;
+    return { message: forwardedMessage, attachmentOutcomes: outcomes };
 
   } catch (error) {
     logError(`Failed to send webhook message to ${targetChannel.name}:`, error);
@@ -231,27 +282,29 @@ async function editWebhookMessage(webhookMessage, newMessage, client = null, con
       initializeAppEmojiManager(client);
     }
 
-    // Process content for cross-server emojis using application-level emoji storage
-    let processedContent = newMessage.content || '';
+    // Apply the config's transformation rules to the plain text, then cross-server emojis
+    let processedContent = applyContentTransforms(stripHopMarker(newMessage.content || ''), newMessage, config);
     if (appEmojiManager && processedContent) {
       processedContent = await appEmojiManager.processMessageEmojis(processedContent, webhookMessage.guild);
     }
 
     // Process mentions
-    const mentionResult = processMentions(processedContent, config, webhookMessage.channel, client?.user?.id);
-    processedContent = mentionResult.content;
+    const mentionResult = processForwardedMentions(processedContent, config, newMessage.guild, webhookMessage.channel, client?.user?.id);
+    processedContent = prependReplyQuote(mentionResult.content, await buildDiscordReplyQuote(newMessage, config));
 
     // Build webhook edit options to match original message format
     const editOptions = {
       content: processedContent || undefined,
       embeds: newMessage.embeds.length > 0 ? newMessage.embeds.slice(0, 10) : [],
       files: [],
-      allowedMentions: mentionResult.allowedMentions
+      allowedMentions: mentionResult.allowedMentions,
+      ...getThreadRouting(webhookMessage.channel)
     };
 
-    // Handle attachments and stickers
-    const { files, stickerText } = processAttachmentsAndStickers(newMessage);
+    // Handle attachments (link cards for files over the target's upload limit) and stickers
+    const { files, links, uploadLimit, stickerText } = processAttachmentsAndStickers(newMessage, webhookMessage.guild);
     editOptions.files = files;
+    addAttachmentLinks(editOptions, links, uploadLimit);
 
     if (stickerText) {
       if (editOptions.content) {
@@ -265,6 +318,7 @@ async function editWebhookMessage(webhookMessage, newMessage, client = null, con
     if (!editOptions.content && !editOptions.embeds?.length && !editOptions.files?.length) {
       editOptions.content = '*[Message with unsupported content]*';
     }
+    editOptions.content = addHopMarker(editOptions.content, newMessage.content, config, { maxLength: DISCORD_CONTENT_LIMIT });
 
     // Edit the webhook message, with Unknown Webhook (10015) recovery
     let editedMessage;
@@ -273,7 +327,7 @@ async function editWebhookMessage(webhookMessage, newMessage, client = null, con
     } catch (editError) {
       if (editError.code === 10015) {
         logInfo(`Webhook deleted for ${webhookMessage.channel.name}, recreating...`);
-        webhookCache.delete(webhookMessage.channel.id);
+        webhookCache.delete(getWebhookChannel(webhookMessage.channel).id);
         webhook = await getWebhook(webhookMessage.channel);
         editedMessage = await webhook.editMessage(webhookMessage.id, editOptions);
       } else {
@@ -301,11 +355,16 @@ function isOurWebhook(webhookId) {
 
 module.exports = {
   WEBHOOK_NAME,
+  DISCORD_CONTENT_LIMIT,
   isOurWebhook,
   getWebhook,
   sendWebhookMessage,
   editWebhookMessage,
+  sendWebhookPayload,
+  editWebhookPayload,
+  deleteWebhookPayload,
   hasWebhookPermissions,
   initializeAppEmojiManager,
-  processMentions
+  processMentions,
+  processForwardedMentions
 };
@@ -36,7 +36,7 @@ async function resolveGuildChannel(guild, channelId) {
   }
 }
 
-async function buildReaderStatusDiagnostics(mainClient, configs, { getReaderBotClient, isTextOrAnnouncementChannel }) {
+async function buildReaderStatusDiagnostics(mainClient, configs, { getReaderBotClient, isForwardableChannel }) {
   const runtimeConfig = require('../../config/config');
   const readerEnabled = Boolean(runtimeConfig.readerBot && runtimeConfig.readerBot.enabled);
   const readerClient = getReaderBotClient();
@@ -144,13 +144,13 @@ async function buildReaderStatusDiagnostics(mainClient, configs, { getReaderBotC
       continue;
     }
 
-    if (!isTextOrAnnouncementChannel(sourceChannel)) {
+    if (!isForwardableChannel(sourceChannel)) {
       failures.push(buildReaderDiagnosticFailure(
         configItem,
         sourceBot,
         'source_channel_type',
-        'Source channel is not a text/announcement channel.',
-        'Select a standard text or announcement channel as the source.'
+        'Source channel is not a text/announcement/forum/thread channel.',
+        'Select a text, announcement, forum, or thread channel as the source.'
       ));
       continue;
     }
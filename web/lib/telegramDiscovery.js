@@ -4,7 +4,8 @@ const {
 const {
   upsertTelegramChat: dbUpsertTelegramChat,
   getTelegramChats,
-  getTelegramChat
+  getTelegramChat,
+  getTelegramTopics
 } = require('../../utils/database');
 const {
   normalizeTelegramChat: trackerNormalize,
@@ -12,6 +13,7 @@ const {
   persistChatsFromUpdates,
   enrichChatViaAPI
 } = require('../../utils/telegramChatTracker');
+const { isTelegramUpdatePollingActive } = require('../../handlers/telegram/telegramUpdatePoller');
 
 const TELEGRAM_DISCOVERY_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes (DB is the persistent backstop)
 let telegramDiscoveryCache = {
@@ -88,10 +90,13 @@ async function collectTelegramChatOptions() {
   try {
     const configs = await loadForwardConfigs();
     for (const cfg of configs) {
-      if (cfg.targetType !== 'telegram' || !cfg.targetChatId) continue;
-      const chatId = String(cfg.targetChatId);
-      if (!chatMap.has(chatId)) {
-        upsertChatIntoMap(chatMap, { id: chatId, title: 'Configured Chat', type: 'configured' }, 'configured');
+      const configuredChatIds = [];
+      if (cfg.targetType === 'telegram' && cfg.targetChatId) configuredChatIds.push(String(cfg.targetChatId));
+      if (cfg.sourceType === 'telegram' && cfg.sourceChatId) configuredChatIds.push(String(cfg.sourceChatId));
+      for (const chatId of configuredChatIds) {
+        if (!chatMap.has(chatId)) {
+          upsertChatIntoMap(chatMap, { id: chatId, title: 'Configured Chat', type: 'configured' }, 'configured');
+        }
       }
     }
   } catch (error) {
@@ -105,10 +110,12 @@ async function collectTelegramChatOptions() {
       const TelegramHandler = require('../../handlers/telegramHandler');
       telegramHandler = new TelegramHandler();
       const initialized = await telegramHandler.initialize();
+      // getUpdates is skipped while the source poller owns it; the poller already persists
+      // discovered chats (STEP 1 reads them)
       if (!initialized) {
         warnings.push('Telegram handler failed to initialize.');
         telegramHandler = null;
-      } else {
+      } else if (!isTelegramUpdatePollingActive()) {
         const updates = await telegramHandler.callTelegramAPI('getUpdates', {
           limit: 100,
           timeout: 0,
@@ -204,6 +211,21 @@ async function collectTelegramChatOptions() {
     return a.title.localeCompare(b.title);
   });
 
+  // STEP 5: Attach forum topics seen in each chat's messages
+  try {
+    const topicsByChat = new Map();
+    for (const topic of await getTelegramTopics()) {
+      const chatId = String(topic.chatId);
+      if (!topicsByChat.has(chatId)) topicsByChat.set(chatId, []);
+      topicsByChat.get(chatId).push({ id: topic.topicId, name: topic.name || null });
+    }
+    for (const chat of chats) {
+      chat.topics = topicsByChat.get(String(chat.id)) || [];
+    }
+  } catch (error) {
+    warnings.push(`Failed to load Telegram forum topics: ${error.message}`);
+  }
+
   const payload = {
     enabled: telegramEnabled,
     chats,
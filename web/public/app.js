@@ -159,10 +159,10 @@
       panel.setAttribute('aria-hidden', isActive ? 'false' : 'true');
     });
 
-    // fire activation callback
-    if (tabActivateCallbacks[tabId]) {
-      tabActivateCallbacks[tabId]();
-    }
+    // fire activation callbacks
+    (tabActivateCallbacks[tabId] || []).forEach(function (callback) {
+      callback();
+    });
   }
 
   tabButtons.forEach(function (btn) {
@@ -172,7 +172,8 @@
   });
 
   function onTabActivate(tabId, callback) {
-    tabActivateCallbacks[tabId] = callback;
+    if (!tabActivateCallbacks[tabId]) tabActivateCallbacks[tabId] = [];
+    tabActivateCallbacks[tabId].push(callback);
   }
 
   // -- Guild selector --
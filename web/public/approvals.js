@@ -0,0 +1,145 @@
+/* approvals.js -- Messages held for moderator approval (Configs tab) */
+(function () {
+  'use strict';
+
+  var approvalsBody = document.getElementById('approvals-body');
+  var refreshBtn = document.getElementById('approvals-refresh');
+
+  if (!approvalsBody) return;
+
+  var MAX_CONTENT_LENGTH = 2000;
+
+  function formatTime(ts) {
+    if (!ts) return '--';
+    return new Date(ts).toLocaleString();
+  }
+
+  function createCell(text, className) {
+    var cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  }
+
+  function setApprovalsMessage(message) {
+    approvalsBody.innerHTML = '';
+    var row = document.createElement('tr');
+    var cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'muted-text';
+    cell.textContent = message;
+    row.appendChild(cell);
+    approvalsBody.appendChild(row);
+  }
+
+  function createActionButton(label, className, onClick) {
+    var button = document.createElement('button');
+    button.className = 'button sm' + (className ? ' ' + className : '');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function renderApprovals(entries) {
+    approvalsBody.innerHTML = '';
+    if (!entries.length) {
+      setApprovalsMessage('No messages waiting for approval.');
+      return;
+    }
+
+    entries.forEach(function (entry) {
+      var row = document.createElement('tr');
+      row.appendChild(createCell(String(entry.id), 'mono'));
+      row.appendChild(createCell(entry.configId + (entry.configName ? ' - ' + entry.configName : ' (removed)'), 'mono'));
+      row.appendChild(createCell(entry.authorName || 'Unknown'));
+
+      // The text is editable; it is only sent as an override when it was changed
+      var messageCell = document.createElement('td');
+      var textarea = document.createElement('textarea');
+      textarea.className = 'input';
+      textarea.rows = 3;
+      textarea.maxLength = MAX_CONTENT_LENGTH;
+      textarea.value = entry.content || '';
+      messageCell.appendChild(textarea);
+      if (entry.attachmentCount > 0) {
+        var note = document.createElement('div');
+        note.className = 'muted-text';
+        note.textContent = entry.attachmentCount + ' attachment' + (entry.attachmentCount === 1 ? '' : 's');
+        messageCell.appendChild(note);
+      }
+      if (entry.jumpUrl) {
+        var link = document.createElement('a');
+        link.href = entry.jumpUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = 'Open source message';
+        messageCell.appendChild(link);
+      }
+      row.appendChild(messageCell);
+
+      row.appendChild(createCell(formatTime(entry.createdAt)));
+
+      var actionsCell = document.createElement('td');
+      actionsCell.className = 'config-actions';
+      actionsCell.appendChild(createActionButton('Approve', '', function () {
+        var edited = textarea.value !== (entry.content || '');
+        approve(entry, edited ? textarea.value : null);
+      }));
+      actionsCell.appendChild(createActionButton('Reject', 'secondary danger', function () {
+        reject(entry);
+      }));
+      row.appendChild(actionsCell);
+
+      approvalsBody.appendChild(row);
+    });
+  }
+
+  async function loadApprovals(quiet) {
+    if (!quiet) setApprovalsMessage('Loading...');
+    try {
+      var data = await AdminApp.fetchJson('/api/approvals');
+      renderApprovals(data.entries || []);
+    } catch (error) {
+      setApprovalsMessage('Failed to load approval queue: ' + error.message);
+    }
+  }
+
+  async function approve(entry, content) {
+    try {
+      AdminApp.setStatus('Approving message ' + entry.id + '...');
+      await AdminApp.fetchJson('/api/approvals/' + entry.id + '/approve', {
+        method: 'POST',
+        body: JSON.stringify(content !== null ? { content: content } : {})
+      });
+      AdminApp.setStatus('Message ' + entry.id + ' approved and forwarded.');
+    } catch (error) {
+      AdminApp.setStatus('Approve failed: ' + error.message, true);
+    }
+    await loadApprovals(true);
+  }
+
+  async function reject(entry) {
+    var confirmed = await AdminApp.showConfirm(
+      'Reject Message',
+      'Reject message ' + entry.id + ' from ' + (entry.authorName || 'Unknown') + '? It will not be forwarded.',
+      'Reject'
+    );
+    if (!confirmed) return;
+
+    try {
+      await AdminApp.fetchJson('/api/approvals/' + entry.id + '/reject', { method: 'POST' });
+      AdminApp.setStatus('Message ' + entry.id + ' rejected.');
+    } catch (error) {
+      AdminApp.setStatus('Reject failed: ' + error.message, true);
+    }
+    await loadApprovals(true);
+  }
+
+  refreshBtn.addEventListener('click', function () {
+    loadApprovals(false);
+  });
+
+  AdminApp.onTabActivate('configs', function () {
+    loadApprovals(false);
+  });
+})();
@@ -0,0 +1,243 @@
+/* backfill.js -- History backfill jobs (Configs tab) */
+(function () {
+  'use strict';
+
+  var backfillCard = document.getElementById('backfill-card');
+  var backfillTitle = document.getElementById('backfill-title');
+  var backfillClose = document.getElementById('backfill-close');
+  var backfillForm = document.getElementById('backfill-form');
+  var modeSelect = document.getElementById('backfill-mode');
+  var countRow = document.getElementById('backfill-count-row');
+  var countInput = document.getElementById('backfill-count');
+  var startRow = document.getElementById('backfill-start-row');
+  var startInput = document.getElementById('backfill-start');
+  var endRow = document.getElementById('backfill-end-row');
+  var endInput = document.getElementById('backfill-end');
+  var paceInput = document.getElementById('backfill-pace');
+  var jobsBody = document.getElementById('backfill-body');
+  var refreshBtn = document.getElementById('backfill-refresh');
+
+  if (!backfillCard || !jobsBody) return;
+
+  var POLL_INTERVAL_MS = 5000;
+  var ACTIVE_STATUSES = ['queued', 'running'];
+  var STATUS_BADGES = {
+    queued: 'retry',
+    running: 'retry',
+    paused: 'retry',
+    completed: 'success',
+    cancelled: 'failed',
+    failed: 'failed'
+  };
+
+  var currentConfig = null;
+  var pollTimer = null;
+
+  function formatTime(ts) {
+    if (!ts) return '--';
+    return new Date(ts).toLocaleString();
+  }
+
+  function createCell(text, className) {
+    var cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  }
+
+  function setJobsMessage(message) {
+    jobsBody.innerHTML = '';
+    var row = document.createElement('tr');
+    var cell = document.createElement('td');
+    cell.colSpan = 7;
+    cell.className = 'muted-text';
+    cell.textContent = message;
+    row.appendChild(cell);
+    jobsBody.appendChild(row);
+  }
+
+  function syncModeFields() {
+    var isRange = modeSelect.value === 'range';
+    countRow.classList.toggle('is-hidden', isRange);
+    startRow.classList.toggle('is-hidden', !isRange);
+    endRow.classList.toggle('is-hidden', !isRange);
+  }
+
+  function rangeText(job) {
+    if (job.mode === 'count') return 'Last ' + job.requestedCount;
+    return formatTime(job.rangeStart) + ' - ' + formatTime(job.rangeEnd);
+  }
+
+  function progressText(job) {
+    var text = String(job.scanned) + (job.total ? ' / ' + job.total : '') + ' scanned';
+    var counts = [job.forwarded + ' forwarded'];
+    if (job.held) counts.push(job.held + ' held for approval');
+    if (job.buffered) counts.push(job.buffered + ' buffered for digest');
+    counts.push(job.skipped + ' skipped', job.failed + ' failed');
+    return text + ' (' + counts.join(', ') + ')';
+  }
+
+  function createActionButton(label, action, job, className) {
+    var button = document.createElement('button');
+    button.className = 'button secondary sm' + (className ? ' ' + className : '');
+    button.textContent = label;
+    button.addEventListener('click', function () {
+      runAction(job, action);
+    });
+    return button;
+  }
+
+  function renderJobs(jobs) {
+    jobsBody.innerHTML = '';
+    if (!jobs.length) {
+      setJobsMessage('No backfill jobs yet.');
+      return;
+    }
+
+    for (var i = 0; i < jobs.length; i++) {
+      var job = jobs[i];
+      var row = document.createElement('tr');
+      row.appendChild(createCell(String(job.id), 'mono'));
+      row.appendChild(createCell(job.configId + (job.configName ? ' - ' + job.configName : ' (removed)'), 'mono'));
+      row.appendChild(createCell(rangeText(job)));
+
+      var statusCell = document.createElement('td');
+      var badge = document.createElement('span');
+      badge.className = 'status-badge ' + (STATUS_BADGES[job.status] || 'retry');
+      badge.textContent = job.status;
+      statusCell.appendChild(badge);
+      row.appendChild(statusCell);
+
+      row.appendChild(createCell(progressText(job), 'mono'));
+
+      var errorCell = createCell(job.lastError || '', 'logs-error');
+      if (job.lastError) errorCell.classList.add('has-error');
+      row.appendChild(errorCell);
+
+      var actionsCell = document.createElement('td');
+      actionsCell.className = 'config-actions';
+      if (job.status === 'queued' || job.status === 'running') {
+        actionsCell.appendChild(createActionButton('Pause', 'pause', job));
+      }
+      if (job.status === 'paused') {
+        actionsCell.appendChild(createActionButton('Resume', 'resume', job));
+      }
+      if (job.status === 'queued' || job.status === 'running' || job.status === 'paused') {
+        actionsCell.appendChild(createActionButton('Cancel', 'cancel', job, 'danger'));
+      }
+      row.appendChild(actionsCell);
+
+      jobsBody.appendChild(row);
+    }
+  }
+
+  function schedulePoll(jobs) {
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    var hasActive = jobs.some(function (job) {
+      return ACTIVE_STATUSES.indexOf(job.status) !== -1;
+    });
+    if (hasActive) {
+      pollTimer = setTimeout(function () {
+        pollTimer = null;
+        loadJobs(true);
+      }, POLL_INTERVAL_MS);
+    }
+  }
+
+  async function loadJobs(quiet) {
+    if (!quiet) setJobsMessage('Loading...');
+    try {
+      var data = await AdminApp.fetchJson('/api/backfill-jobs');
+      var jobs = data.jobs || [];
+      renderJobs(jobs);
+      schedulePoll(jobs);
+    } catch (error) {
+      setJobsMessage('Failed to load backfill jobs: ' + error.message);
+    }
+  }
+
+  async function runAction(job, action) {
+    if (action === 'cancel') {
+      var confirmed = await AdminApp.showConfirm(
+        'Cancel Backfill',
+        'Cancel backfill job ' + job.id + '? Messages already forwarded stay forwarded.',
+        'Cancel Job'
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      await AdminApp.fetchJson('/api/backfill-jobs/' + job.id + '/' + action, { method: 'POST' });
+      AdminApp.setStatus('Backfill job ' + job.id + ' updated.');
+      await loadJobs(true);
+    } catch (error) {
+      AdminApp.setStatus('Backfill update failed: ' + error.message, true);
+    }
+  }
+
+  function openBackfill(cfg) {
+    currentConfig = cfg;
+    backfillTitle.textContent = 'Backfill Config ' + cfg.id + (cfg.name ? ' (' + cfg.name + ')' : '');
+    backfillForm.reset();
+    syncModeFields();
+    backfillCard.classList.remove('is-hidden');
+    backfillCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function closeBackfill() {
+    currentConfig = null;
+    backfillCard.classList.add('is-hidden');
+  }
+
+  function buildPayload() {
+    var payload = { mode: modeSelect.value };
+    if (payload.mode === 'count') {
+      payload.count = Number(countInput.value);
+    } else {
+      if (!startInput.value || !endInput.value) {
+        throw new Error('Pick both a start and an end time.');
+      }
+      // datetime-local values are local time; send absolute timestamps
+      payload.startAt = new Date(startInput.value).toISOString();
+      payload.endAt = new Date(endInput.value).toISOString();
+    }
+    if (paceInput.value) payload.paceMs = Number(paceInput.value);
+    return payload;
+  }
+
+  modeSelect.addEventListener('change', syncModeFields);
+
+  backfillClose.addEventListener('click', closeBackfill);
+
+  backfillForm.addEventListener('submit', async function (event) {
+    event.preventDefault();
+    if (!currentConfig) return;
+
+    try {
+      var payload = buildPayload();
+      AdminApp.setStatus('Starting backfill for config ' + currentConfig.id + '...');
+      var result = await AdminApp.fetchJson('/api/configs/' + currentConfig.id + '/backfill', {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      AdminApp.setStatus('Backfill job ' + (result.job ? result.job.id : '') + ' queued for config ' + currentConfig.id + '.');
+      closeBackfill();
+      await loadJobs(false);
+    } catch (error) {
+      AdminApp.setStatus('Backfill failed: ' + error.message, true);
+    }
+  });
+
+  refreshBtn.addEventListener('click', function () {
+    loadJobs(false);
+  });
+
+  AdminApp.openBackfill = openBackfill;
+
+  AdminApp.onTabActivate('configs', function () {
+    loadJobs(false);
+  });
+})();
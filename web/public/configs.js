@@ -3,6 +3,7 @@
   'use strict';
 
   var configsBody = document.getElementById('configs-body');
+  var configsCycles = document.getElementById('configs-cycles');
   var createDiscordForm = document.getElementById('create-discord-form');
   var createTelegramForm = document.getElementById('create-telegram-form');
   var forwardTabButtons = document.querySelectorAll('.forward-subtab-btn[data-forward-tab]');
@@ -26,9 +27,117 @@
   var telegramChatSearch = document.getElementById('telegram-chat-search');
   var telegramChatSelect = document.getElementById('telegram-chat-select');
   var telegramChatIdInput = document.getElementById('telegram-chat-id');
+  var telegramTopicIdInput = document.getElementById('telegram-topic-id');
+  var telegramTopicOptions = document.getElementById('telegram-topic-options');
+  var telegramParseModeSelect = document.getElementById('telegram-parse-mode');
   var telegramChatHint = document.getElementById('telegram-chat-hint');
   var telegramChatRemoveBtn = document.getElementById('telegram-chat-remove-btn');
 
+  var createTgSourceForm = document.getElementById('create-tgsource-form');
+  var tgSourceChatIdInput = document.getElementById('tgsource-chat-id');
+  var tgSourceChatSearch = document.getElementById('tgsource-chat-search');
+  var tgSourceChatSelect = document.getElementById('tgsource-chat-select');
+  var tgSourceTargetServerSearch = document.getElementById('tgsource-target-server-search');
+  var tgSourceTargetServerSelect = document.getElementById('tgsource-target-server');
+  var tgSourceTargetChannelSearch = document.getElementById('tgsource-target-channel-search');
+  var tgSourceTargetChannelSelect = document.getElementById('tgsource-target-channel');
+
+  var createHttpForm = document.getElementById('create-http-form');
+  var httpSourceServerSearch = document.getElementById('http-source-server-search');
+  var httpSourceServerSelect = document.getElementById('http-source-server');
+  var httpSourceBotSelect = document.getElementById('http-source-bot');
+  var httpSourceChannelSearch = document.getElementById('http-source-channel-search');
+  var httpSourceChannelSelect = document.getElementById('http-source-channel');
+
+  var editCard = document.getElementById('config-edit-card');
+  var editTitle = document.getElementById('config-edit-title');
+  var editForm = document.getElementById('config-edit-form');
+  var editCloseBtn = document.getElementById('config-edit-close');
+  var editNameInput = document.getElementById('config-edit-name');
+  var editEnabledInput = document.getElementById('config-edit-enabled');
+  var editAllowEveryoneInput = document.getElementById('config-edit-allow-everyone');
+  var editHideSourceHeaderInput = document.getElementById('config-edit-hide-source-header');
+  var editSyncReactionsInput = document.getElementById('config-edit-sync-reactions');
+  var editSyncReactionsRow = document.getElementById('config-edit-sync-reactions-row');
+  var editDeliveryBox = document.getElementById('config-edit-delivery');
+  var editModerationBox = document.getElementById('config-edit-moderation');
+  var editRequireApprovalInput = document.getElementById('config-edit-require-approval');
+  var editReviewChannelInput = document.getElementById('config-edit-review-channel');
+  var editSyncBox = document.getElementById('config-edit-sync');
+  var editEditPolicySelect = document.getElementById('config-edit-edit-policy');
+  var editDeletePolicySelect = document.getElementById('config-edit-delete-policy');
+  var editDeliveryModeSelect = document.getElementById('config-edit-delivery-mode');
+  var editDigestIntervalRow = document.getElementById('config-edit-digest-interval-row');
+  var editDigestIntervalInput = document.getElementById('config-edit-digest-interval');
+  var editDigestTimeRow = document.getElementById('config-edit-digest-time-row');
+  var editDigestTimeInput = document.getElementById('config-edit-digest-time');
+  var editDiscordTargetBox = document.getElementById('config-edit-discord-target');
+  var editTargetServerSelect = document.getElementById('config-edit-target-server');
+  var editTargetChannelSelect = document.getElementById('config-edit-target-channel');
+  var editTelegramTargetBox = document.getElementById('config-edit-telegram-target');
+  var editTargetChatInput = document.getElementById('config-edit-target-chat');
+  var editTargetTopicInput = document.getElementById('config-edit-target-topic');
+  var editParseModeSelect = document.getElementById('config-edit-parse-mode');
+  var editHttpTargetBox = document.getElementById('config-edit-http-target');
+  var editTargetUrlInput = document.getElementById('config-edit-target-url');
+  var editSigningSecretInput = document.getElementById('config-edit-signing-secret');
+  var editClearSigningSecretInput = document.getElementById('config-edit-clear-signing-secret');
+  var editPayloadTemplateInput = document.getElementById('config-edit-payload-template');
+  var editAiEnabledInput = document.getElementById('config-edit-ai-enabled');
+  var editAiTranslationInput = document.getElementById('config-edit-ai-translation');
+  var editAiLanguagesInput = document.getElementById('config-edit-ai-languages');
+  var editAiProviderSelect = document.getElementById('config-edit-ai-provider');
+  var editAiOptimizationInput = document.getElementById('config-edit-ai-optimization');
+  var editAiLevelSelect = document.getElementById('config-edit-ai-level');
+  var editingConfig = null;
+
+  var filtersCard = document.getElementById('config-filters-card');
+  var filtersTitle = document.getElementById('config-filters-title');
+  var filtersForm = document.getElementById('config-filters-form');
+  var filtersCloseBtn = document.getElementById('config-filters-close');
+  var filterListInputs = {
+    includeKeywords: document.getElementById('filter-include-keywords'),
+    excludeKeywords: document.getElementById('filter-exclude-keywords'),
+    includePatterns: document.getElementById('filter-include-patterns'),
+    excludePatterns: document.getElementById('filter-exclude-patterns'),
+    allowedAuthorIds: document.getElementById('filter-allowed-authors'),
+    blockedAuthorIds: document.getElementById('filter-blocked-authors'),
+    requiredRoleIds: document.getElementById('filter-required-roles')
+  };
+  var filterFlagInputs = {
+    requireAttachment: document.getElementById('filter-require-attachment'),
+    requireLink: document.getElementById('filter-require-link'),
+    requireEmbed: document.getElementById('filter-require-embed')
+  };
+  var filterAuthorTypeSelect = document.getElementById('filter-author-type');
+  var editingFiltersConfigId = null;
+
+  var mentionsCard = document.getElementById('config-mentions-card');
+  var mentionsTitle = document.getElementById('config-mentions-title');
+  var mentionsForm = document.getElementById('config-mentions-form');
+  var mentionsCloseBtn = document.getElementById('config-mentions-close');
+  var mentionsRolesBox = document.getElementById('config-mentions-roles');
+  var mentionsChannelsBox = document.getElementById('config-mentions-channels');
+  var mentionsPingRolesInput = document.getElementById('config-mentions-ping-roles');
+  var mentionsSuggestBtn = document.getElementById('config-mentions-suggest');
+  // { configId, options, selects: { roles: { sourceId: select }, channels: { sourceId: select } } }
+  var editingMentions = null;
+
+  var transformsCard = document.getElementById('config-transforms-card');
+  var transformsTitle = document.getElementById('config-transforms-title');
+  var transformsForm = document.getElementById('config-transforms-form');
+  var transformsCloseBtn = document.getElementById('config-transforms-close');
+  var transformsList = document.getElementById('config-transforms-list');
+  var transformsAddBtn = document.getElementById('config-transforms-add');
+  var editingTransformsConfigId = null;
+  var TRANSFORM_TYPE_LABELS = {
+    replace: 'Replace (regex)',
+    removeLines: 'Remove matching lines',
+    prepend: 'Prepend template',
+    append: 'Append template',
+    truncate: 'Truncate'
+  };
+
   var setupState = {
     loaded: false,
     loading: false,
@@ -43,7 +152,10 @@
     discordSourceBot: 'main',
     discordTargetGuildId: '',
     telegramSourceGuildId: '',
-    telegramSourceBot: 'main'
+    telegramSourceBot: 'main',
+    tgSourceTargetGuildId: '',
+    httpSourceGuildId: '',
+    httpSourceBot: 'main'
   };
 
   function setConfigsMessage(message) {
@@ -57,7 +169,26 @@
     configsBody.appendChild(row);
   }
 
+  // Only the host is listed; webhook paths often carry tokens
+  function urlHost(value) {
+    try {
+      return new URL(value).host;
+    } catch (_error) {
+      return String(value || '-');
+    }
+  }
+
+  function digestText(config) {
+    if (!config.digest) return '';
+    return config.digest.mode === 'interval'
+      ? ' (digest every ' + config.digest.intervalMinutes + ' min)'
+      : ' (daily digest ' + config.digest.time + ' UTC)';
+  }
+
   function targetText(config) {
+    if (config.targetType === 'http') {
+      return 'HTTP → ' + urlHost(config.targetUrl);
+    }
     if (config.targetType === 'telegram') {
       var label = 'Telegram → ';
       if (config.telegramChatTitle && config.telegramChatTitle !== 'Configured Chat') {
@@ -65,6 +196,9 @@
       } else {
         label += config.targetChatId;
       }
+      if (config.targetTopicId) {
+        label += ' / ' + (config.telegramTopicName ? config.telegramTopicName + ' (topic ' + config.targetTopicId + ')' : 'topic ' + config.targetTopicId);
+      }
       if (config.targetStatus === 'unreachable') {
         label += ' [Bot removed]';
       }
@@ -86,6 +220,11 @@
   }
 
   function sourceText(config) {
+    if (config.sourceType === 'telegram') {
+      return 'Telegram → ' + (config.telegramSourceChatTitle
+        ? config.telegramSourceChatTitle + ' (' + config.sourceChatId + ')'
+        : config.sourceChatId);
+    }
     var sourceBot = config.useReaderBot ? 'Reader' : 'Main';
     return sourceBot + ' → ' + (config.sourceChannelId || '-');
   }
@@ -110,7 +249,7 @@
       row.appendChild(createCell(String(config.id), 'mono'));
       row.appendChild(createCell(formatConfigName(config.name), 'config-name'));
       row.appendChild(createCell(sourceText(config), 'mono config-flow'));
-      var targetCell = createCell(targetText(config), 'mono config-flow');
+      var targetCell = createCell(targetText(config) + digestText(config), 'mono config-flow');
       if (config.targetStatus === 'unreachable') {
         targetCell.classList.add('text-danger');
       }
@@ -141,6 +280,55 @@
         });
         actionsCell.appendChild(toggleButton);
 
+        var editButton = document.createElement('button');
+        editButton.className = 'button secondary sm';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', function () {
+          openConfigEditor(cfg);
+        });
+        actionsCell.appendChild(editButton);
+
+        var filtersButton = document.createElement('button');
+        filtersButton.className = 'button secondary sm';
+        var activeFilterCount = countActiveFilters(cfg.filters);
+        filtersButton.textContent = activeFilterCount > 0 ? 'Filters (' + activeFilterCount + ')' : 'Filters';
+        filtersButton.addEventListener('click', function () {
+          openFiltersEditor(cfg);
+        });
+        actionsCell.appendChild(filtersButton);
+
+        if (cfg.sourceType === 'discord' && cfg.targetType === 'discord') {
+          var mentionsButton = document.createElement('button');
+          mentionsButton.className = 'button secondary sm';
+          var mappedMentionCount = countMentionMappings(cfg.mentionMap);
+          mentionsButton.textContent = mappedMentionCount > 0 ? 'Mentions (' + mappedMentionCount + ')' : 'Mentions';
+          mentionsButton.addEventListener('click', function () {
+            openMentionsEditor(cfg);
+          });
+          actionsCell.appendChild(mentionsButton);
+        }
+
+        if (cfg.sourceType !== 'telegram' && cfg.targetType !== 'http') {
+          var transformsButton = document.createElement('button');
+          transformsButton.className = 'button secondary sm';
+          var transformCount = (cfg.transforms || []).length;
+          transformsButton.textContent = transformCount > 0 ? 'Transforms (' + transformCount + ')' : 'Transforms';
+          transformsButton.addEventListener('click', function () {
+            openTransformsEditor(cfg);
+          });
+          actionsCell.appendChild(transformsButton);
+        }
+
+        if (cfg.sourceType !== 'telegram' && AdminApp.openBackfill) {
+          var backfillButton = document.createElement('button');
+          backfillButton.className = 'button secondary sm';
+          backfillButton.textContent = 'Backfill';
+          backfillButton.addEventListener('click', function () {
+            AdminApp.openBackfill(cfg);
+          });
+          actionsCell.appendChild(backfillButton);
+        }
+
         var removeButton = document.createElement('button');
         removeButton.className = 'button secondary sm danger';
         removeButton.textContent = 'Remove';
@@ -188,12 +376,514 @@
     }
   }
 
+  function refreshEditTargetChannelSelect(selectedChannelId) {
+    var guild = getGuildById(setupState.targetGuilds, editTargetServerSelect ? editTargetServerSelect.value : '');
+    var channels = guild ? (guild.targetChannels || []) : [];
+    setSelectOptions(editTargetChannelSelect, channels, channelLabel, 'No writable target channels found', selectedChannelId);
+  }
+
+  // Digests are built from Discord messages for Discord and Telegram targets
+  function supportsDigest(cfg) {
+    return cfg.sourceType !== 'telegram' && (cfg.targetType === 'discord' || cfg.targetType === 'telegram');
+  }
+
+  function syncDeliveryFields() {
+    var mode = editDeliveryModeSelect.value;
+    editDigestIntervalRow.classList.toggle('is-hidden', mode !== 'interval');
+    editDigestTimeRow.classList.toggle('is-hidden', mode !== 'daily');
+  }
+
+  function collectDigestSettings() {
+    var mode = editDeliveryModeSelect.value;
+    if (mode === 'interval') {
+      return { mode: 'interval', intervalMinutes: Number(editDigestIntervalInput.value) };
+    }
+    if (mode === 'daily') {
+      return { mode: 'daily', time: editDigestTimeInput.value };
+    }
+    return null;
+  }
+
+  async function openConfigEditor(cfg) {
+    if (!editCard || !editForm) return;
+    closeFiltersEditor();
+    closeMentionsEditor();
+    closeTransformsEditor();
+    editingConfig = cfg;
+
+    var ai = cfg.ai || {};
+    var translation = ai.translation || {};
+    var optimization = ai.contentOptimization || {};
+    var isDiscordTarget = cfg.targetType === 'discord';
+    var isHttpTarget = cfg.targetType === 'http';
+
+    editNameInput.value = cfg.name || '';
+    editEnabledInput.checked = cfg.enabled !== false;
+    editAllowEveryoneInput.checked = cfg.allowEveryoneHereMentions === true;
+    editHideSourceHeaderInput.checked = cfg.hideSourceHeader === true;
+    editSyncReactionsInput.checked = cfg.syncReactions === true;
+    // Reactions are only observable on Discord sources
+    editSyncReactionsRow.classList.toggle('is-hidden', cfg.sourceType === 'telegram');
+    var digest = cfg.digest || null;
+    editDeliveryBox.classList.toggle('is-hidden', !supportsDigest(cfg));
+    editDeliveryModeSelect.value = digest ? digest.mode : 'immediate';
+    editDigestIntervalInput.value = digest && digest.intervalMinutes ? digest.intervalMinutes : 60;
+    editDigestTimeInput.value = digest && digest.time ? digest.time : '18:00';
+    syncDeliveryFields();
+    // Approval holds Discord messages only
+    editModerationBox.classList.toggle('is-hidden', cfg.sourceType === 'telegram');
+    editRequireApprovalInput.checked = cfg.requireApproval === true;
+    editReviewChannelInput.value = cfg.reviewChannelId || '';
+    editSyncBox.classList.toggle('is-hidden', cfg.sourceType === 'telegram');
+    editEditPolicySelect.value = cfg.editPolicy || 'sync';
+    editDeletePolicySelect.value = cfg.deletePolicy || 'delete';
+    editAiEnabledInput.checked = ai.enabled === true;
+    editAiTranslationInput.checked = translation.enabled === true;
+    editAiLanguagesInput.value = Array.isArray(translation.targetLanguages) ? translation.targetLanguages.join(', ') : '';
+    editAiProviderSelect.value = translation.provider || 'gemini';
+    editAiOptimizationInput.checked = optimization.enabled === true;
+    editAiLevelSelect.value = optimization.level || 'enhanced';
+
+    editDiscordTargetBox.classList.toggle('is-hidden', !isDiscordTarget);
+    editTelegramTargetBox.classList.toggle('is-hidden', cfg.targetType !== 'telegram');
+    editHttpTargetBox.classList.toggle('is-hidden', !isHttpTarget);
+    editTargetChatInput.value = cfg.targetType === 'telegram' ? (cfg.targetChatId || '') : '';
+    editTargetTopicInput.value = cfg.targetType === 'telegram' ? (cfg.targetTopicId || '') : '';
+    editParseModeSelect.value = cfg.targetType === 'telegram' ? (cfg.telegramParseMode || '') : '';
+    editTargetUrlInput.value = isHttpTarget ? (cfg.targetUrl || '') : '';
+    editSigningSecretInput.value = '';
+    editSigningSecretInput.placeholder = cfg.hasSigningSecret ? 'Leave blank to keep' : 'Not set';
+    editClearSigningSecretInput.checked = false;
+    editPayloadTemplateInput.value = isHttpTarget && cfg.payloadTemplate ? JSON.stringify(cfg.payloadTemplate, null, 2) : '';
+
+    if (editTitle) {
+      editTitle.textContent = 'Edit Config ' + cfg.id + ' (' + formatConfigName(cfg.name) + ')';
+    }
+    editCard.classList.remove('is-hidden');
+    editCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (isDiscordTarget) {
+      await loadSetupOptions(false);
+      if (editingConfig !== cfg) return;
+      var targetServerId = cfg.targetServerId || cfg.sourceServerId;
+      setSelectOptions(editTargetServerSelect, setupState.targetGuilds, guildLabel, 'No target servers available', targetServerId);
+      refreshEditTargetChannelSelect(cfg.targetChannelId);
+      // Keep the stored target selectable even when it is not in the writable list
+      if (editTargetServerSelect.value !== String(targetServerId) || editTargetChannelSelect.value !== String(cfg.targetChannelId)) {
+        var keepOption = document.createElement('option');
+        keepOption.value = '';
+        keepOption.textContent = 'Keep current target (' + cfg.targetChannelId + ')';
+        editTargetChannelSelect.insertBefore(keepOption, editTargetChannelSelect.firstChild);
+        editTargetChannelSelect.value = '';
+      }
+    }
+  }
+
+  function closeConfigEditor() {
+    editingConfig = null;
+    if (editCard) editCard.classList.add('is-hidden');
+  }
+
+  function collectConfigUpdatesFromForm(cfg) {
+    var languages = editAiLanguagesInput.value
+      .split(',')
+      .map(function (lang) { return lang.trim(); })
+      .filter(Boolean);
+
+    var updates = {
+      name: editNameInput.value.trim(),
+      enabled: editEnabledInput.checked,
+      allowEveryoneHereMentions: editAllowEveryoneInput.checked,
+      hideSourceHeader: editHideSourceHeaderInput.checked,
+      ai: {
+        enabled: editAiEnabledInput.checked,
+        translation: {
+          enabled: editAiTranslationInput.checked,
+          targetLanguages: languages,
+          provider: editAiProviderSelect.value
+        },
+        contentOptimization: {
+          enabled: editAiOptimizationInput.checked,
+          level: editAiLevelSelect.value
+        }
+      }
+    };
+
+    if (supportsDigest(cfg)) {
+      updates.digest = collectDigestSettings();
+    }
+
+    if (cfg.sourceType !== 'telegram') {
+      updates.requireApproval = editRequireApprovalInput.checked;
+      updates.reviewChannelId = editReviewChannelInput.value.trim();
+      updates.editPolicy = editEditPolicySelect.value;
+      updates.deletePolicy = editDeletePolicySelect.value;
+    }
+
+    if (cfg.targetType === 'discord') {
+      if (cfg.sourceType !== 'telegram') {
+        updates.syncReactions = editSyncReactionsInput.checked;
+      }
+      var channelValue = editTargetChannelSelect.value;
+      if (channelValue && channelValue !== String(cfg.targetChannelId || '')) {
+        updates.targetServerId = editTargetServerSelect.value;
+        updates.targetChannelId = channelValue;
+      }
+    } else if (cfg.targetType === 'http') {
+      var urlValue = editTargetUrlInput.value.trim();
+      if (urlValue && urlValue !== String(cfg.targetUrl || '')) {
+        updates.targetUrl = urlValue;
+      }
+      if (editClearSigningSecretInput.checked) {
+        updates.signingSecret = '';
+      } else if (editSigningSecretInput.value.trim()) {
+        updates.signingSecret = editSigningSecretInput.value.trim();
+      }
+      updates.payloadTemplate = parsePayloadTemplate(editPayloadTemplateInput.value);
+    } else {
+      var chatValue = editTargetChatInput.value.trim();
+      if (chatValue && chatValue !== String(cfg.targetChatId || '')) {
+        updates.targetChatId = chatValue;
+      }
+      var topicValue = editTargetTopicInput.value.trim();
+      if (topicValue !== String(cfg.targetTopicId || '')) {
+        if (topicValue && !/^[1-9]\d*$/.test(topicValue)) {
+          throw new Error('Forum topic ID must be a positive number');
+        }
+        updates.targetTopicId = topicValue;
+      }
+      if (editParseModeSelect.value !== (cfg.telegramParseMode || '')) {
+        updates.telegramParseMode = editParseModeSelect.value;
+      }
+    }
+
+    return updates;
+  }
+
+  // Empty text clears the template; invalid JSON throws so the caller can report it
+  function parsePayloadTemplate(text) {
+    var trimmed = String(text || '').trim();
+    if (!trimmed) return null;
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('Payload template is not valid JSON: ' + error.message);
+    }
+  }
+
+  function countActiveFilters(filters) {
+    if (!filters) return 0;
+    var count = 0;
+    Object.keys(filterListInputs).forEach(function (key) {
+      if (Array.isArray(filters[key]) && filters[key].length) count++;
+    });
+    Object.keys(filterFlagInputs).forEach(function (key) {
+      if (filters[key] === true) count++;
+    });
+    if (filters.authorType && filters.authorType !== 'any') count++;
+    return count;
+  }
+
+  function parseFilterLines(textarea) {
+    if (!textarea) return [];
+    return String(textarea.value || '')
+      .split(/\r?\n/)
+      .map(function (line) { return line.trim(); })
+      .filter(Boolean);
+  }
+
+  function openFiltersEditor(cfg) {
+    if (!filtersCard || !filtersForm) return;
+    closeConfigEditor();
+    closeMentionsEditor();
+    closeTransformsEditor();
+    var filters = cfg.filters || {};
+    editingFiltersConfigId = cfg.id;
+
+    Object.keys(filterListInputs).forEach(function (key) {
+      if (!filterListInputs[key]) return;
+      filterListInputs[key].value = Array.isArray(filters[key]) ? filters[key].join('\n') : '';
+    });
+    Object.keys(filterFlagInputs).forEach(function (key) {
+      if (!filterFlagInputs[key]) return;
+      filterFlagInputs[key].checked = filters[key] === true;
+    });
+    if (filterAuthorTypeSelect) {
+      filterAuthorTypeSelect.value = filters.authorType || 'any';
+    }
+    if (filtersTitle) {
+      filtersTitle.textContent = 'Content Filters - Config ' + cfg.id + ' (' + formatConfigName(cfg.name) + ')';
+    }
+
+    filtersCard.classList.remove('is-hidden');
+    filtersCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function closeFiltersEditor() {
+    editingFiltersConfigId = null;
+    if (filtersCard) filtersCard.classList.add('is-hidden');
+  }
+
+  function collectFiltersFromForm() {
+    var filters = {};
+    Object.keys(filterListInputs).forEach(function (key) {
+      filters[key] = parseFilterLines(filterListInputs[key]);
+    });
+    Object.keys(filterFlagInputs).forEach(function (key) {
+      filters[key] = Boolean(filterFlagInputs[key] && filterFlagInputs[key].checked);
+    });
+    filters.authorType = filterAuthorTypeSelect ? filterAuthorTypeSelect.value : 'any';
+    return filters;
+  }
+
+  function countMentionMappings(mentionMap) {
+    if (!mentionMap) return 0;
+    return Object.keys(mentionMap.roles || {}).length + Object.keys(mentionMap.channels || {}).length;
+  }
+
+  // Clear a mapping fieldset down to its legend
+  function resetMentionBox(box, message) {
+    var legend = box.querySelector('legend');
+    box.innerHTML = '';
+    box.appendChild(legend);
+    if (message) {
+      var note = document.createElement('p');
+      note.className = 'muted-text';
+      note.textContent = message;
+      box.appendChild(note);
+    }
+  }
+
+  // One select per source item: "show as text" or a target item; returns selects keyed by source ID
+  function renderMentionRows(box, items, targets, mapping, prefix) {
+    var selects = {};
+    resetMentionBox(box, items.length ? '' : 'Nothing to map.');
+    items.forEach(function (item) {
+      var label = document.createElement('label');
+      label.textContent = prefix + item.sourceName;
+      var select = document.createElement('select');
+      select.className = 'input';
+      var textOption = document.createElement('option');
+      textOption.value = '';
+      textOption.textContent = 'Show as text';
+      select.appendChild(textOption);
+      targets.forEach(function (target) {
+        var option = document.createElement('option');
+        option.value = target.id;
+        option.textContent = prefix + target.name;
+        select.appendChild(option);
+      });
+      select.value = mapping[item.sourceId] || '';
+      label.appendChild(select);
+      box.appendChild(label);
+      selects[item.sourceId] = select;
+    });
+    return selects;
+  }
+
+  async function openMentionsEditor(cfg) {
+    if (!mentionsCard || !mentionsForm) return;
+    closeConfigEditor();
+    closeFiltersEditor();
+    closeTransformsEditor();
+    var session = { configId: cfg.id, options: null, selects: { roles: {}, channels: {} } };
+    editingMentions = session;
+
+    if (mentionsTitle) {
+      mentionsTitle.textContent = 'Mention Mapping - Config ' + cfg.id + ' (' + formatConfigName(cfg.name) + ')';
+    }
+    resetMentionBox(mentionsRolesBox, 'Loading...');
+    resetMentionBox(mentionsChannelsBox, 'Loading...');
+    mentionsPingRolesInput.checked = Boolean(cfg.mentionMap && cfg.mentionMap.pingRoles);
+    mentionsCard.classList.remove('is-hidden');
+    mentionsCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      var options = await AdminApp.fetchJson('/api/configs/' + cfg.id + '/mention-options');
+      if (editingMentions !== session) return;
+      session.options = options;
+      if (options.sameServer) {
+        var sameServerText = 'Source and target are the same server, so mentions already work.';
+        resetMentionBox(mentionsRolesBox, sameServerText);
+        resetMentionBox(mentionsChannelsBox, sameServerText);
+        return;
+      }
+      var mentionMap = options.mentionMap || {};
+      session.selects.roles = renderMentionRows(mentionsRolesBox, options.roles, options.targetRoles, mentionMap.roles || {}, '@');
+      session.selects.channels = renderMentionRows(mentionsChannelsBox, options.channels, options.targetChannels, mentionMap.channels || {}, '#');
+    } catch (error) {
+      if (editingMentions !== session) return;
+      resetMentionBox(mentionsRolesBox, 'Failed to load roles: ' + error.message);
+      resetMentionBox(mentionsChannelsBox, '');
+    }
+  }
+
+  function closeMentionsEditor() {
+    editingMentions = null;
+    if (mentionsCard) mentionsCard.classList.add('is-hidden');
+  }
+
+  // Fill unmapped rows with the target item of the same name
+  function applyMentionSuggestions() {
+    if (!editingMentions || !editingMentions.options) return 0;
+    var applied = 0;
+    ['roles', 'channels'].forEach(function (kind) {
+      (editingMentions.options[kind] || []).forEach(function (item) {
+        var select = editingMentions.selects[kind][item.sourceId];
+        if (select && !select.value && item.suggestedTargetId) {
+          select.value = item.suggestedTargetId;
+          applied++;
+        }
+      });
+    });
+    return applied;
+  }
+
+  function collectMentionMapFromForm() {
+    var mentionMap = { roles: {}, channels: {}, pingRoles: mentionsPingRolesInput.checked };
+    ['roles', 'channels'].forEach(function (kind) {
+      var selects = editingMentions.selects[kind];
+      Object.keys(selects).forEach(function (sourceId) {
+        if (selects[sourceId].value) mentionMap[kind][sourceId] = selects[sourceId].value;
+      });
+    });
+    return countMentionMappings(mentionMap) > 0 || mentionMap.pingRoles ? mentionMap : null;
+  }
+
+  function createTransformField(labelText, field, value) {
+    var label = document.createElement('label');
+    var caption = document.createElement('span');
+    caption.textContent = labelText;
+    label.appendChild(caption);
+    var input = document.createElement('input');
+    input.className = 'input mono';
+    input.dataset.field = field;
+    input.value = value;
+    label.appendChild(input);
+    return { label: label, caption: caption, input: input };
+  }
+
+  function createTransformButton(label, className, onClick) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button secondary sm' + (className ? ' ' + className : '');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // One row per rule; which inputs show depends on the rule type
+  function createTransformRow(rule) {
+    var row = document.createElement('div');
+    row.className = 'row transform-rule';
+
+    var typeLabel = document.createElement('label');
+    typeLabel.textContent = 'Rule';
+    var typeSelect = document.createElement('select');
+    typeSelect.className = 'input';
+    typeSelect.dataset.field = 'type';
+    Object.keys(TRANSFORM_TYPE_LABELS).forEach(function (type) {
+      var option = document.createElement('option');
+      option.value = type;
+      option.textContent = TRANSFORM_TYPE_LABELS[type];
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = rule.type || 'replace';
+    typeLabel.appendChild(typeSelect);
+
+    var initialValue = rule.type === 'truncate' ? String(rule.maxLength || '') : (rule.pattern || rule.template || '');
+    var valueField = createTransformField('Pattern', 'value', initialValue);
+    var replacementField = createTransformField('Replacement', 'replacement', rule.replacement || '');
+    var flagsField = createTransformField('Flags', 'flags', rule.flags || '');
+    flagsField.input.placeholder = 'i, m, s, u';
+
+    function updateFields() {
+      var type = typeSelect.value;
+      var isPattern = type === 'replace' || type === 'removeLines';
+      valueField.caption.textContent = isPattern ? 'Pattern' : (type === 'truncate' ? 'Max Length' : 'Template');
+      valueField.input.type = type === 'truncate' ? 'number' : 'text';
+      replacementField.label.classList.toggle('is-hidden', type !== 'replace');
+      flagsField.label.classList.toggle('is-hidden', !isPattern);
+    }
+    typeSelect.addEventListener('change', updateFields);
+    updateFields();
+
+    row.appendChild(typeLabel);
+    row.appendChild(valueField.label);
+    row.appendChild(replacementField.label);
+    row.appendChild(flagsField.label);
+    row.appendChild(createTransformButton('Up', '', function () {
+      var previous = row.previousElementSibling;
+      if (previous && previous.classList.contains('transform-rule')) transformsList.insertBefore(row, previous);
+    }));
+    row.appendChild(createTransformButton('Down', '', function () {
+      var next = row.nextElementSibling;
+      if (next && next.classList.contains('transform-rule')) transformsList.insertBefore(next, row);
+    }));
+    row.appendChild(createTransformButton('Remove', 'danger', function () {
+      row.remove();
+    }));
+    return row;
+  }
+
+  function openTransformsEditor(cfg) {
+    if (!transformsCard || !transformsForm) return;
+    closeConfigEditor();
+    closeFiltersEditor();
+    closeMentionsEditor();
+    editingTransformsConfigId = cfg.id;
+
+    if (transformsTitle) {
+      transformsTitle.textContent = 'Transformation Rules - Config ' + cfg.id + ' (' + formatConfigName(cfg.name) + ')';
+    }
+    Array.prototype.slice.call(transformsList.querySelectorAll('.transform-rule')).forEach(function (row) {
+      row.remove();
+    });
+    (cfg.transforms || []).forEach(function (rule) {
+      transformsList.appendChild(createTransformRow(rule));
+    });
+
+    transformsCard.classList.remove('is-hidden');
+    transformsCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function closeTransformsEditor() {
+    editingTransformsConfigId = null;
+    if (transformsCard) transformsCard.classList.add('is-hidden');
+  }
+
+  function collectTransformsFromForm() {
+    var rows = transformsList.querySelectorAll('.transform-rule');
+    return Array.prototype.map.call(rows, function (row) {
+      var type = row.querySelector('[data-field="type"]').value;
+      var value = row.querySelector('[data-field="value"]').value;
+      if (type === 'truncate') return { type: type, maxLength: parseInt(value, 10) };
+      if (type === 'prepend' || type === 'append') return { type: type, template: value };
+      var rule = { type: type, pattern: value, flags: row.querySelector('[data-field="flags"]').value.trim() };
+      if (type === 'replace') rule.replacement = row.querySelector('[data-field="replacement"]').value;
+      return rule;
+    });
+  }
+
   function statusBadge(isEnabled) {
     var cls = isEnabled ? 'status-badge success' : 'status-badge retry';
     var text = isEnabled ? 'Enabled' : 'Disabled';
     return '<span class="' + cls + '">' + text + '</span>';
   }
 
+  // Configs that forward into each other; the hop marker stops each message after one lap
+  function renderCycles(cycles) {
+    if (!configsCycles) return;
+    configsCycles.innerHTML = '';
+    configsCycles.classList.toggle('is-hidden', !cycles.length);
+    cycles.forEach(function (cycle) {
+      var line = document.createElement('p');
+      line.textContent = 'Forwarding cycle through configs ' + cycle.configIds.join(', ') + ': ' + cycle.path.join(' -> ') +
+        '. Messages come back once before loop protection stops them; disable or change one of these configs.';
+      configsCycles.appendChild(line);
+    });
+  }
+
   async function loadConfigs(guildId) {
     if (!guildId) {
       setConfigsMessage('Select a guild to view configurations.');
@@ -204,6 +894,7 @@
     try {
       var payload = await AdminApp.fetchJson('/api/configs?guildId=' + encodeURIComponent(guildId));
       renderConfigs(payload.configs || []);
+      renderCycles(payload.cycles || []);
     } catch (_error) {
       setConfigsMessage('Failed to load configurations.');
     }
@@ -262,8 +953,14 @@
     return guild.name + ' (' + guild.id + ')';
   }
 
+  var CHANNEL_TYPE_PREFIXES = {
+    announcement: '[ANN] ',
+    forum: '[FORUM] ',
+    thread: '[THREAD] '
+  };
+
   function channelLabel(channel) {
-    var prefix = channel.type === 'announcement' ? '[ANN] ' : '#';
+    var prefix = CHANNEL_TYPE_PREFIXES[channel.type] || '#';
     return prefix + channel.name + ' (' + channel.id + ')';
   }
 
@@ -483,6 +1180,41 @@
     );
   }
 
+  function refreshHttpSourceGuildSelect() {
+    var filteredGuilds = filterOptions(setupState.sourceGuilds, httpSourceServerSearch ? httpSourceServerSearch.value : '', guildLabel);
+    setupState.httpSourceGuildId = setSelectOptions(
+      httpSourceServerSelect,
+      filteredGuilds,
+      guildLabel,
+      'No source servers found',
+      setupState.httpSourceGuildId
+    );
+    refreshHttpSourceBotSelect();
+    refreshHttpSourceChannelSelect();
+  }
+
+  function refreshHttpSourceBotSelect() {
+    var guild = getGuildById(setupState.sourceGuilds, setupState.httpSourceGuildId);
+    setupState.httpSourceBot = setSourceBotSelectOptions(
+      httpSourceBotSelect,
+      guild,
+      setupState.httpSourceBot
+    );
+  }
+
+  function refreshHttpSourceChannelSelect() {
+    var guild = getGuildById(setupState.sourceGuilds, setupState.httpSourceGuildId);
+    var channels = guild ? getSourceChannelsForGuild(guild, setupState.httpSourceBot) : [];
+    var filteredChannels = filterOptions(channels, httpSourceChannelSearch ? httpSourceChannelSearch.value : '', channelLabel);
+    setSelectOptions(
+      httpSourceChannelSelect,
+      filteredChannels,
+      channelLabel,
+      'No source channels found',
+      httpSourceChannelSelect ? httpSourceChannelSelect.value : ''
+    );
+  }
+
   function refreshTelegramChatSelect() {
     var chats = Array.isArray(setupState.telegram.chats) ? setupState.telegram.chats : [];
     var filteredChats = filterOptions(chats, telegramChatSearch ? telegramChatSearch.value : '', telegramChatLabel);
@@ -496,6 +1228,68 @@
     setTelegramTrackedActionsState();
   }
 
+  // Suggest the forum topics seen in the chat entered as the target
+  function refreshTelegramTopicOptions() {
+    if (!telegramTopicOptions) return;
+    var chatId = String(telegramChatIdInput ? telegramChatIdInput.value : '').trim();
+    var chats = Array.isArray(setupState.telegram.chats) ? setupState.telegram.chats : [];
+    var chat = null;
+    for (var i = 0; i < chats.length; i++) {
+      if (String(chats[i].id) === chatId) {
+        chat = chats[i];
+        break;
+      }
+    }
+    var topics = chat && Array.isArray(chat.topics) ? chat.topics : [];
+    telegramTopicOptions.innerHTML = '';
+    topics.forEach(function (topic) {
+      var option = document.createElement('option');
+      option.value = String(topic.id);
+      option.label = topic.name || ('Topic ' + topic.id);
+      telegramTopicOptions.appendChild(option);
+    });
+  }
+
+  function refreshTgSourceChatSelect() {
+    var chats = Array.isArray(setupState.telegram.chats) ? setupState.telegram.chats : [];
+    var filteredChats = filterOptions(chats, tgSourceChatSearch ? tgSourceChatSearch.value : '', telegramChatLabel);
+    setSelectOptions(
+      tgSourceChatSelect,
+      filteredChats,
+      telegramChatLabel,
+      'No discovered chats (manual ID still works)',
+      tgSourceChatSelect ? tgSourceChatSelect.value : ''
+    );
+  }
+
+  function refreshTgSourceTargetGuildSelect() {
+    var filteredGuilds = filterOptions(setupState.targetGuilds, tgSourceTargetServerSearch ? tgSourceTargetServerSearch.value : '', guildLabel);
+    setupState.tgSourceTargetGuildId = setSelectOptions(
+      tgSourceTargetServerSelect,
+      filteredGuilds,
+      guildLabel,
+      'No target servers found',
+      setupState.tgSourceTargetGuildId
+    );
+    refreshTgSourceTargetChannelSelect();
+  }
+
+  function refreshTgSourceTargetChannelSelect() {
+    var guild = getGuildById(setupState.targetGuilds, setupState.tgSourceTargetGuildId);
+    // Forum targets need a source thread to name the post after
+    var channels = (guild ? (guild.targetChannels || []) : []).filter(function (channel) {
+      return channel.type !== 'forum';
+    });
+    var filteredChannels = filterOptions(channels, tgSourceTargetChannelSearch ? tgSourceTargetChannelSearch.value : '', channelLabel);
+    setSelectOptions(
+      tgSourceTargetChannelSelect,
+      filteredChannels,
+      channelLabel,
+      'No writable target channels found',
+      tgSourceTargetChannelSelect ? tgSourceTargetChannelSelect.value : ''
+    );
+  }
+
   function setTelegramTrackedActionsState() {
     if (!telegramChatRemoveBtn || !telegramChatSelect) return;
     telegramChatRemoveBtn.disabled = !String(telegramChatSelect.value || '').trim();
@@ -523,6 +1317,9 @@
     refreshTelegramSourceGuildSelect();
     refreshTelegramChatSelect();
     refreshTelegramHint();
+    refreshTgSourceChatSelect();
+    refreshTgSourceTargetGuildSelect();
+    refreshHttpSourceGuildSelect();
   }
 
   async function loadSetupOptions(forceReload) {
@@ -560,18 +1357,22 @@
       if (preferredGuild && getGuildById(setupState.sourceGuilds, preferredGuild)) {
         setupState.discordSourceGuildId = preferredGuild;
         setupState.telegramSourceGuildId = preferredGuild;
+        setupState.httpSourceGuildId = preferredGuild;
       } else if (setupState.sourceGuilds.length) {
         setupState.discordSourceGuildId = setupState.sourceGuilds[0].id;
         setupState.telegramSourceGuildId = setupState.sourceGuilds[0].id;
+        setupState.httpSourceGuildId = setupState.sourceGuilds[0].id;
       } else {
         setupState.discordSourceGuildId = '';
         setupState.telegramSourceGuildId = '';
+        setupState.httpSourceGuildId = '';
       }
 
       var selectedDiscordSourceGuild = getGuildById(setupState.sourceGuilds, setupState.discordSourceGuildId);
       var selectedTelegramSourceGuild = getGuildById(setupState.sourceGuilds, setupState.telegramSourceGuildId);
       setupState.discordSourceBot = resolveSourceBotForGuild(selectedDiscordSourceGuild, setupState.discordSourceBot);
       setupState.telegramSourceBot = resolveSourceBotForGuild(selectedTelegramSourceGuild, setupState.telegramSourceBot);
+      setupState.httpSourceBot = resolveSourceBotForGuild(getGuildById(setupState.sourceGuilds, setupState.httpSourceGuildId), setupState.httpSourceBot);
 
       if (preferredTargetGuild && getGuildById(setupState.targetGuilds, preferredTargetGuild)) {
         setupState.discordTargetGuildId = preferredTargetGuild;
@@ -580,6 +1381,7 @@
       } else {
         setupState.discordTargetGuildId = '';
       }
+      setupState.tgSourceTargetGuildId = setupState.discordTargetGuildId;
 
       setupState.loaded = true;
       renderSetupSelectors();
@@ -596,12 +1398,17 @@
 
     setupState.discordSourceGuildId = guildId;
     setupState.telegramSourceGuildId = guildId;
+    setupState.httpSourceGuildId = guildId;
     var guild = getGuildById(setupState.sourceGuilds, guildId);
     setupState.discordSourceBot = resolveSourceBotForGuild(guild, setupState.discordSourceBot);
     setupState.telegramSourceBot = resolveSourceBotForGuild(guild, setupState.telegramSourceBot);
+    setupState.httpSourceBot = resolveSourceBotForGuild(guild, setupState.httpSourceBot);
     if (!setupState.discordTargetGuildId && getGuildById(setupState.targetGuilds, guildId)) {
       setupState.discordTargetGuildId = guildId;
     }
+    if (getGuildById(setupState.targetGuilds, guildId)) {
+      setupState.tgSourceTargetGuildId = guildId;
+    }
 
     renderSetupSelectors();
   }
@@ -652,6 +1459,9 @@
     if (telegramChatSearch) telegramChatSearch.value = '';
     if (telegramChatSelect) telegramChatSelect.value = '';
     if (telegramChatIdInput) telegramChatIdInput.value = '';
+    if (telegramTopicIdInput) telegramTopicIdInput.value = '';
+    if (telegramParseModeSelect) telegramParseModeSelect.value = '';
+    refreshTelegramTopicOptions();
 
     setupState.telegramSourceGuildId = getFirstId(setupState.sourceGuilds);
     var guild = getGuildById(setupState.sourceGuilds, setupState.telegramSourceGuildId);
@@ -662,6 +1472,32 @@
     if (telegramNameInput) telegramNameInput.value = '';
   }
 
+  function resetHttpCreateForm() {
+    if (httpSourceServerSearch) httpSourceServerSearch.value = '';
+    if (httpSourceChannelSearch) httpSourceChannelSearch.value = '';
+    ['http-target-url', 'http-signing-secret', 'http-payload-template', 'http-name'].forEach(function (id) {
+      var input = document.getElementById(id);
+      if (input) input.value = '';
+    });
+
+    setupState.httpSourceGuildId = getFirstId(setupState.sourceGuilds);
+    var guild = getGuildById(setupState.sourceGuilds, setupState.httpSourceGuildId);
+    setupState.httpSourceBot = resolveSourceBotForGuild(guild, setupState.httpSourceBot);
+    renderSetupSelectors();
+  }
+
+  function resetTgSourceCreateForm() {
+    if (tgSourceChatIdInput) tgSourceChatIdInput.value = '';
+    if (tgSourceChatSearch) tgSourceChatSearch.value = '';
+    if (tgSourceChatSelect) tgSourceChatSelect.value = '';
+    if (tgSourceTargetServerSearch) tgSourceTargetServerSearch.value = '';
+    if (tgSourceTargetChannelSearch) tgSourceTargetChannelSearch.value = '';
+    renderSetupSelectors();
+
+    var tgSourceNameInput = document.getElementById('tgsource-name');
+    if (tgSourceNameInput) tgSourceNameInput.value = '';
+  }
+
   function isDiscordId(value) {
     return /^\d+$/.test(String(value || '').trim());
   }
@@ -792,6 +1628,25 @@
     if (telegramSourceChannelSearch) {
       telegramSourceChannelSearch.addEventListener('input', refreshTelegramSourceChannelSelect);
     }
+    if (httpSourceServerSearch) {
+      httpSourceServerSearch.addEventListener('input', refreshHttpSourceGuildSelect);
+    }
+    if (httpSourceServerSelect) {
+      httpSourceServerSelect.addEventListener('change', function () {
+        setupState.httpSourceGuildId = httpSourceServerSelect.value;
+        refreshHttpSourceBotSelect();
+        refreshHttpSourceChannelSelect();
+      });
+    }
+    if (httpSourceBotSelect) {
+      httpSourceBotSelect.addEventListener('change', function () {
+        setupState.httpSourceBot = String(httpSourceBotSelect.value || 'main').trim().toLowerCase();
+        refreshHttpSourceChannelSelect();
+      });
+    }
+    if (httpSourceChannelSearch) {
+      httpSourceChannelSearch.addEventListener('input', refreshHttpSourceChannelSelect);
+    }
     if (telegramChatSearch) {
       telegramChatSearch.addEventListener('input', refreshTelegramChatSelect);
     }
@@ -802,8 +1657,12 @@
         if (!telegramChatIdInput) return;
         if (!telegramChatSelect.value) return;
         telegramChatIdInput.value = telegramChatSelect.value;
+        refreshTelegramTopicOptions();
       });
     }
+    if (telegramChatIdInput) {
+      telegramChatIdInput.addEventListener('input', refreshTelegramTopicOptions);
+    }
     if (telegramChatRemoveBtn) {
       setTelegramTrackedActionsState();
       telegramChatRemoveBtn.addEventListener('click', function () {
@@ -811,11 +1670,34 @@
       });
     }
 
+    if (tgSourceChatSearch) {
+      tgSourceChatSearch.addEventListener('input', refreshTgSourceChatSelect);
+    }
+    if (tgSourceChatSelect) {
+      wireExpandableSelect(tgSourceChatSelect, 8);
+      tgSourceChatSelect.addEventListener('change', function () {
+        if (!tgSourceChatIdInput || !tgSourceChatSelect.value) return;
+        tgSourceChatIdInput.value = tgSourceChatSelect.value;
+      });
+    }
+    if (tgSourceTargetServerSearch) {
+      tgSourceTargetServerSearch.addEventListener('input', refreshTgSourceTargetGuildSelect);
+    }
+    if (tgSourceTargetServerSelect) {
+      tgSourceTargetServerSelect.addEventListener('change', function () {
+        setupState.tgSourceTargetGuildId = tgSourceTargetServerSelect.value;
+        refreshTgSourceTargetChannelSelect();
+      });
+    }
+    if (tgSourceTargetChannelSearch) {
+      tgSourceTargetChannelSearch.addEventListener('input', refreshTgSourceTargetChannelSelect);
+    }
+
   }
 
   function switchForwardTab(nextTabId) {
     var tabId = String(nextTabId || '').trim().toLowerCase();
-    if (tabId !== 'discord' && tabId !== 'telegram') {
+    if (tabId !== 'discord' && tabId !== 'telegram' && tabId !== 'tgsource' && tabId !== 'http') {
       tabId = 'discord';
     }
 
@@ -926,6 +1808,11 @@
         AdminApp.setStatus('Select or enter a valid Telegram chat ID, @username, or t.me link.', true);
         return;
       }
+      var targetTopicId = String(telegramTopicIdInput ? telegramTopicIdInput.value : '').trim();
+      if (targetTopicId && !/^[1-9]\d*$/.test(targetTopicId)) {
+        AdminApp.setStatus('Forum topic ID must be a positive number.', true);
+        return;
+      }
 
       // Step 1: Verify bot has access to the target chat
       try {
@@ -946,6 +1833,8 @@
         targetType: 'telegram',
         sourceChannelId: sourceChannelId,
         targetChatId: targetChatId,
+        targetTopicId: targetTopicId || undefined,
+        telegramParseMode: telegramParseModeSelect ? telegramParseModeSelect.value || undefined : undefined,
         name: document.getElementById('telegram-name').value.trim()
       };
 
@@ -966,6 +1855,220 @@
     });
   }
 
+  if (createHttpForm) {
+    createHttpForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      await loadSetupOptions(false);
+
+      var sourceGuildId = String(httpSourceServerSelect ? httpSourceServerSelect.value : '').trim();
+      var sourceBot = String(httpSourceBotSelect ? httpSourceBotSelect.value : setupState.httpSourceBot || 'main').trim().toLowerCase();
+      var sourceChannelId = String(httpSourceChannelSelect ? httpSourceChannelSelect.value : '').trim();
+      var targetUrl = document.getElementById('http-target-url').value.trim();
+
+      if (!isDiscordId(sourceGuildId) || !isDiscordId(sourceChannelId)) {
+        AdminApp.setStatus('Select valid source server and source channel values.', true);
+        return;
+      }
+      if (!/^https?:\/\//i.test(targetUrl)) {
+        AdminApp.setStatus('Enter an http(s) target URL.', true);
+        return;
+      }
+
+      var payload = {
+        guildId: sourceGuildId,
+        sourceBot: sourceBot,
+        targetType: 'http',
+        sourceChannelId: sourceChannelId,
+        targetUrl: targetUrl,
+        signingSecret: document.getElementById('http-signing-secret').value.trim(),
+        name: document.getElementById('http-name').value.trim()
+      };
+
+      try {
+        var template = parsePayloadTemplate(document.getElementById('http-payload-template').value);
+        if (template) payload.payloadTemplate = template;
+
+        AdminApp.setStatus('Creating HTTP webhook forward...');
+        var createdHttp = await AdminApp.fetchJson('/api/configs', {
+          method: 'POST',
+          body: JSON.stringify(payload)
+        });
+        resetHttpCreateForm();
+        var httpConfigId = createdHttp && createdHttp.config ? createdHttp.config.id : '?';
+        AdminApp.setStatus('HTTP webhook forward created successfully (Config ' + httpConfigId + ').');
+        setActiveGuild(sourceGuildId);
+      } catch (error) {
+        AdminApp.setStatus('Create failed: ' + error.message, true);
+      }
+    });
+  }
+
+  if (createTgSourceForm) {
+    createTgSourceForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      await loadSetupOptions(false);
+
+      var typedChatId = String(tgSourceChatIdInput ? tgSourceChatIdInput.value : '').trim();
+      var selectedChatId = String(tgSourceChatSelect ? tgSourceChatSelect.value : '').trim();
+      var sourceChatId = typedChatId || selectedChatId;
+      var targetServerId = String(tgSourceTargetServerSelect ? tgSourceTargetServerSelect.value : '').trim();
+      var targetChannelId = String(tgSourceTargetChannelSelect ? tgSourceTargetChannelSelect.value : '').trim();
+
+      if (!isTelegramChatInput(sourceChatId)) {
+        AdminApp.setStatus('Select or enter a valid Telegram chat ID, @username, or t.me link.', true);
+        return;
+      }
+      if (!isDiscordId(targetServerId) || !isDiscordId(targetChannelId)) {
+        AdminApp.setStatus('Select valid target server and channel values.', true);
+        return;
+      }
+
+      // The target guild owns Telegram-source configs
+      var payload = {
+        guildId: targetServerId,
+        sourceType: 'telegram',
+        sourceChatId: sourceChatId,
+        targetType: 'discord',
+        targetChannelId: targetChannelId,
+        name: document.getElementById('tgsource-name').value.trim()
+      };
+
+      try {
+        AdminApp.setStatus('Creating Telegram source forward...');
+        var createdTgSource = await AdminApp.fetchJson('/api/configs', {
+          method: 'POST',
+          body: JSON.stringify(payload)
+        });
+        resetTgSourceCreateForm();
+        await loadSetupOptions(true);
+        var tgSourceConfigId = createdTgSource && createdTgSource.config ? createdTgSource.config.id : '?';
+        AdminApp.setStatus('Telegram source forward created successfully (Config ' + tgSourceConfigId + ').');
+        setActiveGuild(targetServerId);
+      } catch (error) {
+        AdminApp.setStatus('Create failed: ' + error.message, true);
+      }
+    });
+  }
+
+  if (editForm) {
+    editForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      if (!editingConfig) return;
+
+      var cfg = editingConfig;
+      try {
+        AdminApp.setStatus('Saving config ' + cfg.id + '...');
+        await AdminApp.fetchJson('/api/configs/' + cfg.id, {
+          method: 'PATCH',
+          body: JSON.stringify(collectConfigUpdatesFromForm(cfg))
+        });
+        AdminApp.setStatus('Config ' + cfg.id + ' saved.');
+        closeConfigEditor();
+        await loadConfigs(AdminApp.state.currentGuildId);
+      } catch (error) {
+        AdminApp.setStatus('Saving config failed: ' + error.message, true);
+      }
+    });
+  }
+
+  if (editDeliveryModeSelect) {
+    editDeliveryModeSelect.addEventListener('change', syncDeliveryFields);
+  }
+
+  if (editTargetServerSelect) {
+    editTargetServerSelect.addEventListener('change', function () {
+      refreshEditTargetChannelSelect('');
+    });
+  }
+
+  if (editCloseBtn) {
+    editCloseBtn.addEventListener('click', closeConfigEditor);
+  }
+
+  if (filtersForm) {
+    filtersForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      if (!editingFiltersConfigId) return;
+
+      var configId = editingFiltersConfigId;
+      try {
+        AdminApp.setStatus('Saving filters for config ' + configId + '...');
+        await AdminApp.fetchJson('/api/configs/' + configId + '/filters', {
+          method: 'PUT',
+          body: JSON.stringify({ filters: collectFiltersFromForm() })
+        });
+        AdminApp.setStatus('Filters saved for config ' + configId + '.');
+        closeFiltersEditor();
+        await loadConfigs(AdminApp.state.currentGuildId);
+      } catch (error) {
+        AdminApp.setStatus('Saving filters failed: ' + error.message, true);
+      }
+    });
+  }
+
+  if (filtersCloseBtn) {
+    filtersCloseBtn.addEventListener('click', closeFiltersEditor);
+  }
+
+  if (mentionsForm) {
+    mentionsForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      if (!editingMentions || !editingMentions.options) return;
+
+      var configId = editingMentions.configId;
+      try {
+        AdminApp.setStatus('Saving mention mapping for config ' + configId + '...');
+        await AdminApp.fetchJson('/api/configs/' + configId + '/mentions', {
+          method: 'PUT',
+          body: JSON.stringify({ mentionMap: collectMentionMapFromForm() })
+        });
+        AdminApp.setStatus('Mention mapping saved for config ' + configId + '.');
+        closeMentionsEditor();
+        await loadConfigs(AdminApp.state.currentGuildId);
+      } catch (error) {
+        AdminApp.setStatus('Saving mention mapping failed: ' + error.message, true);
+      }
+    });
+
+    mentionsSuggestBtn.addEventListener('click', function () {
+      var applied = applyMentionSuggestions();
+      AdminApp.setStatus(applied > 0 ? 'Matched ' + applied + ' mention(s) by name. Review and save.' : 'No new matches by name.');
+    });
+  }
+
+  if (mentionsCloseBtn) {
+    mentionsCloseBtn.addEventListener('click', closeMentionsEditor);
+  }
+
+  if (transformsForm) {
+    transformsForm.addEventListener('submit', async function (event) {
+      event.preventDefault();
+      if (editingTransformsConfigId === null) return;
+
+      var configId = editingTransformsConfigId;
+      try {
+        AdminApp.setStatus('Saving transformation rules for config ' + configId + '...');
+        await AdminApp.fetchJson('/api/configs/' + configId + '/transforms', {
+          method: 'PUT',
+          body: JSON.stringify({ transforms: collectTransformsFromForm() })
+        });
+        AdminApp.setStatus('Transformation rules saved for config ' + configId + '.');
+        closeTransformsEditor();
+        await loadConfigs(AdminApp.state.currentGuildId);
+      } catch (error) {
+        AdminApp.setStatus('Saving transformation rules failed: ' + error.message, true);
+      }
+    });
+
+    transformsAddBtn.addEventListener('click', function () {
+      transformsList.appendChild(createTransformRow({ type: 'replace' }));
+    });
+  }
+
+  if (transformsCloseBtn) {
+    transformsCloseBtn.addEventListener('click', closeTransformsEditor);
+  }
+
   wireSearchAndSelectEvents();
   wireForwardTabs();
 
@@ -975,6 +2078,8 @@
   });
 
   AdminApp.onGuildChange(function (guildId) {
+    closeConfigEditor();
+    closeFiltersEditor();
     loadConfigs(guildId);
     syncSourceGuildToCurrentSelection(guildId);
   });
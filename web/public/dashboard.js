@@ -191,6 +191,14 @@
       html += statCard(String(logStats.today || 0), 'Messages Today');
       html += statCard(String(logStats.total || 0), 'Total Messages');
       html += statCard(String(logStats.failed || 0), 'Failed', logStats.failed > 0 ? 'offline' : '');
+      var retryQueue = data.retryQueue || {};
+      html += statCard(String(retryQueue.pending || 0), 'Pending Retries');
+      html += statCard(String(retryQueue.deadLetters || 0), 'Dead Letters', retryQueue.deadLetters > 0 ? 'offline' : '');
+      var sendQueue = data.sendQueue || {};
+      html += statCard(String(sendQueue.depth || 0), 'Queued Sends');
+      var telegramBackoff = data.telegramBackoff || {};
+      var pausedChats = (telegramBackoff.chats || []).filter(function (chat) { return chat.pausedUntil; }).length;
+      html += statCard(String(pausedChats), 'Telegram Chats Backing Off', pausedChats > 0 ? 'offline' : '');
 
       statsContainer.innerHTML = html;
     } catch (error) {
@@ -31,6 +31,23 @@
     return '<span class="' + cls + '">' + (status || 'unknown') + '</span>';
   }
 
+  var SYNC_ACTION_LABELS = {
+    edited: 'edit synced',
+    edit_ignored: 'edit ignored',
+    edit_noted: 'edit noted',
+    deleted: 'deleted',
+    kept: 'kept after delete',
+    tombstoned: 'tombstoned'
+  };
+
+  // What the last source edit/delete did to the copy
+  function syncBadge(log) {
+    var label = SYNC_ACTION_LABELS[log.syncAction];
+    if (!label) return '';
+    var title = log.syncedAt ? ' title="' + escapeText(formatTime(log.syncedAt)) + '"' : '';
+    return ' <span class="status-badge"' + title + '>' + label + '</span>';
+  }
+
   function escapeText(text) {
     if (!text) return '';
     var div = document.createElement('div');
@@ -38,6 +55,28 @@
     return div.innerHTML;
   }
 
+  // "2 uploaded, 1 linked" with each file's outcome in the tooltip
+  function attachmentSummary(log) {
+    var outcomes = log.attachmentOutcomes || [];
+    if (!outcomes.length) return null;
+    var counts = {};
+    var details = [];
+    outcomes.forEach(function (item) {
+      counts[item.outcome] = (counts[item.outcome] || 0) + 1;
+      details.push(item.name + ': ' + item.outcome);
+    });
+    var parts = ['uploaded', 'linked', 'dropped'].filter(function (outcome) {
+      return counts[outcome];
+    }).map(function (outcome) {
+      return counts[outcome] + ' ' + outcome;
+    });
+    var summary = document.createElement('div');
+    summary.className = 'muted-text' + (counts.dropped ? ' text-danger' : '');
+    summary.title = details.join('\n');
+    summary.textContent = '📎 ' + parts.join(', ');
+    return summary;
+  }
+
   function setLogsMessage(message) {
     logsBody.innerHTML = '';
     var row = document.createElement('tr');
@@ -111,7 +150,13 @@
       // Forwarded message
       var fwdCell = document.createElement('td');
       fwdCell.className = 'mono';
-      fwdCell.textContent = log.forwardedMessageId || '-';
+      if (log.forwardedMessageId) {
+        fwdCell.textContent = log.forwardedMessageId;
+      } else {
+        fwdCell.textContent = log.digestId ? 'Digest ' + log.digestId + ' (not sent yet)' : '-';
+      }
+      var attachments = attachmentSummary(log);
+      if (attachments) fwdCell.appendChild(attachments);
       row.appendChild(fwdCell);
 
       // Target
@@ -122,7 +167,7 @@
 
       // Status
       var statusCell = document.createElement('td');
-      statusCell.innerHTML = statusBadge(log.status);
+      statusCell.innerHTML = statusBadge(log.status) + syncBadge(log);
       row.appendChild(statusCell);
 
       // Error
@@ -274,11 +319,12 @@
 
       var successCount = Number(result.successCount || 0);
       var failedCount = Number(result.failedCount || 0);
+      var skippedCount = Number(result.skippedCount || 0);
       var processed = Number(result.processed || 0);
 
       AdminApp.setStatus(
         'Retry complete for source ' + sourceMessageId + ': ' +
-        successCount + ' success, ' + failedCount + ' failed (' + processed + ' config' + pluralize(processed, '', 's') + ').'
+        successCount + ' success, ' + failedCount + ' failed, ' + skippedCount + ' skipped (' + processed + ' config' + pluralize(processed, '', 's') + ').'
       );
       await loadLogs(false);
     } catch (error) {
@@ -0,0 +1,220 @@
+/* retryqueue.js -- Retry queue / dead letters (Logs tab) */
+(function () {
+  'use strict';
+
+  var retryBody = document.getElementById('retry-body');
+  var statusFilter = document.getElementById('retry-status-filter');
+  var refreshBtn = document.getElementById('retry-refresh');
+  var requeueSelectedBtn = document.getElementById('retry-requeue-selected');
+  var discardSelectedBtn = document.getElementById('retry-discard-selected');
+  var requeueAllBtn = document.getElementById('retry-requeue-all');
+  var discardAllBtn = document.getElementById('retry-discard-all');
+  var selectAllInput = document.getElementById('retry-select-all');
+  var loadMoreBtn = document.getElementById('retry-load-more');
+
+  if (!retryBody) return;
+
+  var nextBeforeId = null;
+
+  function formatTime(ts) {
+    if (!ts) return '--';
+    return new Date(ts).toLocaleString();
+  }
+
+  function pluralize(count, singular, plural) {
+    return count === 1 ? singular : plural;
+  }
+
+  function setLoadMoreVisible(visible) {
+    if (!loadMoreBtn) return;
+    loadMoreBtn.classList.toggle('is-hidden', !visible);
+  }
+
+  function setRetryMessage(message) {
+    retryBody.innerHTML = '';
+    var row = document.createElement('tr');
+    var cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.className = 'muted-text';
+    cell.textContent = message;
+    row.appendChild(cell);
+    retryBody.appendChild(row);
+    setLoadMoreVisible(false);
+  }
+
+  function createCell(text, className) {
+    var cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  }
+
+  function getSelectedIds() {
+    var inputs = retryBody.querySelectorAll('input[type="checkbox"][data-retry-id]');
+    var ids = [];
+    for (var i = 0; i < inputs.length; i++) {
+      if (inputs[i].checked) ids.push(Number(inputs[i].getAttribute('data-retry-id')));
+    }
+    return ids;
+  }
+
+  function renderEntries(entries, append) {
+    if (!append) {
+      retryBody.innerHTML = '';
+      if (selectAllInput) selectAllInput.checked = false;
+    }
+
+    if (!entries.length && !append) {
+      setRetryMessage(statusFilter.value === 'pending' ? 'No pending retries.' : 'No dead letters.');
+      return;
+    }
+
+    for (var i = 0; i < entries.length; i++) {
+      (function (entry) {
+        var row = document.createElement('tr');
+
+        var selectCell = document.createElement('td');
+        var checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.setAttribute('data-retry-id', String(entry.id));
+        selectCell.appendChild(checkbox);
+        row.appendChild(selectCell);
+
+        row.appendChild(createCell(formatTime(entry.updatedAt)));
+        row.appendChild(createCell(entry.configId + (entry.configName ? ' - ' + entry.configName : ' (removed)'), 'mono'));
+        row.appendChild(createCell(entry.originalMessageId || '-', 'mono'));
+        row.appendChild(createCell(String(entry.attempts) + ' / ' + String(entry.maxAttempts), 'mono'));
+        row.appendChild(createCell(entry.status === 'pending' ? formatTime(entry.nextRetryAt) : '--'));
+
+        var errorCell = createCell(entry.lastError || '', 'logs-error');
+        if (entry.lastError) errorCell.classList.add('has-error');
+        row.appendChild(errorCell);
+
+        var actionsCell = document.createElement('td');
+        actionsCell.className = 'config-actions';
+
+        var requeueButton = document.createElement('button');
+        requeueButton.className = 'button secondary sm';
+        requeueButton.textContent = 'Requeue';
+        requeueButton.addEventListener('click', function () {
+          runAction('requeue', { ids: [entry.id] });
+        });
+        actionsCell.appendChild(requeueButton);
+
+        var discardButton = document.createElement('button');
+        discardButton.className = 'button secondary sm danger';
+        discardButton.textContent = 'Discard';
+        discardButton.addEventListener('click', function () {
+          runAction('discard', { ids: [entry.id] });
+        });
+        actionsCell.appendChild(discardButton);
+
+        row.appendChild(actionsCell);
+        retryBody.appendChild(row);
+      })(entries[i]);
+    }
+  }
+
+  async function loadEntries(append) {
+    if (!append) {
+      setRetryMessage('Loading...');
+      nextBeforeId = null;
+    }
+
+    try {
+      var params = ['status=' + encodeURIComponent(statusFilter.value), 'limit=50'];
+      if (append && nextBeforeId) params.push('beforeId=' + nextBeforeId);
+
+      var data = await AdminApp.fetchJson('/api/retry-queue?' + params.join('&'));
+      renderEntries(data.entries || [], append);
+      nextBeforeId = data.nextBeforeId;
+      setLoadMoreVisible(Boolean(data.hasMore));
+    } catch (error) {
+      if (!append) {
+        setRetryMessage('Failed to load retry queue: ' + error.message);
+      } else {
+        AdminApp.setStatus('Failed to load more retry entries: ' + error.message, true);
+      }
+    }
+  }
+
+  async function runAction(action, selection) {
+    var isDiscard = action === 'discard';
+    var count = selection.all ? 'all dead' : String(selection.ids.length);
+
+    if (isDiscard) {
+      var confirmed = await AdminApp.showConfirm(
+        'Discard Retry Entries',
+        'Discard ' + count + ' retry ' + (selection.all || selection.ids.length !== 1 ? 'entries' : 'entry') +
+        '? These forwards will not be attempted again.',
+        'Discard'
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      AdminApp.setStatus((isDiscard ? 'Discarding' : 'Requeueing') + ' retry entries...');
+      var result = await AdminApp.fetchJson('/api/retry-queue/' + action, {
+        method: 'POST',
+        body: JSON.stringify(selection)
+      });
+      var affected = Number(isDiscard ? result.discarded : result.requeued) || 0;
+      AdminApp.setStatus(
+        (isDiscard ? 'Discarded ' : 'Requeued ') + affected + ' retry ' + pluralize(affected, 'entry', 'entries') + '.'
+      );
+      await loadEntries(false);
+    } catch (error) {
+      AdminApp.setStatus((isDiscard ? 'Discard' : 'Requeue') + ' failed: ' + error.message, true);
+    }
+  }
+
+  function runSelectedAction(action) {
+    var ids = getSelectedIds();
+    if (!ids.length) {
+      AdminApp.setStatus('Select at least one retry entry first.', true);
+      return;
+    }
+    runAction(action, { ids: ids });
+  }
+
+  refreshBtn.addEventListener('click', function () {
+    loadEntries(false);
+  });
+
+  statusFilter.addEventListener('change', function () {
+    loadEntries(false);
+  });
+
+  requeueSelectedBtn.addEventListener('click', function () {
+    runSelectedAction('requeue');
+  });
+
+  discardSelectedBtn.addEventListener('click', function () {
+    runSelectedAction('discard');
+  });
+
+  requeueAllBtn.addEventListener('click', function () {
+    runAction('requeue', { all: true });
+  });
+
+  discardAllBtn.addEventListener('click', function () {
+    runAction('discard', { all: true });
+  });
+
+  if (selectAllInput) {
+    selectAllInput.addEventListener('change', function () {
+      var inputs = retryBody.querySelectorAll('input[type="checkbox"][data-retry-id]');
+      for (var i = 0; i < inputs.length; i++) {
+        inputs[i].checked = selectAllInput.checked;
+      }
+    });
+  }
+
+  loadMoreBtn.addEventListener('click', function () {
+    loadEntries(true);
+  });
+
+  AdminApp.onTabActivate('logs', function () {
+    loadEntries(false);
+  });
+})();
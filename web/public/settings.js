@@ -4,6 +4,8 @@
 
   var runtimeContainer = document.getElementById('runtime-config');
   var botSettingsContainer = document.getElementById('bot-settings');
+  var aiProvidersContainer = document.getElementById('ai-providers');
+  var aiProvidersTestBtn = document.getElementById('ai-providers-test');
 
   var DEFAULT_DEFINITIONS = {
     uploaded_emoji_names: {
@@ -18,7 +20,8 @@
   var state = {
     definitions: DEFAULT_DEFINITIONS,
     emojiPreviewByName: {},
-    emojiPreviewMeta: null
+    emojiPreviewMeta: null,
+    aiProviders: null
   };
 
   function mergeDefinitions(serverDefinitions) {
@@ -127,6 +130,62 @@
     }
   }
 
+  function renderAIProviders(data, results) {
+    if (!aiProvidersContainer) return;
+    aiProvidersContainer.innerHTML = '';
+
+    var providers = Array.isArray(data.providers) ? data.providers : [];
+    if (!data.enabled || !providers.length) {
+      aiProvidersContainer.innerHTML = '<p class="muted-text">AI is disabled or no provider has credentials configured.</p>';
+      if (aiProvidersTestBtn) aiProvidersTestBtn.disabled = true;
+      return;
+    }
+    if (aiProvidersTestBtn) aiProvidersTestBtn.disabled = false;
+
+    for (var i = 0; i < providers.length; i++) {
+      var name = providers[i];
+      var roles = [];
+      if (name === data.defaultProvider) roles.push('default');
+      if (name === data.fallbackProvider) roles.push('fallback');
+      var label = name + (roles.length ? ' (' + roles.join(', ') + ')' : '');
+
+      var result = results ? results[name] : null;
+      if (!result) {
+        aiProvidersContainer.appendChild(createRuntimeItem(label, 'untested'));
+        continue;
+      }
+      var item = createRuntimeItem(label, result.success ? 'connected' : 'failed');
+      item.title = result.message || '';
+      item.querySelector('.val').classList.add(result.success ? 'true' : 'false');
+      aiProvidersContainer.appendChild(item);
+    }
+  }
+
+  async function loadAIProviders() {
+    if (!aiProvidersContainer) return;
+    try {
+      state.aiProviders = await AdminApp.fetchJson('/api/ai-providers');
+      renderAIProviders(state.aiProviders, null);
+    } catch (error) {
+      aiProvidersContainer.innerHTML = '<p class="muted-text">Failed to load AI providers.</p>';
+    }
+  }
+
+  async function testAIProviders() {
+    if (!state.aiProviders) return;
+    try {
+      aiProvidersTestBtn.disabled = true;
+      AdminApp.setStatus('Testing AI provider connections...');
+      var data = await AdminApp.fetchJson('/api/ai-providers/test', { method: 'POST' });
+      renderAIProviders(state.aiProviders, data.results || {});
+      AdminApp.setStatus('AI provider test complete.');
+    } catch (error) {
+      AdminApp.setStatus('AI provider test failed: ' + error.message, true);
+    } finally {
+      aiProvidersTestBtn.disabled = false;
+    }
+  }
+
   function getDefinition(settingKey) {
     return state.definitions[settingKey] || null;
   }
@@ -410,7 +469,14 @@
     }
   }
 
+  if (aiProvidersTestBtn) {
+    aiProvidersTestBtn.addEventListener('click', function () {
+      testAIProviders();
+    });
+  }
+
   AdminApp.onTabActivate('settings', function () {
     loadSettings();
+    loadAIProviders();
   });
 })();
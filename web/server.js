@@ -11,9 +11,16 @@ const {
   getForwardConfigById,
   addForwardConfig,
   getForwardConfigsForChannel,
-  enableForwardConfig,
-  disableForwardConfig,
   removeForwardConfig,
+  updateForwardConfig,
+  setForwardConfigFilters,
+  setForwardConfigMentionMap,
+  setForwardConfigTransforms,
+  getForwardConfigCycles,
+  getConfigOwnerGuildId,
+  EDITABLE_CONFIG_FIELDS,
+  validateHttpTargetFields,
+  getDefaultAIConfig,
   getConfigStats,
   getAutoPublishConfig,
   setAutoPublishChannelEnabled
@@ -27,16 +34,36 @@ const {
   getBotSetting,
   setBotSetting,
   getTelegramChat,
+  getTelegramTopic,
   removeTelegramChat,
+  getRetryQueueEntries,
+  requeueRetries,
+  discardRetries,
+  getRetryQueueCounts,
+  getBackfillJob,
+  getBackfillJobs,
+  setBackfillJobStatus,
+  getApprovalEntries,
+  getApprovalEntry,
+  getApprovalEntryForMessage,
+  APPROVAL_STATUS,
+  RETRY_STATUS,
+  BACKFILL_STATUS,
+  HTTP_TARGET_CHANNEL_ID,
   get: dbGet,
   all: dbAll,
   run: dbRun
 } = require('../utils/database');
 const { logInfo, logSuccess, logError } = require('../utils/logger');
+const { validateContentFilters, normalizeContentFilters, evaluateContentFilters } = require('../utils/contentFilter');
+const { validateMentionMap, suggestMentionMap } = require('../utils/mentionMap');
+const { validateContentTransforms } = require('../utils/contentTransform');
+const { TELEGRAM_PARSE_MODES, normalizeTelegramParseMode } = require('../utils/telegramParseMode');
 const { renderDashboardPage } = require('./views/dashboard');
 const { buildReaderStatusDiagnostics } = require('./lib/readerDiagnostics');
 const { clearTelegramDiscoveryCache, collectTelegramChatOptions, verifyAndTrackTelegramChatAccess } = require('./lib/telegramDiscovery');
 const { buildDebugDatabaseSnapshot, buildDebugMessageSearchSnapshot } = require('./lib/debugDiagnostics');
+const { queueBackfillJob } = require('../handlers/backfillManager');
 
 const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
 const GUILD_CACHE_REFRESH_TTL_MS = 15 * 1000;
@@ -579,22 +606,59 @@ function buildLocalBypassAuth(client) {
   };
 }
 
+// Only the host of an HTTP target is shown in lists; paths and queries often carry tokens
+function getUrlHost(value) {
+  try {
+    return new URL(value).host;
+  } catch (_error) {
+    return '-';
+  }
+}
+
 function buildConfigView(configItem) {
   return {
     id: configItem.id,
     name: configItem.name || '',
+    sourceType: configItem.sourceType || 'discord',
     sourceServerId: configItem.sourceServerId || '',
     sourceChannelId: configItem.sourceChannelId || '',
+    sourceChatId: configItem.sourceChatId || '',
     useReaderBot: configItem.useReaderBot === true,
     targetType: configItem.targetType || '',
     targetServerId: configItem.targetServerId || '',
     targetChannelId: configItem.targetChannelId || '',
     targetChatId: configItem.targetChatId || '',
+    targetTopicId: configItem.targetTopicId || '',
+    telegramParseMode: configItem.telegramParseMode || '',
+    targetUrl: configItem.targetUrl || '',
+    // The signing secret is write-only
+    hasSigningSecret: Boolean(configItem.signingSecret),
+    payloadTemplate: configItem.payloadTemplate || null,
     enabled: configItem.enabled !== false,
+    allowEveryoneHereMentions: configItem.allowEveryoneHereMentions === true,
+    hideSourceHeader: configItem.hideSourceHeader === true,
+    syncReactions: configItem.syncReactions === true,
+    digest: configItem.digest || null,
+    mentionMap: configItem.mentionMap || null,
+    transforms: configItem.transforms || [],
+    editPolicy: configItem.editPolicy || 'sync',
+    deletePolicy: configItem.deletePolicy || 'delete',
+    requireApproval: configItem.requireApproval === true,
+    reviewChannelId: configItem.reviewChannelId || '',
+    ai: configItem.ai || getDefaultAIConfig(),
+    filters: normalizeContentFilters(configItem.filters),
     createdBy: configItem.createdBy || ''
   };
 }
 
+// 'discord:<channelId>' / 'telegram:<chatId>' from the config graph, for display
+function describeConfigGraphNode(client, node) {
+  const [type, id] = node.split(':');
+  if (type === 'telegram') return `Telegram ${id}`;
+  const channel = client.channels.cache.get(id);
+  return channel ? `#${channel.name}${channel.guild ? ` (${channel.guild.name})` : ''}` : `Channel ${id}`;
+}
+
 function buildOauthGuildMap(auth) {
   const map = new Map();
   const oauthGuilds = Array.isArray(auth.oauthGuilds) ? auth.oauthGuilds : [];
@@ -708,6 +772,26 @@ function isTextOrAnnouncementChannel(channel) {
   return channel.type === ChannelType.GuildText || channel.type === ChannelType.GuildAnnouncement;
 }
 
+function isForumChannel(channel) {
+  if (!channel) return false;
+  return channel.type === ChannelType.GuildForum || channel.type === ChannelType.GuildMedia;
+}
+
+function isThreadChannel(channel) {
+  return Boolean(channel && typeof channel.isThread === 'function' && channel.isThread());
+}
+
+// Channels a Discord config can read from or post into: forums cover all of their posts
+function isForwardableChannel(channel) {
+  return isTextOrAnnouncementChannel(channel) || isForumChannel(channel) || isThreadChannel(channel);
+}
+
+function getMappedChannelType(channel) {
+  if (isThreadChannel(channel)) return 'thread';
+  if (isForumChannel(channel)) return 'forum';
+  return channel.type === ChannelType.GuildAnnouncement ? 'announcement' : 'text';
+}
+
 function isDiscordId(value) {
   return typeof value === 'string' && /^\d+$/.test(value.trim());
 }
@@ -756,10 +840,62 @@ function parseConfigId(value) {
   return parsed;
 }
 
+// Allowed backfill status changes: action -> [new status, statuses it may come from]
+const BACKFILL_ACTIONS = {
+  pause: [BACKFILL_STATUS.PAUSED, [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.RUNNING]],
+  resume: [BACKFILL_STATUS.QUEUED, [BACKFILL_STATUS.PAUSED]],
+  cancel: [BACKFILL_STATUS.CANCELLED, [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.RUNNING, BACKFILL_STATUS.PAUSED]]
+};
+
+function wakeBackfillRunner() {
+  try {
+    const { getBackfillManager } = require('../events/messageEvents');
+    const manager = getBackfillManager();
+    if (manager) manager.wake();
+  } catch (_error) {
+    // The runner also polls for new jobs
+  }
+}
+
+function buildBackfillJobView(job, configMap) {
+  const configItem = configMap.get(Number(job.configId));
+  return {
+    ...job,
+    configName: configItem ? (configItem.name || `Config ${configItem.id}`) : null
+  };
+}
+
+function buildApprovalView(entry, configMap) {
+  const configItem = configMap.get(Number(entry.configId));
+  return {
+    ...entry,
+    configName: configItem ? (configItem.name || `Config ${configItem.id}`) : null
+  };
+}
+
+// Bulk retry-queue actions take { ids: [...] } or { all: true } (all dead letters)
+function parseRetryQueueSelection(body) {
+  const payload = body && typeof body === 'object' ? body : {};
+  if (payload.all === true) {
+    return { selection: { status: RETRY_STATUS.DEAD } };
+  }
+  if (!Array.isArray(payload.ids) || payload.ids.length === 0) {
+    return { error: 'Provide ids (array of retry entry IDs) or all: true' };
+  }
+  if (payload.ids.length > 500) {
+    return { error: 'Cannot process more than 500 entries at once' };
+  }
+  const ids = payload.ids.map(id => parseInt(id, 10));
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { error: 'ids must be positive integers' };
+  }
+  return { selection: { ids } };
+}
+
 function inferLogTargetType(log, configItem) {
   if (configItem && typeof configItem.targetType === 'string') {
     const normalized = configItem.targetType.trim().toLowerCase();
-    if (normalized === 'discord' || normalized === 'telegram') {
+    if (normalized === 'discord' || normalized === 'telegram' || normalized === 'http') {
       return normalized;
     }
   }
@@ -767,6 +903,9 @@ function inferLogTargetType(log, configItem) {
   if (!log) return 'unknown';
   const forwardedServerId = String(log.forwardedServerId || '').trim();
   const forwardedChannelId = String(log.forwardedChannelId || '').trim();
+  if (!forwardedServerId && forwardedChannelId === HTTP_TARGET_CHANNEL_ID) {
+    return 'http';
+  }
   if (!forwardedServerId && forwardedChannelId) {
     return 'telegram';
   }
@@ -776,14 +915,31 @@ function inferLogTargetType(log, configItem) {
   return 'unknown';
 }
 
+// message_logs.attachmentOutcomes is stored as JSON
+function parseAttachmentOutcomes(value) {
+  if (!value) return [];
+  try {
+    const outcomes = JSON.parse(value);
+    return Array.isArray(outcomes) ? outcomes : [];
+  } catch (error) {
+    return [];
+  }
+}
+
 function buildLogTargetLabel(log, targetType, configItem) {
+  if (targetType === 'http') {
+    return `HTTP ${configItem && configItem.targetUrl ? getUrlHost(configItem.targetUrl) : '-'}`;
+  }
+
   if (targetType === 'telegram') {
     const chatId = String(
       (configItem && configItem.targetChatId)
       || log.forwardedChannelId
       || '-'
     );
-    return `Telegram ${chatId}`;
+    return configItem && configItem.targetTopicId
+      ? `Telegram ${chatId} (topic ${configItem.targetTopicId})`
+      : `Telegram ${chatId}`;
   }
 
   if (targetType === 'discord') {
@@ -903,25 +1059,31 @@ function mapGuildChannels(guild, botUser, options = {}) {
   const {
     requireSendMessages = false,
     requireManageMessages = false,
-    announcementOnly = false
+    announcementOnly = false,
+    includeForumsAndThreads = false
   } = options;
 
+  const isListedChannel = includeForumsAndThreads ? isForwardableChannel : isTextOrAnnouncementChannel;
   const channels = Array.from(guild.channels.cache.values()).filter(channel => {
     if (!channel) return false;
-    if (!isTextOrAnnouncementChannel(channel)) return false;
+    if (!isListedChannel(channel)) return false;
     if (announcementOnly && channel.type !== ChannelType.GuildAnnouncement) return false;
 
     const perms = channel.permissionsFor(botUser);
     if (!perms || !perms.has(PermissionFlagsBits.ViewChannel)) return false;
-    if (requireSendMessages && !perms.has(PermissionFlagsBits.SendMessages)) return false;
+    const sendPermission = isThreadChannel(channel)
+      ? PermissionFlagsBits.SendMessagesInThreads
+      : PermissionFlagsBits.SendMessages;
+    if (requireSendMessages && !perms.has(sendPermission)) return false;
     if (requireManageMessages && !perms.has(PermissionFlagsBits.ManageMessages)) return false;
     return true;
   });
 
   return sortGuildChannels(channels).map(channel => ({
     id: channel.id,
-    name: channel.name,
-    type: channel.type === ChannelType.GuildAnnouncement ? 'announcement' : 'text'
+    // Threads only come from the cache (active threads), shown under their parent
+    name: isThreadChannel(channel) && channel.parent ? `${channel.parent.name} / ${channel.name}` : channel.name,
+    type: getMappedChannelType(channel)
   }));
 }
 
@@ -1269,13 +1431,13 @@ function createWebAdminApp(client, config) {
         if (mainContext && mainContext.guild) {
           sourceBots.main = {
             available: true,
-            sourceChannels: mapGuildChannels(mainContext.guild, mainContext.botUser)
+            sourceChannels: mapGuildChannels(mainContext.guild, mainContext.botUser, { includeForumsAndThreads: true })
           };
         }
         if (readerContext && readerContext.guild) {
           sourceBots.reader = {
             available: true,
-            sourceChannels: mapGuildChannels(readerContext.guild, readerContext.botUser)
+            sourceChannels: mapGuildChannels(readerContext.guild, readerContext.botUser, { includeForumsAndThreads: true })
           };
         }
 
@@ -1303,7 +1465,7 @@ function createWebAdminApp(client, config) {
         targetGuilds.push({
           id: targetGuild.id,
           name: targetGuild.name,
-          targetChannels: mapGuildChannels(targetGuild, client.user, { requireSendMessages: true })
+          targetChannels: mapGuildChannels(targetGuild, client.user, { requireSendMessages: true, includeForumsAndThreads: true })
         });
       }
 
@@ -1343,18 +1505,30 @@ function createWebAdminApp(client, config) {
 
       const allConfigs = await loadForwardConfigs();
       const guildConfigs = allConfigs
-        .filter(configItem => configItem.sourceServerId === guildId)
+        .filter(configItem => getConfigOwnerGuildId(configItem) === guildId)
         .sort((a, b) => a.id - b.id)
         .map(buildConfigView);
 
       // Enrich Telegram configs with target health status from tracked chats
       for (const cfg of guildConfigs) {
+        if (cfg.sourceType === 'telegram' && cfg.sourceChatId) {
+          try {
+            const trackedSource = await getTelegramChat(cfg.sourceChatId);
+            if (trackedSource) {
+              cfg.telegramSourceChatTitle = trackedSource.title || null;
+            }
+          } catch (_) { /* best-effort enrichment */ }
+        }
         if (cfg.targetType !== 'telegram' || !cfg.targetChatId) continue;
         try {
           const tracked = await getTelegramChat(cfg.targetChatId);
           if (tracked) {
             cfg.telegramChatTitle = tracked.title || null;
             cfg.telegramChatType = tracked.type || null;
+            if (cfg.targetTopicId) {
+              const topic = await getTelegramTopic(cfg.targetChatId, cfg.targetTopicId);
+              cfg.telegramTopicName = topic?.name || null;
+            }
             if (tracked.memberStatus === 'left' || tracked.memberStatus === 'kicked') {
               cfg.targetStatus = 'unreachable';
             }
@@ -1362,9 +1536,19 @@ function createWebAdminApp(client, config) {
         } catch (_) { /* best-effort enrichment */ }
       }
 
+      // Forwarding cycles that run through this guild's configs
+      const guildConfigIds = new Set(guildConfigs.map(cfg => cfg.id));
+      const cycles = (await getForwardConfigCycles())
+        .filter(cycle => cycle.configIds.some(id => guildConfigIds.has(id)))
+        .map(cycle => ({
+          configIds: cycle.configIds,
+          path: cycle.path.map(node => describeConfigGraphNode(client, node))
+        }));
+
       res.json({
         guildId,
-        configs: guildConfigs
+        configs: guildConfigs,
+        cycles
       });
     } catch (error) {
       logError(`Web admin /api/configs failed: ${error.message}`);
@@ -1385,6 +1569,16 @@ function createWebAdminApp(client, config) {
       return;
     }
 
+    const sourceType = typeof req.body.sourceType === 'string' ? req.body.sourceType.trim().toLowerCase() : 'discord';
+    if (sourceType === 'telegram') {
+      await createTelegramSourceConfig(req, res, auth, guildId);
+      return;
+    }
+    if (sourceType !== 'discord') {
+      res.status(400).json({ error: 'sourceType must be discord or telegram' });
+      return;
+    }
+
     const sourceChannelId = typeof req.body.sourceChannelId === 'string' ? req.body.sourceChannelId.trim() : '';
     const sourceBotInput = typeof req.body.sourceBot === 'string' ? req.body.sourceBot.trim().toLowerCase() : '';
     const targetType = typeof req.body.targetType === 'string' ? req.body.targetType.trim().toLowerCase() : '';
@@ -1395,8 +1589,8 @@ function createWebAdminApp(client, config) {
       return;
     }
 
-    if (targetType !== 'discord' && targetType !== 'telegram') {
-      res.status(400).json({ error: 'targetType must be discord or telegram' });
+    if (targetType !== 'discord' && targetType !== 'telegram' && targetType !== 'http') {
+      res.status(400).json({ error: 'targetType must be discord, telegram or http' });
       return;
     }
     if (sourceBotInput && sourceBotInput !== 'main' && sourceBotInput !== 'reader') {
@@ -1434,8 +1628,8 @@ function createWebAdminApp(client, config) {
           sourceChannel = null;
         }
       }
-      if (!isTextOrAnnouncementChannel(sourceChannel)) {
-        res.status(400).json({ error: 'Source channel must be a text or announcement channel' });
+      if (!isForwardableChannel(sourceChannel)) {
+        res.status(400).json({ error: 'Source channel must be a text, announcement, forum, or thread channel' });
         return;
       }
       const sourcePermissions = sourceChannel.permissionsFor(sourceBotUser);
@@ -1481,8 +1675,8 @@ function createWebAdminApp(client, config) {
             targetChannel = null;
           }
         }
-        if (!isTextOrAnnouncementChannel(targetChannel)) {
-          res.status(400).json({ error: 'Target channel must be a text or announcement channel' });
+        if (!isForwardableChannel(targetChannel)) {
+          res.status(400).json({ error: 'Target channel must be a text, announcement, forum, or thread channel' });
           return;
         }
 
@@ -1494,6 +1688,29 @@ function createWebAdminApp(client, config) {
         newConfig.targetServerId = targetServerId;
         newConfig.targetChannelId = targetChannelId;
         newConfig.name = customName || `${sourceChannel.name} to ${targetChannel.name}`;
+      } else if (targetType === 'http') {
+        const httpFields = {
+          targetUrl: typeof req.body.targetUrl === 'string' ? req.body.targetUrl.trim() : ''
+        };
+        if (typeof req.body.signingSecret === 'string' && req.body.signingSecret.trim()) {
+          httpFields.signingSecret = req.body.signingSecret.trim();
+        }
+        if (req.body.payloadTemplate) {
+          httpFields.payloadTemplate = req.body.payloadTemplate;
+        }
+
+        if (!httpFields.targetUrl) {
+          res.status(400).json({ error: 'targetUrl is required for HTTP targets' });
+          return;
+        }
+        const httpValidation = validateHttpTargetFields(httpFields);
+        if (!httpValidation.valid) {
+          res.status(400).json({ error: httpValidation.error });
+          return;
+        }
+
+        Object.assign(newConfig, httpFields);
+        newConfig.name = customName || `${sourceChannel.name} to ${getUrlHost(httpFields.targetUrl)}`;
       } else {
         const targetChatInput = typeof req.body.targetChatId === 'string' ? req.body.targetChatId.trim() : '';
         const targetChatLookup = normalizeTelegramChatLookupValue(targetChatInput);
@@ -1511,7 +1728,29 @@ function createWebAdminApp(client, config) {
           return;
         }
 
+        const targetTopicInput = typeof req.body.targetTopicId === 'undefined' || req.body.targetTopicId === null
+          ? ''
+          : String(req.body.targetTopicId).trim();
+        if (targetTopicInput && !/^[1-9]\d*$/.test(targetTopicInput)) {
+          res.status(400).json({ error: 'targetTopicId must be a positive Telegram forum topic ID' });
+          return;
+        }
+
+        // Empty follows the global TELEGRAM_PARSE_MODE
+        const parseModeInput = typeof req.body.telegramParseMode === 'string' ? req.body.telegramParseMode.trim() : '';
+        const telegramParseMode = parseModeInput ? normalizeTelegramParseMode(parseModeInput) : null;
+        if (parseModeInput && !telegramParseMode) {
+          res.status(400).json({ error: `telegramParseMode must be one of: ${TELEGRAM_PARSE_MODES.join(', ')}` });
+          return;
+        }
+
         newConfig.targetChatId = verifiedChat.id;
+        if (targetTopicInput) {
+          newConfig.targetTopicId = targetTopicInput;
+        }
+        if (telegramParseMode) {
+          newConfig.telegramParseMode = telegramParseMode;
+        }
         newConfig.name = customName || `${sourceChannel.name} to Telegram`;
       }
 
@@ -1532,6 +1771,93 @@ function createWebAdminApp(client, config) {
     }
   });
 
+  // Telegram chat -> Discord channel in the selected guild (the guild owns the config)
+  async function createTelegramSourceConfig(req, res, auth, guildId) {
+    const sourceChatInput = typeof req.body.sourceChatId === 'string' ? req.body.sourceChatId.trim() : '';
+    const targetChannelId = typeof req.body.targetChannelId === 'string' ? req.body.targetChannelId.trim() : '';
+    const customName = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    const sourceChatLookup = normalizeTelegramChatLookupValue(sourceChatInput);
+    if (!sourceChatLookup) {
+      res.status(400).json({ error: 'sourceChatId must be a valid Telegram chat ID, @username, or t.me link' });
+      return;
+    }
+    if (!isDiscordId(targetChannelId)) {
+      res.status(400).json({ error: 'targetChannelId must be a numeric Discord ID' });
+      return;
+    }
+
+    try {
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(guildId)) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      const runtimeConfig = require('../config/config');
+      if (!runtimeConfig.telegram || runtimeConfig.telegram.enabled !== true) {
+        res.status(400).json({ error: 'Telegram integration is disabled' });
+        return;
+      }
+
+      const targetGuild = client.guilds.cache.get(guildId);
+      if (!targetGuild) {
+        res.status(400).json({ error: 'Target guild not found in bot cache' });
+        return;
+      }
+
+      let targetChannel = targetGuild.channels.cache.get(targetChannelId);
+      if (!targetChannel) {
+        try {
+          targetChannel = await targetGuild.channels.fetch(targetChannelId);
+        } catch (error) {
+          targetChannel = null;
+        }
+      }
+      // Telegram messages have no thread of their own to mirror as a forum post
+      if (!isTextOrAnnouncementChannel(targetChannel) && !isThreadChannel(targetChannel)) {
+        res.status(400).json({ error: 'Target channel must be a text, announcement, or thread channel' });
+        return;
+      }
+
+      let verifiedChat;
+      try {
+        verifiedChat = await verifyAndTrackTelegramChatAccess(sourceChatLookup.lookupValue, { discoveredVia: 'config_create' });
+      } catch (verifyError) {
+        const statusCode = Number(verifyError && verifyError.statusCode) || 400;
+        res.status(statusCode).json({ error: verifyError.message || 'Failed to verify Telegram chat access' });
+        return;
+      }
+
+      const configId = await addForwardConfig({
+        name: customName || `${verifiedChat.title || 'Telegram'} to ${targetChannel.name}`,
+        sourceType: 'telegram',
+        sourceChatId: verifiedChat.id,
+        targetType: 'discord',
+        targetServerId: guildId,
+        targetChannelId,
+        createdBy: auth.user.id
+      });
+      const created = await getForwardConfigById(configId);
+      if (!created) {
+        res.status(500).json({ error: 'Config created but could not be reloaded' });
+        return;
+      }
+      clearTelegramDiscoveryCache();
+
+      res.status(201).json({
+        config: buildConfigView(created)
+      });
+    } catch (error) {
+      logError(`Web admin create Telegram source config failed: ${error.message}`);
+      if (error.statusCode && error.statusCode < 500) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      res.status(500).json({ error: 'Failed to create config' });
+    }
+  }
+
   app.patch('/api/configs/:id', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
     if (!auth) {
@@ -1545,8 +1871,20 @@ function createWebAdminApp(client, config) {
       return;
     }
 
-    if (typeof req.body.enabled !== 'boolean') {
-      res.status(400).json({ error: 'enabled must be boolean' });
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const updates = {};
+    for (const field of EDITABLE_CONFIG_FIELDS) {
+      if (typeof body[field] !== 'undefined') {
+        updates[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+      }
+    }
+    const unknownFields = Object.keys(body).filter(field => !EDITABLE_CONFIG_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      res.status(400).json({ error: `Fields cannot be updated: ${unknownFields.join(', ')}` });
+      return;
+    }
+    if (Object.keys(updates).length === 0) {
+      res.status(400).json({ error: `Provide at least one of: ${EDITABLE_CONFIG_FIELDS.join(', ')}` });
       return;
     }
 
@@ -1558,15 +1896,126 @@ function createWebAdminApp(client, config) {
       }
 
       const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
-      if (!allowedGuilds.has(existing.sourceServerId)) {
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
         res.status(403).json({ error: 'Forbidden for this guild' });
         return;
       }
 
-      if (req.body.enabled) {
-        await enableForwardConfig(configId);
-      } else {
-        await disableForwardConfig(configId);
+      const changesDiscordTarget = typeof updates.targetServerId !== 'undefined' || typeof updates.targetChannelId !== 'undefined';
+      const changesTelegramTarget = typeof updates.targetChatId !== 'undefined';
+      const changesTelegramTopic = typeof updates.targetTopicId !== 'undefined';
+      const changesTelegramParseMode = typeof updates.telegramParseMode !== 'undefined';
+      const changesHttpTarget = ['targetUrl', 'signingSecret', 'payloadTemplate'].some(field => typeof updates[field] !== 'undefined');
+
+      if (existing.targetType === 'discord' && changesTelegramTarget) {
+        res.status(400).json({ error: 'targetChatId only applies to Telegram targets' });
+        return;
+      }
+      if (existing.targetType !== 'telegram' && changesTelegramTopic) {
+        res.status(400).json({ error: 'targetTopicId only applies to Telegram targets' });
+        return;
+      }
+      if (existing.targetType !== 'telegram' && changesTelegramParseMode) {
+        res.status(400).json({ error: 'telegramParseMode only applies to Telegram targets' });
+        return;
+      }
+      if (existing.targetType === 'telegram' && changesDiscordTarget) {
+        res.status(400).json({ error: 'targetServerId/targetChannelId only apply to Discord targets' });
+        return;
+      }
+      if (existing.targetType === 'http' && (changesDiscordTarget || changesTelegramTarget)) {
+        res.status(400).json({ error: 'HTTP targets only accept targetUrl, signingSecret and payloadTemplate' });
+        return;
+      }
+      if (existing.targetType !== 'http' && changesHttpTarget) {
+        res.status(400).json({ error: 'targetUrl/signingSecret/payloadTemplate only apply to HTTP targets' });
+        return;
+      }
+
+      if (existing.targetType === 'discord' && changesDiscordTarget) {
+        const targetServerId = updates.targetServerId || existing.targetServerId || existing.sourceServerId;
+        const targetChannelId = updates.targetChannelId || existing.targetChannelId;
+
+        if (!isDiscordId(targetServerId)) {
+          res.status(400).json({ error: 'targetServerId must be a numeric Discord ID' });
+          return;
+        }
+        if (!isDiscordId(targetChannelId)) {
+          res.status(400).json({ error: 'targetChannelId must be a numeric Discord ID' });
+          return;
+        }
+        // The target guild owns a Telegram-source config; moving it would hand the config to another guild
+        if (existing.sourceType === 'telegram' && targetServerId !== getConfigOwnerGuildId(existing)) {
+          res.status(400).json({ error: 'Telegram source configs cannot move to another target server' });
+          return;
+        }
+
+        const targetGuild = client.guilds.cache.get(targetServerId);
+        if (!targetGuild) {
+          res.status(400).json({ error: 'Target guild not found in bot cache' });
+          return;
+        }
+
+        let targetChannel = targetGuild.channels.cache.get(targetChannelId);
+        if (!targetChannel) {
+          try {
+            targetChannel = await targetGuild.channels.fetch(targetChannelId);
+          } catch (error) {
+            targetChannel = null;
+          }
+        }
+        if (!isForwardableChannel(targetChannel)) {
+          res.status(400).json({ error: 'Target channel must be a text, announcement, forum, or thread channel' });
+          return;
+        }
+        if (existing.sourceType === 'telegram' && isForumChannel(targetChannel)) {
+          res.status(400).json({ error: 'Telegram source configs cannot target a forum channel' });
+          return;
+        }
+
+        updates.targetServerId = targetServerId;
+        updates.targetChannelId = targetChannelId;
+      }
+
+      // Held message text is posted to the review channel and its members decide; keep it in the config's guild
+      if (updates.reviewChannelId) {
+        let reviewChannel = null;
+        try {
+          reviewChannel = await client.channels.fetch(updates.reviewChannelId);
+        } catch (error) {
+          reviewChannel = null;
+        }
+        if (!reviewChannel || !isTextOrAnnouncementChannel(reviewChannel)) {
+          res.status(400).json({ error: 'Review channel must be a text or announcement channel' });
+          return;
+        }
+        if (reviewChannel.guildId !== getConfigOwnerGuildId(existing)) {
+          res.status(400).json({ error: 'Review channel must be in the config\'s own server' });
+          return;
+        }
+      }
+
+      if (existing.targetType === 'telegram' && changesTelegramTarget) {
+        const targetChatLookup = normalizeTelegramChatLookupValue(String(updates.targetChatId));
+        if (!targetChatLookup) {
+          res.status(400).json({ error: 'targetChatId must be a valid Telegram chat ID, @username, or t.me link' });
+          return;
+        }
+
+        let verifiedChat;
+        try {
+          verifiedChat = await verifyAndTrackTelegramChatAccess(targetChatLookup.lookupValue, { discoveredVia: 'config_update' });
+        } catch (verifyError) {
+          const statusCode = Number(verifyError && verifyError.statusCode) || 400;
+          res.status(statusCode).json({ error: verifyError.message || 'Failed to verify Telegram chat access' });
+          return;
+        }
+        updates.targetChatId = verifiedChat.id;
+      }
+
+      await updateForwardConfig(configId, updates);
+      if (changesTelegramTarget) {
+        clearTelegramDiscoveryCache();
       }
 
       const updated = await getForwardConfigById(configId);
@@ -1579,12 +2028,16 @@ function createWebAdminApp(client, config) {
         config: buildConfigView(updated)
       });
     } catch (error) {
-      logError(`Web admin toggle config failed: ${error.message}`);
+      logError(`Web admin update config failed: ${error.message}`);
+      if (error.statusCode && error.statusCode < 500) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
       res.status(500).json({ error: 'Failed to update config' });
     }
   });
 
-  app.delete('/api/configs/:id', async (req, res) => {
+  app.put('/api/configs/:id/filters', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
     if (!auth) {
       res.status(401).json({ error: 'Not authenticated' });
@@ -1597,6 +2050,13 @@ function createWebAdminApp(client, config) {
       return;
     }
 
+    const filters = req.body ? req.body.filters : undefined;
+    const validation = validateContentFilters(filters);
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.error });
+      return;
+    }
+
     try {
       const existing = await getForwardConfigById(configId);
       if (!existing) {
@@ -1605,29 +2065,33 @@ function createWebAdminApp(client, config) {
       }
 
       const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
-      if (!allowedGuilds.has(existing.sourceServerId)) {
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
         res.status(403).json({ error: 'Forbidden for this guild' });
         return;
       }
 
-      await removeForwardConfig(configId);
-      clearTelegramDiscoveryCache();
+      await setForwardConfigFilters(configId, filters);
 
-      let deletedLogs = 0;
-      try {
-        deletedLogs = await deleteMessageLogsFiltered({ configId });
-      } catch (cleanupError) {
-        logError(`Web admin remove config log cleanup failed for config ${configId}: ${cleanupError.message}`);
+      const updated = await getForwardConfigById(configId);
+      if (!updated) {
+        res.status(500).json({ error: 'Filter update succeeded but reload failed' });
+        return;
       }
 
-      res.json({ success: true, removedConfigId: configId, deletedLogs });
+      res.json({
+        config: buildConfigView(updated)
+      });
     } catch (error) {
-      logError(`Web admin remove config failed: ${error.message}`);
-      res.status(500).json({ error: 'Failed to remove config' });
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      logError(`Web admin update config filters failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update config filters' });
     }
   });
 
-  app.post('/api/configs/:id/test-telegram', async (req, res) => {
+  app.get('/api/configs/:id/mention-options', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
     if (!auth) {
       res.status(401).json({ error: 'Not authenticated' });
@@ -1648,55 +2112,242 @@ function createWebAdminApp(client, config) {
       }
 
       const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
-      if (!allowedGuilds.has(existing.sourceServerId)) {
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
         res.status(403).json({ error: 'Forbidden for this guild' });
         return;
       }
 
-      if (existing.targetType !== 'telegram') {
-        res.status(400).json({ error: 'Config target is not Telegram' });
-        return;
-      }
-
-      const runtimeConfig = require('../config/config');
-      if (!runtimeConfig.telegram || runtimeConfig.telegram.enabled !== true) {
-        res.status(400).json({ error: 'Telegram integration is disabled' });
+      if (existing.sourceType !== 'discord' || existing.targetType !== 'discord') {
+        res.status(400).json({ error: 'Mention mapping needs a Discord source and a Discord target' });
         return;
       }
 
-      const TelegramHandler = require('../handlers/telegramHandler');
-      const telegramHandler = new TelegramHandler();
-      const initialized = await telegramHandler.initialize();
-      if (!initialized) {
-        res.status(500).json({ error: 'Telegram handler initialization failed' });
+      const sourceGuild = client.guilds.cache.get(existing.sourceServerId);
+      const targetGuild = client.guilds.cache.get(existing.targetServerId || existing.sourceServerId);
+      if (!sourceGuild || !targetGuild) {
+        res.status(409).json({ error: 'The bot is not in the source or target server' });
         return;
       }
 
-      const testResult = await telegramHandler.testTelegram(existing.targetChatId);
-      if (testResult.success) {
-        res.json({ success: true, messageId: testResult.messageId || null });
-      } else {
-        res.status(400).json({ error: testResult.error || 'Telegram test failed' });
-      }
+      res.json({
+        sameServer: sourceGuild.id === targetGuild.id,
+        mentionMap: existing.mentionMap || null,
+        ...suggestMentionMap(sourceGuild, targetGuild)
+      });
     } catch (error) {
-      logError(`Web admin telegram test failed: ${error.message}`);
-      res.status(500).json({ error: 'Failed to test Telegram target' });
+      logError(`Web admin mention options failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to load mention options' });
     }
   });
 
-  // --- Telegram Chat Verify & Register ---
-  app.post('/api/telegram-chats/verify', async (req, res) => {
+  app.put('/api/configs/:id/mentions', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
     if (!auth) {
       res.status(401).json({ error: 'Not authenticated' });
       return;
     }
 
-    const chatIdInput = typeof req.body.chatId === 'string' ? req.body.chatId.trim() : '';
-    const chatLookup = normalizeTelegramChatLookupValue(chatIdInput);
-    if (!chatLookup) {
-      res.status(400).json({ error: 'chatId must be a valid Telegram chat ID, @username, or t.me link' });
-      return;
+    const configId = parseConfigId(req.params.id);
+    if (!configId) {
+      res.status(400).json({ error: 'Invalid config id' });
+      return;
+    }
+
+    const mentionMap = req.body ? req.body.mentionMap : undefined;
+    const validation = validateMentionMap(mentionMap);
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.error });
+      return;
+    }
+
+    try {
+      const existing = await getForwardConfigById(configId);
+      if (!existing) {
+        res.status(404).json({ error: 'Config not found' });
+        return;
+      }
+
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      await setForwardConfigMentionMap(configId, mentionMap);
+      const updated = await getForwardConfigById(configId);
+      res.json({ config: buildConfigView(updated) });
+    } catch (error) {
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      logError(`Web admin update config mentions failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update mention mapping' });
+    }
+  });
+
+  app.put('/api/configs/:id/transforms', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const configId = parseConfigId(req.params.id);
+    if (!configId) {
+      res.status(400).json({ error: 'Invalid config id' });
+      return;
+    }
+
+    const transforms = req.body ? req.body.transforms : undefined;
+    const validation = validateContentTransforms(transforms);
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.error });
+      return;
+    }
+
+    try {
+      const existing = await getForwardConfigById(configId);
+      if (!existing) {
+        res.status(404).json({ error: 'Config not found' });
+        return;
+      }
+
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      await setForwardConfigTransforms(configId, transforms);
+      const updated = await getForwardConfigById(configId);
+      res.json({ config: buildConfigView(updated) });
+    } catch (error) {
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      logError(`Web admin update config transforms failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update transformation rules' });
+    }
+  });
+
+  app.delete('/api/configs/:id', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const configId = parseConfigId(req.params.id);
+    if (!configId) {
+      res.status(400).json({ error: 'Invalid config id' });
+      return;
+    }
+
+    try {
+      const existing = await getForwardConfigById(configId);
+      if (!existing) {
+        res.status(404).json({ error: 'Config not found' });
+        return;
+      }
+
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      await removeForwardConfig(configId);
+      clearTelegramDiscoveryCache();
+
+      let deletedLogs = 0;
+      try {
+        deletedLogs = await deleteMessageLogsFiltered({ configId });
+      } catch (cleanupError) {
+        logError(`Web admin remove config log cleanup failed for config ${configId}: ${cleanupError.message}`);
+      }
+
+      res.json({ success: true, removedConfigId: configId, deletedLogs });
+    } catch (error) {
+      logError(`Web admin remove config failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to remove config' });
+    }
+  });
+
+  app.post('/api/configs/:id/test-telegram', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const configId = parseConfigId(req.params.id);
+    if (!configId) {
+      res.status(400).json({ error: 'Invalid config id' });
+      return;
+    }
+
+    try {
+      const existing = await getForwardConfigById(configId);
+      if (!existing) {
+        res.status(404).json({ error: 'Config not found' });
+        return;
+      }
+
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(getConfigOwnerGuildId(existing))) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      if (existing.targetType !== 'telegram') {
+        res.status(400).json({ error: 'Config target is not Telegram' });
+        return;
+      }
+
+      const runtimeConfig = require('../config/config');
+      if (!runtimeConfig.telegram || runtimeConfig.telegram.enabled !== true) {
+        res.status(400).json({ error: 'Telegram integration is disabled' });
+        return;
+      }
+
+      const TelegramHandler = require('../handlers/telegramHandler');
+      const telegramHandler = new TelegramHandler();
+      const initialized = await telegramHandler.initialize();
+      if (!initialized) {
+        res.status(500).json({ error: 'Telegram handler initialization failed' });
+        return;
+      }
+
+      const testResult = await telegramHandler.testTelegram(existing.targetChatId, {
+        targetTopicId: existing.targetTopicId,
+        telegramParseMode: existing.telegramParseMode
+      });
+      if (testResult.success) {
+        res.json({ success: true, messageId: testResult.messageId || null });
+      } else {
+        res.status(400).json({ error: testResult.error || 'Telegram test failed' });
+      }
+    } catch (error) {
+      logError(`Web admin telegram test failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to test Telegram target' });
+    }
+  });
+
+  // --- Telegram Chat Verify & Register ---
+  app.post('/api/telegram-chats/verify', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const chatIdInput = typeof req.body.chatId === 'string' ? req.body.chatId.trim() : '';
+    const chatLookup = normalizeTelegramChatLookupValue(chatIdInput);
+    if (!chatLookup) {
+      res.status(400).json({ error: 'chatId must be a valid Telegram chat ID, @username, or t.me link' });
+      return;
     }
 
     try {
@@ -1734,9 +2385,10 @@ function createWebAdminApp(client, config) {
     try {
       const allConfigs = await loadForwardConfigs();
       const usedByConfigs = (allConfigs || []).filter(cfg =>
-        cfg &&
-        cfg.targetType === 'telegram' &&
-        String(cfg.targetChatId || '') === chatId
+        cfg && (
+          (cfg.targetType === 'telegram' && String(cfg.targetChatId || '') === chatId) ||
+          (cfg.sourceType === 'telegram' && String(cfg.sourceChatId || '') === chatId)
+        )
       );
 
       if (usedByConfigs.length > 0) {
@@ -1860,7 +2512,7 @@ function createWebAdminApp(client, config) {
         return allowedGuildIds.has(sourceServerId);
       });
 
-      const status = await buildReaderStatusDiagnostics(client, scopedConfigs, { getReaderBotClient, isTextOrAnnouncementChannel });
+      const status = await buildReaderStatusDiagnostics(client, scopedConfigs, { getReaderBotClient, isForwardableChannel });
       res.json(status);
     } catch (error) {
       logError(`Web admin /api/reader-status failed: ${error.message}`);
@@ -1880,6 +2532,11 @@ function createWebAdminApp(client, config) {
       const configStatsData = await getConfigStats();
       const recentLogs = await getMessageLogs(null, 10);
       const failedMessages = await getFailedMessages(10);
+      const retryCounts = await getRetryQueueCounts();
+      const { getForwardHandler } = require('../events/messageEvents');
+      const forwardHandler = getForwardHandler();
+      const sendQueueStats = forwardHandler ? forwardHandler.getSendQueueStats() : { depth: 0, targets: [] };
+      const { getChatBackoffStats } = require('../handlers/telegram/telegramAPI');
 
       res.json({
         bot: {
@@ -1894,7 +2551,13 @@ function createWebAdminApp(client, config) {
           recent: recentLogs.length,
           failed: failedMessages.length,
           lastForwardedAt: recentLogs[0] ? recentLogs[0].forwardedAt : null
-        }
+        },
+        retryQueue: {
+          pending: retryCounts.pending,
+          deadLetters: retryCounts.dead
+        },
+        sendQueue: sendQueueStats,
+        telegramBackoff: getChatBackoffStats()
       });
     } catch (error) {
       logError(`Web admin /api/dashboard failed: ${error.message}`);
@@ -1924,6 +2587,14 @@ function createWebAdminApp(client, config) {
         return;
       }
 
+      // The bot's own handler: its send queue keeps retries in order with live forwards
+      const { getForwardHandler } = require('../events/messageEvents');
+      const forwardHandler = getForwardHandler();
+      if (!forwardHandler) {
+        res.status(503).json({ error: 'Forward handler is not ready yet' });
+        return;
+      }
+
       let originalMessage = null;
       let sourceGuild = null;
       let sourceChannel = null;
@@ -1932,8 +2603,9 @@ function createWebAdminApp(client, config) {
         const sourceContext = getSourceGuildContext(client, guildId);
         if (!sourceContext || !sourceContext.guild || !sourceContext.botUser) continue;
 
+        // Forum posts and other threads can be sources too (active ones are in the cache)
         const channels = Array.from(sourceContext.guild.channels.cache.values()).filter(channel => {
-          if (!isTextOrAnnouncementChannel(channel)) return false;
+          if (!isTextOrAnnouncementChannel(channel) && !isThreadChannel(channel)) return false;
           const perms = channel.permissionsFor(sourceContext.botUser);
           return perms && perms.has(PermissionFlagsBits.ViewChannel);
         });
@@ -1961,7 +2633,7 @@ function createWebAdminApp(client, config) {
         return;
       }
 
-      const forwardConfigs = await getForwardConfigsForChannel(sourceChannel.id);
+      const forwardConfigs = await getForwardConfigsForChannel(sourceChannel.id, forwardHandler.getForumParentId(sourceChannel));
       const allowedConfigs = forwardConfigs.filter(cfg => allowedGuildIds.has(cfg.sourceServerId));
       if (!allowedConfigs.length) {
         res.status(400).json({
@@ -1970,27 +2642,72 @@ function createWebAdminApp(client, config) {
         return;
       }
 
-      const ForwardHandler = require('../handlers/forwardHandler');
-      const forwardHandler = new ForwardHandler(client);
-      await forwardHandler.initialize();
-
       const results = [];
       let successCount = 0;
       let failedCount = 0;
+      let skippedCount = 0;
 
       for (const configItem of allowedConfigs) {
+        // Same filters as a live forward: a retry must not push the message through configs that dropped it
+        const filterResult = evaluateContentFilters(originalMessage, configItem.filters);
+        if (!filterResult.passed) {
+          skippedCount += 1;
+          results.push({
+            configId: configItem.id,
+            configName: configItem.name || `Config ${configItem.id}`,
+            targetType: configItem.targetType || 'discord',
+            success: false,
+            skipped: true,
+            error: `Dropped by filter ${filterResult.filter} (${filterResult.reason})`
+          });
+          continue;
+        }
+
         try {
-          const retryResult = await forwardHandler.forwardToTarget(originalMessage, configItem);
-          const ok = Boolean(retryResult);
+          // Approval configs: only an approved message is sent again, with the moderator's text
+          let retryMessage = originalMessage;
+          const forwardOptions = {};
+          if (configItem.requireApproval === true) {
+            const approval = await getApprovalEntryForMessage(originalMessage.id, configItem.id);
+            if (approval && approval.status === APPROVAL_STATUS.APPROVED) {
+              retryMessage = await forwardHandler.approvalManager.withApprovedContent(originalMessage, configItem);
+              forwardOptions.approved = true;
+            } else if (approval) {
+              skippedCount += 1;
+              results.push({
+                configId: configItem.id,
+                configName: configItem.name || `Config ${configItem.id}`,
+                targetType: configItem.targetType || 'discord',
+                success: false,
+                skipped: true,
+                error: approval.status === APPROVAL_STATUS.REJECTED ? 'Rejected by a moderator' : 'Awaiting approval'
+              });
+              continue;
+            }
+          }
+
+          const retryResult = await forwardHandler.forwardToTarget(retryMessage, configItem, forwardOptions);
+          // hold() answers { approvalId }: the message now waits for review and was not forwarded
+          const held = Boolean(retryResult) && Object.prototype.hasOwnProperty.call(retryResult, 'approvalId');
+          const ok = Boolean(retryResult) && !held;
           if (ok) successCount += 1;
+          else if (held && retryResult.approvalId) skippedCount += 1;
           else failedCount += 1;
 
+          let error = null;
+          if (held) {
+            error = retryResult.approvalId ? 'Held for approval' : 'Not forwarded (approval entry already exists)';
+          } else if (!ok) {
+            error = 'Forward attempt failed';
+          }
+
           results.push({
             configId: configItem.id,
             configName: configItem.name || `Config ${configItem.id}`,
             targetType: configItem.targetType || 'discord',
             success: ok,
-            error: ok ? null : 'Forward attempt failed'
+            skipped: held && Boolean(retryResult.approvalId),
+            error
           });
         } catch (error) {
           failedCount += 1;
@@ -2014,6 +2731,7 @@ function createWebAdminApp(client, config) {
         processed: allowedConfigs.length,
         successCount,
         failedCount,
+        skippedCount,
         results
       });
     } catch (error) {
@@ -2022,6 +2740,262 @@ function createWebAdminApp(client, config) {
     }
   });
 
+  // --- Retry Queue API ---
+  app.get('/api/retry-queue', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const status = Object.values(RETRY_STATUS).includes(req.query.status) ? req.query.status : RETRY_STATUS.DEAD;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const beforeId = req.query.beforeId ? parseInt(req.query.beforeId, 10) : null;
+
+      const allowedGuildIds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      const entries = await getRetryQueueEntries({
+        status,
+        serverIds: Array.from(allowedGuildIds),
+        limit,
+        beforeId
+      });
+
+      const forwardConfigs = await loadForwardConfigs();
+      const configMap = new Map(
+        (forwardConfigs || []).map(item => [Number(item.id), item])
+      );
+
+      res.json({
+        status,
+        entries: entries.map(entry => {
+          const configItem = configMap.get(Number(entry.configId));
+          return {
+            ...entry,
+            configName: configItem ? (configItem.name || `Config ${configItem.id}`) : null
+          };
+        }),
+        counts: await getRetryQueueCounts({ serverIds: Array.from(allowedGuildIds) }),
+        hasMore: entries.length === limit,
+        nextBeforeId: entries.length > 0 ? entries[entries.length - 1].id : null
+      });
+    } catch (error) {
+      logError(`Web admin /api/retry-queue failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to load retry queue' });
+    }
+  });
+
+  app.post('/api/retry-queue/requeue', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const { selection, error: selectionError } = parseRetryQueueSelection(req.body);
+    if (selectionError) {
+      res.status(400).json({ error: selectionError });
+      return;
+    }
+
+    try {
+      const allowedGuildIds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      const requeued = await requeueRetries({ ...selection, serverIds: Array.from(allowedGuildIds) });
+      logInfo(`Web admin requeued ${requeued} retry entr${requeued === 1 ? 'y' : 'ies'}`);
+      res.json({ success: true, requeued });
+    } catch (error) {
+      logError(`Web admin /api/retry-queue/requeue failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to requeue entries' });
+    }
+  });
+
+  app.post('/api/retry-queue/discard', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const { selection, error: selectionError } = parseRetryQueueSelection(req.body);
+    if (selectionError) {
+      res.status(400).json({ error: selectionError });
+      return;
+    }
+
+    try {
+      const allowedGuildIds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      const discarded = await discardRetries({ ...selection, serverIds: Array.from(allowedGuildIds) });
+      logInfo(`Web admin discarded ${discarded} retry entr${discarded === 1 ? 'y' : 'ies'}`);
+      res.json({ success: true, discarded });
+    } catch (error) {
+      logError(`Web admin /api/retry-queue/discard failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to discard entries' });
+    }
+  });
+
+  // --- Backfill API ---
+  app.get('/api/backfill-jobs', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const allowedGuildIds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      const jobs = await getBackfillJobs({ serverIds: Array.from(allowedGuildIds), limit: 50 });
+      const forwardConfigs = await loadForwardConfigs();
+      const configMap = new Map((forwardConfigs || []).map(item => [Number(item.id), item]));
+      res.json({ jobs: jobs.map(job => buildBackfillJobView(job, configMap)) });
+    } catch (error) {
+      logError(`Web admin /api/backfill-jobs failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to load backfill jobs' });
+    }
+  });
+
+  app.post('/api/configs/:id/backfill', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const configId = parseConfigId(req.params.id);
+    if (!configId) {
+      res.status(400).json({ error: 'Invalid config id' });
+      return;
+    }
+
+    try {
+      const configItem = await getForwardConfigById(configId);
+      if (!configItem) {
+        res.status(404).json({ error: 'Config not found' });
+        return;
+      }
+
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!allowedGuilds.has(getConfigOwnerGuildId(configItem))) {
+        res.status(403).json({ error: 'Forbidden for this guild' });
+        return;
+      }
+
+      const jobId = await queueBackfillJob(configItem, req.body || {}, auth.user.id);
+      wakeBackfillRunner();
+      res.json({ success: true, job: await getBackfillJob(jobId) });
+    } catch (error) {
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      logError(`Web admin /api/configs/${configId}/backfill failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to start backfill' });
+    }
+  });
+
+  app.post('/api/backfill-jobs/:id/:action', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const jobId = parseConfigId(req.params.id);
+    const action = BACKFILL_ACTIONS[req.params.action];
+    if (!jobId || !action) {
+      res.status(400).json({ error: 'Invalid backfill job or action' });
+      return;
+    }
+
+    try {
+      const job = await getBackfillJob(jobId);
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!job || !allowedGuilds.has(job.sourceServerId)) {
+        res.status(404).json({ error: 'Backfill job not found' });
+        return;
+      }
+
+      const [status, fromStatuses] = action;
+      const changed = await setBackfillJobStatus(jobId, status, fromStatuses);
+      if (!changed) {
+        res.status(409).json({ error: `Cannot ${req.params.action} a ${job.status} job` });
+        return;
+      }
+
+      if (status === BACKFILL_STATUS.QUEUED) {
+        wakeBackfillRunner();
+      }
+      logInfo(`Web admin set backfill job ${jobId} to ${status}`);
+      res.json({ success: true, job: await getBackfillJob(jobId) });
+    } catch (error) {
+      logError(`Web admin /api/backfill-jobs/${jobId}/${req.params.action} failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to update backfill job' });
+    }
+  });
+
+  // --- Approval Queue API ---
+  app.get('/api/approvals', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const allowedGuildIds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      const entries = await getApprovalEntries({ serverIds: Array.from(allowedGuildIds), limit: 100 });
+      const forwardConfigs = await loadForwardConfigs();
+      const configMap = new Map((forwardConfigs || []).map(item => [Number(item.id), item]));
+      res.json({ entries: entries.map(entry => buildApprovalView(entry, configMap)) });
+    } catch (error) {
+      logError(`Web admin /api/approvals failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to load approval queue' });
+    }
+  });
+
+  app.post('/api/approvals/:id/:action', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    const approvalId = parseConfigId(req.params.id);
+    const action = req.params.action;
+    if (!approvalId || (action !== 'approve' && action !== 'reject')) {
+      res.status(400).json({ error: 'Invalid approval or action' });
+      return;
+    }
+
+    try {
+      const entry = await getApprovalEntry(approvalId);
+      const allowedGuilds = await getVisibleSourceGuildSet(client, auth, webAdminConfig.allowedRoleIds);
+      if (!entry || !allowedGuilds.has(entry.originalServerId)) {
+        res.status(404).json({ error: 'Approval not found' });
+        return;
+      }
+
+      const { getForwardHandler } = require('../events/messageEvents');
+      const forwardHandler = getForwardHandler();
+      if (!forwardHandler) {
+        res.status(503).json({ error: 'Forward handler is not ready yet' });
+        return;
+      }
+
+      const decidedBy = auth.user.username || auth.user.id;
+      const decided = action === 'approve'
+        ? await forwardHandler.approvalManager.approve(approvalId, { content: (req.body || {}).content, decidedBy })
+        : await forwardHandler.approvalManager.reject(approvalId, { decidedBy });
+      res.json({ success: true, entry: decided });
+    } catch (error) {
+      if (error.statusCode) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+      }
+      logError(`Web admin /api/approvals/${approvalId}/${action} failed: ${error.message}`);
+      res.status(500).json({ error: `Failed to ${action} message` });
+    }
+  });
+
   // --- Message Logs API ---
   app.get('/api/logs', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
@@ -2032,7 +3006,7 @@ function createWebAdminApp(client, config) {
 
     try {
       const configId = req.query.configId ? parseInt(req.query.configId, 10) : null;
-      const status = ['success', 'failed', 'retry'].includes(req.query.status) ? req.query.status : null;
+      const status = ['success', 'failed', 'retry', 'digest'].includes(req.query.status) ? req.query.status : null;
       const messageId = typeof req.query.messageId === 'string' && req.query.messageId.trim()
         ? req.query.messageId.trim()
         : null;
@@ -2051,7 +3025,8 @@ function createWebAdminApp(client, config) {
         return {
           ...log,
           targetType,
-          targetLabel: buildLogTargetLabel(log, targetType, configItem)
+          targetLabel: buildLogTargetLabel(log, targetType, configItem),
+          attachmentOutcomes: parseAttachmentOutcomes(log.attachmentOutcomes)
         };
       });
 
@@ -2074,7 +3049,7 @@ function createWebAdminApp(client, config) {
     }
 
     try {
-      const status = ['success', 'failed', 'retry'].includes(req.query.status) ? req.query.status : null;
+      const status = ['success', 'failed', 'retry', 'digest'].includes(req.query.status) ? req.query.status : null;
       const configIdRaw = req.query.configId;
       const configId = configIdRaw === undefined || configIdRaw === null || configIdRaw === ''
         ? null
@@ -2215,6 +3190,55 @@ function createWebAdminApp(client, config) {
     }
   });
 
+  // --- AI Providers ---
+  app.get('/api/ai-providers', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const aiManager = require('../utils/aiManager');
+      if (!aiManager.initialized) {
+        await aiManager.initialize();
+      }
+      const runtimeConfig = require('../config/config');
+      const translationConfig = (runtimeConfig.ai && runtimeConfig.ai.translation) || {};
+
+      res.json({
+        enabled: aiManager.initialized,
+        providers: aiManager.getAvailableProviders(),
+        defaultProvider: translationConfig.defaultProvider || null,
+        fallbackProvider: translationConfig.fallbackProvider || null
+      });
+    } catch (error) {
+      logError(`Web admin /api/ai-providers failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to load AI providers' });
+    }
+  });
+
+  app.post('/api/ai-providers/test', async (req, res) => {
+    const auth = getEffectiveAuth(req, client, webAdminConfig);
+    if (!auth) {
+      res.status(401).json({ error: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const aiManager = require('../utils/aiManager');
+      if (!aiManager.initialized && !(await aiManager.initialize())) {
+        res.status(400).json({ error: 'AI features are disabled or no provider is configured' });
+        return;
+      }
+
+      res.json({ results: await aiManager.testProviders() });
+    } catch (error) {
+      logError(`Web admin AI provider test failed: ${error.message}`);
+      res.status(500).json({ error: 'Failed to test AI providers' });
+    }
+  });
+
   app.delete('/api/settings/uploaded-emoji/:emojiName', async (req, res) => {
     const auth = getEffectiveAuth(req, client, webAdminConfig);
     if (!auth) {
@@ -239,6 +239,7 @@ function renderDashboardPage(auth, webAdminConfig) {
 
       <div class="card">
         <h2>Forward Configurations</h2>
+        <div id="configs-cycles" class="cycle-warning is-hidden"></div>
         <div class="table-wrapper">
           <table class="configs-table">
             <thead>
@@ -258,12 +259,273 @@ function renderDashboardPage(auth, webAdminConfig) {
         </div>
       </div>
 
+      <div id="config-edit-card" class="card is-hidden">
+        <div class="header-bar">
+          <h2 id="config-edit-title">Edit Config</h2>
+          <button id="config-edit-close" class="button secondary sm" type="button">Close</button>
+        </div>
+        <p class="muted-text">Source channel and target type cannot be changed. The config keeps its ID, so existing message logs stay linked.</p>
+        <form id="config-edit-form" class="form-grid config-builder-form">
+          <div class="config-builder-grid">
+            <fieldset class="config-box">
+              <legend>General</legend>
+              <label>Name<input id="config-edit-name" class="input" maxlength="100" required></label>
+              <label class="checkbox-label"><input id="config-edit-enabled" type="checkbox"> Enabled</label>
+              <label class="checkbox-label"><input id="config-edit-allow-everyone" type="checkbox"> Allow @everyone / @here mentions</label>
+              <label class="checkbox-label"><input id="config-edit-hide-source-header" type="checkbox"> Hide source header</label>
+            </fieldset>
+            <fieldset id="config-edit-delivery" class="config-box">
+              <legend>Delivery</legend>
+              <label>Mode
+                <select id="config-edit-delivery-mode" class="input">
+                  <option value="immediate">Forward each message</option>
+                  <option value="interval">Digest every N minutes</option>
+                  <option value="daily">Daily digest</option>
+                </select>
+              </label>
+              <label id="config-edit-digest-interval-row">Minutes between digests<input id="config-edit-digest-interval" class="input" type="number" min="5" max="1440" step="1" value="60"></label>
+              <label id="config-edit-digest-time-row">Send at (UTC)<input id="config-edit-digest-time" class="input" type="time" value="18:00"></label>
+            </fieldset>
+            <fieldset id="config-edit-moderation" class="config-box">
+              <legend>Moderation</legend>
+              <label class="checkbox-label"><input id="config-edit-require-approval" type="checkbox"> Hold messages until a moderator approves them</label>
+              <label>Review Channel ID (optional)<input id="config-edit-review-channel" class="input mono" inputmode="numeric" placeholder="Web admin only"></label>
+            </fieldset>
+            <fieldset id="config-edit-sync" class="config-box">
+              <legend>Edits &amp; Deletes</legend>
+              <label>When the source is edited
+                <select id="config-edit-edit-policy" class="input">
+                  <option value="sync">Update the copy</option>
+                  <option value="append">Keep the copy, add an "(edited)" note</option>
+                  <option value="ignore">Leave the copy as sent</option>
+                </select>
+              </label>
+              <label>When the source is deleted
+                <select id="config-edit-delete-policy" class="input">
+                  <option value="delete">Delete the copy</option>
+                  <option value="tombstone">Replace with "removed at source"</option>
+                  <option value="keep">Keep the copy</option>
+                </select>
+              </label>
+            </fieldset>
+            <fieldset id="config-edit-discord-target" class="config-box">
+              <legend>Target</legend>
+              <label>Target Server (Main Bot)
+                <select id="config-edit-target-server" class="input"></select>
+              </label>
+              <label>Target Channel (Main Bot)
+                <select id="config-edit-target-channel" class="input"></select>
+              </label>
+              <label id="config-edit-sync-reactions-row" class="checkbox-label"><input id="config-edit-sync-reactions" type="checkbox"> Mirror source reactions on forwarded messages</label>
+            </fieldset>
+            <fieldset id="config-edit-telegram-target" class="config-box">
+              <legend>Target</legend>
+              <label>Telegram Chat ID / @username<input id="config-edit-target-chat" class="input mono"></label>
+              <label>Forum Topic ID (optional)<input id="config-edit-target-topic" class="input mono" inputmode="numeric" placeholder="Empty for the whole chat or General topic"></label>
+              <label>Parse Mode
+                <select id="config-edit-parse-mode" class="input">
+                  <option value="">Default (TELEGRAM_PARSE_MODE)</option>
+                  <option value="MarkdownV2">MarkdownV2</option>
+                  <option value="HTML">HTML</option>
+                </select>
+              </label>
+            </fieldset>
+            <fieldset id="config-edit-http-target" class="config-box">
+              <legend>Target</legend>
+              <label>Target URL<input id="config-edit-target-url" class="input mono" type="url"></label>
+              <label>Signing Secret<input id="config-edit-signing-secret" class="input mono" type="password" autocomplete="new-password" placeholder="Leave blank to keep"></label>
+              <label class="checkbox-label"><input id="config-edit-clear-signing-secret" type="checkbox"> Remove signing secret</label>
+              <label>Payload Template (JSON, empty for the default payload)<textarea id="config-edit-payload-template" class="input-textarea mono" rows="4"></textarea></label>
+            </fieldset>
+            <fieldset class="config-box">
+              <legend>AI</legend>
+              <label class="checkbox-label"><input id="config-edit-ai-enabled" type="checkbox"> AI features enabled</label>
+              <label class="checkbox-label"><input id="config-edit-ai-translation" type="checkbox"> Translate messages</label>
+              <label>Target Languages (comma separated)<input id="config-edit-ai-languages" class="input mono" placeholder="de, fr, ja"></label>
+              <label>Translation Provider
+                <select id="config-edit-ai-provider" class="input">
+                  <option value="gemini">Gemini</option>
+                  <option value="google">Google Translate</option>
+                  <option value="deepl">DeepL</option>
+                  <option value="openai">OpenAI-compatible</option>
+                </select>
+              </label>
+              <label class="checkbox-label"><input id="config-edit-ai-optimization" type="checkbox"> Optimize content</label>
+              <label>Optimization Level
+                <select id="config-edit-ai-level" class="input">
+                  <option value="basic">Basic</option>
+                  <option value="enhanced">Enhanced</option>
+                  <option value="custom">Custom</option>
+                </select>
+              </label>
+            </fieldset>
+          </div>
+          <button type="submit" class="button">Save Changes</button>
+        </form>
+      </div>
+
+      <div id="config-filters-card" class="card is-hidden">
+        <div class="header-bar">
+          <h2 id="config-filters-title">Content Filters</h2>
+          <button id="config-filters-close" class="button secondary sm" type="button">Close</button>
+        </div>
+        <p class="muted-text">Lists take one entry per line. Empty lists and unchecked switches are ignored. Keywords are case-insensitive; patterns are JavaScript regular expressions.</p>
+        <form id="config-filters-form" class="form-grid config-builder-form">
+          <div class="config-builder-grid">
+            <fieldset class="config-box">
+              <legend>Content</legend>
+              <label>Include Keywords (any)<textarea id="filter-include-keywords" class="input-textarea" rows="3"></textarea></label>
+              <label>Exclude Keywords<textarea id="filter-exclude-keywords" class="input-textarea" rows="3"></textarea></label>
+              <label>Include Patterns (any)<textarea id="filter-include-patterns" class="input-textarea mono" rows="3"></textarea></label>
+              <label>Exclude Patterns<textarea id="filter-exclude-patterns" class="input-textarea mono" rows="3"></textarea></label>
+            </fieldset>
+            <fieldset class="config-box">
+              <legend>Author &amp; Type</legend>
+              <label>Author Type
+                <select id="filter-author-type" class="input">
+                  <option value="any">Anyone</option>
+                  <option value="humans">Humans only</option>
+                  <option value="bots">Bots only</option>
+                </select>
+              </label>
+              <label>Allowed Author IDs<textarea id="filter-allowed-authors" class="input-textarea mono" rows="2"></textarea></label>
+              <label>Blocked Author IDs<textarea id="filter-blocked-authors" class="input-textarea mono" rows="2"></textarea></label>
+              <label>Required Source Role IDs (any)<textarea id="filter-required-roles" class="input-textarea mono" rows="2"></textarea></label>
+              <label class="checkbox-label"><input id="filter-require-attachment" type="checkbox"> Only messages with attachments</label>
+              <label class="checkbox-label"><input id="filter-require-link" type="checkbox"> Only messages with links</label>
+              <label class="checkbox-label"><input id="filter-require-embed" type="checkbox"> Only messages with embeds</label>
+            </fieldset>
+          </div>
+          <button type="submit" class="button">Save Filters</button>
+        </form>
+      </div>
+
+      <div id="config-mentions-card" class="card is-hidden">
+        <div class="header-bar">
+          <h2 id="config-mentions-title">Mention Mapping</h2>
+          <button id="config-mentions-close" class="button secondary sm" type="button">Close</button>
+        </div>
+        <p class="muted-text">Role and channel mentions are rewritten to the mapped target role or channel. Unmapped mentions are shown as plain <span class="mono">@role</span> / <span class="mono">#channel</span> text.</p>
+        <form id="config-mentions-form" class="form-grid config-builder-form">
+          <div class="config-builder-grid">
+            <fieldset id="config-mentions-roles" class="config-box">
+              <legend>Roles</legend>
+            </fieldset>
+            <fieldset id="config-mentions-channels" class="config-box">
+              <legend>Channels</legend>
+            </fieldset>
+          </div>
+          <label class="checkbox-label"><input id="config-mentions-ping-roles" type="checkbox"> Let mapped role mentions ping in the target server</label>
+          <div class="row">
+            <button id="config-mentions-suggest" class="button secondary" type="button">Match by Name</button>
+            <button type="submit" class="button">Save Mapping</button>
+          </div>
+        </form>
+      </div>
+
+      <div id="config-transforms-card" class="card is-hidden">
+        <div class="header-bar">
+          <h2 id="config-transforms-title">Transformation Rules</h2>
+          <button id="config-transforms-close" class="button secondary sm" type="button">Close</button>
+        </div>
+        <p class="muted-text">Rules run top to bottom on the message text before it is formatted, and again when the message is edited. Patterns are JavaScript regular expressions. Templates can use <span class="mono">{author}</span>, <span class="mono">{channel}</span>, <span class="mono">{guild}</span> and <span class="mono">{jumpLink}</span>.</p>
+        <form id="config-transforms-form" class="form-grid config-builder-form">
+          <fieldset id="config-transforms-list" class="config-box">
+            <legend>Rules</legend>
+          </fieldset>
+          <div class="row">
+            <button id="config-transforms-add" class="button secondary" type="button">Add Rule</button>
+            <button type="submit" class="button">Save Rules</button>
+          </div>
+        </form>
+      </div>
+
+      <div id="backfill-card" class="card is-hidden">
+        <div class="header-bar">
+          <h2 id="backfill-title">Backfill History</h2>
+          <button id="backfill-close" class="button secondary sm" type="button">Close</button>
+        </div>
+        <p class="muted-text">Forwards existing source channel messages oldest-first through the config's normal pipeline. Messages that were already forwarded or do not pass the filters are skipped.</p>
+        <form id="backfill-form" class="form-grid config-builder-form">
+          <div class="config-builder-grid">
+            <fieldset class="config-box">
+              <legend>Range</legend>
+              <label>Mode
+                <select id="backfill-mode" class="input">
+                  <option value="count">Last N messages</option>
+                  <option value="range">Date range</option>
+                </select>
+              </label>
+              <label id="backfill-count-row">Messages<input id="backfill-count" class="input mono" type="number" min="1" value="100"></label>
+              <label id="backfill-start-row" class="is-hidden">From<input id="backfill-start" class="input" type="datetime-local"></label>
+              <label id="backfill-end-row" class="is-hidden">Until<input id="backfill-end" class="input" type="datetime-local"></label>
+            </fieldset>
+            <fieldset class="config-box">
+              <legend>Pace</legend>
+              <label>Delay between forwards (ms)<input id="backfill-pace" class="input mono" type="number" min="250" placeholder="Server default"></label>
+            </fieldset>
+          </div>
+          <button type="submit" class="button">Start Backfill</button>
+        </form>
+      </div>
+
+      <div class="card">
+        <div class="header-bar">
+          <h2>Approval Queue</h2>
+          <button id="approvals-refresh" class="button secondary sm" type="button">Refresh</button>
+        </div>
+        <div class="table-wrapper">
+          <table class="logs-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Config</th>
+                <th>Author</th>
+                <th>Message</th>
+                <th>Held At</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="approvals-body">
+              <tr><td colspan="6" class="muted-text">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div class="card">
+        <div class="header-bar">
+          <h2>Backfill Jobs</h2>
+          <button id="backfill-refresh" class="button secondary sm" type="button">Refresh</button>
+        </div>
+        <div class="table-wrapper">
+          <table class="logs-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Config</th>
+                <th>Range</th>
+                <th>Status</th>
+                <th>Progress</th>
+                <th>Last Error</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="backfill-body">
+              <tr><td colspan="7" class="muted-text">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
       <div class="card">
         <h2>Forward Builder</h2>
         <div class="forward-builder">
           <div class="forward-subtabs" role="tablist" aria-label="Forward Type">
             <button id="forward-tab-discord" class="forward-subtab-btn active" data-forward-tab="discord" role="tab" aria-selected="true" aria-controls="forward-panel-discord" tabindex="0">Discord</button>
             <button id="forward-tab-telegram" class="forward-subtab-btn" data-forward-tab="telegram" role="tab" aria-selected="false" aria-controls="forward-panel-telegram" tabindex="-1">Telegram</button>
+            <button id="forward-tab-tgsource" class="forward-subtab-btn" data-forward-tab="tgsource" role="tab" aria-selected="false" aria-controls="forward-panel-tgsource" tabindex="-1">Telegram Source</button>
+            <button id="forward-tab-http" class="forward-subtab-btn" data-forward-tab="http" role="tab" aria-selected="false" aria-controls="forward-panel-http" tabindex="-1">HTTP Webhook</button>
           </div>
 
           <section id="forward-panel-discord" class="forward-panel active" data-forward-panel="discord" role="tabpanel" aria-labelledby="forward-tab-discord" aria-hidden="false">
@@ -339,6 +601,16 @@ function renderDashboardPage(auth, webAdminConfig) {
                   <legend>Target</legend>
                   <label>Target Chat<input id="telegram-chat-id" class="input" required placeholder="Select above or enter Chat ID, @username, or t.me link"></label>
                   <p id="telegram-chat-hint" class="muted-text">Enter Chat ID, @username, or t.me link. Bot access is verified automatically when creating the forward.</p>
+                  <label>Forum Topic ID (optional)<input id="telegram-topic-id" class="input mono" inputmode="numeric" list="telegram-topic-options" placeholder="Empty for the whole chat or General topic"></label>
+                  <datalist id="telegram-topic-options"></datalist>
+                  <p class="muted-text">Topics show up here once the bot has seen a message in them.</p>
+                  <label>Parse Mode
+                    <select id="telegram-parse-mode" class="input">
+                      <option value="">Default (TELEGRAM_PARSE_MODE)</option>
+                      <option value="MarkdownV2">MarkdownV2</option>
+                      <option value="HTML">HTML</option>
+                    </select>
+                  </label>
                   <label>Tracked Telegram Chats
                     <input id="telegram-chat-search" class="input select-search" placeholder="Search tracked chats">
                     <select id="telegram-chat-select" class="input">
@@ -355,6 +627,79 @@ function renderDashboardPage(auth, webAdminConfig) {
               <button type="submit" class="button">Create Telegram Forward</button>
             </form>
           </section>
+
+          <section id="forward-panel-tgsource" class="forward-panel" data-forward-panel="tgsource" role="tabpanel" aria-labelledby="forward-tab-tgsource" aria-hidden="true">
+            <h3>Create Telegram Source Forward</h3>
+            <p class="muted-text">Mirrors posts from a Telegram channel or group into Discord. The bot must be an admin of the channel (or a member of the group with privacy mode off). Edits are synced; Telegram does not report deletions to bots, so deletes are not.</p>
+            <form id="create-tgsource-form" class="form-grid config-builder-form">
+              <div class="config-builder-grid">
+                <fieldset class="config-box">
+                  <legend>Source</legend>
+                  <label>Source Chat<input id="tgsource-chat-id" class="input" required placeholder="Select below or enter Chat ID, @username, or t.me link"></label>
+                  <label>Tracked Telegram Chats
+                    <input id="tgsource-chat-search" class="input select-search" placeholder="Search tracked chats">
+                    <select id="tgsource-chat-select" class="input">
+                      <option value="">Select a tracked chat (optional)</option>
+                    </select>
+                  </label>
+                </fieldset>
+                <fieldset class="config-box">
+                  <legend>Target</legend>
+                  <label>Target Server (Main Bot)
+                    <input id="tgsource-target-server-search" class="input select-search" placeholder="Search target servers">
+                    <select id="tgsource-target-server" class="input" required>
+                      <option value="">Loading target servers...</option>
+                    </select>
+                  </label>
+                  <label>Target Channel (Main Bot)
+                    <input id="tgsource-target-channel-search" class="input select-search" placeholder="Search target channels">
+                    <select id="tgsource-target-channel" class="input" required>
+                      <option value="">Select target server first</option>
+                    </select>
+                  </label>
+                </fieldset>
+              </div>
+              <label>Name (optional)<input id="tgsource-name" class="input"></label>
+              <button type="submit" class="button">Create Telegram Source Forward</button>
+            </form>
+          </section>
+
+          <section id="forward-panel-http" class="forward-panel" data-forward-panel="http" role="tabpanel" aria-labelledby="forward-tab-http" aria-hidden="true">
+            <h3>Create HTTP Webhook Forward</h3>
+            <p class="muted-text">POSTs each message as JSON to a URL, followed by message.update and message.delete events with the same ID. With a signing secret, requests carry an X-ProForwarder-Signature HMAC header.</p>
+            <form id="create-http-form" class="form-grid config-builder-form">
+              <div class="config-builder-grid">
+                <fieldset class="config-box">
+                  <legend>Source</legend>
+                  <label>Source Bot
+                    <select id="http-source-bot" class="input">
+                      <option value="main">Main Bot</option>
+                    </select>
+                  </label>
+                  <label>Source Server
+                    <input id="http-source-server-search" class="input select-search" placeholder="Search source servers">
+                    <select id="http-source-server" class="input" required>
+                      <option value="">Loading source servers...</option>
+                    </select>
+                  </label>
+                  <label>Source Channel
+                    <input id="http-source-channel-search" class="input select-search" placeholder="Search source channels">
+                    <select id="http-source-channel" class="input" required>
+                      <option value="">Select source server first</option>
+                    </select>
+                  </label>
+                </fieldset>
+                <fieldset class="config-box">
+                  <legend>Target</legend>
+                  <label>Target URL<input id="http-target-url" class="input mono" type="url" required placeholder="https://example.com/hooks/discord"></label>
+                  <label>Signing Secret (optional)<input id="http-signing-secret" class="input mono" type="password" autocomplete="new-password"></label>
+                  <label>Payload Template (optional JSON)<textarea id="http-payload-template" class="input-textarea mono" rows="4" placeholder='{"text": "{{message.author.displayName}}: {{message.content}}"}'></textarea></label>
+                </fieldset>
+              </div>
+              <label>Name (optional)<input id="http-name" class="input"></label>
+              <button type="submit" class="button">Create HTTP Webhook Forward</button>
+            </form>
+          </section>
         </div>
       </div>
     </section>
@@ -474,6 +819,7 @@ function renderDashboardPage(auth, webAdminConfig) {
             <option value="success">Success</option>
             <option value="failed">Failed</option>
             <option value="retry">Retry</option>
+            <option value="digest">Digest</option>
           </select>
           <input id="logs-message-search" class="input filter-wide-input" placeholder="Search message ID (source or forwarded)">
           <button id="logs-search" class="button secondary sm">Search</button>
@@ -507,6 +853,44 @@ function renderDashboardPage(auth, webAdminConfig) {
           <button id="logs-load-more" class="button secondary sm is-hidden">Load More</button>
         </div>
       </div>
+
+      <div class="card">
+        <h2>Retry Queue</h2>
+        <p class="muted-text">Failed forwards are retried with backoff and survive restarts. Entries that run out of attempts become dead letters until they are requeued or discarded.</p>
+        <div class="filter-bar">
+          <select id="retry-status-filter" class="input">
+            <option value="dead">Dead Letters</option>
+            <option value="pending">Pending</option>
+          </select>
+          <button id="retry-refresh" class="button secondary sm">Refresh</button>
+          <button id="retry-requeue-selected" class="button secondary sm">Requeue Selected</button>
+          <button id="retry-discard-selected" class="button secondary sm danger">Discard Selected</button>
+          <button id="retry-requeue-all" class="button secondary sm">Requeue All Dead</button>
+          <button id="retry-discard-all" class="button secondary sm danger">Discard All Dead</button>
+        </div>
+        <div class="table-wrapper">
+          <table class="logs-table">
+            <thead>
+              <tr>
+                <th><input id="retry-select-all" type="checkbox" aria-label="Select all"></th>
+                <th>Updated</th>
+                <th>Config</th>
+                <th>Original</th>
+                <th>Attempts</th>
+                <th>Next Retry</th>
+                <th>Last Error</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody id="retry-body">
+              <tr><td colspan="8" class="muted-text">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+        <div class="pagination">
+          <button id="retry-load-more" class="button secondary sm is-hidden">Load More</button>
+        </div>
+      </div>
     </section>
 
     <!-- Settings Tab -->
@@ -516,6 +900,14 @@ function renderDashboardPage(auth, webAdminConfig) {
         <p class="muted-text">Read-only values from config.js. Edit the config file to change these.</p>
         <div id="runtime-config" class="runtime-grid"></div>
       </div>
+      <div class="card">
+        <div class="header-bar">
+          <h2>AI Providers</h2>
+          <button id="ai-providers-test" class="button secondary sm" type="button">Test Connections</button>
+        </div>
+        <p class="muted-text">Providers with credentials in the environment. Testing sends a small request to each provider.</p>
+        <div id="ai-providers" class="runtime-grid"></div>
+      </div>
       <div class="card">
         <h2>Bot Settings</h2>
         <p class="muted-text">Manage existing settings stored in SQLite. New setting creation is disabled in web admin.</p>
@@ -552,6 +944,9 @@ function renderDashboardPage(auth, webAdminConfig) {
   <script src="/admin/static/autopublish.js"></script>
   <script src="/admin/static/guilds.js"></script>
   <script src="/admin/static/logs.js"></script>
+  <script src="/admin/static/retryqueue.js"></script>
+  <script src="/admin/static/backfill.js"></script>
+  <script src="/admin/static/approvals.js"></script>
   <script src="/admin/static/settings.js"></script>${debugScriptTag}
 </body>
 </html>`;